@@ -0,0 +1,156 @@
+import { BaseCommand } from './BaseCommand.js';
+
+/**
+ * AddCalloutsCommand - Command for attaching callouts to existing elements and links
+ * Element callouts are recreated as overlays, link callouts are registered from link labels
+ */
+export class AddCalloutsCommand extends BaseCommand {
+	constructor(calloutsPlugin, graphService, records = []) {
+		super(`Add ${records.length} callout${records.length === 1 ? '' : 's'}`);
+
+		this.calloutsPlugin = calloutsPlugin;
+		this.graphService = graphService;
+		this.records = records;
+		this.createdCallouts = [];
+	}
+
+	/**
+	 * Validates command parameters before execution
+	 */
+	validateParameters() {
+		const errors = [];
+
+		if (!this.calloutsPlugin) {
+			errors.push('Callouts plugin is required');
+		}
+
+		this.records.forEach((record, index) => {
+			if (!record || !record.targetId) {
+				errors.push(`Callout at index ${index} has no target`);
+			}
+
+			if (record && !['element', 'link'].includes(record.targetType)) {
+				errors.push(`Callout at index ${index} has invalid target type`);
+			}
+		});
+
+		return {
+			valid: errors.length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validates command parameters
+	 */
+	isValid() {
+		return this.validateParameters().valid;
+	}
+
+	/**
+	 * Executes the add callouts command
+	 */
+	execute() {
+		try {
+			if (!this.isValid()) {
+				return false;
+			}
+
+			this.createdCallouts = [];
+
+			this.records.forEach(record => {
+				const target = this.graphService.getElementById(record.targetId);
+				if (!target) return;
+
+				if (record.targetType === 'element') {
+					const calloutId = this.calloutsPlugin.addCallout(target, {
+						text: record.text,
+						autoEdit: false
+					});
+
+					if (calloutId) {
+						this.createdCallouts.push({ target, calloutId });
+					}
+				} else {
+					this.calloutsPlugin.registerLinkCallouts(target).forEach(calloutId => {
+						this.createdCallouts.push({ target, calloutId });
+					});
+				}
+			});
+
+			this.markAsExecuted();
+			return true;
+
+		} catch (error) {
+			console.error('AddCalloutsCommand: Execution failed:', error);
+			return false;
+		}
+	}
+
+	/**
+	 * Undoes the add callouts command
+	 */
+	undo() {
+		try {
+			if (!this.executed) {
+				return false;
+			}
+
+			this.createdCallouts.forEach(({ target, calloutId }) => {
+				this.calloutsPlugin.removeCallout(target, calloutId);
+			});
+
+			this.createdCallouts = [];
+			this.markAsNotExecuted();
+
+			return true;
+
+		} catch (error) {
+			console.error('AddCalloutsCommand: Undo failed:', error);
+			return false;
+		}
+	}
+
+	/**
+	 * Gets entities affected by this command
+	 */
+	getAffectedEntities() {
+		return this.records.map(record => record.targetId);
+	}
+
+	/**
+	 * Performs cleanup when command is removed from history
+	 */
+	cleanup() {
+		super.cleanup();
+		this.records = [];
+		this.createdCallouts = [];
+	}
+
+	/**
+	 * Serializes command-specific data
+	 */
+	toJSON() {
+		const baseData = super.toJSON();
+
+		return {
+			...baseData,
+			records: this.records
+		};
+	}
+
+	/**
+	 * Restores command from JSON data
+	 */
+	static fromJSON(data, calloutsPlugin, graphService) {
+		const command = new AddCalloutsCommand(calloutsPlugin, graphService, data.records || []);
+		command.id = data.id;
+		command.description = data.description;
+		command.executed = data.executed;
+		command.timestamp = data.timestamp;
+		command.groupId = data.groupId;
+		command.metadata = data.metadata || {};
+
+		return command;
+	}
+}
@@ -0,0 +1,211 @@
+import { BaseCommand } from './BaseCommand.js';
+
+/**
+ * AddCellsCommand - Command for adding prepared cell JSON (elements and links) to the graph
+ * Cell IDs are fixed up front so redo recreates exactly the same cells
+ */
+export class AddCellsCommand extends BaseCommand {
+	constructor(graphService, portService, cells = [], description = null) {
+		super(description || `Add ${cells.length} items`);
+
+		this.graphService = graphService;
+		this.portService = portService;
+		this.cellsData = cells;
+		this.addedCells = [];
+	}
+
+	/**
+	 * Validates command parameters before execution
+	 */
+	validateParameters() {
+		const errors = [];
+
+		if (!Array.isArray(this.cellsData) || this.cellsData.length === 0) {
+			errors.push('No cells specified for addition');
+		}
+
+		this.cellsData.forEach((cell, index) => {
+			if (!cell || !cell.id || !cell.type) {
+				errors.push(`Cell at index ${index} must have id and type`);
+			}
+		});
+
+		return {
+			valid: errors.length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validates that none of the cells already exist in the graph
+	 */
+	isValid() {
+		const paramValidation = this.validateParameters();
+		if (!paramValidation.valid) {
+			return false;
+		}
+
+		return this.cellsData.every(cell => !this.graphService.getElementById(cell.id));
+	}
+
+	/**
+	 * Executes the add cells command
+	 */
+	execute() {
+		try {
+			if (!this.isValid()) {
+				return false;
+			}
+
+			// Elements go first so links can resolve their ends
+			const ordered = [
+				...this.cellsData.filter(cell => !this.isLinkData(cell)),
+				...this.cellsData.filter(cell => this.isLinkData(cell))
+			];
+
+			this.graphService.graph.addCells(ordered);
+			this.addedCells = ordered.map(cell => this.graphService.getElementById(cell.id)).filter(Boolean);
+
+			if (this.portService) {
+				this.addedCells.filter(cell => cell.isElement()).forEach(element => {
+					this.portService.initializeElementPorts(element);
+				});
+
+				this.addedCells.filter(cell => cell.isLink()).forEach(link => {
+					this.portService.handleLinkConnect(link);
+				});
+			}
+
+			this.setMetadata('cellIds', this.cellsData.map(cell => cell.id));
+			this.markAsExecuted();
+
+			return this.addedCells;
+
+		} catch (error) {
+			console.error('AddCellsCommand: Execution failed:', error);
+			this.removeAddedCells();
+			return false;
+		}
+	}
+
+	/**
+	 * Undoes the add cells command
+	 */
+	undo() {
+		try {
+			if (!this.executed) {
+				return false;
+			}
+
+			this.removeAddedCells();
+			this.markAsNotExecuted();
+
+			return true;
+
+		} catch (error) {
+			console.error('AddCellsCommand: Undo failed:', error);
+			return false;
+		}
+	}
+
+	/**
+	 * Removes cells added by this command, links first
+	 */
+	removeAddedCells() {
+		const links = this.addedCells.filter(cell => cell.isLink());
+		const elements = this.addedCells.filter(cell => cell.isElement());
+
+		links.forEach(link => {
+			if (this.portService) {
+				this.portService.handleLinkDisconnect(link);
+			}
+			link.remove();
+		});
+
+		elements.forEach(element => {
+			if (this.portService) {
+				this.portService.cleanupElementPorts(element);
+			}
+			element.remove();
+		});
+
+		this.addedCells = [];
+	}
+
+	/**
+	 * Checks whether serialized cell data describes a link
+	 */
+	isLinkData(cell) {
+		return Boolean(cell.source && cell.target);
+	}
+
+	/**
+	 * Gets the added cells
+	 */
+	getAddedCells() {
+		return this.addedCells;
+	}
+
+	/**
+	 * Gets entities affected by this command
+	 */
+	getAffectedEntities() {
+		return this.cellsData.map(cell => cell.id);
+	}
+
+	/**
+	 * Gets estimated execution time
+	 */
+	getEstimatedExecutionTime() {
+		return this.cellsData.length * 10; // 10ms per cell
+	}
+
+	/**
+	 * Gets memory usage including stored cell data
+	 */
+	getMemoryUsage() {
+		const baseSize = super.getMemoryUsage();
+		return baseSize + JSON.stringify(this.cellsData).length;
+	}
+
+	/**
+	 * Performs cleanup when command is removed from history
+	 */
+	cleanup() {
+		super.cleanup();
+		this.cellsData = [];
+		this.addedCells = [];
+	}
+
+	/**
+	 * Serializes command-specific data
+	 */
+	toJSON() {
+		const baseData = super.toJSON();
+
+		return {
+			...baseData,
+			cellsData: this.cellsData
+		};
+	}
+
+	/**
+	 * Restores command from JSON data
+	 */
+	static fromJSON(data, graphService, portService) {
+		const command = new AddCellsCommand(graphService, portService, data.cellsData || [], data.description);
+		command.id = data.id;
+		command.executed = data.executed;
+		command.timestamp = data.timestamp;
+		command.groupId = data.groupId;
+		command.metadata = data.metadata || {};
+
+		if (command.executed) {
+			command.addedCells = command.cellsData
+				.map(cell => graphService.getElementById(cell.id))
+				.filter(Boolean);
+		}
+
+		return command;
+	}
+}
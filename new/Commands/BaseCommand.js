@@ -512,4 +512,35 @@ export class CompositeCommand extends BaseCommand {
 		this.commands.forEach(command => command.cleanup());
 		this.commands = [];
 	}
+
+	/**
+	 * Serializes the composite with its sub-commands
+	 * @returns {Object} Serialized command data
+	 */
+	toJSON() {
+		return {
+			...super.toJSON(),
+			commands: this.commands.map(command => command.toJSON())
+		};
+	}
+
+	/**
+	 * Restores a composite command, deserializing sub-commands through the registry
+	 * @param {Object} data - Serialized command data
+	 * @param {CommandRegistry} registry - Registry used to restore sub-commands
+	 * @returns {CompositeCommand} Restored command instance
+	 */
+	static fromJSON(data, registry) {
+		const command = new CompositeCommand(data.description);
+		(data.commands || []).forEach(commandData => {
+			command.addCommand(registry.deserialize(commandData));
+		});
+
+		command.id = data.id;
+		command.executed = data.executed;
+		command.timestamp = data.timestamp;
+		command.groupId = data.groupId;
+		command.metadata = data.metadata || {};
+		return command;
+	}
 }
\ No newline at end of file
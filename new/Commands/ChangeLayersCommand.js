@@ -0,0 +1,212 @@
+import { BaseCommand } from './BaseCommand.js';
+
+/**
+ * Layer actions with their parameters and history descriptions
+ */
+const LAYER_ACTIONS = {
+	'add': { description: 'Add layer', requires: [] },
+	'remove': { description: 'Remove layer', requires: ['layerId'] },
+	'rename': { description: 'Rename layer', requires: ['layerId', 'name'] },
+	'set-visible': { description: 'Change layer visibility', requires: ['layerId', 'visible'] },
+	'set-locked': { description: 'Change layer lock', requires: ['layerId', 'locked'] },
+	'move': { description: 'Reorder layers', requires: ['layerId', 'index'] },
+	'move-cells': { description: 'Move to layer', requires: ['cells', 'layerId'] },
+	'bring-to-front': { description: 'Bring to front', requires: ['cells'] },
+	'send-to-back': { description: 'Send to back', requires: ['cells'] }
+};
+
+/**
+ * ChangeLayersCommand - Command for layer changes and the z-order of cells
+ *
+ * The command captures the layers, the layer of every cell and all z values before
+ * executing, so undo restores the exact stacking even after z values were renumbered.
+ */
+export class ChangeLayersCommand extends BaseCommand {
+	constructor(layerService, action, params = {}, options = {}) {
+		const definition = LAYER_ACTIONS[action];
+
+		super(options.description || (definition ? definition.description : `Layer ${action}`));
+
+		this.layerService = layerService;
+		this.action = action;
+		this.params = { ...params };
+		this.previousState = null;
+
+		// Fixed up front so that redo recreates the same layer
+		if (action === 'add' && !this.params.id) {
+			this.params.id = layerService.generateLayerId();
+		}
+	}
+
+	/**
+	 * Validates command parameters before execution
+	 */
+	validateParameters() {
+		const errors = [];
+		const definition = LAYER_ACTIONS[this.action];
+
+		if (!definition) {
+			errors.push(`Unknown layer action: ${this.action}`);
+		} else {
+			definition.requires
+				.filter(name => this.params[name] === undefined)
+				.forEach(name => errors.push(`Parameter ${name} must be specified`));
+		}
+
+		if (this.params.cells !== undefined && (!Array.isArray(this.params.cells) || this.params.cells.length === 0)) {
+			errors.push('At least one cell must be specified');
+		}
+
+		if (this.params.layerId !== undefined && this.action !== 'add' && !this.layerService.getLayer(this.params.layerId)) {
+			errors.push(`Unknown layer: ${this.params.layerId}`);
+		}
+
+		if (this.action === 'remove' && this.layerService.getLayers().length < 2) {
+			errors.push('The last layer cannot be removed');
+		}
+
+		return {
+			valid: errors.length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validates the command
+	 */
+	isValid() {
+		return this.validateParameters().valid;
+	}
+
+	/**
+	 * Executes the layer action
+	 */
+	execute() {
+		try {
+			if (!this.isValid()) {
+				return false;
+			}
+
+			this.previousState = this.layerService.captureState();
+			this.applyAction();
+
+			this.markAsExecuted();
+			return true;
+
+		} catch (error) {
+			console.error('ChangeLayersCommand: Execution failed:', error);
+			return false;
+		}
+	}
+
+	/**
+	 * Calls the layer service for the action
+	 */
+	applyAction() {
+		const { layerId, cells } = this.params;
+
+		switch (this.action) {
+			case 'add':
+				this.layerService.addLayer({ id: this.params.id, name: this.params.name, index: this.params.index ?? null });
+				break;
+			case 'remove':
+				this.layerService.removeLayer(layerId);
+				break;
+			case 'rename':
+				this.layerService.renameLayer(layerId, this.params.name);
+				break;
+			case 'set-visible':
+				this.layerService.setLayerVisible(layerId, this.params.visible);
+				break;
+			case 'set-locked':
+				this.layerService.setLayerLocked(layerId, this.params.locked);
+				break;
+			case 'move':
+				this.layerService.moveLayer(layerId, this.params.index);
+				break;
+			case 'move-cells':
+				this.layerService.moveCellsToLayer(cells, layerId);
+				break;
+			case 'bring-to-front':
+				this.layerService.bringToFront(cells);
+				break;
+			case 'send-to-back':
+				this.layerService.sendToBack(cells);
+				break;
+		}
+	}
+
+	/**
+	 * Undoes the layer action
+	 */
+	undo() {
+		try {
+			if (!this.executed || !this.previousState) {
+				return false;
+			}
+
+			this.layerService.restoreState(this.previousState);
+
+			this.markAsNotExecuted();
+			return true;
+
+		} catch (error) {
+			console.error('ChangeLayersCommand: Undo failed:', error);
+			return false;
+		}
+	}
+
+	/**
+	 * Gets entities affected by this command
+	 */
+	getAffectedEntities() {
+		return this.params.cells ? this.params.cells.map(cell => cell.id) : [];
+	}
+
+	/**
+	 * Performs cleanup when command is removed from history
+	 */
+	cleanup() {
+		super.cleanup();
+		this.previousState = null;
+	}
+
+	/**
+	 * Serializes command-specific data
+	 */
+	toJSON() {
+		const baseData = super.toJSON();
+		const { cells, ...params } = this.params;
+
+		return {
+			...baseData,
+			action: this.action,
+			params,
+			cellIds: cells ? cells.map(cell => cell.id) : null,
+			previousState: this.previousState
+		};
+	}
+
+	/**
+	 * Restores command from JSON data
+	 */
+	static fromJSON(data, layerService, graphService) {
+		const params = { ...data.params };
+		if (data.cellIds) {
+			params.cells = data.cellIds.map(id => graphService.getElementById(id));
+		}
+
+		const command = new ChangeLayersCommand(layerService, data.action, params, {
+			description: data.description
+		});
+
+		command.id = data.id;
+		command.executed = data.executed;
+		command.timestamp = data.timestamp;
+		command.groupId = data.groupId;
+		command.metadata = data.metadata || {};
+		command.previousState = data.previousState || null;
+
+		return command;
+	}
+}
@@ -0,0 +1,197 @@
+import { BaseCommand } from './BaseCommand.js';
+
+/**
+ * Properties that have their own commands and must not be changed through this one
+ */
+const PROTECTED_PATHS = [
+	'id', 'type', 'source', 'target', 'position', 'size', 'angle',
+	'labels', 'router', 'connector', 'vertices', 'ports'
+];
+
+/**
+ * ChangePropertiesCommand - Command for changing a property of one or more cells
+ *
+ * The property is addressed by a JointJS path such as `attrs/body/fill` or `data/owner`.
+ * An undefined value removes the property. Previous values are kept per cell so that
+ * cells with mixed values are restored individually. With `options.selectionService`
+ * values are read and written past the selection highlight of selected cells.
+ */
+export class ChangePropertiesCommand extends BaseCommand {
+	constructor(cells, path, value, options = {}) {
+		super(options.description || `Change ${path}`);
+
+		this.cells = Array.isArray(cells) ? cells : [cells];
+		this.path = path;
+		this.value = value;
+		this.selectionService = options.selectionService || null;
+		this.previousValues = null;
+	}
+
+	/**
+	 * Gets the root property of the path
+	 */
+	getRootProperty() {
+		return typeof this.path === 'string' ? this.path.split('/')[0] : null;
+	}
+
+	/**
+	 * Validates command parameters before execution
+	 */
+	validateParameters() {
+		const errors = [];
+
+		if (typeof this.path !== 'string' || this.path.length === 0) {
+			errors.push('Property path must be specified');
+		} else if (PROTECTED_PATHS.includes(this.getRootProperty())) {
+			errors.push(`Property ${this.getRootProperty()} cannot be changed directly`);
+		}
+
+		if (this.cells.length === 0) {
+			errors.push('At least one cell must be specified');
+		} else if (this.cells.some(cell => !cell || typeof cell.prop !== 'function')) {
+			errors.push('Invalid cell');
+		}
+
+		return {
+			valid: errors.length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validates the command
+	 */
+	isValid() {
+		return this.validateParameters().valid;
+	}
+
+	/**
+	 * Writes a value to a cell, removing the property for undefined
+	 */
+	applyValue(cell, value) {
+		if (this.selectionService) {
+			this.selectionService.setCellProperty(cell, this.path, this.cloneValue(value));
+		} else if (value === undefined) {
+			cell.removeProp(this.path);
+		} else {
+			cell.prop(this.path, this.cloneValue(value), { rewrite: true });
+		}
+	}
+
+	/**
+	 * Reads the current value of the property from a cell
+	 */
+	readValue(cell) {
+		return this.selectionService
+			? this.selectionService.getCellProperty(cell, this.path)
+			: cell.prop(this.path);
+	}
+
+	/**
+	 * Copies object values so that the command does not share them with cells
+	 */
+	cloneValue(value) {
+		return value !== null && typeof value === 'object'
+			? JSON.parse(JSON.stringify(value))
+			: value;
+	}
+
+	/**
+	 * Executes the change properties command
+	 */
+	execute() {
+		try {
+			if (!this.isValid()) {
+				return false;
+			}
+
+			this.previousValues = this.cells.map(cell => this.cloneValue(this.readValue(cell)));
+			this.cells.forEach(cell => this.applyValue(cell, this.value));
+
+			this.setMetadata('cellIds', this.cells.map(cell => cell.id));
+			this.setMetadata('path', this.path);
+
+			this.markAsExecuted();
+			return true;
+
+		} catch (error) {
+			console.error('ChangePropertiesCommand: Execution failed:', error);
+			return false;
+		}
+	}
+
+	/**
+	 * Undoes the change properties command
+	 */
+	undo() {
+		try {
+			if (!this.executed || !this.previousValues) {
+				return false;
+			}
+
+			this.cells.forEach((cell, index) => {
+				this.applyValue(cell, this.previousValues[index]);
+			});
+
+			this.markAsNotExecuted();
+			return true;
+
+		} catch (error) {
+			console.error('ChangePropertiesCommand: Undo failed:', error);
+			return false;
+		}
+	}
+
+	/**
+	 * Gets entities affected by this command
+	 */
+	getAffectedEntities() {
+		return this.cells.map(cell => cell.id);
+	}
+
+	/**
+	 * Performs cleanup when command is removed from history
+	 */
+	cleanup() {
+		super.cleanup();
+		this.cells = [];
+		this.selectionService = null;
+		this.previousValues = null;
+	}
+
+	/**
+	 * Serializes command-specific data
+	 */
+	toJSON() {
+		const baseData = super.toJSON();
+
+		return {
+			...baseData,
+			cellIds: this.cells.map(cell => cell.id),
+			path: this.path,
+			value: this.value,
+			previousValues: this.previousValues
+		};
+	}
+
+	/**
+	 * Restores command from JSON data
+	 */
+	static fromJSON(data, graphService, selectionService = null) {
+		const cells = (data.cellIds || []).map(id => graphService.getElementById(id));
+
+		const command = new ChangePropertiesCommand(cells, data.path, data.value, {
+			description: data.description,
+			selectionService
+		});
+
+		command.id = data.id;
+		command.executed = data.executed;
+		command.timestamp = data.timestamp;
+		command.groupId = data.groupId;
+		command.metadata = data.metadata || {};
+		command.previousValues = data.previousValues || null;
+
+		return command;
+	}
+}
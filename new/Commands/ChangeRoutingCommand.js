@@ -0,0 +1,185 @@
+import { BaseCommand } from './BaseCommand.js';
+
+/**
+ * ChangeRoutingCommand - Command for changing the router and connector of links
+ *
+ * With `links` it sets the per-link override (null returns a link to the default);
+ * without links it changes the default used by all links that have no override.
+ * Undefined router or connector values are left unchanged.
+ */
+export class ChangeRoutingCommand extends BaseCommand {
+	constructor(routingService, options = {}) {
+		const { links = null, router, connector } = options;
+
+		super(options.description || (links ? 'Change link routing' : 'Change default routing'));
+
+		this.routingService = routingService;
+		this.links = links;
+		this.router = router;
+		this.connector = connector;
+		this.previousDefault = null;
+		this.previousOverrides = null;
+	}
+
+	/**
+	 * Checks whether the command changes the default routing
+	 */
+	isDefaultChange() {
+		return this.links === null;
+	}
+
+	/**
+	 * Validates command parameters before execution
+	 */
+	validateParameters() {
+		const errors = [];
+		const routers = this.routingService.getRouterOptions().map(option => option.name);
+		const connectors = this.routingService.getConnectorOptions().map(option => option.name);
+
+		if (this.router === undefined && this.connector === undefined) {
+			errors.push('Router or connector must be specified');
+		}
+
+		if (this.router !== undefined && this.router !== null && !routers.includes(this.router)) {
+			errors.push(`Unknown router: ${this.router}`);
+		}
+
+		if (this.connector !== undefined && this.connector !== null && !connectors.includes(this.connector)) {
+			errors.push(`Unknown connector: ${this.connector}`);
+		}
+
+		if (this.isDefaultChange() && (this.router === null || this.connector === null)) {
+			errors.push('Default routing cannot be reset');
+		}
+
+		if (!this.isDefaultChange() && (!Array.isArray(this.links) || this.links.length === 0)) {
+			errors.push('At least one link must be specified');
+		} else if (!this.isDefaultChange() && this.links.some(link => !link || !link.isLink())) {
+			errors.push('Routing can only be changed for links');
+		}
+
+		return {
+			valid: errors.length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validates the command
+	 */
+	isValid() {
+		return this.validateParameters().valid;
+	}
+
+	/**
+	 * Executes the change routing command
+	 */
+	execute() {
+		try {
+			if (!this.isValid()) {
+				return false;
+			}
+
+			if (this.isDefaultChange()) {
+				this.previousDefault = this.routingService.getDefaultRouting();
+				this.routingService.setDefaultRouting({ router: this.router, connector: this.connector });
+			} else {
+				this.previousOverrides = this.links.map(link => this.routingService.getLinkOverride(link));
+				this.links.forEach(link => {
+					this.routingService.setLinkOverride(link, { router: this.router, connector: this.connector });
+				});
+				this.setMetadata('linkIds', this.links.map(link => link.id));
+			}
+
+			this.markAsExecuted();
+			return true;
+
+		} catch (error) {
+			console.error('ChangeRoutingCommand: Execution failed:', error);
+			return false;
+		}
+	}
+
+	/**
+	 * Undoes the change routing command
+	 */
+	undo() {
+		try {
+			if (!this.executed) {
+				return false;
+			}
+
+			if (this.isDefaultChange()) {
+				this.routingService.setDefaultRouting(this.previousDefault);
+			} else {
+				this.links.forEach((link, index) => {
+					this.routingService.setLinkOverride(link, this.previousOverrides[index]);
+				});
+			}
+
+			this.markAsNotExecuted();
+			return true;
+
+		} catch (error) {
+			console.error('ChangeRoutingCommand: Undo failed:', error);
+			return false;
+		}
+	}
+
+	/**
+	 * Gets entities affected by this command
+	 */
+	getAffectedEntities() {
+		return this.links ? this.links.map(link => link.id) : [];
+	}
+
+	/**
+	 * Performs cleanup when command is removed from history
+	 */
+	cleanup() {
+		super.cleanup();
+		this.links = this.links ? [] : null;
+	}
+
+	/**
+	 * Serializes command-specific data
+	 */
+	toJSON() {
+		const baseData = super.toJSON();
+
+		return {
+			...baseData,
+			linkIds: this.links ? this.links.map(link => link.id) : null,
+			router: this.router,
+			connector: this.connector,
+			previousDefault: this.previousDefault,
+			previousOverrides: this.previousOverrides
+		};
+	}
+
+	/**
+	 * Restores command from JSON data
+	 */
+	static fromJSON(data, routingService, graphService) {
+		const links = data.linkIds
+			? data.linkIds.map(id => graphService.getElementById(id))
+			: null;
+
+		const command = new ChangeRoutingCommand(routingService, {
+			description: data.description,
+			links,
+			router: data.router,
+			connector: data.connector
+		});
+
+		command.id = data.id;
+		command.executed = data.executed;
+		command.timestamp = data.timestamp;
+		command.groupId = data.groupId;
+		command.metadata = data.metadata || {};
+		command.previousDefault = data.previousDefault || null;
+		command.previousOverrides = data.previousOverrides || null;
+
+		return command;
+	}
+}
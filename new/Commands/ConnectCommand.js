@@ -12,8 +12,8 @@ export class ConnectCommand extends BaseCommand {
 			targetPortId = null,
 			linkType = 'CustomLink',
 			attrs = {},
-			router = { name: 'manhattan' },
-			connector = { name: 'rounded' },
+			router = null,
+			connector = null,
 			labels = []
 		} = options;
 
@@ -150,8 +150,9 @@ export class ConnectCommand extends BaseCommand {
 					...this.attrs
 				}
 			},
-			router: this.router,
-			connector: this.connector,
+			// Without explicit values the link follows the default routing
+			...(this.router && { router: this.router }),
+			...(this.connector && { connector: this.connector }),
 			labels: this.labels
 		};
 	}
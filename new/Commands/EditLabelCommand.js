@@ -0,0 +1,298 @@
+import { BaseCommand } from './BaseCommand.js';
+
+/**
+ * Label style properties that can be edited, mapped to SVG text attributes
+ */
+export const LABEL_STYLE_PROPERTIES = ['fontSize', 'fontFamily', 'fontWeight', 'fontStyle', 'fill'];
+
+/**
+ * Wrap element labels inside the element bounds with a small padding
+ */
+const ELEMENT_TEXT_WRAP = { width: -10, height: -10, ellipsis: true };
+
+/**
+ * Deep-copies a JSON value, keeping undefined as is
+ */
+function cloneValue(value) {
+	return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * EditLabelCommand - Command for editing the label of an element or a link
+ *
+ * Elements have a single label stored in `attrs/label`; it wraps inside the element bounds.
+ * Links have a list of labels; `labelIndex` selects one, or a new label is added at
+ * `position` ({ distance, offset }) when it is null. Empty text removes a link label.
+ */
+export class EditLabelCommand extends BaseCommand {
+	constructor(cell, options = {}) {
+		super(options.description || 'Edit label');
+
+		this.cell = cell;
+		this.text = options.text;
+		this.style = options.style || {};
+		this.labelIndex = Number.isInteger(options.labelIndex) ? options.labelIndex : null;
+		this.position = options.position || null;
+		this.previousValue = undefined;
+		this.newValue = undefined;
+		this.captured = false;
+	}
+
+	/**
+	 * Gets the cell property holding the label(s)
+	 */
+	getPropertyPath() {
+		return this.cell.isLink() ? 'labels' : 'attrs/label';
+	}
+
+	/**
+	 * Validates command parameters before execution
+	 */
+	validateParameters() {
+		const errors = [];
+
+		if (!this.cell || (!this.cell.isElement() && !this.cell.isLink())) {
+			errors.push('Label target must be an element or a link');
+		}
+
+		if (this.text !== undefined && typeof this.text !== 'string') {
+			errors.push('Label text must be a string');
+		}
+
+		if (this.cell && this.cell.isLink() && this.labelIndex !== null) {
+			const labels = this.cell.labels();
+			if (this.labelIndex < 0 || this.labelIndex >= labels.length) {
+				errors.push(`Link has no label at index ${this.labelIndex}`);
+			}
+		}
+
+		if (this.style.fontSize !== undefined && !(Number(this.style.fontSize) > 0)) {
+			errors.push('Font size must be a positive number');
+		}
+
+		return {
+			valid: errors.length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validates the command
+	 */
+	isValid() {
+		return this.validateParameters().valid;
+	}
+
+	/**
+	 * Executes the edit label command
+	 */
+	execute() {
+		try {
+			if (!this.isValid()) {
+				return false;
+			}
+
+			if (!this.captured) {
+				this.previousValue = cloneValue(this.cell.prop(this.getPropertyPath()));
+				this.newValue = this.cell.isLink()
+					? this.createLinkLabels(this.previousValue || [])
+					: this.createElementLabel(this.previousValue || {});
+				this.captured = true;
+			}
+
+			this.applyValue(this.newValue);
+
+			this.setMetadata('cellId', this.cell.id);
+			this.markAsExecuted();
+
+			return true;
+
+		} catch (error) {
+			console.error('EditLabelCommand: Execution failed:', error);
+			return false;
+		}
+	}
+
+	/**
+	 * Undoes the edit label command
+	 */
+	undo() {
+		try {
+			if (!this.executed || !this.captured) {
+				return false;
+			}
+
+			this.applyValue(this.previousValue);
+			this.markAsNotExecuted();
+
+			return true;
+
+		} catch (error) {
+			console.error('EditLabelCommand: Undo failed:', error);
+			return false;
+		}
+	}
+
+	/**
+	 * Redoes the edit label command
+	 */
+	redo() {
+		if (this.executed) {
+			return true;
+		}
+
+		if (!this.captured) {
+			return this.execute();
+		}
+
+		try {
+			this.applyValue(this.newValue);
+			this.markAsExecuted();
+			return true;
+
+		} catch (error) {
+			console.error('EditLabelCommand: Redo failed:', error);
+			return false;
+		}
+	}
+
+	/**
+	 * Builds the new element label attributes
+	 */
+	createElementLabel(previousLabel) {
+		const label = { ...previousLabel, ...this.createStyleAttrs() };
+
+		if (this.text !== undefined) {
+			label.text = this.text;
+		}
+
+		label.textWrap = { ...ELEMENT_TEXT_WRAP, ...previousLabel.textWrap };
+
+		return label;
+	}
+
+	/**
+	 * Builds the new list of link labels
+	 */
+	createLinkLabels(previousLabels) {
+		const labels = cloneValue(previousLabels);
+		const text = this.text === undefined ? null : this.text.trim();
+
+		if (this.labelIndex === null) {
+			if (text) {
+				labels.push({
+					attrs: { text: { text, ...this.createStyleAttrs() } },
+					position: this.position || { distance: 0.5, offset: 0 }
+				});
+			}
+			return labels;
+		}
+
+		if (text === '') {
+			labels.splice(this.labelIndex, 1);
+			return labels;
+		}
+
+		const label = labels[this.labelIndex];
+		label.attrs = label.attrs || {};
+		label.attrs.text = { ...label.attrs.text, ...this.createStyleAttrs() };
+
+		if (text !== null) {
+			label.attrs.text.text = text;
+		}
+
+		if (this.position) {
+			label.position = this.position;
+		}
+
+		return labels;
+	}
+
+	/**
+	 * Picks the supported style properties
+	 */
+	createStyleAttrs() {
+		const attrs = {};
+
+		LABEL_STYLE_PROPERTIES.forEach(property => {
+			if (this.style[property] !== undefined) {
+				attrs[property] = this.style[property];
+			}
+		});
+
+		return attrs;
+	}
+
+	/**
+	 * Replaces the label property of the cell
+	 */
+	applyValue(value) {
+		const path = this.getPropertyPath();
+
+		if (value === undefined) {
+			this.cell.removeProp(path);
+		} else {
+			this.cell.prop(path, cloneValue(value), { rewrite: true });
+		}
+	}
+
+	/**
+	 * Gets entities affected by this command
+	 */
+	getAffectedEntities() {
+		return this.cell ? [this.cell.id] : [];
+	}
+
+	/**
+	 * Performs cleanup when command is removed from history
+	 */
+	cleanup() {
+		super.cleanup();
+		this.cell = null;
+		this.previousValue = undefined;
+		this.newValue = undefined;
+	}
+
+	/**
+	 * Serializes command-specific data
+	 */
+	toJSON() {
+		const baseData = super.toJSON();
+
+		return {
+			...baseData,
+			cellId: this.cell ? this.cell.id : null,
+			text: this.text,
+			style: this.style,
+			labelIndex: this.labelIndex,
+			position: this.position,
+			captured: this.captured,
+			previousValue: this.previousValue,
+			newValue: this.newValue
+		};
+	}
+
+	/**
+	 * Restores command from JSON data
+	 */
+	static fromJSON(data, graphService) {
+		const command = new EditLabelCommand(graphService.getElementById(data.cellId), {
+			description: data.description,
+			text: data.text,
+			style: data.style,
+			labelIndex: data.labelIndex,
+			position: data.position
+		});
+
+		command.id = data.id;
+		command.executed = data.executed;
+		command.timestamp = data.timestamp;
+		command.groupId = data.groupId;
+		command.metadata = data.metadata || {};
+		command.captured = data.captured === true;
+		command.previousValue = data.previousValue;
+		command.newValue = data.newValue;
+
+		return command;
+	}
+}
@@ -0,0 +1,297 @@
+import { BaseCommand } from './BaseCommand.js';
+
+const LINK_ENDS = ['source', 'target'];
+
+/**
+ * Deep-copies a JSON value
+ */
+function cloneValue(value) {
+	return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * EditLinkCommand - Command for changing the path of a link: its vertices and its endpoints
+ *
+ * Link tools change the model while the user drags, so the command receives the path from
+ * before and after the gesture. A changed endpoint must land on a port; it is checked by
+ * ValidationService.validateConnection() and the port occupation is moved along with it.
+ */
+export class EditLinkCommand extends BaseCommand {
+	constructor(validationService, portService, link, path, options = {}) {
+		super(options.description || EditLinkCommand.describe(path.before, path.after));
+
+		this.validationService = validationService;
+		this.portService = portService;
+		this.link = link;
+		this.before = cloneValue(path.before);
+		this.after = cloneValue(path.after);
+	}
+
+	/**
+	 * Captures the editable part of a link
+	 */
+	static capturePath(link) {
+		return {
+			source: cloneValue(link.source()),
+			target: cloneValue(link.target()),
+			vertices: cloneValue(link.vertices() || [])
+		};
+	}
+
+	/**
+	 * Picks a history description for the change
+	 */
+	static describe(before, after) {
+		if (!before || !after) {
+			return 'Edit link path';
+		}
+
+		const reconnected = LINK_ENDS.some(end => !EditLinkCommand.isSameEnd(before[end], after[end]));
+		return reconnected ? 'Reconnect link' : 'Edit link path';
+	}
+
+	/**
+	 * Checks whether two link ends point to the same element port
+	 */
+	static isSameEnd(a, b) {
+		return JSON.stringify(a || {}) === JSON.stringify(b || {});
+	}
+
+	/**
+	 * Gets the ends that differ between the two paths
+	 */
+	getChangedEnds() {
+		return LINK_ENDS.filter(end => !EditLinkCommand.isSameEnd(this.before[end], this.after[end]));
+	}
+
+	/**
+	 * Validates command parameters before execution
+	 */
+	validateParameters() {
+		const errors = [];
+
+		if (!this.link || !this.link.isLink()) {
+			errors.push('Edit target must be a link');
+		} else if (!this.link.graph) {
+			errors.push('Link is not part of the graph');
+		}
+
+		if (!this.before || !this.after) {
+			errors.push('Link path before and after the edit must be specified');
+		} else if (!Array.isArray(this.after.vertices)) {
+			errors.push('Link vertices must be an array');
+		}
+
+		return {
+			valid: errors.length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validates the edit; reconnected ends must use free ports
+	 */
+	isValid() {
+		if (!this.validateParameters().valid) {
+			return false;
+		}
+
+		if (this.getChangedEnds().length === 0) {
+			return true;
+		}
+
+		const source = this.after.source;
+		const target = this.after.target;
+		const sourceElement = this.getEndElement(source);
+		const targetElement = this.getEndElement(target);
+
+		if (!sourceElement || !targetElement || !source.port || !target.port) {
+			return false;
+		}
+
+		if (!this.validationService) {
+			return true;
+		}
+
+		const validation = this.validationService.validateConnection(
+			{ cellView: { model: sourceElement }, magnet: { getAttribute: () => source.port } },
+			{ cellView: { model: targetElement }, magnet: { getAttribute: () => target.port } },
+			this.link
+		);
+
+		return validation.valid;
+	}
+
+	/**
+	 * Executes the edit link command
+	 */
+	execute() {
+		try {
+			if (!this.isValid()) {
+				return false;
+			}
+
+			this.applyPath(this.after);
+			this.movePorts(this.before, this.after);
+
+			this.setMetadata('linkId', this.link.id);
+			this.markAsExecuted();
+
+			return true;
+
+		} catch (error) {
+			console.error('EditLinkCommand: Execution failed:', error);
+			return false;
+		}
+	}
+
+	/**
+	 * Undoes the edit link command
+	 */
+	undo() {
+		try {
+			if (!this.executed) {
+				return false;
+			}
+
+			this.applyPath(this.before);
+			this.movePorts(this.after, this.before);
+			this.markAsNotExecuted();
+
+			return true;
+
+		} catch (error) {
+			console.error('EditLinkCommand: Undo failed:', error);
+			return false;
+		}
+	}
+
+	/**
+	 * Redoes the edit link command
+	 */
+	redo() {
+		if (this.executed) {
+			return true;
+		}
+
+		try {
+			this.applyPath(this.after);
+			this.movePorts(this.before, this.after);
+			this.markAsExecuted();
+			return true;
+
+		} catch (error) {
+			console.error('EditLinkCommand: Redo failed:', error);
+			return false;
+		}
+	}
+
+	/**
+	 * Sets the endpoints and vertices of the link
+	 */
+	applyPath(path) {
+		this.link.set({
+			source: cloneValue(path.source),
+			target: cloneValue(path.target),
+			vertices: cloneValue(path.vertices)
+		});
+	}
+
+	/**
+	 * Frees the ports of the ends being left and occupies the ports of the new ends
+	 */
+	movePorts(from, to) {
+		if (!this.portService) return;
+
+		const changedEnds = LINK_ENDS.filter(end => !EditLinkCommand.isSameEnd(from[end], to[end]));
+
+		changedEnds.forEach(end => {
+			const element = this.getEndElement(from[end]);
+			if (element && from[end].port) {
+				this.portService.freePort(element, from[end].port);
+			}
+		});
+
+		changedEnds.forEach(end => {
+			const element = this.getEndElement(to[end]);
+			if (element && to[end].port) {
+				this.portService.occupyPort(element, to[end].port, this.link.id);
+			}
+		});
+	}
+
+	/**
+	 * Resolves the element a link end is attached to
+	 */
+	getEndElement(end) {
+		if (!end || !end.id || !this.link.graph) {
+			return null;
+		}
+
+		const cell = this.link.graph.getCell(end.id);
+		return cell && cell.isElement() ? cell : null;
+	}
+
+	/**
+	 * Gets entities affected by this command
+	 */
+	getAffectedEntities() {
+		if (!this.link) {
+			return [];
+		}
+
+		const entities = new Set([this.link.id]);
+		[this.before, this.after].forEach(path => {
+			LINK_ENDS.forEach(end => {
+				if (path && path[end] && path[end].id) {
+					entities.add(path[end].id);
+				}
+			});
+		});
+
+		return Array.from(entities);
+	}
+
+	/**
+	 * Performs cleanup when command is removed from history
+	 */
+	cleanup() {
+		super.cleanup();
+		this.link = null;
+	}
+
+	/**
+	 * Serializes command-specific data
+	 */
+	toJSON() {
+		const baseData = super.toJSON();
+
+		return {
+			...baseData,
+			linkId: this.link ? this.link.id : null,
+			before: this.before,
+			after: this.after
+		};
+	}
+
+	/**
+	 * Restores command from JSON data
+	 */
+	static fromJSON(data, validationService, portService, graphService) {
+		const command = new EditLinkCommand(
+			validationService,
+			portService,
+			graphService.getElementById(data.linkId),
+			{ before: data.before, after: data.after },
+			{ description: data.description }
+		);
+
+		command.id = data.id;
+		command.executed = data.executed;
+		command.timestamp = data.timestamp;
+		command.groupId = data.groupId;
+		command.metadata = data.metadata || {};
+
+		return command;
+	}
+}
@@ -661,4 +661,228 @@ export class AlignCommand extends BaseCommand {
 	getEstimatedExecutionTime() {
 		return this.elements.length * 15; // 15ms per element for alignment
 	}
+}
+
+/**
+ * BatchMoveCommand - Command for moving many elements to computed positions in one step
+ * Used by automatic layout; positions can be applied with an animated transition
+ */
+export class BatchMoveCommand extends BaseCommand {
+	constructor(validationService, elements, newPositions, options = {}) {
+		super(options.description || `Move ${elements.length} elements`);
+
+		this.validationService = validationService;
+		this.elements = elements;
+		this.newPositions = newPositions;
+		this.originalPositions = [];
+		this.validateBounds = options.validateBounds !== false;
+		this.animate = options.animate === true;
+		this.duration = options.duration || 300;
+	}
+
+	/**
+	 * Validates command parameters before execution
+	 */
+	validateParameters() {
+		const errors = [];
+
+		if (!Array.isArray(this.elements) || this.elements.length === 0) {
+			errors.push('No elements specified for movement');
+		}
+
+		if (!Array.isArray(this.newPositions) || this.newPositions.length !== this.elements.length) {
+			errors.push('Number of elements must match number of new positions');
+		}
+
+		this.elements.forEach((element, index) => {
+			if (!element || !element.isElement()) {
+				errors.push(`Item at index ${index} is not a valid element`);
+			}
+		});
+
+		(this.newPositions || []).forEach((position, index) => {
+			if (!position || !Number.isFinite(position.x) || !Number.isFinite(position.y)) {
+				errors.push(`Position at index ${index} must contain valid x and y coordinates`);
+			}
+		});
+
+		return {
+			valid: errors.length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validates movement with business rules
+	 */
+	isValid() {
+		if (!this.validateParameters().valid) {
+			return false;
+		}
+
+		if (!this.validateBounds || !this.validationService) {
+			return true;
+		}
+
+		return this.elements.every((element, index) => {
+			return this.validationService.validateElementMove(element, this.newPositions[index]).valid;
+		});
+	}
+
+	/**
+	 * Executes the batch move command
+	 */
+	execute() {
+		try {
+			if (!this.isValid()) {
+				return false;
+			}
+
+			this.originalPositions = this.elements.map(element => ({ ...element.position() }));
+			this.applyPositions(this.newPositions, this.animate);
+
+			this.setMetadata('elementIds', this.elements.map(element => element.id));
+			this.markAsExecuted();
+
+			return true;
+
+		} catch (error) {
+			console.error('BatchMoveCommand: Execution failed:', error);
+			return false;
+		}
+	}
+
+	/**
+	 * Undoes the batch move command
+	 */
+	undo() {
+		try {
+			if (!this.executed || this.originalPositions.length === 0) {
+				return false;
+			}
+
+			this.applyPositions(this.originalPositions, false);
+			this.markAsNotExecuted();
+
+			return true;
+
+		} catch (error) {
+			console.error('BatchMoveCommand: Undo failed:', error);
+			return false;
+		}
+	}
+
+	/**
+	 * Redoes the batch move command without re-capturing original positions
+	 */
+	redo() {
+		if (this.executed) {
+			return true;
+		}
+
+		if (this.originalPositions.length === 0) {
+			return this.execute();
+		}
+
+		try {
+			this.applyPositions(this.newPositions, false);
+			this.markAsExecuted();
+			return true;
+
+		} catch (error) {
+			console.error('BatchMoveCommand: Redo failed:', error);
+			return false;
+		}
+	}
+
+	/**
+	 * Moves elements to the given positions, embedded cells follow their parents
+	 */
+	applyPositions(positions, animate) {
+		this.elements.forEach((element, index) => {
+			const position = positions[index];
+			if (!position) return;
+
+			element.stopTransitions('position');
+
+			// Transitions move a single element, so parents with embeds jump directly
+			if (animate && element.getEmbeddedCells().length === 0) {
+				element.transition('position', { x: position.x, y: position.y }, {
+					duration: this.duration,
+					timingFunction: joint.util.timing.cubic,
+					valueFunction: joint.util.interpolate.object
+				});
+			} else {
+				element.position(position.x, position.y, { deep: true });
+			}
+		});
+	}
+
+	/**
+	 * Gets entities affected by this command
+	 */
+	getAffectedEntities() {
+		return this.elements.map(element => element.id);
+	}
+
+	/**
+	 * Gets estimated execution time
+	 */
+	getEstimatedExecutionTime() {
+		return this.animate ? this.duration : this.elements.length * 5;
+	}
+
+	/**
+	 * Performs cleanup when command is removed from history
+	 */
+	cleanup() {
+		super.cleanup();
+		this.elements = [];
+		this.newPositions = [];
+		this.originalPositions = [];
+	}
+
+	/**
+	 * Serializes command-specific data
+	 */
+	toJSON() {
+		const baseData = super.toJSON();
+
+		return {
+			...baseData,
+			elementIds: this.elements.map(element => element.id),
+			newPositions: this.newPositions,
+			originalPositions: this.originalPositions,
+			validateBounds: this.validateBounds,
+			duration: this.duration
+		};
+	}
+
+	/**
+	 * Restores command from JSON data
+	 */
+	static fromJSON(data, validationService, graphService) {
+		const elements = data.elementIds.map(id => graphService.getElementById(id));
+		const present = elements.map(Boolean);
+
+		const command = new BatchMoveCommand(
+			validationService,
+			elements.filter(Boolean),
+			data.newPositions.filter((position, index) => present[index]),
+			{
+				description: data.description,
+				validateBounds: data.validateBounds,
+				duration: data.duration
+			}
+		);
+
+		command.id = data.id;
+		command.executed = data.executed;
+		command.timestamp = data.timestamp;
+		command.groupId = data.groupId;
+		command.metadata = data.metadata || {};
+		command.originalPositions = (data.originalPositions || []).filter((position, index) => present[index]);
+
+		return command;
+	}
 }
\ No newline at end of file
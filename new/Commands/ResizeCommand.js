@@ -0,0 +1,468 @@
+import { BaseCommand } from './BaseCommand.js';
+
+const PORT_SIDES = ['top', 'right', 'bottom', 'left'];
+
+/**
+ * ResizeCommand - Command for changing element size and position
+ * Consecutive resizes of the same element within one drag gesture merge into one history entry
+ */
+export class ResizeCommand extends BaseCommand {
+	constructor(validationService, portService, element, geometry, options = {}) {
+		super(options.description || 'Resize element');
+
+		this.validationService = validationService;
+		this.portService = portService;
+		this.element = element;
+		this.newSize = geometry.size;
+		this.newPosition = geometry.position || (element ? { ...element.position() } : null);
+		this.originalGeometry = null;
+		this.gestureId = options.gestureId || null;
+		this.validateBounds = options.validateBounds !== false;
+	}
+
+	/**
+	 * Validates command parameters before execution
+	 */
+	validateParameters() {
+		const errors = [];
+
+		if (!this.element || !this.element.isElement()) {
+			errors.push('Resize target must be an element');
+		}
+
+		if (!this.newSize || !Number.isFinite(this.newSize.width) || !Number.isFinite(this.newSize.height)) {
+			errors.push('Size must contain valid width and height values');
+		} else if (this.newSize.width <= 0 || this.newSize.height <= 0) {
+			errors.push('Size dimensions must be positive numbers');
+		}
+
+		if (!this.newPosition || !Number.isFinite(this.newPosition.x) || !Number.isFinite(this.newPosition.y)) {
+			errors.push('Position must contain valid x and y coordinates');
+		}
+
+		return {
+			valid: errors.length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validates the new geometry against the element resize rules
+	 */
+	isValid() {
+		if (!this.validateParameters().valid) {
+			return false;
+		}
+
+		if (!this.validateBounds || !this.validationService) {
+			return true;
+		}
+
+		return this.validationService.validateElementResize(this.element, this.newSize, this.newPosition).valid;
+	}
+
+	/**
+	 * Executes the resize command
+	 */
+	execute() {
+		try {
+			if (!this.isValid()) {
+				return false;
+			}
+
+			if (!this.originalGeometry) {
+				this.originalGeometry = {
+					position: { ...this.element.position() },
+					size: { ...this.element.size() }
+				};
+			}
+
+			this.applyGeometry(this.newPosition, this.newSize);
+
+			this.setMetadata('elementId', this.element.id);
+			this.markAsExecuted();
+
+			return true;
+
+		} catch (error) {
+			console.error('ResizeCommand: Execution failed:', error);
+			return false;
+		}
+	}
+
+	/**
+	 * Undoes the resize command
+	 */
+	undo() {
+		try {
+			if (!this.executed || !this.originalGeometry) {
+				return false;
+			}
+
+			this.applyGeometry(this.originalGeometry.position, this.originalGeometry.size);
+			this.markAsNotExecuted();
+
+			return true;
+
+		} catch (error) {
+			console.error('ResizeCommand: Undo failed:', error);
+			return false;
+		}
+	}
+
+	/**
+	 * Redoes the resize command without re-validating
+	 */
+	redo() {
+		if (this.executed) {
+			return true;
+		}
+
+		if (!this.originalGeometry) {
+			return this.execute();
+		}
+
+		try {
+			this.applyGeometry(this.newPosition, this.newSize);
+			this.markAsExecuted();
+			return true;
+
+		} catch (error) {
+			console.error('ResizeCommand: Redo failed:', error);
+			return false;
+		}
+	}
+
+	/**
+	 * Applies position and size and spreads ports along the new sides
+	 */
+	applyGeometry(position, size) {
+		this.element.position(position.x, position.y);
+		this.element.resize(size.width, size.height);
+
+		if (this.portService) {
+			PORT_SIDES.forEach(side => this.portService.redistributePortsOnSide(this.element, side));
+		}
+	}
+
+	/**
+	 * Gets entities affected by this command
+	 */
+	getAffectedEntities() {
+		return this.element ? [this.element.id] : [];
+	}
+
+	/**
+	 * Checks if this command can be merged with a later resize of the same element
+	 */
+	canMergeWith(otherCommand) {
+		if (!(otherCommand instanceof ResizeCommand) || otherCommand.element !== this.element) {
+			return false;
+		}
+
+		if (this.gestureId || otherCommand.gestureId) {
+			return this.gestureId === otherCommand.gestureId;
+		}
+
+		const maxMergeTime = 500; // 500ms, same as move commands
+		return Math.abs(otherCommand.timestamp - this.timestamp) <= maxMergeTime;
+	}
+
+	/**
+	 * Merges a later resize into this one, keeping the original geometry for undo
+	 */
+	mergeWith(otherCommand) {
+		if (!this.canMergeWith(otherCommand)) {
+			return null;
+		}
+
+		const mergedCommand = new ResizeCommand(
+			this.validationService,
+			this.portService,
+			this.element,
+			{ position: otherCommand.newPosition, size: otherCommand.newSize },
+			{
+				description: this.description,
+				gestureId: this.gestureId,
+				validateBounds: this.validateBounds
+			}
+		);
+
+		mergedCommand.originalGeometry = this.originalGeometry;
+		mergedCommand.metadata = { ...this.metadata };
+		mergedCommand.setGroupId(this.groupId);
+		mergedCommand.executed = otherCommand.executed;
+
+		return mergedCommand;
+	}
+
+	/**
+	 * Performs cleanup when command is removed from history
+	 */
+	cleanup() {
+		super.cleanup();
+		this.element = null;
+		this.originalGeometry = null;
+	}
+
+	/**
+	 * Serializes command-specific data
+	 */
+	toJSON() {
+		const baseData = super.toJSON();
+
+		return {
+			...baseData,
+			elementId: this.element ? this.element.id : null,
+			newPosition: this.newPosition,
+			newSize: this.newSize,
+			originalGeometry: this.originalGeometry,
+			validateBounds: this.validateBounds
+		};
+	}
+
+	/**
+	 * Restores command from JSON data
+	 */
+	static fromJSON(data, validationService, portService, graphService) {
+		const command = new ResizeCommand(
+			validationService,
+			portService,
+			graphService.getElementById(data.elementId),
+			{ position: data.newPosition, size: data.newSize },
+			{
+				description: data.description,
+				validateBounds: data.validateBounds
+			}
+		);
+
+		command.id = data.id;
+		command.executed = data.executed;
+		command.timestamp = data.timestamp;
+		command.groupId = data.groupId;
+		command.metadata = data.metadata || {};
+		command.originalGeometry = data.originalGeometry || null;
+
+		return command;
+	}
+}
+
+/**
+ * RotateCommand - Command for rotating an element around its center
+ * Consecutive rotations of the same element within one drag gesture merge into one history entry
+ */
+export class RotateCommand extends BaseCommand {
+	constructor(validationService, element, angle, options = {}) {
+		super(options.description || 'Rotate element');
+
+		this.validationService = validationService;
+		this.element = element;
+		this.newAngle = RotateCommand.normalizeAngle(angle);
+		this.originalAngle = null;
+		this.gestureId = options.gestureId || null;
+		this.validateBounds = options.validateBounds !== false;
+	}
+
+	/**
+	 * Normalizes an angle to the range [0, 360)
+	 */
+	static normalizeAngle(angle) {
+		return ((angle % 360) + 360) % 360;
+	}
+
+	/**
+	 * Validates command parameters before execution
+	 */
+	validateParameters() {
+		const errors = [];
+
+		if (!this.element || !this.element.isElement()) {
+			errors.push('Rotation target must be an element');
+		}
+
+		if (!Number.isFinite(this.newAngle)) {
+			errors.push('Angle must be a finite number');
+		}
+
+		return {
+			valid: errors.length === 0,
+			errors
+		};
+	}
+
+	/**
+	 * Validates the rotated bounding box against the element resize rules
+	 */
+	isValid() {
+		if (!this.validateParameters().valid) {
+			return false;
+		}
+
+		if (!this.validateBounds || !this.validationService) {
+			return true;
+		}
+
+		return this.validationService.validateElementRotation(this.element, this.newAngle).valid;
+	}
+
+	/**
+	 * Executes the rotate command
+	 */
+	execute() {
+		try {
+			if (!this.isValid()) {
+				return false;
+			}
+
+			if (this.originalAngle === null) {
+				this.originalAngle = this.element.angle();
+			}
+
+			this.element.rotate(this.newAngle, true);
+
+			this.setMetadata('elementId', this.element.id);
+			this.markAsExecuted();
+
+			return true;
+
+		} catch (error) {
+			console.error('RotateCommand: Execution failed:', error);
+			return false;
+		}
+	}
+
+	/**
+	 * Undoes the rotate command
+	 */
+	undo() {
+		try {
+			if (!this.executed || this.originalAngle === null) {
+				return false;
+			}
+
+			this.element.rotate(this.originalAngle, true);
+			this.markAsNotExecuted();
+
+			return true;
+
+		} catch (error) {
+			console.error('RotateCommand: Undo failed:', error);
+			return false;
+		}
+	}
+
+	/**
+	 * Redoes the rotate command without re-validating
+	 */
+	redo() {
+		if (this.executed) {
+			return true;
+		}
+
+		if (this.originalAngle === null) {
+			return this.execute();
+		}
+
+		try {
+			this.element.rotate(this.newAngle, true);
+			this.markAsExecuted();
+			return true;
+
+		} catch (error) {
+			console.error('RotateCommand: Redo failed:', error);
+			return false;
+		}
+	}
+
+	/**
+	 * Gets entities affected by this command
+	 */
+	getAffectedEntities() {
+		return this.element ? [this.element.id] : [];
+	}
+
+	/**
+	 * Checks if this command can be merged with a later rotation of the same element
+	 */
+	canMergeWith(otherCommand) {
+		if (!(otherCommand instanceof RotateCommand) || otherCommand.element !== this.element) {
+			return false;
+		}
+
+		if (this.gestureId || otherCommand.gestureId) {
+			return this.gestureId === otherCommand.gestureId;
+		}
+
+		const maxMergeTime = 500; // 500ms, same as move commands
+		return Math.abs(otherCommand.timestamp - this.timestamp) <= maxMergeTime;
+	}
+
+	/**
+	 * Merges a later rotation into this one, keeping the original angle for undo
+	 */
+	mergeWith(otherCommand) {
+		if (!this.canMergeWith(otherCommand)) {
+			return null;
+		}
+
+		const mergedCommand = new RotateCommand(this.validationService, this.element, otherCommand.newAngle, {
+			description: this.description,
+			gestureId: this.gestureId,
+			validateBounds: this.validateBounds
+		});
+
+		mergedCommand.originalAngle = this.originalAngle;
+		mergedCommand.metadata = { ...this.metadata };
+		mergedCommand.setGroupId(this.groupId);
+		mergedCommand.executed = otherCommand.executed;
+
+		return mergedCommand;
+	}
+
+	/**
+	 * Performs cleanup when command is removed from history
+	 */
+	cleanup() {
+		super.cleanup();
+		this.element = null;
+	}
+
+	/**
+	 * Serializes command-specific data
+	 */
+	toJSON() {
+		const baseData = super.toJSON();
+
+		return {
+			...baseData,
+			elementId: this.element ? this.element.id : null,
+			newAngle: this.newAngle,
+			originalAngle: this.originalAngle,
+			validateBounds: this.validateBounds
+		};
+	}
+
+	/**
+	 * Restores command from JSON data
+	 */
+	static fromJSON(data, validationService, graphService) {
+		const command = new RotateCommand(
+			validationService,
+			graphService.getElementById(data.elementId),
+			data.newAngle,
+			{
+				description: data.description,
+				validateBounds: data.validateBounds
+			}
+		);
+
+		command.id = data.id;
+		command.executed = data.executed;
+		command.timestamp = data.timestamp;
+		command.groupId = data.groupId;
+		command.metadata = data.metadata || {};
+		command.originalAngle = data.originalAngle === undefined ? null : data.originalAngle;
+
+		return command;
+	}
+}
@@ -0,0 +1,299 @@
+/**
+ * Collaboration Transport - Транспорты для обмена сообщениями совместного редактирования
+ *
+ * Сообщение - JSON-совместимый объект { type, site, ... }
+ * Транспорт рассылает сообщение всем остальным участникам сессии
+ * Хост может подключить собственный транспорт, унаследовав CollaborationTransport
+ */
+export class CollaborationTransport {
+	/**
+	 * Подключается к сессии
+	 * @param {Object} handlers - Обработчики { onMessage, onOpen, onClose }
+	 * @returns {Promise<void>}
+	 */
+	async connect(handlers) {
+		throw new Error(`${this.constructor.name}: connect() is not implemented`);
+	}
+
+	/**
+	 * Отправляет сообщение остальным участникам
+	 * @param {Object} message - Сообщение
+	 */
+	send(message) {
+		throw new Error(`${this.constructor.name}: send() is not implemented`);
+	}
+
+	/**
+	 * Отключается от сессии
+	 * @returns {Promise<void>}
+	 */
+	async disconnect() {
+		throw new Error(`${this.constructor.name}: disconnect() is not implemented`);
+	}
+
+	/**
+	 * Проверяет наличие соединения
+	 * @returns {boolean} Подключен ли транспорт
+	 */
+	isConnected() {
+		return false;
+	}
+}
+
+/**
+ * Транспорт через WebSocket с переподключением и очередью исходящих сообщений
+ */
+export class WebSocketTransport extends CollaborationTransport {
+	constructor(url, options = {}) {
+		super();
+		this.url = url;
+		this.reconnectDelay = options.reconnectDelay || 1000;
+		this.maxReconnectDelay = options.maxReconnectDelay || 30000;
+		this.WebSocketClass = options.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+		this.socket = null;
+		this.handlers = null;
+		this.queue = [];
+		this.attempt = 0;
+		this.reconnectTimer = null;
+		this.closing = false;
+	}
+
+	/**
+	 * Подключается к серверу, промис разрешается после открытия сокета
+	 * @param {Object} handlers - Обработчики { onMessage, onOpen, onClose }
+	 * @returns {Promise<void>}
+	 */
+	connect(handlers) {
+		if (!this.WebSocketClass) {
+			return Promise.reject(new Error('WebSocketTransport: WebSocket is not available'));
+		}
+
+		this.handlers = handlers || {};
+		this.closing = false;
+
+		return new Promise((resolve, reject) => {
+			this.open(resolve, reject);
+		});
+	}
+
+	/**
+	 * Открывает сокет; первая ошибка до открытия отклоняет connect() и прекращает переподключения
+	 * @param {Function} resolve - Разрешение промиса подключения
+	 * @param {Function} reject - Отклонение промиса подключения
+	 */
+	open(resolve = null, reject = null) {
+		const socket = new this.WebSocketClass(this.url);
+		this.socket = socket;
+		let opened = false;
+
+		// Отклоненное подключение больше не принадлежит никому, поэтому не переподключается
+		const rejectConnect = () => {
+			if (!reject) return false;
+
+			this.closing = true;
+			reject(new Error(`WebSocketTransport: Could not connect to ${this.url}`));
+			resolve = reject = null;
+			return true;
+		};
+
+		socket.onopen = () => {
+			opened = true;
+			this.attempt = 0;
+
+			// Отправляем накопленные за время разрыва сообщения
+			const queued = this.queue;
+			this.queue = [];
+			queued.forEach(message => socket.send(message));
+
+			if (this.handlers.onOpen) this.handlers.onOpen();
+			if (resolve) resolve();
+			resolve = reject = null;
+		};
+
+		socket.onmessage = (event) => {
+			let message;
+			try {
+				message = JSON.parse(event.data);
+			} catch (error) {
+				console.warn('WebSocketTransport: Ignoring malformed message');
+				return;
+			}
+
+			if (this.handlers.onMessage) this.handlers.onMessage(message);
+		};
+
+		socket.onerror = () => {
+			rejectConnect();
+		};
+
+		socket.onclose = () => {
+			if (this.socket !== socket) return;
+			this.socket = null;
+
+			// Сокет отклоненного подключения не открывался, сообщать о закрытии нечего
+			if (rejectConnect() || (!opened && this.closing)) return;
+
+			if (this.handlers.onClose) this.handlers.onClose({ willReconnect: !this.closing });
+
+			if (!this.closing) {
+				this.scheduleReconnect();
+			}
+		};
+	}
+
+	/**
+	 * Планирует переподключение с экспоненциальной задержкой
+	 */
+	scheduleReconnect() {
+		const delay = Math.min(this.reconnectDelay * Math.pow(2, this.attempt), this.maxReconnectDelay);
+		this.attempt++;
+
+		this.reconnectTimer = setTimeout(() => {
+			this.reconnectTimer = null;
+			this.open();
+		}, delay);
+	}
+
+	/**
+	 * Отправляет сообщение или ставит его в очередь до восстановления соединения
+	 * @param {Object} message - Сообщение
+	 */
+	send(message) {
+		const data = JSON.stringify(message);
+
+		if (this.isConnected()) {
+			this.socket.send(data);
+		} else {
+			this.queue.push(data);
+		}
+	}
+
+	/**
+	 * Закрывает сокет без переподключения
+	 * @returns {Promise<void>}
+	 */
+	async disconnect() {
+		this.closing = true;
+		this.queue = [];
+
+		if (this.reconnectTimer) {
+			clearTimeout(this.reconnectTimer);
+			this.reconnectTimer = null;
+		}
+
+		if (this.socket) {
+			const socket = this.socket;
+			const wasConnected = this.isConnected();
+			this.socket = null;
+			socket.close();
+
+			if (wasConnected && this.handlers && this.handlers.onClose) this.handlers.onClose({ willReconnect: false });
+		}
+	}
+
+	/**
+	 * Проверяет наличие соединения
+	 * @returns {boolean} Открыт ли сокет
+	 */
+	isConnected() {
+		return Boolean(this.socket) && this.socket.readyState === 1;
+	}
+}
+
+/**
+ * Шина для LoopbackTransport: связывает транспорты внутри одного процесса
+ */
+export class LoopbackHub {
+	constructor(options = {}) {
+		// Асинхронная доставка ближе к сети; синхронная удобна в тестах
+		this.async = options.async !== false;
+		this.transports = new Set();
+	}
+
+	/**
+	 * Создает транспорт, подключаемый к этой шине
+	 * @returns {LoopbackTransport} Транспорт
+	 */
+	createTransport() {
+		return new LoopbackTransport(this);
+	}
+
+	/**
+	 * Доставляет сообщение всем транспортам, кроме отправителя
+	 * @param {LoopbackTransport} sender - Отправитель
+	 * @param {string} data - Сериализованное сообщение
+	 */
+	deliver(sender, data) {
+		const recipients = Array.from(this.transports).filter(transport => transport !== sender);
+		const dispatch = () => recipients.forEach(transport => transport.receive(data));
+
+		if (this.async) {
+			queueMicrotask(dispatch);
+		} else {
+			dispatch();
+		}
+	}
+}
+
+/**
+ * Транспорт внутри процесса для тестов и нескольких редакторов на одной странице
+ */
+export class LoopbackTransport extends CollaborationTransport {
+	constructor(hub = new LoopbackHub()) {
+		super();
+		this.hub = hub;
+		this.handlers = null;
+	}
+
+	/**
+	 * Подключается к шине
+	 * @param {Object} handlers - Обработчики { onMessage, onOpen, onClose }
+	 * @returns {Promise<void>}
+	 */
+	async connect(handlers) {
+		this.handlers = handlers || {};
+		this.hub.transports.add(this);
+
+		if (this.handlers.onOpen) this.handlers.onOpen();
+	}
+
+	/**
+	 * Отправляет сообщение остальным транспортам шины
+	 * @param {Object} message - Сообщение
+	 */
+	send(message) {
+		if (!this.isConnected()) return;
+
+		// Сериализация, как в сети: получатели не делят объекты с отправителем
+		this.hub.deliver(this, JSON.stringify(message));
+	}
+
+	/**
+	 * Принимает сообщение от шины
+	 * @param {string} data - Сериализованное сообщение
+	 */
+	receive(data) {
+		if (this.isConnected() && this.handlers.onMessage) {
+			this.handlers.onMessage(JSON.parse(data));
+		}
+	}
+
+	/**
+	 * Отключается от шины
+	 * @returns {Promise<void>}
+	 */
+	async disconnect() {
+		if (!this.isConnected()) return;
+
+		this.hub.transports.delete(this);
+		if (this.handlers.onClose) this.handlers.onClose({ willReconnect: false });
+	}
+
+	/**
+	 * Проверяет наличие соединения
+	 * @returns {boolean} Подключен ли транспорт к шине
+	 */
+	isConnected() {
+		return this.hub.transports.has(this);
+	}
+}
@@ -25,6 +25,9 @@ export class CommandManager {
 		this.eventBus.on('command:executed', () => this.updateHistoryState());
 		this.eventBus.on('command:undone', () => this.updateHistoryState());
 		this.eventBus.on('command:redone', () => this.updateHistoryState());
+
+		// В режиме только для чтения отмена и повтор недоступны
+		this.eventBus.on('state:app.readOnly:changed', () => this.updateHistoryState());
 	}
 
 	/**
@@ -45,9 +48,17 @@ export class CommandManager {
 		const { 
 			skipHistory = false, 
 			skipValidation = false,
-			groupWith = null 
+			groupWith = null,
+			merge = false
 		} = options;
 
+		// В режиме только для чтения документ не изменяется
+		if (this.isReadOnly()) {
+			console.warn(`CommandManager: Read-only mode, ${command.constructor.name} rejected`);
+			this.eventBus.emit('command:rejected', { command, reason: 'read-only' });
+			return false;
+		}
+
 		// Валидация команды
 		if (!skipValidation && !this.validateCommand(command)) {
 			this.eventBus.emit('command:validation-failed', { command });
@@ -71,8 +82,8 @@ export class CommandManager {
 			const stateAfter = this.captureState();
 			command.setStateSnapshots(stateBefore, stateAfter);
 
-			// Добавляем в историю, если требуется
-			if (!skipHistory) {
+			// Добавляем в историю, если требуется (при merge - объединяем с последней командой)
+			if (!skipHistory && !(merge && this.mergeWithLastCommand(command))) {
 				this.addToHistory(command, groupWith);
 			}
 
@@ -216,14 +227,16 @@ export class CommandManager {
 			this.groupedCommand.description,
 			[...this.batchCommands]
 		);
+		// Команды батча уже выполнены через execute()
+		batchCommand.executed = true;
 
-		// Добавляем в историю как одну команду
-		this.addToHistory(batchCommand);
-
-		// Очищаем группировку
+		// Очищаем группировку до добавления, иначе батч попадет сам в себя
 		this.groupedCommand = null;
 		this.batchCommands = [];
 
+		// Добавляем в историю как одну команду
+		this.addToHistory(batchCommand);
+
 		this.eventBus.emit('command:batch-completed', {
 			command: batchCommand,
 			commandCount: batchCommand.commands.length,
@@ -305,12 +318,43 @@ export class CommandManager {
 		}
 	}
 
+	/**
+	 * Объединяет команду с последней в истории, например шаги перетаскивания
+	 * @param {Command} command - Выполненная команда
+	 * @returns {boolean} Удалось ли объединить
+	 */
+	mergeWithLastCommand(command) {
+		// Нельзя объединять внутри пакета и при наличии отмененных команд
+		if (this.groupedCommand || this.currentIndex < 0 || this.currentIndex !== this.history.length - 1) {
+			return false;
+		}
+
+		const lastCommand = this.history[this.currentIndex];
+		if (typeof lastCommand.canMergeWith !== 'function' || !lastCommand.canMergeWith(command)) {
+			return false;
+		}
+
+		const mergedCommand = lastCommand.mergeWith(command);
+		if (!mergedCommand) {
+			return false;
+		}
+
+		if (typeof mergedCommand.setStateSnapshots === 'function') {
+			mergedCommand.setStateSnapshots(lastCommand.stateBefore, command.stateAfter);
+		}
+
+		mergedCommand.groupId = lastCommand.groupId;
+		this.history[this.currentIndex] = mergedCommand;
+
+		return true;
+	}
+
 	/**
 	 * Проверяет возможность отмены
 	 * @returns {boolean} Можно ли отменить
 	 */
 	canUndo() {
-		return this.currentIndex >= 0 && this.history[this.currentIndex]?.canUndo();
+		return !this.isReadOnly() && this.currentIndex >= 0 && this.history[this.currentIndex]?.canUndo();
 	}
 
 	/**
@@ -318,10 +362,18 @@ export class CommandManager {
 	 * @returns {boolean} Можно ли повторить
 	 */
 	canRedo() {
-		return this.currentIndex < this.history.length - 1 && 
+		return !this.isReadOnly() && this.currentIndex < this.history.length - 1 && 
 			   this.history[this.currentIndex + 1]?.canRedo();
 	}
 
+	/**
+	 * Проверяет, включен ли режим только для чтения
+	 * @returns {boolean} Изменения запрещены
+	 */
+	isReadOnly() {
+		return Boolean(this.stateStore.get('app.readOnly'));
+	}
+
 	/**
 	 * Валидирует команду перед выполнением
 	 * @param {Command} command - Команда для валидации
@@ -396,14 +448,77 @@ export class CommandManager {
 		
 		return this.history.slice(start, end).map((command, index) => ({
 			index: start + index,
+			type: this.getCommandType(command),
 			description: this.getCommandDescription(start + index),
 			isCurrent: start + index === this.currentIndex,
 			canUndo: command.canUndo(),
 			canRedo: command.canRedo(),
-			timestamp: command.timestamp
+			timestamp: command.timestamp,
+			// Вложенные команды пакетов и составных команд
+			commands: this.getChildCommands(command)
 		}));
 	}
 
+	/**
+	 * Получает тип команды истории; восстановленная из хранилища команда до создания берет его из данных
+	 * @param {Object} command - Команда истории
+	 * @returns {string} Тип команды
+	 */
+	getCommandType(command) {
+		if (command instanceof PersistedCommand) {
+			return command.command ? command.command.constructor.name : command.persistedType;
+		}
+		return command.constructor.name;
+	}
+
+	/**
+	 * Описывает вложенные команды пакета или составной команды
+	 * @param {Object} command - Команда истории
+	 * @returns {Array|null} Описания вложенных команд или null
+	 */
+	getChildCommands(command) {
+		if (command instanceof PersistedCommand && !command.command) {
+			const children = command.data.commands;
+			return Array.isArray(children)
+				? children.map(child => ({
+					type: child.type,
+					description: child.description || child.type,
+					timestamp: child.timestamp
+				}))
+				: null;
+		}
+
+		const source = command instanceof PersistedCommand ? command.command : command;
+		return Array.isArray(source.commands)
+			? source.commands.map(child => ({
+				type: child.constructor.name,
+				description: child.getDescription ? child.getDescription() : child.constructor.name,
+				timestamp: child.timestamp
+			}))
+			: null;
+	}
+
+	/**
+	 * Отменяет или повторяет команды, пока текущей не станет команда с указанным индексом
+	 * @param {number} index - Индекс команды в истории, -1 - состояние до первой команды
+	 * @returns {boolean} Достигнута ли указанная позиция
+	 */
+	jumpTo(index) {
+		if (index < -1 || index >= this.history.length) {
+			return false;
+		}
+
+		while (this.currentIndex > index) {
+			if (!this.undo()) return false;
+		}
+
+		while (this.currentIndex < index) {
+			if (!this.redo()) return false;
+		}
+
+		return true;
+	}
+
 	/**
 	 * Очищает всю историю команд
 	 */
@@ -419,6 +534,80 @@ export class CommandManager {
 		}
 	}
 
+	/**
+	 * Сериализует историю для сохранения между сессиями
+	 * Команды, которые нельзя восстановить, обрезают историю: отмена через них невозможна
+	 * @param {CommandRegistry} registry - Реестр типов команд
+	 * @returns {Object} Сериализованная история
+	 */
+	serializeHistory(registry) {
+		let start = 0;
+		let end = this.history.length;
+
+		for (let i = 0; i <= this.currentIndex; i++) {
+			if (!registry.canSerialize(this.history[i])) {
+				start = i + 1;
+			}
+		}
+
+		for (let i = this.currentIndex + 1; i < this.history.length; i++) {
+			if (!registry.canSerialize(this.history[i])) {
+				end = i;
+				break;
+			}
+		}
+
+		return {
+			version: 1,
+			currentIndex: this.currentIndex - start,
+			commands: this.history.slice(start, end).map(command => registry.serialize(command)),
+			savedAt: Date.now()
+		};
+	}
+
+	/**
+	 * Восстанавливает историю из сериализованных данных
+	 * Команды создаются лениво при первой отмене или повторе, когда граф уже в нужном состоянии
+	 * @param {Object} data - Сериализованная история
+	 * @param {CommandRegistry} registry - Реестр типов команд
+	 * @returns {boolean} Успешность восстановления
+	 */
+	restoreHistory(data, registry) {
+		if (!data || !Array.isArray(data.commands)) {
+			return false;
+		}
+
+		this.cancelBatch();
+		this.history.forEach(command => command.cleanup && command.cleanup());
+
+		this.history = data.commands.map(commandData => new PersistedCommand(commandData, registry));
+		this.currentIndex = Math.min(
+			Math.max(data.currentIndex ?? -1, -1),
+			this.history.length - 1
+		);
+		this.updateHistoryState();
+
+		this.eventBus.emit('command:history-restored', {
+			totalCommands: this.history.length,
+			position: this.currentIndex,
+			timestamp: Date.now()
+		});
+
+		if (this.debugMode) {
+			console.log(`CommandManager: Restored ${this.history.length} commands`);
+		}
+
+		return true;
+	}
+
+	/**
+	 * Регистрирует собственные типы команд менеджера в реестре
+	 * @param {CommandRegistry} registry - Реестр типов команд
+	 */
+	registerCommandTypes(registry) {
+		registry.register('BatchCommand', (data, commandRegistry) => BatchCommand.fromJSON(data, commandRegistry));
+	}
+
 	/**
 	 * Получает статистику командного менеджера
 	 * @returns {Object} Статистика
@@ -557,4 +746,156 @@ class BatchCommand {
 	getDescription() {
 		return `${this.description} (${this.commands.length} operations)`;
 	}
+
+	/**
+	 * Освобождает ресурсы вложенных команд
+	 */
+	cleanup() {
+		this.commands.forEach(command => command.cleanup && command.cleanup());
+	}
+
+	/**
+	 * Сериализует группу команд
+	 * @returns {Object} Сериализованные данные
+	 */
+	toJSON() {
+		return {
+			type: 'BatchCommand',
+			description: this.description,
+			executed: this.executed,
+			timestamp: this.timestamp,
+			groupId: this.groupId,
+			commands: this.commands.map(command => command.toJSON())
+		};
+	}
+
+	/**
+	 * Восстанавливает группу команд
+	 * @param {Object} data - Сериализованные данные
+	 * @param {CommandRegistry} registry - Реестр для вложенных команд
+	 * @returns {BatchCommand} Восстановленная группа
+	 */
+	static fromJSON(data, registry) {
+		const command = new BatchCommand(
+			data.description,
+			(data.commands || []).map(commandData => registry.deserialize(commandData))
+		);
+		command.executed = data.executed;
+		command.timestamp = data.timestamp;
+		command.groupId = data.groupId;
+		return command;
+	}
+}
+
+/**
+ * Команда, восстановленная из сохраненной истории
+ * Десериализуется при первом обращении, чтобы ссылки на ячейки разрешались
+ * в том состоянии графа, в котором команда была выполнена
+ */
+class PersistedCommand {
+	constructor(data, registry) {
+		this.data = data;
+		this.registry = registry;
+		this.command = null;
+		this.persistedType = data.type;
+		this.description = data.description;
+		this.timestamp = data.timestamp;
+		this.groupId = data.groupId;
+	}
+
+	/**
+	 * Создает исходную команду из данных
+	 * @returns {Object} Команда
+	 */
+	resolve() {
+		if (!this.command) {
+			this.command = this.registry.deserialize(this.data);
+		}
+		return this.command;
+	}
+
+	/**
+	 * Выполнена ли команда
+	 * @returns {boolean} Состояние выполнения
+	 */
+	get executed() {
+		return this.command ? this.command.executed : Boolean(this.data.executed);
+	}
+
+	/**
+	 * Выполняет команду
+	 * @returns {boolean} Успешность выполнения
+	 */
+	execute() {
+		return this.resolve().execute();
+	}
+
+	/**
+	 * Отменяет команду
+	 * @returns {boolean} Успешность отмены
+	 */
+	undo() {
+		return this.resolve().undo();
+	}
+
+	/**
+	 * Повторяет команду
+	 * @returns {boolean} Успешность повтора
+	 */
+	redo() {
+		return this.resolve().redo();
+	}
+
+	/**
+	 * Проверяет возможность отмены
+	 * @returns {boolean} Можно ли отменить
+	 */
+	canUndo() {
+		return this.command ? this.command.canUndo() : Boolean(this.data.executed);
+	}
+
+	/**
+	 * Проверяет возможность повтора
+	 * @returns {boolean} Можно ли повторить
+	 */
+	canRedo() {
+		return this.command ? this.command.canRedo() : !this.data.executed;
+	}
+
+	/**
+	 * Получает описание команды
+	 * @returns {string} Описание
+	 */
+	getDescription() {
+		if (this.command && this.command.getDescription) {
+			return this.command.getDescription();
+		}
+		return this.description;
+	}
+
+	/**
+	 * Получает затронутые сущности
+	 * @returns {Array} ID сущностей
+	 */
+	getAffectedEntities() {
+		return this.command && this.command.getAffectedEntities ? this.command.getAffectedEntities() : [];
+	}
+
+	/**
+	 * Освобождает ресурсы команды
+	 */
+	cleanup() {
+		if (this.command && this.command.cleanup) {
+			this.command.cleanup();
+		}
+		this.command = null;
+	}
+
+	/**
+	 * Сериализует команду, не создавая ее без необходимости
+	 * @returns {Object} Сериализованные данные
+	 */
+	toJSON() {
+		return this.command ? this.registry.serialize(this.command) || this.data : this.data;
+	}
 }
\ No newline at end of file
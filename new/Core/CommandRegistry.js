@@ -0,0 +1,108 @@
+/**
+ * Command Registry - Реестр типов команд для восстановления истории
+ * Связывает тип из toJSON() с фабрикой, которая создает команду из сериализованных данных
+ */
+export class CommandRegistry {
+	constructor() {
+		this.factories = new Map();
+	}
+
+	/**
+	 * Регистрирует фабрику для типа команды
+	 * @param {string} type - Тип команды (значение поля type в toJSON)
+	 * @param {Function} factory - Фабрика (data, registry) => команда
+	 */
+	register(type, factory) {
+		if (!type || typeof factory !== 'function') {
+			throw new Error('CommandRegistry: Type and factory function are required');
+		}
+
+		this.factories.set(type, factory);
+		return this;
+	}
+
+	/**
+	 * Удаляет тип команды из реестра
+	 * @param {string} type - Тип команды
+	 */
+	unregister(type) {
+		return this.factories.delete(type);
+	}
+
+	/**
+	 * Проверяет, зарегистрирован ли тип команды
+	 * @param {string} type - Тип команды
+	 * @returns {boolean} Зарегистрирован ли тип
+	 */
+	has(type) {
+		return this.factories.has(type);
+	}
+
+	/**
+	 * Получает список зарегистрированных типов
+	 * @returns {Array<string>} Типы команд
+	 */
+	getTypes() {
+		return Array.from(this.factories.keys());
+	}
+
+	/**
+	 * Проверяет, можно ли сохранить команду вместе со всеми вложенными командами
+	 * @param {Object} command - Команда
+	 * @returns {boolean} Команда сериализуема
+	 */
+	canSerialize(command) {
+		if (!command || typeof command.toJSON !== 'function') {
+			return false;
+		}
+
+		const type = command.persistedType || command.constructor.name;
+		if (!this.has(type)) {
+			return false;
+		}
+
+		const children = Array.isArray(command.commands) ? command.commands : [];
+		return children.every(child => this.canSerialize(child));
+	}
+
+	/**
+	 * Сериализует команду без снимков состояния
+	 * @param {Object} command - Команда
+	 * @returns {Object|null} Сериализованные данные
+	 */
+	serialize(command) {
+		if (!this.canSerialize(command)) {
+			return null;
+		}
+
+		// Снимки состояния содержат весь StateStore и не нужны для отмены
+		const { stateBefore, stateAfter, ...data } = command.toJSON();
+
+		if (Array.isArray(command.commands)) {
+			data.commands = command.commands.map(child => this.serialize(child));
+		}
+
+		return data;
+	}
+
+	/**
+	 * Создает команду из сериализованных данных
+	 * @param {Object} data - Сериализованные данные
+	 * @returns {Object} Восстановленная команда
+	 */
+	deserialize(data) {
+		const factory = data && this.factories.get(data.type);
+		if (!factory) {
+			throw new Error(`CommandRegistry: Unknown command type '${data && data.type}'`);
+		}
+
+		return factory(data, this);
+	}
+
+	/**
+	 * Очищает реестр
+	 */
+	clear() {
+		this.factories.clear();
+	}
+}
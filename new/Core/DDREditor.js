@@ -2,6 +2,9 @@ import { DIContainer } from './DIContainer.js';
 import { EventBus } from './EventBus.js';
 import { StateStore } from './StateStore.js';
 import { CommandManager } from './CommandManager.js';
+import { CommandRegistry } from './CommandRegistry.js';
+import { MemoryHistoryStorage } from './HistoryStorage.js';
+import { MemoryDraftBackend, LocalStorageDraftBackend } from './DraftStorage.js';
 
 /**
  * DDREditor - Main application class that coordinates all system components
@@ -15,7 +18,11 @@ export class DDREditor {
 			canvasSelector: '#ddrCanvas',
 			containerSelector: '#paper-container',
 			maxHistorySize: 100,
+			historyStorage: null,
+			draftBackend: null,
+			autosave: {},
 			validateDOM: true,
+			readOnly: false,
 			...options
 		};
 
@@ -25,6 +32,13 @@ export class DDREditor {
 		this.destroyed = false;
 		this.services = new Map();
 		this.plugins = new Map();
+		this.pointerInside = false;
+
+		// Bound once so that destroy() removes the very listeners that were added
+		this.handleGlobalKeydown = this.handleGlobalKeydown.bind(this);
+		this.handleGlobalPointerDown = this.handleGlobalPointerDown.bind(this);
+		this.handleContextMenu = this.handleContextMenu.bind(this);
+		this.handleBeforeUnload = this.handleBeforeUnload.bind(this);
 		
 		this.setupCoreServices();
 		this.bindGlobalEventHandlers();
@@ -43,6 +57,21 @@ export class DDREditor {
 		this.container.registerInstance('eventBus', this.eventBus);
 		this.container.registerSingleton('stateStore', StateStore, ['eventBus']);
 		this.container.registerSingleton('commandManager', CommandManager, ['eventBus', 'stateStore']);
+		this.container.registerSingleton('commandRegistry', CommandRegistry, []);
+
+		if (this.options.historyStorage) {
+			this.container.registerInstance('historyStorage', this.options.historyStorage);
+		} else {
+			this.container.registerSingleton('historyStorage', MemoryHistoryStorage, []);
+		}
+
+		if (this.options.draftBackend) {
+			this.container.registerInstance('draftBackend', this.options.draftBackend);
+		} else if (typeof window !== 'undefined' && window.localStorage) {
+			this.container.registerSingleton('draftBackend', LocalStorageDraftBackend, []);
+		} else {
+			this.container.registerSingleton('draftBackend', MemoryDraftBackend, []);
+		}
 
 		if (this.options.debugMode) {
 			this.eventBus.setDebugMode(true);
@@ -55,12 +84,14 @@ export class DDREditor {
 	 * Establishes global event handlers for keyboard shortcuts and application-level events
 	 */
 	bindGlobalEventHandlers() {
-		document.addEventListener('keydown', this.handleGlobalKeydown.bind(this));
-		document.addEventListener('contextmenu', this.handleContextMenu.bind(this));
-		window.addEventListener('beforeunload', this.handleBeforeUnload.bind(this));
+		document.addEventListener('keydown', this.handleGlobalKeydown);
+		document.addEventListener('mousedown', this.handleGlobalPointerDown, true);
+		document.addEventListener('contextmenu', this.handleContextMenu);
+		window.addEventListener('beforeunload', this.handleBeforeUnload);
 		
 		this.eventBus.on('editor:request-destroy', () => this.destroy());
 		this.eventBus.on('editor:toggle-debug', (event) => this.toggleDebugMode(event.data));
+		this.eventBus.on('editor:set-read-only', (event) => this.setReadOnly(event.data));
 	}
 
 	/**
@@ -120,7 +151,7 @@ export class DDREditor {
 		];
 
 		const missingElements = requiredElements.filter(element => {
-			const domElement = document.querySelector(element.selector);
+			const domElement = this.resolveElement(element.selector);
 			return !domElement;
 		});
 
@@ -139,6 +170,7 @@ export class DDREditor {
 
 		stateStore.set('app.loading', true);
 		stateStore.set('app.mode', 'select');
+		stateStore.set('app.readOnly', Boolean(this.options.readOnly));
 
 		this.services.set('stateStore', stateStore);
 		this.services.set('commandManager', commandManager);
@@ -271,7 +303,7 @@ export class DDREditor {
 	}
 
 	/**
-	 * Handles global keyboard shortcuts and hotkeys
+	 * Handles global keyboard shortcuts and hotkeys; editing shortcuts are left to the page in read-only mode
 	 * @param {KeyboardEvent} event - Keyboard event
 	 */
 	handleGlobalKeydown(event) {
@@ -282,11 +314,14 @@ export class DDREditor {
 			shiftKey: event.shiftKey,
 			altKey: event.altKey,
 			metaKey: event.metaKey,
+			editorFocused: this.isEditorFocused(event),
 			originalEvent: event
 		};
 
+		const editable = !this.isReadOnly();
+
 		// Ctrl+Z for undo
-		if (event.ctrlKey && event.key === 'z' && !event.shiftKey) {
+		if (editable && event.ctrlKey && event.key === 'z' && !event.shiftKey) {
 			event.preventDefault();
 			const commandManager = this.getService('commandManager');
 			commandManager.undo();
@@ -294,8 +329,8 @@ export class DDREditor {
 		}
 
 		// Ctrl+Shift+Z or Ctrl+Y for redo
-		if ((event.ctrlKey && event.shiftKey && event.key === 'Z') || 
-			(event.ctrlKey && event.key === 'y')) {
+		if (editable && ((event.ctrlKey && event.shiftKey && event.key === 'Z') || 
+			(event.ctrlKey && event.key === 'y'))) {
 			event.preventDefault();
 			const commandManager = this.getService('commandManager');
 			commandManager.redo();
@@ -303,7 +338,7 @@ export class DDREditor {
 		}
 
 		// Delete key for removing selected elements
-		if (event.key === 'Delete') {
+		if (editable && event.key === 'Delete') {
 			event.preventDefault();
 			this.eventBus.emit('selection:delete-requested', eventData);
 			return;
@@ -312,12 +347,35 @@ export class DDREditor {
 		this.eventBus.emit('keyboard:global-keydown', eventData);
 	}
 
+	/**
+	 * Remembers whether the last click landed inside the editor
+	 * @param {MouseEvent} event - Mouse event
+	 */
+	handleGlobalPointerDown(event) {
+		const container = this.getContainerElement();
+		this.pointerInside = Boolean(container && container.contains(event.target));
+	}
+
+	/**
+	 * Checks whether a keyboard event belongs to this editor: focus is inside its container, or
+	 * nothing has focus and the editor was clicked last (clicks on the paper leave focus on the body)
+	 * @param {KeyboardEvent} event - Keyboard event
+	 * @returns {boolean} True if the editor has keyboard focus
+	 */
+	isEditorFocused(event) {
+		const container = this.getContainerElement();
+		if (!container) return true;
+		if (container.contains(event.target)) return true;
+
+		return (event.target === document.body || event.target === document.documentElement) && this.pointerInside;
+	}
+
 	/**
 	 * Handles context menu events on the canvas
 	 * @param {MouseEvent} event - Mouse event
 	 */
 	handleContextMenu(event) {
-		const canvasElement = document.querySelector(this.options.canvasSelector);
+		const canvasElement = this.getCanvasElement();
 		if (canvasElement && canvasElement.contains(event.target)) {
 			event.preventDefault();
 			
@@ -349,7 +407,7 @@ export class DDREditor {
 	 * @returns {number} Canvas width in pixels
 	 */
 	getCanvasWidth() {
-		const container = document.querySelector(this.options.containerSelector);
+		const container = this.getContainerElement();
 		return container ? container.clientWidth : 800;
 	}
 
@@ -358,10 +416,60 @@ export class DDREditor {
 	 * @returns {number} Canvas height in pixels
 	 */
 	getCanvasHeight() {
-		const container = document.querySelector(this.options.containerSelector);
+		const container = this.getContainerElement();
 		return container ? container.clientHeight : 600;
 	}
 
+	/**
+	 * Finds a DOM element by selector; elements are returned as is
+	 * @param {string|HTMLElement} selector - CSS selector or element
+	 * @returns {HTMLElement|null} Found element
+	 */
+	resolveElement(selector) {
+		return typeof selector === 'string' ? document.querySelector(selector) : selector || null;
+	}
+
+	/**
+	 * Gets the element the paper is rendered into
+	 * @returns {HTMLElement|null} Canvas element
+	 */
+	getCanvasElement() {
+		return this.resolveElement(this.options.canvasSelector);
+	}
+
+	/**
+	 * Gets the element that sizes the paper
+	 * @returns {HTMLElement|null} Paper container element
+	 */
+	getContainerElement() {
+		return this.resolveElement(this.options.containerSelector);
+	}
+
+	/**
+	 * Switches read-only mode; the diagram can then be viewed, zoomed and panned but not changed
+	 * @param {boolean} enabled - Enable or disable read-only mode
+	 */
+	setReadOnly(enabled = true) {
+		const stateStore = this.container.get('stateStore');
+		const readOnly = Boolean(enabled);
+
+		this.options.readOnly = readOnly;
+
+		if (readOnly && stateStore.get('app.mode') === 'add') {
+			stateStore.set('app.mode', 'select');
+		}
+
+		stateStore.set('app.readOnly', readOnly);
+	}
+
+	/**
+	 * Checks whether the editor is in read-only mode
+	 * @returns {boolean} True if editing is disabled
+	 */
+	isReadOnly() {
+		return Boolean(this.options.readOnly);
+	}
+
 	/**
 	 * Checks if there are unsaved changes in the editor
 	 * @returns {boolean} True if there are unsaved changes
@@ -370,6 +478,11 @@ export class DDREditor {
 		if (!this.initialized) return false;
 		
 		try {
+			// Prefer the graph dirty flag, which is reset by saves
+			if (this.container.has('graphService')) {
+				return this.getService('graphService').hasUnsavedChanges();
+			}
+
 			const commandManager = this.getService('commandManager');
 			return commandManager.getStats().totalCommands > 0;
 		} catch {
@@ -411,6 +524,7 @@ export class DDREditor {
 			initialized: this.initialized,
 			destroyed: this.destroyed,
 			debugMode: this.options.debugMode,
+			readOnly: this.isReadOnly(),
 			services: this.getServiceNames(),
 			plugins: Array.from(this.plugins.keys()),
 			hasUnsavedChanges: this.hasUnsavedChanges(),
@@ -458,9 +572,10 @@ export class DDREditor {
 		this.eventBus.clear();
 
 		// Remove global event listeners
-		document.removeEventListener('keydown', this.handleGlobalKeydown.bind(this));
-		document.removeEventListener('contextmenu', this.handleContextMenu.bind(this));
-		window.removeEventListener('beforeunload', this.handleBeforeUnload.bind(this));
+		document.removeEventListener('keydown', this.handleGlobalKeydown);
+		document.removeEventListener('mousedown', this.handleGlobalPointerDown, true);
+		document.removeEventListener('contextmenu', this.handleContextMenu);
+		window.removeEventListener('beforeunload', this.handleBeforeUnload);
 
 		// Clear collections
 		this.services.clear();
@@ -0,0 +1,768 @@
+/**
+ * Document Diff - Сравнение и трехстороннее слияние документов .ddr.json
+ *
+ * Работает с документами текущей схемы (после DocumentService.migrate) и не зависит от JointJS,
+ * поэтому подходит для хуков системы контроля версий и проверок в CI
+ * Единица сравнения - ячейка графа по id; выноски элементов из секции callouts
+ * и выноски-метки связей относятся к своей ячейке
+ */
+
+/**
+ * Состояние ячейки во втором документе относительно первого
+ */
+export const CHANGE_STATUS = {
+	ADDED: 'added',
+	REMOVED: 'removed',
+	MODIFIED: 'modified'
+};
+
+/**
+ * Виды изменений измененной ячейки
+ */
+export const CHANGE_ASPECTS = {
+	MOVED: 'moved',
+	RESIZED: 'resized',
+	RESTYLED: 'restyled',
+	TEXT: 'text',
+	CONNECTION: 'connection',
+	PORTS: 'ports',
+	CALLOUTS: 'callouts',
+	ORDER: 'order',
+	DATA: 'data'
+};
+
+/**
+ * Стороны трехстороннего слияния, которые можно выбрать для конфликта
+ */
+export const MERGE_SIDES = ['ours', 'theirs'];
+
+/**
+ * Вид изменения по ключу верхнего уровня JSON ячейки
+ */
+const KEY_ASPECTS = {
+	position: CHANGE_ASPECTS.MOVED,
+	angle: CHANGE_ASPECTS.MOVED,
+	vertices: CHANGE_ASPECTS.MOVED,
+	size: CHANGE_ASPECTS.RESIZED,
+	type: CHANGE_ASPECTS.RESTYLED,
+	markup: CHANGE_ASPECTS.RESTYLED,
+	router: CHANGE_ASPECTS.RESTYLED,
+	connector: CHANGE_ASPECTS.RESTYLED,
+	source: CHANGE_ASPECTS.CONNECTION,
+	target: CHANGE_ASPECTS.CONNECTION,
+	ports: CHANGE_ASPECTS.PORTS,
+	z: CHANGE_ASPECTS.ORDER,
+	layer: CHANGE_ASPECTS.ORDER
+};
+
+/**
+ * Ключи, которые не сравниваются: id совпадает по построению, а callouts хранит
+ * только id выносок, которые меняются при каждой загрузке
+ */
+const IGNORED_KEYS = new Set(['id', 'callouts']);
+
+/**
+ * Сравнивает два документа
+ * @param {Object} base - Исходный документ
+ * @param {Object} target - Новый документ
+ * @returns {Object} { changes, summary }; changes идут в порядке ячеек target, затем удаленные
+ */
+export function diffDocuments(base, target) {
+	const baseRecords = collectRecords(base);
+	const targetRecords = collectRecords(target);
+	const changes = [];
+	let unchanged = 0;
+
+	targetRecords.forEach((after, cellId) => {
+		const before = baseRecords.get(cellId);
+
+		if (!before) {
+			changes.push(createChange(cellId, CHANGE_STATUS.ADDED, null, after));
+			return;
+		}
+
+		const change = createChange(cellId, CHANGE_STATUS.MODIFIED, before, after);
+		if (change.aspects.length > 0) {
+			changes.push(change);
+		} else {
+			unchanged++;
+		}
+	});
+
+	baseRecords.forEach((before, cellId) => {
+		if (!targetRecords.has(cellId)) {
+			changes.push(createChange(cellId, CHANGE_STATUS.REMOVED, before, null));
+		}
+	});
+
+	return {
+		changes,
+		summary: {
+			added: changes.filter(change => change.status === CHANGE_STATUS.ADDED).length,
+			removed: changes.filter(change => change.status === CHANGE_STATUS.REMOVED).length,
+			modified: changes.filter(change => change.status === CHANGE_STATUS.MODIFIED).length,
+			unchanged
+		}
+	};
+}
+
+/**
+ * Выполняет трехстороннее слияние по ячейкам
+ * Ячейка, измененная только с одной стороны, берется с этой стороны; ячейка, измененная
+ * с обеих сторон в разных ключах, собирается из обеих; остальное - конфликты
+ * @param {Object} base - Общий предок
+ * @param {Object} ours - Наша версия
+ * @param {Object} theirs - Их версия
+ * @returns {Object} Состояние слияния для buildMergedDocument
+ */
+export function mergeDocuments(base, ours, theirs) {
+	const baseRecords = collectRecords(base);
+	const ourRecords = collectRecords(ours);
+	const theirRecords = collectRecords(theirs);
+	const cells = [];
+
+	const cellIds = new Set([...ourRecords.keys(), ...theirRecords.keys(), ...baseRecords.keys()]);
+
+	cellIds.forEach(cellId => {
+		const entry = mergeRecord(
+			cellId,
+			baseRecords.get(cellId) || null,
+			ourRecords.get(cellId) || null,
+			theirRecords.get(cellId) || null
+		);
+
+		if (entry) {
+			cells.push(entry);
+		}
+	});
+
+	return {
+		base,
+		ours,
+		theirs,
+		cells,
+		conflicts: cells.filter(entry => entry.conflict).map(entry => entry.conflict)
+	};
+}
+
+/**
+ * Собирает документ слияния с учетом выбранных сторон конфликтов
+ * Связи, концы которых пропали после слияния, отбрасываются
+ * @param {Object} merge - Результат mergeDocuments
+ * @param {Object} resolutions - Выбор { [cellId]: 'ours' | 'theirs' }
+ * @returns {Object} { document, unresolved, dropped }
+ */
+export function buildMergedDocument(merge, resolutions = {}) {
+	const unresolved = [];
+	const chosen = [];
+
+	merge.cells.forEach(entry => {
+		if (!entry.conflict) {
+			if (entry.record) chosen.push({ record: entry.record, side: entry.side });
+			return;
+		}
+
+		// Для предпросмотра неразрешенный конфликт показывается нашей версией
+		let side = resolutions[entry.cellId];
+		if (!MERGE_SIDES.includes(side)) {
+			unresolved.push(entry.cellId);
+			side = 'ours';
+		}
+
+		const record = entry.conflict[side];
+		if (record) chosen.push({ record, side });
+	});
+
+	const { kept, dropped } = dropDanglingLinks(chosen);
+	const sources = { ours: merge.ours, theirs: merge.theirs };
+
+	const document = {
+		...clone(merge.ours),
+		metadata: { ...(merge.ours.metadata || {}), modified: Date.now() },
+		graph: {
+			...clone(merge.ours.graph || {}),
+			cells: kept.map(({ record }) => clone(record.cell))
+		},
+		sections: mergeSections(merge, kept, sources)
+	};
+
+	return { document, unresolved, dropped };
+}
+
+/**
+ * Строит записи ячеек документа: JSON ячейки без выносок и тексты выносок
+ * @param {Object} document - Документ
+ * @returns {Map<string, Object>} Записи по id ячейки в порядке графа
+ */
+export function collectRecords(document) {
+	const records = new Map();
+	const cells = (document && document.graph && document.graph.cells) || [];
+	const sectionCallouts = (document && document.sections && document.sections.callouts) || [];
+
+	cells.forEach(cell => {
+		records.set(cell.id, {
+			cell,
+			callouts: getLinkCallouts(cell)
+		});
+	});
+
+	sectionCallouts.forEach(callout => {
+		if (callout.targetType !== 'element') return;
+
+		const record = records.get(callout.targetId);
+		if (record) {
+			record.callouts.push(String(callout.text));
+		}
+	});
+
+	records.forEach(record => record.callouts.sort());
+
+	return records;
+}
+
+/**
+ * Проверяет, является ли JSON ячейки связью
+ * @param {Object} cell - JSON ячейки
+ * @returns {boolean} Связь ли это
+ */
+export function isLinkJSON(cell) {
+	return Boolean(cell) && 'source' in cell && 'target' in cell;
+}
+
+/**
+ * Получает читаемое имя ячейки
+ * @param {Object} cell - JSON ячейки
+ * @returns {string} Текст метки или тип
+ */
+export function getCellName(cell) {
+	if (isLinkJSON(cell)) {
+		const label = getPlainLabels(cell).find(item => getLabelText(item));
+		return label ? getLabelText(label) : 'Link';
+	}
+
+	const text = cell.attrs && cell.attrs.label && cell.attrs.label.text;
+	return text || cell.type;
+}
+
+/**
+ * Создает запись изменения ячейки
+ * @param {string} cellId - Id ячейки
+ * @param {string} status - Состояние из CHANGE_STATUS
+ * @param {Object|null} before - Запись в исходном документе
+ * @param {Object|null} after - Запись в новом документе
+ * @returns {Object} Изменение
+ */
+function createChange(cellId, status, before, after) {
+	const cell = (after || before).cell;
+	const change = {
+		cellId,
+		status,
+		kind: isLinkJSON(cell) ? 'link' : 'element',
+		name: getCellName(cell),
+		aspects: [],
+		details: {
+			before: before ? getGeometry(before.cell) : null,
+			after: after ? getGeometry(after.cell) : null
+		}
+	};
+
+	if (status === CHANGE_STATUS.MODIFIED) {
+		change.aspects = compareRecords(before, after);
+
+		if (change.aspects.includes(CHANGE_ASPECTS.PORTS)) {
+			change.details.ports = diffPorts(before.cell, after.cell);
+		}
+
+		if (change.aspects.includes(CHANGE_ASPECTS.CALLOUTS)) {
+			change.details.callouts = diffLists(before.callouts, after.callouts);
+		}
+	}
+
+	return change;
+}
+
+/**
+ * Определяет виды изменений между двумя версиями ячейки
+ * @param {Object} before - Исходная запись
+ * @param {Object} after - Новая запись
+ * @returns {string[]} Виды изменений из CHANGE_ASPECTS
+ */
+function compareRecords(before, after) {
+	const aspects = new Set();
+	const keys = new Set([...Object.keys(before.cell), ...Object.keys(after.cell)]);
+
+	keys.forEach(key => {
+		if (IGNORED_KEYS.has(key) || isEqual(before.cell[key], after.cell[key])) return;
+
+		if (key === 'attrs') {
+			compareAttrs(before.cell.attrs, after.cell.attrs).forEach(aspect => aspects.add(aspect));
+		} else if (key === 'labels') {
+			compareLabels(before.cell, after.cell).forEach(aspect => aspects.add(aspect));
+		} else {
+			aspects.add(KEY_ASPECTS[key] || CHANGE_ASPECTS.DATA);
+		}
+	});
+
+	if (!isEqual(before.callouts, after.callouts)) {
+		aspects.add(CHANGE_ASPECTS.CALLOUTS);
+	}
+
+	return Object.values(CHANGE_ASPECTS).filter(aspect => aspects.has(aspect));
+}
+
+/**
+ * Сравнивает атрибуты: изменения текста отделяются от изменений оформления
+ * @param {Object} before - Исходные attrs
+ * @param {Object} after - Новые attrs
+ * @returns {string[]} Виды изменений
+ */
+function compareAttrs(before = {}, after = {}) {
+	const beforeLeaves = flatten(before);
+	const afterLeaves = flatten(after);
+	const aspects = new Set();
+
+	new Set([...Object.keys(beforeLeaves), ...Object.keys(afterLeaves)]).forEach(path => {
+		if (isEqual(beforeLeaves[path], afterLeaves[path])) return;
+		aspects.add(/(^|\/)(text|textWrap)(\/|$)/.test(path) ? CHANGE_ASPECTS.TEXT : CHANGE_ASPECTS.RESTYLED);
+	});
+
+	return Array.from(aspects);
+}
+
+/**
+ * Сравнивает метки связи без выносок: тексты и оформление отдельно
+ * @param {Object} before - Исходная связь
+ * @param {Object} after - Новая связь
+ * @returns {string[]} Виды изменений
+ */
+function compareLabels(before, after) {
+	const beforeLabels = getPlainLabels(before);
+	const afterLabels = getPlainLabels(after);
+	const aspects = [];
+
+	if (!isEqual(beforeLabels.map(getLabelText), afterLabels.map(getLabelText))) {
+		aspects.push(CHANGE_ASPECTS.TEXT);
+	}
+
+	if (!isEqual(beforeLabels.map(withoutLabelText), afterLabels.map(withoutLabelText))) {
+		aspects.push(CHANGE_ASPECTS.RESTYLED);
+	}
+
+	return aspects;
+}
+
+/**
+ * Сравнивает порты элемента по id
+ * @param {Object} before - Исходный элемент
+ * @param {Object} after - Новый элемент
+ * @returns {Object} { added, removed, changed } - списки id портов
+ */
+function diffPorts(before, after) {
+	const beforePorts = new Map(getPortItems(before).map(port => [port.id, port]));
+	const afterPorts = new Map(getPortItems(after).map(port => [port.id, port]));
+
+	return {
+		added: Array.from(afterPorts.keys()).filter(id => !beforePorts.has(id)),
+		removed: Array.from(beforePorts.keys()).filter(id => !afterPorts.has(id)),
+		changed: Array.from(afterPorts.keys()).filter(id => beforePorts.has(id) && !isEqual(beforePorts.get(id), afterPorts.get(id)))
+	};
+}
+
+/**
+ * Сравнивает два отсортированных списка как мультимножества
+ * @param {string[]} before - Исходный список
+ * @param {string[]} after - Новый список
+ * @returns {Object} { added, removed }
+ */
+function diffLists(before, after) {
+	const remaining = [...before];
+	const added = [];
+
+	after.forEach(item => {
+		const index = remaining.indexOf(item);
+		if (index === -1) {
+			added.push(item);
+		} else {
+			remaining.splice(index, 1);
+		}
+	});
+
+	return { added, removed: remaining };
+}
+
+/**
+ * Сливает одну ячейку трех версий
+ * @returns {Object|null} { cellId, record, side, conflict } или null, если ячейки нет в результате
+ */
+function mergeRecord(cellId, base, ours, theirs) {
+	if (sameRecord(ours, theirs)) {
+		return ours ? { cellId, record: ours, side: 'ours', conflict: null } : null;
+	}
+
+	if (sameRecord(base, ours)) {
+		return theirs ? { cellId, record: theirs, side: 'theirs', conflict: null } : null;
+	}
+
+	if (sameRecord(base, theirs)) {
+		return ours ? { cellId, record: ours, side: 'ours', conflict: null } : null;
+	}
+
+	if (base && ours && theirs) {
+		const combined = combineRecords(base, ours, theirs);
+		if (combined.conflictingKeys.length === 0) {
+			return { cellId, record: combined.record, side: 'combined', conflict: null };
+		}
+
+		return createConflict(cellId, base, ours, theirs, 'both-modified', combined.conflictingKeys);
+	}
+
+	let reason = 'both-added';
+	if (base && !ours) reason = 'deleted-modified';
+	if (base && !theirs) reason = 'modified-deleted';
+
+	return createConflict(cellId, base, ours, theirs, reason, []);
+}
+
+/**
+ * Создает запись конфликта
+ * @returns {Object} Запись ячейки с конфликтом
+ */
+function createConflict(cellId, base, ours, theirs, reason, keys) {
+	const cell = (ours || theirs).cell;
+
+	return {
+		cellId,
+		record: null,
+		side: null,
+		conflict: {
+			cellId,
+			kind: isLinkJSON(cell) ? 'link' : 'element',
+			name: getCellName(cell),
+			reason,
+			keys,
+			base,
+			ours,
+			theirs,
+			oursAspects: base && ours ? compareRecords(base, ours) : [],
+			theirsAspects: base && theirs ? compareRecords(base, theirs) : []
+		}
+	};
+}
+
+/**
+ * Собирает ячейку из изменений обеих сторон по ключам верхнего уровня и селекторам attrs
+ * @returns {Object} { record, conflictingKeys }
+ */
+function combineRecords(base, ours, theirs) {
+	const cell = {};
+	const conflictingKeys = [];
+	const keys = new Set([...Object.keys(ours.cell), ...Object.keys(theirs.cell)]);
+
+	const pick = (key, baseValue, ourValue, theirValue) => {
+		if (isEqual(ourValue, theirValue) || isEqual(baseValue, theirValue)) return ourValue;
+		if (isEqual(baseValue, ourValue)) return theirValue;
+
+		conflictingKeys.push(key);
+		return ourValue;
+	};
+
+	keys.forEach(key => {
+		if (IGNORED_KEYS.has(key)) {
+			if (ours.cell[key] !== undefined) cell[key] = ours.cell[key];
+			return;
+		}
+
+		if (key === 'attrs') {
+			const attrs = {};
+			const selectors = new Set([...Object.keys(ours.cell.attrs || {}), ...Object.keys(theirs.cell.attrs || {})]);
+
+			selectors.forEach(selector => {
+				const value = pick(
+					`attrs/${selector}`,
+					(base.cell.attrs || {})[selector],
+					(ours.cell.attrs || {})[selector],
+					(theirs.cell.attrs || {})[selector]
+				);
+				if (value !== undefined) attrs[selector] = value;
+			});
+
+			cell.attrs = attrs;
+			return;
+		}
+
+		const value = pick(key, base.cell[key], ours.cell[key], theirs.cell[key]);
+		if (value !== undefined) cell[key] = value;
+	});
+
+	const callouts = pick('callouts', base.callouts, ours.callouts, theirs.callouts);
+
+	return { record: { cell, callouts }, conflictingKeys };
+}
+
+/**
+ * Отбрасывает связи, концы или порты которых отсутствуют в результате слияния
+ * @param {Object[]} chosen - Выбранные записи { record, side }
+ * @returns {Object} { kept, dropped }
+ */
+function dropDanglingLinks(chosen) {
+	const elements = new Map();
+	chosen.forEach(({ record }) => {
+		if (!isLinkJSON(record.cell)) elements.set(record.cell.id, record.cell);
+	});
+
+	const linkIds = new Set(chosen.filter(({ record }) => isLinkJSON(record.cell)).map(({ record }) => record.cell.id));
+	const dropped = [];
+
+	// Связи могут ссылаться на связи, поэтому удаляем до устойчивого состояния
+	let changed = true;
+	while (changed) {
+		changed = false;
+
+		chosen.forEach(({ record }) => {
+			const cell = record.cell;
+			if (!isLinkJSON(cell) || !linkIds.has(cell.id)) return;
+
+			if (!isEndPresent(cell.source, elements, linkIds) || !isEndPresent(cell.target, elements, linkIds)) {
+				linkIds.delete(cell.id);
+				dropped.push(cell.id);
+				changed = true;
+			}
+		});
+	}
+
+	return {
+		kept: chosen.filter(({ record }) => !isLinkJSON(record.cell) || linkIds.has(record.cell.id)),
+		dropped
+	};
+}
+
+/**
+ * Проверяет, что конец связи указывает на существующую ячейку и порт
+ * @returns {boolean} Существует ли конец
+ */
+function isEndPresent(end, elements, linkIds) {
+	if (!end || !end.id) return true;
+
+	if (linkIds.has(end.id)) return true;
+
+	const element = elements.get(end.id);
+	if (!element) return false;
+
+	return !end.port || getPortItems(element).some(port => port.id === end.port);
+}
+
+/**
+ * Собирает секции документа слияния
+ * Секции ячеек (callouts, ports) строятся по выбранным ячейкам, списки слоев и обсуждений
+ * объединяются, прочие секции берутся из нашей версии
+ * @returns {Object} Секции
+ */
+function mergeSections(merge, kept, sources) {
+	const ourSections = (merge.ours && merge.ours.sections) || {};
+	const theirSections = (merge.theirs && merge.theirs.sections) || {};
+	const sections = clone(ourSections);
+
+	const callouts = [];
+	const ports = {};
+
+	kept.forEach(({ record, side }) => {
+		const cell = record.cell;
+
+		if (isLinkJSON(cell)) {
+			getCalloutLabels(cell).forEach(label => {
+				callouts.push({ id: label.calloutId, targetId: cell.id, targetType: 'link', text: getCalloutText(label) });
+			});
+		} else {
+			record.callouts.forEach((text, index) => {
+				callouts.push({ id: `callout_${cell.id}_${index}`, targetId: cell.id, targetType: 'element', text });
+			});
+		}
+
+		const source = side === 'theirs' ? sources.theirs : sources.ours;
+		const portStates = source && source.sections && source.sections.ports;
+		if (portStates && portStates[cell.id]) {
+			ports[cell.id] = clone(portStates[cell.id]);
+		}
+	});
+
+	sections.callouts = callouts;
+
+	if (ourSections.ports || theirSections.ports) {
+		sections.ports = ports;
+	}
+
+	if (ourSections.layers || theirSections.layers) {
+		const ourLayers = (ourSections.layers && ourSections.layers.items) || [];
+		const theirLayers = (theirSections.layers && theirSections.layers.items) || [];
+		const layerIds = new Set(ourLayers.map(layer => layer.id));
+
+		sections.layers = {
+			...clone(ourSections.layers || theirSections.layers),
+			items: clone([...ourLayers, ...theirLayers.filter(layer => !layerIds.has(layer.id))])
+		};
+	}
+
+	if (Array.isArray(ourSections.comments) || Array.isArray(theirSections.comments)) {
+		const ourThreads = ourSections.comments || [];
+		const threadIds = new Set(ourThreads.map(thread => thread.id));
+
+		sections.comments = clone([...ourThreads, ...(theirSections.comments || []).filter(thread => !threadIds.has(thread.id))]);
+	}
+
+	return sections;
+}
+
+/**
+ * Получает положение и размер элемента или вершины связи
+ * @param {Object} cell - JSON ячейки
+ * @returns {Object} { position, size, angle, vertices }
+ */
+function getGeometry(cell) {
+	return {
+		position: cell.position ? { ...cell.position } : null,
+		size: cell.size ? { ...cell.size } : null,
+		angle: cell.angle || 0,
+		vertices: Array.isArray(cell.vertices) ? cell.vertices.map(vertex => ({ ...vertex })) : null
+	};
+}
+
+/**
+ * Получает порты элемента
+ * @param {Object} cell - JSON ячейки
+ * @returns {Object[]} Порты
+ */
+function getPortItems(cell) {
+	return (cell.ports && Array.isArray(cell.ports.items)) ? cell.ports.items : [];
+}
+
+/**
+ * Получает метки связи, не являющиеся выносками
+ * @param {Object} cell - JSON связи
+ * @returns {Object[]} Метки
+ */
+function getPlainLabels(cell) {
+	return (cell.labels || []).filter(label => !label.calloutId);
+}
+
+/**
+ * Получает метки-выноски связи
+ * @param {Object} cell - JSON связи
+ * @returns {Object[]} Метки
+ */
+function getCalloutLabels(cell) {
+	return Array.isArray(cell.labels) ? cell.labels.filter(label => label.calloutId) : [];
+}
+
+/**
+ * Получает тексты выносок связи
+ * @param {Object} cell - JSON ячейки
+ * @returns {string[]} Тексты
+ */
+function getLinkCallouts(cell) {
+	return getCalloutLabels(cell).map(getCalloutText);
+}
+
+/**
+ * Получает текст выноски связи
+ * @param {Object} label - Метка-выноска
+ * @returns {string} Текст
+ */
+function getCalloutText(label) {
+	return String((label.attrs && label.attrs.calloutText && label.attrs.calloutText.text) || '');
+}
+
+/**
+ * Получает текст обычной метки связи
+ * @param {Object} label - Метка
+ * @returns {string} Текст
+ */
+function getLabelText(label) {
+	return String((label.attrs && label.attrs.text && label.attrs.text.text) || '');
+}
+
+/**
+ * Копирует метку без текста для сравнения оформления
+ * @param {Object} label - Метка
+ * @returns {Object} Метка без текста
+ */
+function withoutLabelText(label) {
+	const copy = clone(label);
+	if (copy.attrs && copy.attrs.text) delete copy.attrs.text.text;
+	return copy;
+}
+
+/**
+ * Проверяет равенство двух записей ячейки с учетом отсутствия
+ * @returns {boolean} Равны ли записи
+ */
+function sameRecord(a, b) {
+	if (!a || !b) return !a && !b;
+	return isEqual(withoutIgnoredKeys(a.cell), withoutIgnoredKeys(b.cell)) && isEqual(a.callouts, b.callouts);
+}
+
+/**
+ * Копирует JSON ячейки без несравниваемых ключей
+ * @param {Object} cell - JSON ячейки
+ * @returns {Object} Копия
+ */
+function withoutIgnoredKeys(cell) {
+	const copy = { ...cell };
+	IGNORED_KEYS.forEach(key => delete copy[key]);
+	return copy;
+}
+
+/**
+ * Раскладывает вложенный объект в пути до листьев
+ * @param {Object} value - Объект
+ * @param {string} prefix - Префикс пути
+ * @param {Object} result - Накопитель
+ * @returns {Object} { [path]: value }
+ */
+function flatten(value, prefix = '', result = {}) {
+	if (value && typeof value === 'object' && !Array.isArray(value)) {
+		Object.keys(value).forEach(key => flatten(value[key], prefix ? `${prefix}/${key}` : key, result));
+	} else {
+		result[prefix] = value;
+	}
+
+	return result;
+}
+
+/**
+ * Сравнивает JSON-значения без учета порядка ключей
+ * @returns {boolean} Равны ли значения
+ */
+function isEqual(a, b) {
+	return canonicalize(a) === canonicalize(b);
+}
+
+/**
+ * Сериализует значение с отсортированными ключами
+ * @param {*} value - Значение
+ * @returns {string} Каноническая строка
+ */
+function canonicalize(value) {
+	if (value === undefined) return 'undefined';
+
+	if (Array.isArray(value)) {
+		return `[${value.map(canonicalize).join(',')}]`;
+	}
+
+	if (value && typeof value === 'object') {
+		return `{${Object.keys(value).sort()
+			.filter(key => value[key] !== undefined)
+			.map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+			.join(',')}}`;
+	}
+
+	return JSON.stringify(value);
+}
+
+/**
+ * Глубоко копирует JSON-значение
+ * @param {*} value - Значение
+ * @returns {*} Копия
+ */
+function clone(value) {
+	return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
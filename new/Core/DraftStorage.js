@@ -0,0 +1,168 @@
+/**
+ * Draft Storage - Бэкенды хранилища черновиков автосохранения
+ *
+ * Черновик: { id, documentKey, savedAt, document }
+ * Хост может подключить собственный бэкенд (например, REST), унаследовав DraftBackend
+ * и реализовав асинхронные методы list/load/save/remove
+ */
+export class DraftBackend {
+	/**
+	 * Получает список черновиков документа, новые первыми
+	 * @param {string} documentKey - Ключ документа
+	 * @returns {Promise<Array<Object>>} Черновики без содержимого документа
+	 */
+	async list(documentKey) {
+		throw new Error(`${this.constructor.name}: list() is not implemented`);
+	}
+
+	/**
+	 * Загружает черновик
+	 * @param {string} id - ID черновика
+	 * @returns {Promise<Object|null>} Черновик
+	 */
+	async load(id) {
+		throw new Error(`${this.constructor.name}: load() is not implemented`);
+	}
+
+	/**
+	 * Сохраняет черновик
+	 * @param {Object} draft - Черновик
+	 * @returns {Promise<Object>} Сохраненный черновик
+	 */
+	async save(draft) {
+		throw new Error(`${this.constructor.name}: save() is not implemented`);
+	}
+
+	/**
+	 * Удаляет черновик
+	 * @param {string} id - ID черновика
+	 */
+	async remove(id) {
+		throw new Error(`${this.constructor.name}: remove() is not implemented`);
+	}
+
+	/**
+	 * Удаляет все черновики документа
+	 * @param {string} documentKey - Ключ документа
+	 */
+	async clear(documentKey) {
+		const drafts = await this.list(documentKey);
+		await Promise.all(drafts.map(draft => this.remove(draft.id)));
+		return drafts.length;
+	}
+}
+
+/**
+ * Бэкенд в памяти для тестов
+ */
+export class MemoryDraftBackend extends DraftBackend {
+	constructor() {
+		super();
+		this.drafts = new Map();
+	}
+
+	/**
+	 * Получает список черновиков документа, новые первыми
+	 * @param {string} documentKey - Ключ документа
+	 * @returns {Promise<Array<Object>>} Черновики без содержимого документа
+	 */
+	async list(documentKey) {
+		return Array.from(this.drafts.values())
+			.filter(draft => draft.documentKey === documentKey)
+			.map(({ document, ...summary }) => summary)
+			.sort((a, b) => b.savedAt - a.savedAt);
+	}
+
+	/**
+	 * Загружает черновик
+	 * @param {string} id - ID черновика
+	 * @returns {Promise<Object|null>} Черновик
+	 */
+	async load(id) {
+		const draft = this.drafts.get(id);
+		return draft ? JSON.parse(JSON.stringify(draft)) : null;
+	}
+
+	/**
+	 * Сохраняет черновик
+	 * @param {Object} draft - Черновик
+	 * @returns {Promise<Object>} Сохраненный черновик
+	 */
+	async save(draft) {
+		this.drafts.set(draft.id, JSON.parse(JSON.stringify(draft)));
+		return draft;
+	}
+
+	/**
+	 * Удаляет черновик
+	 * @param {string} id - ID черновика
+	 */
+	async remove(id) {
+		return this.drafts.delete(id);
+	}
+}
+
+/**
+ * Бэкенд в localStorage, переживает падение вкладки
+ */
+export class LocalStorageDraftBackend extends DraftBackend {
+	constructor(options = {}) {
+		super();
+		this.prefix = options.prefix || 'ddr-drawing:draft:';
+		this.storage = options.storage || window.localStorage;
+	}
+
+	/**
+	 * Получает список черновиков документа, новые первыми
+	 * @param {string} documentKey - Ключ документа
+	 * @returns {Promise<Array<Object>>} Черновики без содержимого документа
+	 */
+	async list(documentKey) {
+		const drafts = [];
+
+		for (let i = 0; i < this.storage.length; i++) {
+			const key = this.storage.key(i);
+			if (!key || !key.startsWith(this.prefix)) continue;
+
+			try {
+				const { document, ...summary } = JSON.parse(this.storage.getItem(key));
+				if (summary.documentKey === documentKey) {
+					drafts.push(summary);
+				}
+			} catch (error) {
+				console.warn(`LocalStorageDraftBackend: Skipping unreadable draft ${key}`);
+			}
+		}
+
+		return drafts.sort((a, b) => b.savedAt - a.savedAt);
+	}
+
+	/**
+	 * Загружает черновик
+	 * @param {string} id - ID черновика
+	 * @returns {Promise<Object|null>} Черновик
+	 */
+	async load(id) {
+		const raw = this.storage.getItem(this.prefix + id);
+		return raw ? JSON.parse(raw) : null;
+	}
+
+	/**
+	 * Сохраняет черновик
+	 * @param {Object} draft - Черновик
+	 * @returns {Promise<Object>} Сохраненный черновик
+	 */
+	async save(draft) {
+		this.storage.setItem(this.prefix + draft.id, JSON.stringify(draft));
+		return draft;
+	}
+
+	/**
+	 * Удаляет черновик
+	 * @param {string} id - ID черновика
+	 */
+	async remove(id) {
+		this.storage.removeItem(this.prefix + id);
+		return true;
+	}
+}
@@ -0,0 +1,178 @@
+/**
+ * History Storage - Адаптеры хранилища для сохранения истории команд между сессиями
+ * Все адаптеры реализуют асинхронный интерфейс load/save/remove
+ */
+
+/**
+ * Хранилище в памяти (по умолчанию), живет до перезагрузки страницы
+ */
+export class MemoryHistoryStorage {
+	constructor() {
+		this.entries = new Map();
+	}
+
+	/**
+	 * Загружает запись по ключу
+	 * @param {string} key - Ключ записи
+	 * @returns {Promise<Object|null>} Сохраненные данные
+	 */
+	async load(key) {
+		const entry = this.entries.get(key);
+		return entry ? JSON.parse(entry) : null;
+	}
+
+	/**
+	 * Сохраняет запись по ключу
+	 * @param {string} key - Ключ записи
+	 * @param {Object} data - Данные для сохранения
+	 */
+	async save(key, data) {
+		this.entries.set(key, JSON.stringify(data));
+		return true;
+	}
+
+	/**
+	 * Удаляет запись по ключу
+	 * @param {string} key - Ключ записи
+	 */
+	async remove(key) {
+		return this.entries.delete(key);
+	}
+}
+
+/**
+ * Хранилище в localStorage
+ */
+export class LocalStorageHistoryStorage {
+	constructor(options = {}) {
+		this.prefix = options.prefix || 'ddr-drawing:';
+		this.storage = options.storage || window.localStorage;
+	}
+
+	/**
+	 * Загружает запись по ключу
+	 * @param {string} key - Ключ записи
+	 * @returns {Promise<Object|null>} Сохраненные данные
+	 */
+	async load(key) {
+		const raw = this.storage.getItem(this.prefix + key);
+		return raw ? JSON.parse(raw) : null;
+	}
+
+	/**
+	 * Сохраняет запись по ключу
+	 * @param {string} key - Ключ записи
+	 * @param {Object} data - Данные для сохранения
+	 */
+	async save(key, data) {
+		this.storage.setItem(this.prefix + key, JSON.stringify(data));
+		return true;
+	}
+
+	/**
+	 * Удаляет запись по ключу
+	 * @param {string} key - Ключ записи
+	 */
+	async remove(key) {
+		this.storage.removeItem(this.prefix + key);
+		return true;
+	}
+}
+
+/**
+ * Хранилище в IndexedDB для больших историй
+ */
+export class IndexedDBHistoryStorage {
+	constructor(options = {}) {
+		this.databaseName = options.databaseName || 'ddr-drawing';
+		this.storeName = options.storeName || 'history';
+		this.indexedDB = options.indexedDB || window.indexedDB;
+		this.database = null;
+	}
+
+	/**
+	 * Открывает базу данных, создавая хранилище при первом запуске
+	 * @returns {Promise<IDBDatabase>} База данных
+	 */
+	open() {
+		if (this.database) {
+			return this.database;
+		}
+
+		this.database = new Promise((resolve, reject) => {
+			const request = this.indexedDB.open(this.databaseName, 1);
+
+			request.onupgradeneeded = () => {
+				if (!request.result.objectStoreNames.contains(this.storeName)) {
+					request.result.createObjectStore(this.storeName);
+				}
+			};
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => {
+				this.database = null;
+				reject(request.error);
+			};
+		});
+
+		return this.database;
+	}
+
+	/**
+	 * Выполняет запрос в транзакции
+	 * @param {string} mode - Режим транзакции
+	 * @param {Function} operation - Функция (store) => IDBRequest
+	 * @returns {Promise<*>} Результат запроса
+	 */
+	async request(mode, operation) {
+		const database = await this.open();
+
+		return new Promise((resolve, reject) => {
+			const transaction = database.transaction(this.storeName, mode);
+			const request = operation(transaction.objectStore(this.storeName));
+
+			transaction.oncomplete = () => resolve(request.result);
+			transaction.onerror = () => reject(transaction.error);
+			transaction.onabort = () => reject(transaction.error);
+		});
+	}
+
+	/**
+	 * Загружает запись по ключу
+	 * @param {string} key - Ключ записи
+	 * @returns {Promise<Object|null>} Сохраненные данные
+	 */
+	async load(key) {
+		const result = await this.request('readonly', store => store.get(key));
+		return result === undefined ? null : result;
+	}
+
+	/**
+	 * Сохраняет запись по ключу
+	 * @param {string} key - Ключ записи
+	 * @param {Object} data - Данные для сохранения
+	 */
+	async save(key, data) {
+		await this.request('readwrite', store => store.put(data, key));
+		return true;
+	}
+
+	/**
+	 * Удаляет запись по ключу
+	 * @param {string} key - Ключ записи
+	 */
+	async remove(key) {
+		await this.request('readwrite', store => store.delete(key));
+		return true;
+	}
+
+	/**
+	 * Закрывает соединение с базой данных
+	 */
+	async close() {
+		if (this.database) {
+			const database = await this.database;
+			database.close();
+			this.database = null;
+		}
+	}
+}
@@ -26,7 +26,8 @@ export class StateStore {
 				mode: 'select',
 				initialized: false,
 				loading: false,
-				error: null
+				error: null,
+				readOnly: false
 			},
 
 			// Состояние Canvas и Paper
@@ -34,9 +35,13 @@ export class StateStore {
 				width: 800,
 				height: 600,
 				zoom: 1,
+				minZoom: 0.1,
+				maxZoom: 5,
 				pan: { x: 0, y: 0 },
+				origin: { x: 0, y: 0 },
 				gridSize: 10,
-				background: '#ffffff'
+				background: '#ffffff',
+				infinite: false
 			},
 
 			// Состояние выделения элементов
@@ -47,6 +52,26 @@ export class StateStore {
 				lastSelected: null
 			},
 
+			// Состояние буфера обмена
+			clipboard: {
+				hasContent: false,
+				itemCount: 0
+			},
+
+			// Состояние автосохранения
+			autosave: {
+				enabled: false,
+				lastDraftSaved: null,
+				draftAvailable: false
+			},
+
+			// Состояние совместного редактирования
+			collaboration: {
+				status: 'offline',
+				siteId: null,
+				peers: []
+			},
+
 			// Состояние портов
 			ports: {
 				visible: new Set(),
@@ -60,8 +85,16 @@ export class StateStore {
 				mode: 1,
 				creating: false,
 				preview: null,
-				router: 'manhattan',
-				connector: 'rounded'
+				router: 'smart',
+				connector: 'rounded',
+				editingLinkId: null,
+				lineJumps: { enabled: false, style: 'arc', size: 6 }
+			},
+
+			// Слои документа (снизу вверх)
+			layers: {
+				items: [{ id: 'layer-default', name: 'Layer 1', visible: true, locked: false }],
+				active: 'layer-default'
 			},
 
 			// Состояние пользовательского интерфейса
@@ -84,7 +117,14 @@ export class StateStore {
 				},
 				panels: {
 					properties: { visible: false, target: null },
-					layers: { visible: false, selected: [] }
+					layers: { visible: false, selected: [] },
+					minimap: { visible: true },
+					stencil: { visible: true, collapsed: [], search: '' },
+					history: { visible: false },
+					comments: { visible: false, showResolved: false }
+				},
+				export: {
+					pngScale: 1
 				}
 			},
 
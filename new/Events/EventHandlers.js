@@ -10,7 +10,12 @@ import {
 	STATE_EVENTS,
 	KEYBOARD_EVENTS,
 	UI_EVENTS,
-	VALIDATION_EVENTS
+	VALIDATION_EVENTS,
+	LABEL_EVENTS,
+	ROUTING_EVENTS,
+	PROPERTIES_EVENTS,
+	LAYER_EVENTS,
+	STENCIL_EVENTS
 } from './EventTypes.js';
 
 /**
@@ -113,6 +118,19 @@ export class EventHandlers {
 		this.addHandler(ELEMENT_EVENTS.MOVED, (event) => {
 			this.stateStore.set('graph.metadata.modified', Date.now());
 		});
+
+		this.addHandler(ELEMENT_EVENTS.RESIZE, (event) => this.handleElementResize(event.data));
+		this.addHandler(ELEMENT_EVENTS.ROTATE, (event) => this.handleElementRotate(event.data));
+		this.addHandler(LABEL_EVENTS.CHANGE, (event) => this.handleLabelChange(event.data));
+		this.addHandler(LINK_EVENTS.CHANGE_PATH, (event) => this.handleLinkPathChange(event.data));
+		this.addHandler(ROUTING_EVENTS.SET_LINK, (event) => this.handleRoutingChange(event.data));
+		this.addHandler(ROUTING_EVENTS.SET_DEFAULT, (event) => this.handleRoutingChange({ ...event.data, links: null }));
+		this.addHandler(PROPERTIES_EVENTS.CHANGE, (event) => this.handlePropertyChange(event.data));
+		this.addHandler(LAYER_EVENTS.CHANGE, (event) => this.handleLayerChange(event.data));
+		this.addHandler(LAYER_EVENTS.BRING_TO_FRONT, (event) => this.handleZOrderChange('bring-to-front', event.data));
+		this.addHandler(LAYER_EVENTS.SEND_TO_BACK, (event) => this.handleZOrderChange('send-to-back', event.data));
+		this.addHandler(STENCIL_EVENTS.DRAG_OVER, (event) => this.handleStencilDragOver(event.data));
+		this.addHandler(STENCIL_EVENTS.DROP, (event) => this.handleStencilDrop(event.data));
 	}
 
 	/**
@@ -330,13 +348,21 @@ export class EventHandlers {
 	 */
 	setupKeyboardHandlers() {
 		this.addHandler(KEYBOARD_EVENTS.GLOBAL_KEYDOWN, (event) => {
-			if (event.key === 'Escape') {
+			const keyboard = event.data;
+
+			if (keyboard.key === 'Escape') {
 				this.handleEscapeKey();
-			} else if (event.ctrlKey && event.key === 'a') {
-				event.originalEvent.preventDefault();
+				return;
+			}
+
+			// Editing shortcuts stay with the page in read-only mode and while focus is elsewhere
+			if (!keyboard.ctrlKey || this.isReadOnly() || !keyboard.editorFocused) return;
+
+			if (keyboard.key === 'a') {
+				keyboard.originalEvent.preventDefault();
 				this.eventBus.emit(SELECTION_EVENTS.SELECT_ALL);
-			} else if (event.ctrlKey && event.key === 'd') {
-				event.originalEvent.preventDefault();
+			} else if (keyboard.key === 'd') {
+				keyboard.originalEvent.preventDefault();
 				this.handleDuplication();
 			}
 		});
@@ -359,22 +385,265 @@ export class EventHandlers {
 	 * Handles element creation from blank area click
 	 */
 	handleElementCreation(coordinates) {
+		if (this.isReadOnly()) return;
+
 		const graphService = this.container.get('graphService');
 		const validationService = this.container.get('validationService');
+		const shapeRegistry = this.container.get('shapeRegistry');
+
+		const elementType = this.stateStore.get('app.elementType') || 'rectangle';
+		const shape = shapeRegistry.getShape(elementType) || shapeRegistry.getShape('rectangle');
 		
 		const AddElementCommand = this.container.get('AddElementCommand');
 		const command = new AddElementCommand(graphService, validationService, {
 			position: coordinates,
-			elementType: 'rectangle'
+			elementType: shape.name,
+			size: { ...shape.size }
+		});
+
+		this.commandManager.execute(command);
+	}
+
+	/**
+	 * Creates the command that adds a stencil shape centered on a paper point
+	 */
+	createStencilCommand({ shape: shapeName, point }) {
+		const shape = this.container.get('shapeRegistry').getShape(shapeName);
+		if (!shape) return null;
+
+		const AddElementCommand = this.container.get('AddElementCommand');
+		return new AddElementCommand(
+			this.container.get('graphService'),
+			this.container.get('validationService'),
+			{
+				elementType: shape.name,
+				position: {
+					x: point.x - shape.size.width / 2,
+					y: point.y - shape.size.height / 2
+				},
+				size: { ...shape.size },
+				gridSize: this.stateStore.get('canvas.gridSize')
+			}
+		);
+	}
+
+	/**
+	 * Reports where a dragged stencil shape would be created and whether it is allowed there
+	 */
+	handleStencilDragOver(data) {
+		const command = this.createStencilCommand(data);
+		if (!command) return;
+
+		const position = command.getSnappedPosition();
+		const validation = this.container.get('validationService')
+			.validateElementCreation(command.elementType, position, command.size);
+
+		this.eventBus.emit(STENCIL_EVENTS.DROP_PREVIEW, {
+			shape: data.shape,
+			position,
+			size: command.size,
+			valid: validation.valid,
+			errors: validation.errors
 		});
+	}
+
+	/**
+	 * Creates a stencil shape dropped on the paper
+	 */
+	handleStencilDrop(data) {
+		const command = this.createStencilCommand(data);
+		if (!command) return;
+
+		if (this.commandManager.execute(command)) {
+			this.eventBus.emit(STENCIL_EVENTS.DROPPED, { shape: data.shape, element: command.createdElement });
+		}
+	}
+
+	/**
+	 * Handles resize requests from element handles, merging steps of one drag
+	 */
+	handleElementResize({ element, position, size, gestureId = null }) {
+		const ResizeCommand = this.container.get('ResizeCommand');
+		const command = new ResizeCommand(
+			this.container.get('validationService'),
+			this.container.get('portService'),
+			element,
+			{ position, size },
+			{ gestureId }
+		);
+
+		this.commandManager.execute(command, { merge: true });
+	}
+
+	/**
+	 * Handles rotation requests from element handles, merging steps of one drag
+	 */
+	handleElementRotate({ element, angle, gestureId = null }) {
+		const RotateCommand = this.container.get('RotateCommand');
+		const command = new RotateCommand(this.container.get('validationService'), element, angle, { gestureId });
+
+		this.commandManager.execute(command, { merge: true });
+	}
+
+	/**
+	 * Handles label edits from the label editor
+	 */
+	handleLabelChange({ cell, text, style = {}, labelIndex = null, position = null }) {
+		const EditLabelCommand = this.container.get('EditLabelCommand');
+		const command = new EditLabelCommand(cell, {
+			text,
+			style,
+			labelIndex,
+			position,
+			description: cell.isLink() && labelIndex === null ? 'Add link label' : 'Edit label'
+		});
+
+		if (this.commandManager.execute(command)) {
+			this.eventBus.emit(LABEL_EVENTS.CHANGED, { cell, text, labelIndex });
+		}
+	}
+
+	/**
+	 * Handles path edits from the link editor, restoring the previous path when the edit is rejected
+	 */
+	handleLinkPathChange({ link, before, after }) {
+		const EditLinkCommand = this.container.get('EditLinkCommand');
+		const command = new EditLinkCommand(
+			this.container.get('validationService'),
+			this.container.get('portService'),
+			link,
+			{ before, after }
+		);
+
+		if (this.commandManager.execute(command)) {
+			this.eventBus.emit(LINK_EVENTS.PATH_CHANGED, { link, before, after });
+		} else {
+			command.applyPath(before);
+		}
+	}
+
+	/**
+	 * Handles router and connector changes for links or for the default
+	 */
+	handleRoutingChange({ links = null, router, connector }) {
+		const ChangeRoutingCommand = this.container.get('ChangeRoutingCommand');
+		const command = new ChangeRoutingCommand(this.container.get('routingService'), { links, router, connector });
+
+		this.commandManager.execute(command);
+	}
+
+	/**
+	 * Handles property changes from the properties panel
+	 *
+	 * Properties with their own commands (label, position, size, routing) go through them,
+	 * everything else is a property path for ChangePropertiesCommand. Several commands
+	 * are grouped into one history entry.
+	 */
+	handlePropertyChange({ cells, property, value }) {
+		const commands = this.createPropertyCommands(cells, property, value);
+		if (commands.length === 0) return;
+
+		const batched = commands.length > 1;
+		if (batched) {
+			this.commandManager.beginBatch(`Change ${property}`);
+		}
+
+		const executed = commands.filter(command => this.commandManager.execute(command));
+
+		if (batched) {
+			this.commandManager.endBatch();
+		}
+
+		if (executed.length > 0) {
+			this.eventBus.emit(PROPERTIES_EVENTS.CHANGED, { cells, property, value });
+		}
+	}
+
+	/**
+	 * Creates the commands for a property change
+	 */
+	createPropertyCommands(cells, property, value) {
+		const elements = cells.filter(cell => cell.isElement());
+		const links = cells.filter(cell => cell.isLink());
+
+		switch (property) {
+			case 'label': {
+				const EditLabelCommand = this.container.get('EditLabelCommand');
+				return elements.map(element => new EditLabelCommand(element, { text: value }));
+			}
+
+			case 'position': {
+				if (elements.length === 0) return [];
+
+				const MoveCommand = this.container.get('MoveCommand');
+				const positions = elements.map(element => ({ ...element.position(), ...value }));
+				return [new MoveCommand(this.container.get('validationService'), elements, positions, { snapToGrid: false })];
+			}
+
+			case 'size': {
+				const ResizeCommand = this.container.get('ResizeCommand');
+				return elements.map(element => new ResizeCommand(
+					this.container.get('validationService'),
+					this.container.get('portService'),
+					element,
+					{ position: element.position(), size: { ...element.size(), ...value } }
+				));
+			}
+
+			case 'router':
+			case 'connector': {
+				if (links.length === 0) return [];
+
+				const ChangeRoutingCommand = this.container.get('ChangeRoutingCommand');
+				return [new ChangeRoutingCommand(this.container.get('routingService'), {
+					links,
+					[property]: value || null
+				})];
+			}
+
+			default: {
+				const ChangePropertiesCommand = this.container.get('ChangePropertiesCommand');
+				return [new ChangePropertiesCommand(cells, property, value, {
+					selectionService: this.container.get('selectionService')
+				})];
+			}
+		}
+	}
+
+	/**
+	 * Handles layer changes from the layers panel
+	 */
+	handleLayerChange({ action, ...params }) {
+		const ChangeLayersCommand = this.container.get('ChangeLayersCommand');
+		const command = new ChangeLayersCommand(this.container.get('layerService'), action, params);
 
 		this.commandManager.execute(command);
 	}
 
+	/**
+	 * Handles bring to front and send to back for the given cells or the selection
+	 */
+	handleZOrderChange(action, { cells = null } = {}) {
+		const targets = cells || this.stateStore.get('selection.elements') || [];
+		if (targets.length === 0) return;
+
+		this.handleLayerChange({ action, cells: targets });
+	}
+
+	/**
+	 * Checks whether a link end is being moved in the link editor
+	 */
+	isEditedLink(link) {
+		return Boolean(link) && link.id === this.stateStore.get('connections.editingLinkId');
+	}
+
 	/**
 	 * Handles link connection event
 	 */
 	handleLinkConnection(event) {
+		// Reconnected ends of the edited link update ports through EditLinkCommand
+		if (this.isEditedLink(event.link)) return;
+
 		const portService = this.container.get('portService');
 		const connectionMode = this.stateStore.get('connections.mode');
 		
@@ -394,6 +663,8 @@ export class EventHandlers {
 	 * Handles link disconnection event
 	 */
 	handleLinkDisconnection(event) {
+		if (this.isEditedLink(event.link)) return;
+
 		const portService = this.container.get('portService');
 		portService.handleLinkDisconnect(event.link);
 	}
@@ -454,7 +725,7 @@ export class EventHandlers {
 	handleSelectionDeletion() {
 		const selectedElements = this.stateStore.get('selection.elements');
 		
-		if (selectedElements.length === 0) return;
+		if (selectedElements.length === 0 || this.isReadOnly()) return;
 
 		const graphService = this.container.get('graphService');
 		const portService = this.container.get('portService');
@@ -485,20 +756,17 @@ export class EventHandlers {
 		const selectedElements = this.stateStore.get('selection.elements')
 			.filter(el => el.isElement());
 		
-		if (selectedElements.length === 0) return;
+		if (selectedElements.length === 0 || this.isReadOnly()) return;
 
-		const graphService = this.container.get('graphService');
-		const offset = { x: 20, y: 20 };
-		const duplicatedElements = [];
-
-		selectedElements.forEach(element => {
-			const cloned = graphService.cloneElement(element, offset);
-			duplicatedElements.push(cloned);
-		});
+		const clipboardService = this.container.get('clipboardService');
+		clipboardService.duplicate(selectedElements);
+	}
 
-		this.eventBus.emit(SELECTION_EVENTS.SELECT_MULTIPLE, {
-			elements: duplicatedElements
-		});
+	/**
+	 * Checks whether editing is disabled; keyboard and click edits are ignored then
+	 */
+	isReadOnly() {
+		return Boolean(this.stateStore.get('app.readOnly'));
 	}
 
 	/**
@@ -15,7 +15,8 @@ export const EDITOR_EVENTS = {
 	DESTROYED: 'editor:destroyed',
 	BEFORE_UNLOAD: 'editor:before-unload',
 	REQUEST_DESTROY: 'editor:request-destroy',
-	TOGGLE_DEBUG: 'editor:toggle-debug'
+	TOGGLE_DEBUG: 'editor:toggle-debug',
+	SET_READ_ONLY: 'editor:set-read-only'
 };
 
 // =====================================
@@ -36,6 +37,247 @@ export const GRAPH_EVENTS = {
 	EXPORT: 'graph:export'
 };
 
+// =====================================
+// DOCUMENT EVENTS
+// =====================================
+export const DOCUMENT_EVENTS = {
+	SERVICE_INITIALIZED: 'document:service-initialized',
+	SERVICE_DESTROYED: 'document:service-destroyed',
+	SAVED: 'document:saved',
+	LOADED: 'document:loaded',
+	LOAD_FAILED: 'document:load-failed',
+	
+	// Document operations
+	SAVE: 'document:save',
+	LOAD: 'document:load'
+};
+
+// =====================================
+// EXPORT EVENTS
+// =====================================
+export const EXPORT_EVENTS = {
+	SERVICE_INITIALIZED: 'export:service-initialized',
+	SERVICE_DESTROYED: 'export:service-destroyed',
+	SVG_EXPORTED: 'export:svg-exported',
+	PNG_EXPORTED: 'export:png-exported',
+	EXPORT_FAILED: 'export:failed',
+	
+	// Export operations
+	EXPORT_SVG: 'export:svg',
+	EXPORT_PNG: 'export:png'
+};
+
+// =====================================
+// CLIPBOARD EVENTS
+// =====================================
+export const CLIPBOARD_EVENTS = {
+	SERVICE_INITIALIZED: 'clipboard:service-initialized',
+	SERVICE_DESTROYED: 'clipboard:service-destroyed',
+	COPIED: 'clipboard:copied',
+	CUT_COMPLETED: 'clipboard:cut-completed',
+	PASTED: 'clipboard:pasted',
+	CLEARED: 'clipboard:cleared',
+	
+	// Clipboard operations
+	COPY: 'clipboard:copy',
+	CUT: 'clipboard:cut',
+	PASTE: 'clipboard:paste'
+};
+
+// =====================================
+// HISTORY PERSISTENCE EVENTS
+// =====================================
+export const HISTORY_EVENTS = {
+	SERVICE_INITIALIZED: 'history:service-initialized',
+	SERVICE_DESTROYED: 'history:service-destroyed',
+	SAVED: 'history:saved',
+	SAVE_FAILED: 'history:save-failed',
+	RESTORED: 'history:restored',
+	RESTORE_SKIPPED: 'history:restore-skipped',
+	CLEARED: 'history:cleared',
+	
+	// History operations
+	SAVE: 'history:save',
+	RESTORE: 'history:restore'
+};
+
+// =====================================
+// AUTOSAVE EVENTS
+// =====================================
+export const AUTOSAVE_EVENTS = {
+	SERVICE_INITIALIZED: 'autosave:service-initialized',
+	SERVICE_DESTROYED: 'autosave:service-destroyed',
+	DRAFT_SAVED: 'autosave:draft-saved',
+	DRAFT_SAVE_FAILED: 'autosave:draft-save-failed',
+	DRAFT_AVAILABLE: 'autosave:draft-available',
+	DRAFT_RESTORED: 'autosave:draft-restored',
+	DRAFT_DISCARDED: 'autosave:draft-discarded',
+	
+	// Autosave operations
+	SAVE_NOW: 'autosave:save-now',
+	RESTORE_DRAFT: 'autosave:restore-draft',
+	DISCARD_DRAFT: 'autosave:discard-draft'
+};
+
+// =====================================
+// LAYOUT EVENTS
+// =====================================
+export const LAYOUT_EVENTS = {
+	SERVICE_INITIALIZED: 'layout:service-initialized',
+	SERVICE_DESTROYED: 'layout:service-destroyed',
+	APPLIED: 'layout:applied',
+	FAILED: 'layout:failed',
+	
+	// Layout operations
+	APPLY: 'layout:apply'
+};
+
+// =====================================
+// SHAPE EVENTS
+// =====================================
+export const SHAPE_EVENTS = {
+	SERVICE_INITIALIZED: 'shape:service-initialized',
+	SERVICE_DESTROYED: 'shape:service-destroyed',
+	REGISTERED: 'shape:registered',
+	UNREGISTERED: 'shape:unregistered'
+};
+
+// =====================================
+// LABEL EVENTS
+// =====================================
+export const LABEL_EVENTS = {
+	EDITING_STARTED: 'label:editing-started',
+	EDITING_FINISHED: 'label:editing-finished',
+	EDITING_CANCELLED: 'label:editing-cancelled',
+	CHANGED: 'label:changed',
+	
+	// Label operations
+	EDIT: 'label:edit',
+	CHANGE: 'label:change'
+};
+
+// =====================================
+// ROUTING EVENTS
+// =====================================
+export const ROUTING_EVENTS = {
+	SERVICE_INITIALIZED: 'routing:service-initialized',
+	SERVICE_DESTROYED: 'routing:service-destroyed',
+	DEFAULT_CHANGED: 'routing:default-changed',
+	LINK_CHANGED: 'routing:link-changed',
+	ROUTES_UPDATED: 'routing:routes-updated',
+	
+	// Routing operations
+	SET_DEFAULT: 'routing:set-default',
+	SET_LINK: 'routing:set-link'
+};
+
+// =====================================
+// PROPERTIES EVENTS
+// =====================================
+export const PROPERTIES_EVENTS = {
+	CHANGED: 'properties:changed',
+	
+	// Property operations
+	CHANGE: 'properties:change'
+};
+
+// =====================================
+// LAYER EVENTS
+// =====================================
+export const LAYER_EVENTS = {
+	CHANGED: 'layers:changed',
+	ACTIVE_CHANGED: 'layers:active-changed',
+	
+	// Layer operations
+	CHANGE: 'layers:change',
+	SET_ACTIVE: 'layers:set-active',
+	BRING_TO_FRONT: 'layers:bring-to-front',
+	SEND_TO_BACK: 'layers:send-to-back'
+};
+
+// =====================================
+// STENCIL EVENTS
+// =====================================
+export const STENCIL_EVENTS = {
+	GROUP_REGISTERED: 'stencil:group-registered',
+	GROUP_UNREGISTERED: 'stencil:group-unregistered',
+	DRAG_STARTED: 'stencil:drag-started',
+	DRAG_ENDED: 'stencil:drag-ended',
+	DROP_PREVIEW: 'stencil:drop-preview',
+	DROPPED: 'stencil:dropped',
+	
+	// Stencil operations
+	DRAG_OVER: 'stencil:drag-over',
+	DROP: 'stencil:drop'
+};
+
+// =====================================
+// COLLABORATION EVENTS
+// =====================================
+export const COLLABORATION_EVENTS = {
+	SERVICE_INITIALIZED: 'collaboration:service-initialized',
+	SERVICE_DESTROYED: 'collaboration:service-destroyed',
+	CONNECTED: 'collaboration:connected',
+	DISCONNECTED: 'collaboration:disconnected',
+	PEER_JOINED: 'collaboration:peer-joined',
+	PEER_LEFT: 'collaboration:peer-left',
+	OPERATIONS_SENT: 'collaboration:operations-sent',
+	OPERATIONS_APPLIED: 'collaboration:operations-applied',
+	UNDO_CONFLICT: 'collaboration:undo-conflict',
+	MESSAGE_RECEIVED: 'collaboration:message-received',
+	ERROR: 'collaboration:error',
+	
+	// Collaboration operations
+	CONNECT: 'collaboration:connect',
+	DISCONNECT: 'collaboration:disconnect'
+};
+
+// =====================================
+// PRESENCE EVENTS
+// =====================================
+export const PRESENCE_EVENTS = {
+	SERVICE_INITIALIZED: 'presence:service-initialized',
+	SERVICE_DESTROYED: 'presence:service-destroyed',
+	CHANGED: 'presence:changed',
+	USER_JOINED: 'presence:user-joined',
+	USER_LEFT: 'presence:user-left'
+};
+
+// =====================================
+// COMMENT EVENTS
+// =====================================
+export const COMMENT_EVENTS = {
+	SERVICE_INITIALIZED: 'comments:service-initialized',
+	SERVICE_DESTROYED: 'comments:service-destroyed',
+	THREAD_CREATED: 'comments:thread-created',
+	THREAD_UPDATED: 'comments:thread-updated',
+	THREAD_DELETED: 'comments:thread-deleted',
+	CHANGED: 'comments:changed',
+	
+	// Comment operations
+	COMPOSE: 'comments:compose',
+	OPEN_THREAD: 'comments:open-thread'
+};
+
+// =====================================
+// DIFF EVENTS
+// =====================================
+export const DIFF_EVENTS = {
+	SERVICE_INITIALIZED: 'diff:service-initialized',
+	SERVICE_DESTROYED: 'diff:service-destroyed',
+	COMPARED: 'diff:compared',
+	MERGE_STARTED: 'diff:merge-started',
+	CONFLICT_RESOLVED: 'diff:conflict-resolved',
+	MERGE_COMPLETED: 'diff:merge-completed',
+	MERGE_CANCELLED: 'diff:merge-cancelled',
+	CLOSED: 'diff:closed',
+	FAILED: 'diff:failed',
+	
+	// Diff operations
+	COMPARE: 'diff:compare',
+	MERGE: 'diff:merge'
+};
+
 // =====================================
 // ELEMENT EVENTS
 // =====================================
@@ -44,10 +286,13 @@ export const ELEMENT_EVENTS = {
 	REMOVED: 'element:removed',
 	MOVED: 'element:moved',
 	RESIZED: 'element:resized',
+	ROTATED: 'element:rotated',
 	CREATED: 'element:created',
 	
 	// Element operations
 	CREATE: 'element:create',
+	RESIZE: 'element:resize',
+	ROTATE: 'element:rotate',
 	
 	// Validation events
 	VALIDATE_MOVE: 'element:validate-move',
@@ -62,11 +307,17 @@ export const LINK_EVENTS = {
 	REMOVED: 'link:removed',
 	CONNECTED: 'link:connected',
 	DISCONNECTED: 'link:disconnected',
+	EDITING_STARTED: 'link:editing-started',
+	EDITING_FINISHED: 'link:editing-finished',
+	PATH_CHANGED: 'link:path-changed',
 	
 	// Link operations
 	CREATE: 'link:create',
 	CONNECT: 'link:connect',
-	DISCONNECT: 'link:disconnect'
+	DISCONNECT: 'link:disconnect',
+	EDIT: 'link:edit',
+	FINISH_EDITING: 'link:finish-editing',
+	CHANGE_PATH: 'link:change-path'
 };
 
 // =====================================
@@ -103,6 +354,7 @@ export const PAPER_EVENTS = {
 	ELEMENT_POINTERUP: 'paper:element-pointerup',
 	ELEMENT_POINTERMOVE: 'paper:element-pointermove',
 	ELEMENT_CLICK: 'paper:element-click',
+	ELEMENT_DBLCLICK: 'paper:element-dblclick',
 	ELEMENT_CONTEXTMENU: 'paper:element-contextmenu',
 	ELEMENT_MOUSEENTER: 'paper:element-mouseenter',
 	ELEMENT_MOUSELEAVE: 'paper:element-mouseleave',
@@ -112,6 +364,7 @@ export const PAPER_EVENTS = {
 	LINK_POINTERUP: 'paper:link-pointerup',
 	LINK_POINTERMOVE: 'paper:link-pointermove',
 	LINK_CLICK: 'paper:link-click',
+	LINK_DBLCLICK: 'paper:link-dblclick',
 	LINK_CONTEXTMENU: 'paper:link-contextmenu',
 	LINK_CONNECT: 'paper:link-connect',
 	LINK_DISCONNECT: 'paper:link-disconnect',
@@ -132,7 +385,9 @@ export const CANVAS_EVENTS = {
 	ZOOM: 'canvas:zoom',
 	PAN: 'canvas:pan',
 	FIT_CONTENT: 'canvas:fit-content',
-	RESET_VIEW: 'canvas:reset-view'
+	RESET_VIEW: 'canvas:reset-view',
+	ZOOM_TO_SELECTION: 'canvas:zoom-to-selection',
+	SET_INFINITE: 'canvas:set-infinite'
 };
 
 // =====================================
@@ -256,6 +511,7 @@ export const COMMAND_EVENTS = {
 	VALIDATION_FAILED: 'command:validation-failed',
 	EXECUTION_FAILED: 'command:execution-failed',
 	EXECUTION_ERROR: 'command:execution-error',
+	REJECTED: 'command:rejected',
 	UNDO_FAILED: 'command:undo-failed',
 	UNDO_ERROR: 'command:undo-error',
 	REDO_FAILED: 'command:redo-failed',
@@ -267,6 +523,7 @@ export const COMMAND_EVENTS = {
 	
 	// History management
 	HISTORY_CLEARED: 'command:history-cleared',
+	HISTORY_RESTORED: 'command:history-restored',
 	MANAGER_DESTROYED: 'command:manager-destroyed'
 };
 
@@ -334,7 +591,11 @@ export const PLUGIN_EVENTS = {
 	
 	// Connection plugin
 	CONNECTION_MODE_CHANGED: 'plugin:connection-mode-changed',
-	MULTIPLE_CONNECTIONS_CREATED: 'plugin:multiple-connections-created'
+	MULTIPLE_CONNECTIONS_CREATED: 'plugin:multiple-connections-created',
+	
+	// Line jumps plugin
+	LINE_JUMPS_CHANGED: 'plugin:line-jumps-changed',
+	SET_LINE_JUMPS: 'plugin:set-line-jumps'
 };
 
 // =====================================
@@ -381,6 +642,22 @@ export function getAllEventTypes() {
 	const eventCategories = [
 		EDITOR_EVENTS,
 		GRAPH_EVENTS,
+		DOCUMENT_EVENTS,
+		EXPORT_EVENTS,
+		CLIPBOARD_EVENTS,
+		HISTORY_EVENTS,
+		AUTOSAVE_EVENTS,
+		LAYOUT_EVENTS,
+		SHAPE_EVENTS,
+		LABEL_EVENTS,
+		ROUTING_EVENTS,
+		PROPERTIES_EVENTS,
+		LAYER_EVENTS,
+		STENCIL_EVENTS,
+		COLLABORATION_EVENTS,
+		PRESENCE_EVENTS,
+		COMMENT_EVENTS,
+		DIFF_EVENTS,
 		ELEMENT_EVENTS,
 		LINK_EVENTS,
 		CELL_EVENTS,
@@ -417,6 +694,22 @@ export function getEventsByCategory(categoryName) {
 	const categories = {
 		editor: EDITOR_EVENTS,
 		graph: GRAPH_EVENTS,
+		document: DOCUMENT_EVENTS,
+		export: EXPORT_EVENTS,
+		clipboard: CLIPBOARD_EVENTS,
+		history: HISTORY_EVENTS,
+		autosave: AUTOSAVE_EVENTS,
+		layout: LAYOUT_EVENTS,
+		shape: SHAPE_EVENTS,
+		label: LABEL_EVENTS,
+		routing: ROUTING_EVENTS,
+		properties: PROPERTIES_EVENTS,
+		layers: LAYER_EVENTS,
+		stencil: STENCIL_EVENTS,
+		collaboration: COLLABORATION_EVENTS,
+		presence: PRESENCE_EVENTS,
+		comments: COMMENT_EVENTS,
+		diff: DIFF_EVENTS,
 		element: ELEMENT_EVENTS,
 		link: LINK_EVENTS,
 		cell: CELL_EVENTS,
@@ -473,6 +766,22 @@ export function getEventCategories() {
 	return [
 		'editor',
 		'graph',
+		'document',
+		'export',
+		'clipboard',
+		'history',
+		'autosave',
+		'layout',
+		'shape',
+		'label',
+		'routing',
+		'properties',
+		'layers',
+		'stencil',
+		'collaboration',
+		'presence',
+		'comments',
+		'diff',
 		'element',
 		'link',
 		'cell',
@@ -565,6 +874,22 @@ export const UI_UPDATE_EVENTS = [
 export default {
 	EDITOR_EVENTS,
 	GRAPH_EVENTS,
+	DOCUMENT_EVENTS,
+	EXPORT_EVENTS,
+	CLIPBOARD_EVENTS,
+	HISTORY_EVENTS,
+	AUTOSAVE_EVENTS,
+	LAYOUT_EVENTS,
+	SHAPE_EVENTS,
+	LABEL_EVENTS,
+	ROUTING_EVENTS,
+	PROPERTIES_EVENTS,
+	LAYER_EVENTS,
+	STENCIL_EVENTS,
+	COLLABORATION_EVENTS,
+	PRESENCE_EVENTS,
+	COMMENT_EVENTS,
+	DIFF_EVENTS,
 	ELEMENT_EVENTS,
 	LINK_EVENTS,
 	CELL_EVENTS,
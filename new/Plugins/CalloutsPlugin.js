@@ -11,6 +11,7 @@ export class CalloutsPlugin {
 		this.initialized = false;
 		this.callouts = new Map();
 		this.editingOverlay = null;
+		this.cancelOverlayEditing = null;
 		this.paperElement = null;
 		this.enabled = true;
 		
@@ -18,15 +19,15 @@ export class CalloutsPlugin {
 	}
 
 	/**
-	 * Initializes the callouts plugin
+	 * Initializes the callouts plugin on the canvas of the editor
 	 */
-	init() {
+	init(editor = null) {
 		if (this.initialized) {
 			console.warn('CalloutsPlugin: Already initialized');
 			return;
 		}
 
-		this.findPaperElement();
+		this.findPaperElement(editor ? editor.getCanvasElement() : null);
 		this.setupCalloutStyles();
 		this.syncPluginState();
 		this.initialized = true;
@@ -40,8 +41,8 @@ export class CalloutsPlugin {
 	/**
 	 * Locates the paper element for overlay positioning
 	 */
-	findPaperElement() {
-		this.paperElement = document.querySelector('#ddrCanvas');
+	findPaperElement(canvasElement = null) {
+		this.paperElement = canvasElement || document.querySelector('#ddrCanvas');
 		if (!this.paperElement) {
 			throw new Error('CalloutsPlugin: Canvas element not found');
 		}
@@ -153,10 +154,12 @@ export class CalloutsPlugin {
 	 */
 	bindEventHandlers() {
 		this.eventBus.on('callout:add', (event) => {
+			if (this.isReadOnly()) return;
 			this.addCallout(event.target);
 		});
 
 		this.eventBus.on('callout:remove', (event) => {
+			if (this.isReadOnly()) return;
 			this.removeCallout(event.target, event.calloutId);
 		});
 
@@ -179,6 +182,19 @@ export class CalloutsPlugin {
 		this.eventBus.on('state:plugins.callouts:changed', (event) => {
 			this.updatePluginState(event.newValue);
 		});
+
+		this.eventBus.on('state:app.readOnly:changed', (event) => {
+			if (event.data.newValue && this.cancelOverlayEditing) {
+				this.cancelOverlayEditing();
+			}
+		});
+	}
+
+	/**
+	 * Checks whether the diagram is shown read-only
+	 */
+	isReadOnly() {
+		return Boolean(this.stateStore.get('app.readOnly'));
 	}
 
 	/**
@@ -235,8 +251,8 @@ export class CalloutsPlugin {
 		
 		const startX = bbox.x + bbox.width;
 		const startY = bbox.y + bbox.height / 2;
-		const midX = startX + 40;
-		const midY = startY - 30;
+		let midX = startX + 40;
+		let midY = startY - 30;
 
 		if (customPosition) {
 			midX = customPosition.x;
@@ -403,6 +419,7 @@ export class CalloutsPlugin {
 		this.paperElement.appendChild(outerContainer);
 
 		innerContainer.addEventListener('dblclick', (event) => {
+			if (this.isReadOnly()) return;
 			event.stopPropagation();
 			this.startEditingOverlay(innerContainer);
 		});
@@ -423,10 +440,10 @@ export class CalloutsPlugin {
 	}
 
 	/**
-	 * Starts editing a text overlay
+	 * Starts editing a text overlay; callouts are not editable in read-only mode
 	 */
 	startEditingOverlay(overlay) {
-		if (!overlay || this.editingOverlay) return;
+		if (!overlay || this.editingOverlay || this.isReadOnly()) return;
 
 		const currentText = overlay.textContent;
 		const isPlaceholder = currentText === 'Enter text...';
@@ -457,6 +474,13 @@ export class CalloutsPlugin {
 
 		const finishEditing = () => {
 			if (isFinished || !editableDiv.parentNode) return;
+
+			// The diagram became read-only while editing: the text is dropped
+			if (this.isReadOnly()) {
+				cancelEditing();
+				return;
+			}
+
 			isFinished = true;
 
 			const newText = editableDiv.value.trim() || 'Enter text...';
@@ -466,6 +490,7 @@ export class CalloutsPlugin {
 			this.paperElement.removeChild(editableDiv);
 
 			this.editingOverlay = null;
+			this.cancelOverlayEditing = null;
 			this.stateStore.set('plugins.callouts.editing', null);
 
 			this.updateCalloutForElement(overlay);
@@ -487,11 +512,14 @@ export class CalloutsPlugin {
 			this.paperElement.removeChild(editableDiv);
 			
 			this.editingOverlay = null;
+			this.cancelOverlayEditing = null;
 			this.stateStore.set('plugins.callouts.editing', null);
 			
 			document.removeEventListener('click', outsideClickHandler);
 		};
 
+		this.cancelOverlayEditing = cancelEditing;
+
 		const outsideClickHandler = (event) => {
 			if (!editableDiv.contains(event.target)) {
 				finishEditing();
@@ -504,7 +532,9 @@ export class CalloutsPlugin {
 
 		editableDiv.addEventListener('blur', finishEditing);
 		editableDiv.addEventListener('keydown', (event) => {
-			if (event.key === 'Enter' && !event.shiftKey) {
+			if (this.isReadOnly()) {
+				cancelEditing();
+			} else if (event.key === 'Enter' && !event.shiftKey) {
 				event.preventDefault();
 				finishEditing();
 			} else if (event.key === 'Escape') {
@@ -705,6 +735,28 @@ export class CalloutsPlugin {
 		);
 	}
 
+	/**
+	 * Gets the areas covered by the text of element callouts, in paper coordinates
+	 * Callouts of links move with their labels and are left out
+	 */
+	getCalloutBounds(element = null) {
+		return Array.from(this.callouts.values())
+			.filter(callout => callout.targetType === 'element' && callout.textOverlay && callout.midPosition)
+			.filter(callout => !element || callout.target === element)
+			.map(callout => {
+				const width = callout.textOverlay.offsetWidth || 100;
+				const height = callout.textOverlay.offsetHeight || 16;
+
+				// The text sits 5px above the horizontal leader line, which is 10px wider than the text
+				return {
+					x: callout.midPosition.x,
+					y: callout.midPosition.y - height - 5,
+					width: width + 10,
+					height: height + 5
+				};
+			});
+	}
+
 	/**
 	 * Finds callout by text overlay
 	 */
@@ -745,6 +797,75 @@ export class CalloutsPlugin {
 		element.prop('callouts', []);
 	}
 
+	/**
+	 * Exports callouts as plain records for document serialization
+	 */
+	exportCallouts() {
+		return Array.from(this.callouts.values()).map(callout => ({
+			id: callout.id,
+			targetId: callout.target.id,
+			targetType: callout.targetType,
+			text: callout.text
+		}));
+	}
+
+	/**
+	 * Restores callouts from document records after the graph has been loaded
+	 */
+	restoreCallouts(records = []) {
+		this.clearCallouts();
+
+		this.graphService.graph.getElements().forEach(element => {
+			this.clearElementCallouts(element);
+		});
+
+		records.filter(record => record.targetType === 'element').forEach(record => {
+			const element = this.graphService.getElementById(record.targetId);
+			if (element) {
+				this.addCallout(element, { text: record.text, autoEdit: false });
+			}
+		});
+
+		this.graphService.graph.getLinks().forEach(link => {
+			this.registerLinkCallouts(link);
+		});
+	}
+
+	/**
+	 * Registers callouts stored as labels on a link that was added from JSON
+	 */
+	registerLinkCallouts(link) {
+		const calloutIds = [];
+
+		(link.prop('labels') || []).forEach((label, labelIndex) => {
+			if (!label.calloutId) return;
+
+			this.callouts.set(label.calloutId, {
+				id: label.calloutId,
+				target: link,
+				targetType: 'link',
+				text: label.attrs && label.attrs.calloutText ? label.attrs.calloutText.text : '',
+				labelIndex,
+				position: label.position,
+				created: Date.now()
+			});
+			calloutIds.push(label.calloutId);
+		});
+
+		return calloutIds;
+	}
+
+	/**
+	 * Removes all callout overlays without touching graph cells
+	 */
+	clearCallouts() {
+		Array.from(this.callouts.values()).forEach(callout => {
+			this.destroyCallout(callout);
+		});
+
+		this.callouts.clear();
+	}
+
 	/**
 	 * Generates unique callout identifier
 	 */
@@ -797,6 +918,7 @@ export class CalloutsPlugin {
 		if (this.editingOverlay && this.editingOverlay.parentNode) {
 			this.editingOverlay.parentNode.removeChild(this.editingOverlay);
 		}
+		this.cancelOverlayEditing = null;
 
 		const styleElement = document.getElementById('callouts-plugin-styles');
 		if (styleElement && styleElement.parentNode) {
@@ -1,4 +1,18 @@
 import { PLUGIN_EVENTS, LINK_EVENTS, PAPER_EVENTS, STATE_EVENTS } from '../Events/EventTypes.js';
+import { createRouter, createConnector } from '../Services/RoutingService.js';
+import { SMART_ROUTER } from '../Services/SmartRouter.js';
+
+/**
+ * Moves a template connection to its lane, keeping the other router args
+ * The smart router shifts the route sideways; stock routers only get a different padding
+ */
+function withLane(router, offset, bundle) {
+	if (router.name === SMART_ROUTER) {
+		return { ...router, args: { ...router.args, offset, bundle } };
+	}
+
+	return { ...router, args: { ...router.args, padding: offset } };
+}
 
 /**
  * ConnectionPlugin - Manages multiple connection modes and advanced linking features
@@ -84,8 +98,8 @@ export class ConnectionPlugin {
 				return [{
 					source: source,
 					target: target,
-					router: options.router || { name: 'manhattan' },
-					connector: options.connector || { name: 'rounded' },
+					router: options.router,
+					connector: options.connector,
 					attrs: options.attrs || {}
 				}];
 			}
@@ -98,15 +112,15 @@ export class ConnectionPlugin {
 					{
 						source: source,
 						target: target,
-						router: { name: 'manhattan', args: { padding: spacing } },
-						connector: { name: 'rounded' },
+						router: withLane(options.router, spacing, spacing),
+						connector: options.connector,
 						attrs: { line: { strokeDasharray: '0', ...options.attrs } }
 					},
 					{
 						source: source,
 						target: target,
-						router: { name: 'manhattan', args: { padding: -spacing } },
-						connector: { name: 'rounded' },
+						router: withLane(options.router, -spacing, spacing),
+						connector: options.connector,
 						attrs: { line: { strokeDasharray: '5,5', ...options.attrs } }
 					}
 				];
@@ -120,22 +134,22 @@ export class ConnectionPlugin {
 					{
 						source: source,
 						target: target,
-						router: { name: 'manhattan', args: { padding: 0 } },
-						connector: { name: 'rounded' },
+						router: withLane(options.router, 0, spacing),
+						connector: options.connector,
 						attrs: { line: { strokeWidth: 2, ...options.attrs } }
 					},
 					{
 						source: source,
 						target: target,
-						router: { name: 'manhattan', args: { padding: spacing } },
-						connector: { name: 'rounded' },
+						router: withLane(options.router, spacing, spacing),
+						connector: options.connector,
 						attrs: { line: { strokeWidth: 1.5, strokeDasharray: '3,3', ...options.attrs } }
 					},
 					{
 						source: source,
 						target: target,
-						router: { name: 'manhattan', args: { padding: -spacing } },
-						connector: { name: 'rounded' },
+						router: withLane(options.router, -spacing, spacing),
+						connector: options.connector,
 						attrs: { line: { strokeWidth: 1.5, strokeDasharray: '3,3', ...options.attrs } }
 					}
 				];
@@ -149,29 +163,29 @@ export class ConnectionPlugin {
 					{
 						source: source,
 						target: target,
-						router: { name: 'manhattan', args: { padding: spacing } },
-						connector: { name: 'rounded' },
+						router: withLane(options.router, spacing / 2, spacing * 1.5),
+						connector: options.connector,
 						attrs: { line: { strokeWidth: 2, ...options.attrs } }
 					},
 					{
 						source: source,
 						target: target,
-						router: { name: 'manhattan', args: { padding: -spacing } },
-						connector: { name: 'rounded' },
+						router: withLane(options.router, -spacing / 2, spacing * 1.5),
+						connector: options.connector,
 						attrs: { line: { strokeWidth: 2, ...options.attrs } }
 					},
 					{
 						source: source,
 						target: target,
-						router: { name: 'orthogonal', args: { padding: spacing * 1.5 } },
-						connector: { name: 'rounded' },
+						router: withLane(options.router, spacing * 1.5, spacing * 1.5),
+						connector: options.connector,
 						attrs: { line: { strokeWidth: 1, strokeDasharray: '2,2', ...options.attrs } }
 					},
 					{
 						source: source,
 						target: target,
-						router: { name: 'orthogonal', args: { padding: -spacing * 1.5 } },
-						connector: { name: 'rounded' },
+						router: withLane(options.router, -spacing * 1.5, spacing * 1.5),
+						connector: options.connector,
 						attrs: { line: { strokeWidth: 1, strokeDasharray: '2,2', ...options.attrs } }
 					}
 				];
@@ -226,6 +240,10 @@ export class ConnectionPlugin {
 		if (!this.enabled || this.connectionMode === 1) return;
 
 		const link = event.link;
+
+		// Reconnecting an edited link must not replace it with multiple connections
+		if (link && link.id === this.stateStore.get('connections.editingLinkId')) return;
+
 		const sourceElement = link.getSourceElement();
 		const targetElement = link.getTargetElement();
 
@@ -292,8 +310,8 @@ export class ConnectionPlugin {
 
 		const connectionOptions = {
 			spacing: modeConfig.spacing,
-			router: { name: this.stateStore.get('connections.router') || 'manhattan' },
-			connector: { name: this.stateStore.get('connections.connector') || 'rounded' },
+			router: createRouter(this.stateStore.get('connections.router')),
+			connector: createConnector(this.stateStore.get('connections.connector')),
 			attrs: originalLink.get('attrs') || {}
 		};
 
@@ -384,8 +402,8 @@ export class ConnectionPlugin {
 
 		const connectionOptions = {
 			spacing: modeConfig.spacing,
-			router: options.router || { name: 'manhattan' },
-			connector: options.connector || { name: 'rounded' },
+			router: options.router || createRouter(this.stateStore.get('connections.router')),
+			connector: options.connector || createConnector(this.stateStore.get('connections.connector')),
 			attrs: options.attrs || {}
 		};
 
@@ -4,10 +4,11 @@ import { PLUGIN_EVENTS, ELEMENT_EVENTS, PAPER_EVENTS, UI_EVENTS } from '../Event
  * GuidelinesPlugin - Advanced guidelines system with smart snapping and visual feedback
  */
 export class GuidelinesPlugin {
-	constructor(eventBus, stateStore, paperService) {
+	constructor(eventBus, stateStore, paperService, layerService) {
 		this.eventBus = eventBus;
 		this.stateStore = stateStore;
 		this.paperService = paperService;
+		this.layerService = layerService;
 		this.initialized = false;
 		this.enabled = true;
 		this.snapEnabled = true;
@@ -887,12 +888,15 @@ export class GuidelinesPlugin {
 	}
 
 	/**
-	 * Gets all elements from the graph
+	 * Gets all elements from the graph, except those of locked and hidden layers
 	 */
 	getAllElements() {
 		try {
 			const graphService = this.stateStore.get('services.graphService');
-			return graphService ? graphService.graph.getElements() : [];
+			const elements = graphService ? graphService.graph.getElements() : [];
+			return elements.filter(element =>
+				!this.layerService.isCellLocked(element) && this.layerService.isCellVisible(element)
+			);
 		} catch {
 			return [];
 		}
@@ -0,0 +1,608 @@
+import { PLUGIN_EVENTS, ROUTING_EVENTS } from '../Events/EventTypes.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Jump styles drawn where a link crosses a lower one
+ */
+export const LINE_JUMP_STYLES = {
+	arc: { title: 'Arc' },
+	gap: { title: 'Gap' },
+	cubic: { title: 'Cubic' }
+};
+
+/**
+ * Jump sizes offered in the menus, in pixels
+ */
+export const LINE_JUMP_SIZES = {
+	small: { title: 'Small', size: 4 },
+	medium: { title: 'Medium', size: 6 },
+	large: { title: 'Large', size: 10 }
+};
+
+export const DEFAULT_LINE_JUMPS = { enabled: false, style: 'arc', size: 6 };
+
+const MIN_JUMP_SIZE = 2;
+const MAX_JUMP_SIZE = 20;
+
+/**
+ * Link attributes that change the route or the look of a link
+ */
+const LINK_CHANGE_EVENTS = 'change:source change:target change:vertices change:router change:connector change:attrs change:z';
+
+/**
+ * Element attributes that move the links connected to it
+ */
+const ELEMENT_CHANGE_EVENTS = 'change:position change:size change:angle';
+
+/**
+ * Finds the crossing point of segments ab and cd
+ */
+function intersectSegments(a, b, c, d) {
+	const r = { x: b.x - a.x, y: b.y - a.y };
+	const s = { x: d.x - c.x, y: d.y - c.y };
+	const denominator = r.x * s.y - r.y * s.x;
+
+	// Parallel and overlapping segments do not cross
+	if (Math.abs(denominator) < 1e-9) {
+		return null;
+	}
+
+	const t = ((c.x - a.x) * s.y - (c.y - a.y) * s.x) / denominator;
+	const u = ((c.x - a.x) * r.y - (c.y - a.y) * r.x) / denominator;
+
+	if (t < 0 || t > 1 || u < 0 || u > 1) {
+		return null;
+	}
+
+	return { x: a.x + t * r.x, y: a.y + t * r.y, t, u };
+}
+
+/**
+ * Gets the unit direction of a segment
+ */
+function direction(a, b) {
+	const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+	return { x: (b.x - a.x) / length, y: (b.y - a.y) / length };
+}
+
+/**
+ * Checks whether two bounding boxes overlap
+ */
+function boxesOverlap(a, b) {
+	return a.x <= b.x + b.width && b.x <= a.x + a.width && a.y <= b.y + b.height && b.y <= a.y + a.height;
+}
+
+/**
+ * Formats a number for path data
+ */
+function round(value) {
+	return Math.round(value * 100) / 100;
+}
+
+/**
+ * LineJumpsPlugin - Draws jumps (hops) where links cross each other
+ *
+ * Of two crossing links the one on top (higher z, then id) jumps over the other one.
+ * Jumps are drawn as an overlay above the links instead of changing their connectors:
+ * the route of the upper link is masked with the canvas background, the lower link is
+ * patched back in and the jump is drawn with the stroke of the upper link.
+ *
+ * Routes are cached per link. Model changes only mark links as dirty; once per frame the
+ * dirty links are re-measured and only the jumps of links whose routes overlap their old
+ * or new route are redrawn.
+ */
+export class LineJumpsPlugin {
+	constructor(eventBus, stateStore, paperService, graphService) {
+		this.eventBus = eventBus;
+		this.stateStore = stateStore;
+		this.paperService = paperService;
+		this.graphService = graphService;
+		this.initialized = false;
+		this.debugMode = false;
+		this.layer = null;
+		this.routes = new Map();
+		this.overlays = new Map();
+		this.dirtyLinks = new Set();
+		this.frameRequest = null;
+		this.renderCount = 0;
+
+		this.handleElementChange = this.handleElementChange.bind(this);
+		this.handleLinkChange = this.handleLinkChange.bind(this);
+		this.handleCellAdd = this.handleCellAdd.bind(this);
+		this.handleCellRemove = this.handleCellRemove.bind(this);
+		this.refresh = this.refresh.bind(this);
+		this.flush = this.flush.bind(this);
+
+		this.bindEventHandlers();
+	}
+
+	/**
+	 * Initializes the line jumps plugin
+	 */
+	init() {
+		if (this.initialized) {
+			console.warn('LineJumpsPlugin: Already initialized');
+			return;
+		}
+
+		this.createLayer();
+		this.bindGraphEvents();
+		this.initialized = true;
+		this.refresh();
+
+		this.eventBus.emit(PLUGIN_EVENTS.INITIALIZED, {
+			plugin: 'lineJumps',
+			timestamp: Date.now()
+		});
+	}
+
+	/**
+	 * Binds plugin to option requests and state changes
+	 */
+	bindEventHandlers() {
+		this.eventBus.on(PLUGIN_EVENTS.SET_LINE_JUMPS, (event) => {
+			this.setOptions(event.data || {});
+		});
+
+		// Covers the menus, the toolbar and document loading
+		this.eventBus.on('state:connections.lineJumps:changed', () => {
+			this.refresh();
+			this.eventBus.emit(PLUGIN_EVENTS.LINE_JUMPS_CHANGED, this.getOptions());
+		});
+
+		// Masks are painted with the background, which documents set in a batch
+		this.eventBus.on('state:canvas.background:changed', this.refresh);
+		this.eventBus.on('state:batch-changed', (event) => {
+			const changes = event.data.changes || [];
+			if (changes.some(change => change.path === 'canvas.background')) {
+				this.refresh();
+			}
+		});
+
+		// Links re-routed around obstacles change their route without a model change
+		this.eventBus.on(ROUTING_EVENTS.ROUTES_UPDATED, (event) => {
+			if (this.isEnabled()) {
+				event.data.links.forEach(link => this.markDirty(link));
+			}
+		});
+	}
+
+	/**
+	 * Subscribes to the graph changes that move links
+	 */
+	bindGraphEvents() {
+		const graph = this.graphService.graph;
+		if (!graph) return;
+
+		graph.on(ELEMENT_CHANGE_EVENTS, this.handleElementChange);
+		graph.on(LINK_CHANGE_EVENTS, this.handleLinkChange);
+		graph.on('add', this.handleCellAdd);
+		graph.on('remove', this.handleCellRemove);
+		graph.on('reset', this.refresh);
+	}
+
+	/**
+	 * Unsubscribes from the graph
+	 */
+	unbindGraphEvents() {
+		const graph = this.graphService.graph;
+		if (!graph) return;
+
+		graph.off(ELEMENT_CHANGE_EVENTS, this.handleElementChange);
+		graph.off(LINK_CHANGE_EVENTS, this.handleLinkChange);
+		graph.off('add', this.handleCellAdd);
+		graph.off('remove', this.handleCellRemove);
+		graph.off('reset', this.refresh);
+	}
+
+	/**
+	 * Creates the SVG layer holding the jumps above the links
+	 */
+	createLayer() {
+		const paper = this.paperService.paper;
+		if (!paper) return;
+
+		const parent = paper.layers || paper.viewport;
+		if (!parent) return;
+
+		this.layer = document.createElementNS(SVG_NS, 'g');
+		this.layer.setAttribute('class', 'line-jumps-layer');
+		this.layer.setAttribute('pointer-events', 'none');
+		parent.appendChild(this.layer);
+	}
+
+	/**
+	 * Gets the line jump options
+	 */
+	getOptions() {
+		return { ...DEFAULT_LINE_JUMPS, ...(this.stateStore.get('connections.lineJumps') || {}) };
+	}
+
+	/**
+	 * Changes the line jump options; undefined values are kept
+	 */
+	setOptions({ enabled, style, size } = {}) {
+		if (style !== undefined && !LINE_JUMP_STYLES[style]) {
+			console.error('LineJumpsPlugin: Unknown jump style', style);
+			return false;
+		}
+
+		if (size !== undefined && (!Number.isFinite(size) || size < MIN_JUMP_SIZE || size > MAX_JUMP_SIZE)) {
+			console.error('LineJumpsPlugin: Jump size must be between', MIN_JUMP_SIZE, 'and', MAX_JUMP_SIZE);
+			return false;
+		}
+
+		const options = this.getOptions();
+		this.stateStore.set('connections.lineJumps', {
+			enabled: enabled === undefined ? options.enabled : Boolean(enabled),
+			style: style === undefined ? options.style : style,
+			size: size === undefined ? options.size : size
+		});
+
+		return true;
+	}
+
+	/**
+	 * Enables or disables line jumps
+	 */
+	setEnabled(enabled) {
+		return this.setOptions({ enabled });
+	}
+
+	/**
+	 * Checks whether line jumps are drawn
+	 */
+	isEnabled() {
+		return this.initialized && this.getOptions().enabled;
+	}
+
+	/**
+	 * Marks the links of a moved element as dirty
+	 */
+	handleElementChange(element) {
+		if (!this.isEnabled() || !element.isElement()) return;
+
+		this.graphService.graph.getConnectedLinks(element).forEach(link => this.markDirty(link));
+	}
+
+	/**
+	 * Marks a changed link as dirty
+	 */
+	handleLinkChange(link) {
+		if (!this.isEnabled() || !link.isLink()) return;
+
+		this.markDirty(link);
+	}
+
+	/**
+	 * Marks an added link as dirty
+	 */
+	handleCellAdd(cell) {
+		if (!this.isEnabled() || !cell.isLink()) return;
+
+		this.markDirty(cell);
+	}
+
+	/**
+	 * Removes the jumps of a removed link and redraws the links it crossed
+	 */
+	handleCellRemove(cell) {
+		if (!this.isEnabled() || !cell.isLink()) return;
+
+		this.markDirty(cell);
+	}
+
+	/**
+	 * Queues a link for re-measuring in the next frame
+	 */
+	markDirty(link) {
+		this.dirtyLinks.add(link.id);
+
+		if (this.frameRequest === null) {
+			this.frameRequest = requestAnimationFrame(this.flush);
+		}
+	}
+
+	/**
+	 * Re-measures the dirty links and redraws the jumps they affect
+	 */
+	flush() {
+		this.frameRequest = null;
+		if (!this.isEnabled() || this.dirtyLinks.size === 0) return;
+
+		const graph = this.graphService.graph;
+		const affected = new Set();
+
+		this.dirtyLinks.forEach(linkId => {
+			const previous = this.routes.get(linkId);
+			const link = graph.getCell(linkId);
+			const route = link ? this.measureRoute(link) : null;
+
+			if (route) {
+				this.routes.set(linkId, route);
+				affected.add(linkId);
+			} else {
+				this.routes.delete(linkId);
+				this.removeOverlay(linkId);
+			}
+
+			[previous, route].filter(Boolean).forEach(box => {
+				this.routes.forEach((other, otherId) => {
+					if (boxesOverlap(box.bbox, other.bbox)) {
+						affected.add(otherId);
+					}
+				});
+			});
+		});
+
+		this.dirtyLinks.clear();
+		affected.forEach(linkId => this.renderJumps(linkId));
+	}
+
+	/**
+	 * Re-measures and redraws all links
+	 */
+	refresh() {
+		if (this.frameRequest !== null) {
+			cancelAnimationFrame(this.frameRequest);
+			this.frameRequest = null;
+		}
+
+		this.dirtyLinks.clear();
+		this.routes.clear();
+		this.clearOverlays();
+
+		if (!this.isEnabled() || !this.graphService.graph) return;
+
+		const links = this.graphService.graph.getLinks();
+		links.forEach(link => {
+			const route = this.measureRoute(link);
+			if (route) {
+				this.routes.set(link.id, route);
+			}
+		});
+
+		this.routes.forEach((route, linkId) => this.renderJumps(linkId));
+	}
+
+	/**
+	 * Measures the rendered route of a link as a polyline
+	 */
+	measureRoute(link) {
+		const linkView = this.paperService.paper ? this.paperService.paper.findViewByModel(link) : null;
+		if (!linkView) return null;
+
+		const connection = linkView.getConnection();
+		if (!connection) return null;
+
+		const subpaths = connection.toPoints({ precision: 1 }) || [];
+		const points = subpaths.length > 0 ? subpaths[0].map(point => ({ x: point.x, y: point.y })) : [];
+		if (points.length < 2) return null;
+
+		const xs = points.map(point => point.x);
+		const ys = points.map(point => point.y);
+		const x = Math.min(...xs);
+		const y = Math.min(...ys);
+
+		return {
+			points,
+			bbox: { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y },
+			z: link.get('z') || 0,
+			stroke: link.attr('line/stroke') || '#333333',
+			strokeWidth: Number(link.attr('line/strokeWidth')) || 2
+		};
+	}
+
+	/**
+	 * Checks whether the first link is drawn above the second one
+	 */
+	isAbove(linkId, route, otherId, otherRoute) {
+		return route.z !== otherRoute.z ? route.z > otherRoute.z : String(linkId) > String(otherId);
+	}
+
+	/**
+	 * Finds where a link crosses the links below it, ordered along the link
+	 */
+	findCrossings(linkId) {
+		const route = this.routes.get(linkId);
+		const { size } = this.getOptions();
+		const crossings = [];
+
+		this.routes.forEach((other, otherId) => {
+			if (otherId === linkId || !this.isAbove(linkId, route, otherId, other) || !boxesOverlap(route.bbox, other.bbox)) {
+				return;
+			}
+
+			let offset = 0;
+			for (let i = 0; i < route.points.length - 1; i++) {
+				const a = route.points[i];
+				const b = route.points[i + 1];
+				const segmentLength = Math.hypot(b.x - a.x, b.y - a.y);
+
+				for (let j = 0; j < other.points.length - 1; j++) {
+					const c = other.points[j];
+					const d = other.points[j + 1];
+					const point = intersectSegments(a, b, c, d);
+					if (!point) continue;
+
+					crossings.push({
+						x: point.x,
+						y: point.y,
+						distance: offset + point.t * segmentLength,
+						upper: direction(a, b),
+						lower: direction(c, d),
+						other
+					});
+				}
+
+				offset += segmentLength;
+			}
+		});
+
+		const length = route.points.reduce((total, point, index) => {
+			const next = route.points[index + 1];
+			return next ? total + Math.hypot(next.x - point.x, next.y - point.y) : total;
+		}, 0);
+
+		// Crossings at the link ends and jumps that would overlap are skipped
+		let lastDistance = -Infinity;
+		return crossings
+			.sort((a, b) => a.distance - b.distance)
+			.filter(crossing => {
+				if (crossing.distance < size * 2 || crossing.distance > length - size * 2) return false;
+				if (crossing.distance - lastDistance < size * 2) return false;
+				lastDistance = crossing.distance;
+				return true;
+			});
+	}
+
+	/**
+	 * Draws the jumps of a link
+	 */
+	renderJumps(linkId) {
+		this.removeOverlay(linkId);
+
+		const route = this.routes.get(linkId);
+		if (!route || !this.layer) return;
+
+		const crossings = this.findCrossings(linkId);
+		if (crossings.length === 0) return;
+
+		const group = document.createElementNS(SVG_NS, 'g');
+		group.setAttribute('class', 'line-jumps');
+		group.setAttribute('data-jumps-link-id', linkId);
+
+		crossings.forEach(crossing => this.renderJump(group, route, crossing));
+
+		this.layer.appendChild(group);
+		this.overlays.set(linkId, group);
+		this.renderCount++;
+	}
+
+	/**
+	 * Draws a single jump: a background mask, a patch of the lower link and the hop
+	 */
+	renderJump(group, route, crossing) {
+		const { style, size } = this.getOptions();
+		const background = this.stateStore.get('canvas.background') || '#ffffff';
+
+		// Jumps always bulge to the same side regardless of the link direction
+		const upper = crossing.upper.x < 0 || (crossing.upper.x === 0 && crossing.upper.y < 0)
+			? { x: -crossing.upper.x, y: -crossing.upper.y }
+			: crossing.upper;
+		const start = { x: crossing.x - upper.x * size, y: crossing.y - upper.y * size };
+		const end = { x: crossing.x + upper.x * size, y: crossing.y + upper.y * size };
+
+		group.appendChild(this.createPath(
+			`M ${round(start.x)} ${round(start.y)} L ${round(end.x)} ${round(end.y)}`,
+			{ stroke: background, 'stroke-width': route.strokeWidth + 2 }
+		));
+
+		const sine = Math.abs(upper.x * crossing.lower.y - upper.y * crossing.lower.x);
+		const patch = Math.min(size * 2, (route.strokeWidth / 2 + 1) / Math.max(sine, 0.2) + 1);
+		const lower = crossing.lower;
+
+		group.appendChild(this.createPath(
+			`M ${round(crossing.x - lower.x * patch)} ${round(crossing.y - lower.y * patch)} ` +
+			`L ${round(crossing.x + lower.x * patch)} ${round(crossing.y + lower.y * patch)}`,
+			{ stroke: crossing.other.stroke, 'stroke-width': crossing.other.strokeWidth }
+		));
+
+		if (style === 'gap') return;
+
+		let data;
+		if (style === 'cubic') {
+			const normal = { x: upper.y, y: -upper.x };
+			const height = size * 4 / 3;
+			data = `M ${round(start.x)} ${round(start.y)} ` +
+				`C ${round(start.x + normal.x * height)} ${round(start.y + normal.y * height)} ` +
+				`${round(end.x + normal.x * height)} ${round(end.y + normal.y * height)} ` +
+				`${round(end.x)} ${round(end.y)}`;
+		} else {
+			data = `M ${round(start.x)} ${round(start.y)} A ${size} ${size} 0 0 1 ${round(end.x)} ${round(end.y)}`;
+		}
+
+		group.appendChild(this.createPath(data, { stroke: route.stroke, 'stroke-width': route.strokeWidth }));
+	}
+
+	/**
+	 * Creates an unfilled SVG path
+	 */
+	createPath(data, attributes) {
+		const path = document.createElementNS(SVG_NS, 'path');
+		path.setAttribute('d', data);
+		path.setAttribute('fill', 'none');
+		path.setAttribute('stroke-linecap', 'butt');
+
+		Object.entries(attributes).forEach(([name, value]) => path.setAttribute(name, value));
+		return path;
+	}
+
+	/**
+	 * Removes the jumps of a link
+	 */
+	removeOverlay(linkId) {
+		const group = this.overlays.get(linkId);
+		if (group && group.parentNode) {
+			group.parentNode.removeChild(group);
+		}
+
+		this.overlays.delete(linkId);
+	}
+
+	/**
+	 * Removes all jumps
+	 */
+	clearOverlays() {
+		Array.from(this.overlays.keys()).forEach(linkId => this.removeOverlay(linkId));
+	}
+
+	/**
+	 * Gets plugin statistics
+	 */
+	getStats() {
+		return {
+			...this.getOptions(),
+			initialized: this.initialized,
+			measuredLinks: this.routes.size,
+			linksWithJumps: this.overlays.size,
+			pendingLinks: this.dirtyLinks.size,
+			renderCount: this.renderCount
+		};
+	}
+
+	/**
+	 * Enables debug mode
+	 */
+	setDebugMode(enabled) {
+		this.debugMode = enabled;
+	}
+
+	/**
+	 * Destroys the plugin
+	 */
+	destroy() {
+		if (this.frameRequest !== null) {
+			cancelAnimationFrame(this.frameRequest);
+			this.frameRequest = null;
+		}
+
+		this.unbindGraphEvents();
+		this.clearOverlays();
+		this.routes.clear();
+		this.dirtyLinks.clear();
+
+		if (this.layer && this.layer.parentNode) {
+			this.layer.parentNode.removeChild(this.layer);
+		}
+
+		this.layer = null;
+		this.initialized = false;
+
+		this.eventBus.emit(PLUGIN_EVENTS.DESTROYED, {
+			plugin: 'lineJumps',
+			timestamp: Date.now()
+		});
+	}
+}
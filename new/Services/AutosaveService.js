@@ -0,0 +1,309 @@
+import { AUTOSAVE_EVENTS, DOCUMENT_EVENTS, EDITOR_EVENTS } from '../Events/EventTypes.js';
+
+/**
+ * AutosaveService - Periodically stores timestamped drafts of a dirty document
+ *
+ * Drafts go to a pluggable DraftBackend and are kept until the document is saved
+ * explicitly or the draft is discarded. On init the newest draft is announced with
+ * AUTOSAVE_EVENTS.DRAFT_AVAILABLE so the UI can offer to restore it.
+ */
+export class AutosaveService {
+	constructor(eventBus, stateStore, graphService, documentService, draftBackend) {
+		this.eventBus = eventBus;
+		this.stateStore = stateStore;
+		this.graphService = graphService;
+		this.documentService = documentService;
+		this.backend = draftBackend;
+		this.initialized = false;
+		this.debugMode = false;
+		this.timer = null;
+		this.saving = false;
+		this.lastDraftModified = 0;
+		this.options = {
+			interval: 30000,
+			maxDrafts: 5,
+			documentKey: 'default',
+			// Treat drafts as real saves when the backend is the primary store
+			markAsSaved: false
+		};
+
+		this.bindEventHandlers();
+	}
+
+	/**
+	 * Initializes autosave and announces a draft left by a previous session
+	 */
+	async init(options = {}) {
+		if (this.initialized) {
+			console.warn('AutosaveService: Already initialized');
+			return;
+		}
+
+		this.configure(options);
+		this.initialized = true;
+
+		await this.checkForDraft();
+		this.start();
+
+		this.eventBus.emit(AUTOSAVE_EVENTS.SERVICE_INITIALIZED);
+	}
+
+	/**
+	 * Binds service to external events
+	 */
+	bindEventHandlers() {
+		this.eventBus.on(AUTOSAVE_EVENTS.SAVE_NOW, () => this.autosave({ force: true }));
+		this.eventBus.on(AUTOSAVE_EVENTS.RESTORE_DRAFT, (event) => this.restoreDraft(event.data && event.data.id));
+		this.eventBus.on(AUTOSAVE_EVENTS.DISCARD_DRAFT, () => this.discardDrafts());
+
+		// An explicit save supersedes all drafts
+		this.eventBus.on(DOCUMENT_EVENTS.SAVED, () => {
+			if (this.initialized) {
+				this.discardDrafts();
+			}
+		});
+
+		this.eventBus.on(EDITOR_EVENTS.BEFORE_UNLOAD, () => this.autosave());
+		this.eventBus.on(EDITOR_EVENTS.DESTROYING, () => this.destroy());
+	}
+
+	/**
+	 * Updates autosave options and restarts the timer if the interval changed
+	 */
+	configure(options = {}) {
+		const previousInterval = this.options.interval;
+		this.options = { ...this.options, ...options };
+
+		if (options.backend) {
+			this.setBackend(options.backend);
+		}
+
+		if (this.timer && this.options.interval !== previousInterval) {
+			this.start();
+		}
+	}
+
+	/**
+	 * Replaces the draft backend, e.g. with a host-provided REST store
+	 */
+	setBackend(backend) {
+		const required = ['list', 'load', 'save', 'remove'];
+		if (!backend || required.some(method => typeof backend[method] !== 'function')) {
+			throw new Error(`AutosaveService: Backend must implement ${required.join(', ')}`);
+		}
+
+		this.backend = backend;
+	}
+
+	/**
+	 * Starts the autosave timer
+	 */
+	start() {
+		this.stop();
+
+		if (this.options.interval > 0) {
+			this.timer = setInterval(() => this.autosave(), this.options.interval);
+		}
+
+		this.stateStore.set('autosave.enabled', this.timer !== null);
+	}
+
+	/**
+	 * Stops the autosave timer
+	 */
+	stop() {
+		if (this.timer) {
+			clearInterval(this.timer);
+			this.timer = null;
+		}
+
+		this.stateStore.set('autosave.enabled', false);
+	}
+
+	/**
+	 * Checks whether the graph changed since the last save and the last draft
+	 */
+	isDirty() {
+		if (!this.graphService.hasUnsavedChanges()) {
+			return false;
+		}
+
+		const modified = this.stateStore.get('graph.metadata.modified') || 0;
+		return modified > this.lastDraftModified;
+	}
+
+	/**
+	 * Saves a draft if the graph is dirty
+	 */
+	async autosave({ force = false } = {}) {
+		if (!this.initialized || this.saving) return null;
+		if (!force && !this.isDirty()) return null;
+
+		this.saving = true;
+		const modified = this.stateStore.get('graph.metadata.modified') || 0;
+
+		try {
+			const draft = {
+				id: joint.util.uuid(),
+				documentKey: this.options.documentKey,
+				savedAt: Date.now(),
+				document: this.documentService.createDocument()
+			};
+
+			await this.backend.save(draft);
+			this.lastDraftModified = modified;
+
+			if (this.options.markAsSaved) {
+				this.graphService.markAsSaved();
+			}
+
+			await this.pruneDrafts();
+
+			this.stateStore.set('autosave.lastDraftSaved', draft.savedAt);
+			this.eventBus.emit(AUTOSAVE_EVENTS.DRAFT_SAVED, {
+				id: draft.id,
+				documentKey: draft.documentKey,
+				savedAt: draft.savedAt
+			});
+
+			if (this.debugMode) {
+				console.log(`AutosaveService: Saved draft ${draft.id}`);
+			}
+
+			return draft;
+
+		} catch (error) {
+			console.error('AutosaveService: Failed to save draft:', error);
+			this.eventBus.emit(AUTOSAVE_EVENTS.DRAFT_SAVE_FAILED, { error });
+			return null;
+
+		} finally {
+			this.saving = false;
+		}
+	}
+
+	/**
+	 * Removes drafts beyond the configured limit, oldest first
+	 */
+	async pruneDrafts() {
+		const drafts = await this.backend.list(this.options.documentKey);
+		const stale = drafts.slice(this.options.maxDrafts);
+
+		await Promise.all(stale.map(draft => this.backend.remove(draft.id)));
+	}
+
+	/**
+	 * Lists drafts of the current document, newest first
+	 */
+	async getDrafts() {
+		try {
+			return await this.backend.list(this.options.documentKey);
+		} catch (error) {
+			console.error('AutosaveService: Failed to list drafts:', error);
+			return [];
+		}
+	}
+
+	/**
+	 * Announces the newest draft so the UI can offer to restore it
+	 */
+	async checkForDraft() {
+		const [latest] = await this.getDrafts();
+
+		this.stateStore.set('autosave.draftAvailable', Boolean(latest));
+
+		if (latest) {
+			this.eventBus.emit(AUTOSAVE_EVENTS.DRAFT_AVAILABLE, { draft: latest });
+		}
+
+		return latest || null;
+	}
+
+	/**
+	 * Restores a draft (the newest one by default) into the editor
+	 */
+	async restoreDraft(id = null) {
+		try {
+			if (!id) {
+				const [latest] = await this.backend.list(this.options.documentKey);
+				id = latest && latest.id;
+			}
+
+			const draft = id ? await this.backend.load(id) : null;
+			if (!draft) {
+				console.warn('AutosaveService: No draft to restore');
+				return false;
+			}
+
+			if (!this.documentService.load(draft.document)) {
+				return false;
+			}
+
+			// The restored content is still unsaved from the document's point of view
+			if (!this.options.markAsSaved) {
+				this.graphService.updateGraphMetadata();
+			}
+			this.lastDraftModified = this.stateStore.get('graph.metadata.modified') || 0;
+
+			this.stateStore.set('autosave.draftAvailable', false);
+			this.eventBus.emit(AUTOSAVE_EVENTS.DRAFT_RESTORED, { id: draft.id, savedAt: draft.savedAt });
+
+			return true;
+
+		} catch (error) {
+			console.error('AutosaveService: Failed to restore draft:', error);
+			return false;
+		}
+	}
+
+	/**
+	 * Removes all drafts of the current document
+	 */
+	async discardDrafts() {
+		try {
+			const drafts = await this.backend.list(this.options.documentKey);
+			await Promise.all(drafts.map(draft => this.backend.remove(draft.id)));
+
+			this.stateStore.set('autosave.draftAvailable', false);
+			this.eventBus.emit(AUTOSAVE_EVENTS.DRAFT_DISCARDED, { count: drafts.length });
+
+			return drafts.length;
+
+		} catch (error) {
+			console.error('AutosaveService: Failed to discard drafts:', error);
+			return 0;
+		}
+	}
+
+	/**
+	 * Gets service statistics
+	 */
+	getStats() {
+		return {
+			running: this.timer !== null,
+			interval: this.options.interval,
+			documentKey: this.options.documentKey,
+			backend: this.backend ? this.backend.constructor.name : null,
+			lastDraftSaved: this.stateStore.get('autosave.lastDraftSaved')
+		};
+	}
+
+	/**
+	 * Enables debug mode
+	 */
+	setDebugMode(enabled) {
+		this.debugMode = enabled;
+	}
+
+	/**
+	 * Destroys the service
+	 */
+	destroy() {
+		if (!this.initialized) return;
+
+		this.stop();
+		this.initialized = false;
+
+		this.eventBus.emit(AUTOSAVE_EVENTS.SERVICE_DESTROYED);
+	}
+}
@@ -0,0 +1,490 @@
+import { CLIPBOARD_EVENTS } from '../Events/EventTypes.js';
+import { CompositeCommand } from '../Commands/BaseCommand.js';
+import { AddCellsCommand } from '../Commands/AddCellsCommand.js';
+import { AddCalloutsCommand } from '../Commands/AddCalloutsCommand.js';
+import { DeleteElementCommand } from '../Commands/DeleteElementCommand.js';
+
+export const CLIPBOARD_MIME_TYPE = 'application/x-ddr-drawing+json';
+export const CLIPBOARD_FORMAT = 'ddr-drawing/clipboard';
+
+/**
+ * ClipboardService - Copy, cut and paste of elements with their links, ports and callouts
+ */
+export class ClipboardService {
+	constructor(eventBus, stateStore, graphService, portService, selectionService, paperService, commandManager, calloutsPlugin) {
+		this.eventBus = eventBus;
+		this.stateStore = stateStore;
+		this.graphService = graphService;
+		this.portService = portService;
+		this.selectionService = selectionService;
+		this.paperService = paperService;
+		this.commandManager = commandManager;
+		this.calloutsPlugin = calloutsPlugin;
+		this.initialized = false;
+		this.debugMode = false;
+		this.payload = null;
+		this.pasteCount = 0;
+		this.pasteOffset = { x: 20, y: 20 };
+		this.pointerPosition = null;
+		this.paperActive = false;
+		this.domListeners = [];
+
+		this.bindEventHandlers();
+	}
+
+	/**
+	 * Initializes the clipboard service
+	 */
+	init() {
+		if (this.initialized) {
+			console.warn('ClipboardService: Already initialized');
+			return;
+		}
+
+		this.setupDOMListeners();
+		this.initialized = true;
+
+		this.eventBus.emit(CLIPBOARD_EVENTS.SERVICE_INITIALIZED);
+	}
+
+	/**
+	 * Binds service to external events
+	 */
+	bindEventHandlers() {
+		this.eventBus.on(CLIPBOARD_EVENTS.COPY, (event) => {
+			this.copy(event.data && event.data.elements);
+		});
+
+		this.eventBus.on(CLIPBOARD_EVENTS.CUT, (event) => {
+			this.cut(event.data && event.data.elements);
+		});
+
+		this.eventBus.on(CLIPBOARD_EVENTS.PASTE, (event) => {
+			const data = event.data || {};
+			const position = data.clientPosition ? this.clientToLocal(data.clientPosition) : null;
+			this.paste(this.payload, { position });
+		});
+
+		this.eventBus.on('element:duplicate', (event) => {
+			this.duplicate(event.data && event.data.element ? [event.data.element] : null);
+		});
+	}
+
+	/**
+	 * Sets up system clipboard and pointer tracking listeners
+	 */
+	setupDOMListeners() {
+		this.addDOMListener(document, 'copy', (event) => this.handleSystemCopy(event, false));
+		this.addDOMListener(document, 'cut', (event) => this.handleSystemCopy(event, true));
+		this.addDOMListener(document, 'paste', (event) => this.handleSystemPaste(event));
+
+		// Clicks on the paper leave focus on the body, the last click tells whether the paper is in use
+		this.addDOMListener(document, 'mousedown', (event) => {
+			const paperElement = this.paperService.paperElement;
+			this.paperActive = Boolean(paperElement && paperElement.contains(event.target));
+		}, true);
+
+		const paperElement = this.paperService.paperElement;
+		if (paperElement) {
+			this.addDOMListener(paperElement, 'mousemove', (event) => {
+				this.pointerPosition = this.clientToLocal({ x: event.clientX, y: event.clientY });
+			});
+			this.addDOMListener(paperElement, 'mouseleave', () => {
+				this.pointerPosition = null;
+			});
+		}
+	}
+
+	/**
+	 * Adds a DOM listener and remembers it for cleanup
+	 */
+	addDOMListener(target, type, handler, capture = false) {
+		target.addEventListener(type, handler, capture);
+		this.domListeners.push({ target, type, handler, capture });
+	}
+
+	/**
+	 * Copies elements (defaults to the current selection) into the clipboard
+	 */
+	copy(elements = null) {
+		const payload = this.createPayload(elements || this.selectionService.getSelectedElements());
+		if (!payload) return null;
+
+		this.payload = payload;
+		this.pasteCount = 0;
+		this.updateClipboardState();
+
+		this.eventBus.emit(CLIPBOARD_EVENTS.COPIED, {
+			elementCount: payload.elementCount,
+			cellCount: payload.cells.length
+		});
+
+		return payload;
+	}
+
+	/**
+	 * Copies elements into the clipboard and deletes them as an undoable command
+	 */
+	cut(elements = null) {
+		const targets = elements || this.selectionService.getSelectedElements();
+		const payload = this.copy(targets);
+		if (!payload) return null;
+
+		const command = new DeleteElementCommand(this.graphService, this.portService, targets);
+		command.setDescription(`Cut ${targets.length} items`);
+
+		if (!this.commandManager.execute(command)) {
+			return null;
+		}
+
+		this.selectionService.clearSelection();
+		this.eventBus.emit(CLIPBOARD_EVENTS.CUT_COMPLETED, { elementCount: payload.elementCount });
+
+		return payload;
+	}
+
+	/**
+	 * Pastes a payload at a position (or at a cascading offset) as one undoable command
+	 */
+	paste(payload = this.payload, options = {}) {
+		if (!this.isValidPayload(payload)) {
+			console.warn('ClipboardService: Nothing to paste');
+			return [];
+		}
+
+		const position = options.position || (options.atPointer !== false ? this.pointerPosition : null);
+		const offset = this.calculatePasteOffset(payload, position);
+		const { cells, callouts } = this.remapPayload(payload, offset);
+
+		const command = new CompositeCommand(`Paste ${payload.elementCount} items`);
+		const addCellsCommand = new AddCellsCommand(this.graphService, this.portService, cells);
+		command.addCommand(addCellsCommand);
+
+		if (this.calloutsPlugin && callouts.length > 0) {
+			command.addCommand(new AddCalloutsCommand(this.calloutsPlugin, this.graphService, callouts));
+		}
+
+		if (!this.commandManager.execute(command)) {
+			console.error('ClipboardService: Paste command failed');
+			return [];
+		}
+
+		const pastedCells = addCellsCommand.getAddedCells();
+		this.selectionService.selectMultiple(pastedCells.filter(cell => cell.isElement()));
+
+		this.eventBus.emit(CLIPBOARD_EVENTS.PASTED, {
+			cells: pastedCells,
+			offset
+		});
+
+		return pastedCells;
+	}
+
+	/**
+	 * Duplicates elements next to the originals without touching the clipboard
+	 */
+	duplicate(elements = null) {
+		const payload = this.createPayload(elements || this.selectionService.getSelectedElements());
+		if (!payload) return [];
+
+		return this.paste(payload, {
+			position: {
+				x: payload.bounds.x + this.pasteOffset.x,
+				y: payload.bounds.y + this.pasteOffset.y
+			}
+		});
+	}
+
+	/**
+	 * Builds a serializable payload from elements, their internal links and callouts
+	 */
+	createPayload(cells) {
+		const elements = (cells || []).filter(cell => cell.isElement());
+		if (elements.length === 0) return null;
+
+		const elementIds = new Set(elements.map(element => element.id));
+		const links = this.graphService.graph.getLinks().filter(link => {
+			const source = link.get('source');
+			const target = link.get('target');
+			return elementIds.has(source.id) && elementIds.has(target.id);
+		});
+
+		const bounds = this.graphService.graph.getCellsBBox(elements);
+
+		return {
+			format: CLIPBOARD_FORMAT,
+			version: 1,
+			elementCount: elements.length,
+			bounds: { x: bounds.x, y: bounds.y, width: bounds.width, height: bounds.height },
+			cells: [
+				...elements.map(element => this.serializeCell(element)),
+				...links.map(link => this.serializeCell(link))
+			],
+			callouts: this.collectCallouts(elements)
+		};
+	}
+
+	/**
+	 * Serializes a cell without selection styling or callout references
+	 */
+	serializeCell(cell) {
+		const json = this.selectionService.toUnselectedJSON(cell);
+
+		if (cell.isElement()) {
+			json.callouts = [];
+		}
+
+		return json;
+	}
+
+	/**
+	 * Collects element callout records for the copied elements
+	 */
+	collectCallouts(elements) {
+		if (!this.calloutsPlugin) return [];
+
+		return elements.flatMap(element =>
+			this.calloutsPlugin.getElementCallouts(element).map(callout => ({
+				targetId: element.id,
+				targetType: 'element',
+				text: callout.text
+			}))
+		);
+	}
+
+	/**
+	 * Calculates the translation applied to pasted cells
+	 */
+	calculatePasteOffset(payload, position) {
+		const gridSize = this.stateStore.get('canvas.gridSize') || 1;
+		let dx;
+		let dy;
+
+		if (position) {
+			dx = position.x - payload.bounds.x;
+			dy = position.y - payload.bounds.y;
+		} else {
+			this.pasteCount++;
+			dx = this.pasteOffset.x * this.pasteCount;
+			dy = this.pasteOffset.y * this.pasteCount;
+		}
+
+		return {
+			x: Math.round(dx / gridSize) * gridSize,
+			y: Math.round(dy / gridSize) * gridSize
+		};
+	}
+
+	/**
+	 * Assigns fresh IDs, translates positions and rewires links and callouts
+	 */
+	remapPayload(payload, offset) {
+		const idMap = new Map();
+		payload.cells.forEach(cell => idMap.set(cell.id, joint.util.uuid()));
+
+		const cells = payload.cells.map(source => {
+			const cell = JSON.parse(JSON.stringify(source));
+			cell.id = idMap.get(source.id);
+
+			if (cell.parent) {
+				cell.parent = idMap.get(cell.parent);
+				if (!cell.parent) delete cell.parent;
+			}
+
+			if (Array.isArray(cell.embeds)) {
+				cell.embeds = cell.embeds.map(id => idMap.get(id)).filter(Boolean);
+			}
+
+			if (cell.position) {
+				cell.position = {
+					x: cell.position.x + offset.x,
+					y: cell.position.y + offset.y
+				};
+			}
+
+			if (cell.source && cell.target) {
+				cell.source = { ...cell.source, id: idMap.get(cell.source.id) };
+				cell.target = { ...cell.target, id: idMap.get(cell.target.id) };
+
+				if (Array.isArray(cell.vertices)) {
+					cell.vertices = cell.vertices.map(vertex => ({
+						x: vertex.x + offset.x,
+						y: vertex.y + offset.y
+					}));
+				}
+
+				if (Array.isArray(cell.labels)) {
+					cell.labels = cell.labels.map(label =>
+						label.calloutId && this.calloutsPlugin
+							? { ...label, calloutId: this.calloutsPlugin.generateCalloutId() }
+							: label
+					);
+				}
+			}
+
+			return cell;
+		});
+
+		const callouts = payload.callouts.map(callout => ({
+			...callout,
+			targetId: idMap.get(callout.targetId)
+		}));
+
+		cells
+			.filter(cell => Array.isArray(cell.labels) && cell.labels.some(label => label.calloutId))
+			.forEach(link => callouts.push({ targetId: link.id, targetType: 'link' }));
+
+		return { cells, callouts };
+	}
+
+	/**
+	 * Writes the copied selection to the system clipboard
+	 */
+	handleSystemCopy(event, isCut) {
+		if (!this.isPaperFocused(event)) return;
+
+		const selection = this.selectionService.getSelectedElements();
+		if (selection.length === 0 || !event.clipboardData) return;
+
+		const payload = isCut ? this.cut(selection) : this.copy(selection);
+		if (!payload) return;
+
+		const serialized = JSON.stringify(payload);
+		event.clipboardData.setData(CLIPBOARD_MIME_TYPE, serialized);
+		event.clipboardData.setData('text/plain', serialized);
+		event.preventDefault();
+	}
+
+	/**
+	 * Reads a payload from the system clipboard, falling back to the internal one
+	 */
+	handleSystemPaste(event) {
+		if (!this.isPaperFocused(event)) return;
+
+		const payload = this.readClipboardData(event.clipboardData) || this.payload;
+		if (!this.isValidPayload(payload)) return;
+
+		event.preventDefault();
+		this.paste(payload);
+	}
+
+	/**
+	 * Parses a clipboard payload from DataTransfer data
+	 */
+	readClipboardData(clipboardData) {
+		if (!clipboardData) return null;
+
+		const raw = clipboardData.getData(CLIPBOARD_MIME_TYPE) || clipboardData.getData('text/plain');
+		if (!raw) return null;
+
+		try {
+			const payload = JSON.parse(raw);
+			return this.isValidPayload(payload) ? payload : null;
+		} catch (error) {
+			return null;
+		}
+	}
+
+	/**
+	 * Checks whether a payload can be pasted
+	 */
+	isValidPayload(payload) {
+		return Boolean(
+			payload &&
+			payload.format === CLIPBOARD_FORMAT &&
+			Array.isArray(payload.cells) &&
+			payload.cells.length > 0 &&
+			payload.bounds
+		);
+	}
+
+	/**
+	 * Checks whether a DOM target handles clipboard events itself
+	 */
+	isEditableTarget(target) {
+		if (!target || !target.closest) return false;
+		return Boolean(target.closest('input, textarea, [contenteditable="true"]'));
+	}
+
+	/**
+	 * Checks whether a clipboard event is meant for the paper: focus is inside it, or nothing
+	 * has focus and the paper was clicked last; text fields keep their own clipboard
+	 */
+	isPaperFocused(event) {
+		const paperElement = this.paperService.paperElement;
+		if (!paperElement || this.isEditableTarget(event.target)) return false;
+
+		const activeElement = document.activeElement;
+		if (activeElement && activeElement !== document.body && activeElement !== document.documentElement) {
+			return paperElement.contains(activeElement);
+		}
+
+		return this.paperActive;
+	}
+
+	/**
+	 * Converts client coordinates to paper local coordinates
+	 */
+	clientToLocal(point) {
+		const paper = this.paperService.paper;
+		if (!paper) return null;
+
+		const local = paper.clientToLocalPoint(point.x, point.y);
+		return { x: local.x, y: local.y };
+	}
+
+	/**
+	 * Updates clipboard state in the state store
+	 */
+	updateClipboardState() {
+		this.stateStore.setBatch({
+			'clipboard.hasContent': this.isValidPayload(this.payload),
+			'clipboard.itemCount': this.payload ? this.payload.elementCount : 0
+		});
+	}
+
+	/**
+	 * Clears the internal clipboard
+	 */
+	clear() {
+		this.payload = null;
+		this.pasteCount = 0;
+		this.updateClipboardState();
+
+		this.eventBus.emit(CLIPBOARD_EVENTS.CLEARED);
+	}
+
+	/**
+	 * Gets service statistics
+	 */
+	getStats() {
+		return {
+			hasContent: this.isValidPayload(this.payload),
+			elementCount: this.payload ? this.payload.elementCount : 0,
+			cellCount: this.payload ? this.payload.cells.length : 0,
+			pasteCount: this.pasteCount
+		};
+	}
+
+	/**
+	 * Enables debug mode
+	 */
+	setDebugMode(enabled) {
+		this.debugMode = enabled;
+	}
+
+	/**
+	 * Destroys the service
+	 */
+	destroy() {
+		this.domListeners.forEach(({ target, type, handler, capture }) => {
+			target.removeEventListener(type, handler, capture);
+		});
+
+		this.domListeners = [];
+		this.payload = null;
+		this.initialized = false;
+
+		this.eventBus.emit(CLIPBOARD_EVENTS.SERVICE_DESTROYED);
+	}
+}
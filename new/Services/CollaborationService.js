@@ -0,0 +1,839 @@
+import { COLLABORATION_EVENTS, EDITOR_EVENTS } from '../Events/EventTypes.js';
+import { WebSocketTransport } from '../Core/CollaborationTransport.js';
+
+/**
+ * Register path that tells whether a cell exists
+ */
+const ALIVE_PATH = '#alive';
+
+/**
+ * Cell attributes that are never synced
+ */
+const IGNORED_ATTRIBUTES = ['id'];
+
+/**
+ * Message types handled by the service itself; other types are re-emitted on the event bus
+ */
+const MESSAGE_TYPES = {
+	HELLO: 'hello',
+	STATE: 'state',
+	OPERATIONS: 'ops',
+	BYE: 'bye'
+};
+
+/**
+ * Options passed to the graph when applying remote changes
+ */
+const REMOTE_OPTIONS = { collaboration: true };
+
+/**
+ * CollaborationService - Syncs graph changes between editors through a transport
+ *
+ * The document is a CRDT map of last-writer-wins registers, one per cell attribute
+ * (and per attrs selector), stamped with a Lamport clock and the site id. Local graph
+ * changes become register operations; the operations of a command are sent together
+ * when the command finishes. Registers merge commutatively, so every site converges
+ * regardless of message order.
+ *
+ * Undo stays local: commands only ever revert the local user's changes, and when a
+ * local undo or redo touches a register a collaborator changed after the command was
+ * created, the collaborator's value is kept and put back instead of being overwritten.
+ *
+ * The selection highlight stays local as well: cells are described without it, and
+ * remote styles of selected cells go to the saved style behind the highlight.
+ */
+export class CollaborationService {
+	constructor(eventBus, stateStore, graphService, selectionService = null) {
+		this.eventBus = eventBus;
+		this.stateStore = stateStore;
+		this.graphService = graphService;
+		this.selectionService = selectionService;
+		this.initialized = false;
+		this.debugMode = false;
+		this.transport = null;
+		this.siteId = null;
+		this.clock = 0;
+		this.registers = new Map();
+		this.pending = new Map();
+		this.peers = new Set();
+		this.flushTimer = null;
+		this.applyingRemote = false;
+		this.options = {
+			// Delay for sending changes made outside commands, e.g. while dragging
+			flushDelay: 50
+		};
+		this.stats = {
+			sent: 0,
+			received: 0,
+			conflicts: 0
+		};
+
+		this.handleCellAdded = this.handleCellAdded.bind(this);
+		this.handleCellRemoved = this.handleCellRemoved.bind(this);
+		this.handleCellChanged = this.handleCellChanged.bind(this);
+		this.handleGraphReset = this.handleGraphReset.bind(this);
+		this.handleMessage = this.handleMessage.bind(this);
+
+		this.bindEventHandlers();
+	}
+
+	/**
+	 * Initializes the service; collaboration starts with connect()
+	 */
+	init() {
+		if (this.initialized) {
+			console.warn('CollaborationService: Already initialized');
+			return;
+		}
+
+		this.initialized = true;
+		this.eventBus.emit(COLLABORATION_EVENTS.SERVICE_INITIALIZED);
+	}
+
+	/**
+	 * Binds service to external events
+	 */
+	bindEventHandlers() {
+		this.eventBus.on(COLLABORATION_EVENTS.CONNECT, (event) => this.connect(event.data || {}));
+		this.eventBus.on(COLLABORATION_EVENTS.DISCONNECT, () => this.disconnect());
+
+		// Changes made by one command are sent as one message
+		this.eventBus.on('command:executed', (event) => {
+			this.flush({ description: this.getDescription(event.data.command) });
+		});
+		this.eventBus.on('command:undone', (event) => {
+			this.flush({ command: event.data.command, reverting: true });
+		});
+		this.eventBus.on('command:redone', (event) => {
+			this.flush({ command: event.data.command, reverting: true });
+		});
+
+		this.eventBus.on(EDITOR_EVENTS.DESTROYING, () => this.destroy());
+	}
+
+	/**
+	 * Joins a collaboration session
+	 * @param {Object} options - { transport } or { url } for the default WebSocket transport,
+	 *   plus optional siteId and flushDelay
+	 */
+	async connect(options = {}) {
+		if (this.transport) {
+			console.warn('CollaborationService: Already connected');
+			return false;
+		}
+
+		const { transport: customTransport, url, siteId, ...settings } = options;
+		const transport = customTransport || (url ? new WebSocketTransport(url, settings) : null);
+		if (!transport) {
+			throw new Error('CollaborationService: A transport or url is required');
+		}
+
+		this.options = { ...this.options, ...settings };
+		this.siteId = siteId || this.generateSiteId();
+		this.transport = transport;
+
+		this.stateStore.set('collaboration.siteId', this.siteId);
+		this.setStatus('connecting');
+
+		this.seedFromGraph();
+		this.attachGraph();
+
+		try {
+			await transport.connect({
+				onMessage: this.handleMessage,
+				onOpen: () => this.handleOpen(),
+				onClose: (info) => this.handleClose(info)
+			});
+			return true;
+
+		} catch (error) {
+			console.error('CollaborationService: Connection failed:', error);
+
+			// Stops the reconnect loop of the transport before it is dropped
+			await transport.disconnect();
+			this.reset();
+			this.setStatus('offline');
+			this.eventBus.emit(COLLABORATION_EVENTS.ERROR, { error });
+			return false;
+		}
+	}
+
+	/**
+	 * Leaves the session; the local graph keeps its current content
+	 */
+	async disconnect() {
+		if (!this.transport) return;
+
+		this.flush();
+		this.send(MESSAGE_TYPES.BYE);
+
+		const transport = this.transport;
+		this.reset();
+		await transport.disconnect();
+
+		this.setStatus('offline');
+	}
+
+	/**
+	 * Drops the transport, graph listeners and all session data
+	 */
+	reset() {
+		if (this.flushTimer) {
+			clearTimeout(this.flushTimer);
+			this.flushTimer = null;
+		}
+
+		this.detachGraph();
+		this.transport = null;
+		this.registers.clear();
+		this.pending.clear();
+		this.peers.clear();
+		this.clock = 0;
+		this.stateStore.set('collaboration.peers', []);
+	}
+
+	/**
+	 * Checks whether a session is joined
+	 */
+	isConnected() {
+		return Boolean(this.transport) && this.transport.isConnected();
+	}
+
+	/**
+	 * Gets the id of this editor in the session
+	 */
+	getSiteId() {
+		return this.siteId;
+	}
+
+	/**
+	 * Sends a custom message to all collaborators
+	 * @param {string} type - Message type
+	 * @param {Object} payload - JSON-compatible message data
+	 */
+	send(type, payload = {}) {
+		if (!this.transport) return false;
+
+		this.transport.send({ ...payload, type, site: this.siteId });
+		return true;
+	}
+
+	/**
+	 * Starts capturing graph changes
+	 */
+	attachGraph() {
+		const graph = this.graphService.graph;
+		graph.on('add', this.handleCellAdded);
+		graph.on('remove', this.handleCellRemoved);
+		graph.on('change', this.handleCellChanged);
+		graph.on('reset', this.handleGraphReset);
+	}
+
+	/**
+	 * Stops capturing graph changes
+	 */
+	detachGraph() {
+		const graph = this.graphService.graph;
+		if (!graph) return;
+
+		graph.off('add', this.handleCellAdded);
+		graph.off('remove', this.handleCellRemoved);
+		graph.off('change', this.handleCellChanged);
+		graph.off('reset', this.handleGraphReset);
+	}
+
+	/**
+	 * Transport opened or reopened: announce this site together with its full state
+	 */
+	handleOpen() {
+		this.setStatus('online');
+		this.sendState(MESSAGE_TYPES.HELLO);
+
+		this.eventBus.emit(COLLABORATION_EVENTS.CONNECTED, { siteId: this.siteId });
+	}
+
+	/**
+	 * Transport closed, possibly to reconnect later
+	 */
+	handleClose({ willReconnect = false } = {}) {
+		this.peers.clear();
+		this.stateStore.set('collaboration.peers', []);
+		this.setStatus(willReconnect ? 'connecting' : 'offline');
+
+		this.eventBus.emit(COLLABORATION_EVENTS.DISCONNECTED, { siteId: this.siteId, willReconnect });
+	}
+
+	/**
+	 * Handles a message from another site
+	 */
+	handleMessage(message) {
+		if (!message || !message.site || message.site === this.siteId) return;
+
+		if (message.type === MESSAGE_TYPES.BYE) {
+			this.removePeer(message.site);
+			return;
+		}
+
+		this.addPeer(message.site);
+
+		switch (message.type) {
+			case MESSAGE_TYPES.HELLO:
+				this.receiveOperations(message);
+				// Newcomers get everything this site knows
+				this.sendState(MESSAGE_TYPES.STATE);
+				break;
+			case MESSAGE_TYPES.STATE:
+			case MESSAGE_TYPES.OPERATIONS:
+				this.receiveOperations(message);
+				break;
+			default:
+				this.eventBus.emit(COLLABORATION_EVENTS.MESSAGE_RECEIVED, { message });
+		}
+	}
+
+	/**
+	 * Captures a cell added to the graph
+	 */
+	handleCellAdded(cell) {
+		if (this.applyingRemote) return;
+
+		this.queueCell(cell);
+	}
+
+	/**
+	 * Captures a cell removed from the graph
+	 */
+	handleCellRemoved(cell) {
+		if (this.applyingRemote) return;
+
+		this.queue(cell.id, ALIVE_PATH, false);
+	}
+
+	/**
+	 * Captures changed cell attributes, attrs per selector
+	 */
+	handleCellChanged(cell, options = {}) {
+		if (this.applyingRemote || options.selection) return;
+
+		const changed = cell.changedAttributes();
+		if (!changed) return;
+
+		Object.keys(changed)
+			.filter(key => !IGNORED_ATTRIBUTES.includes(key))
+			.forEach(key => {
+				if (key === 'attrs') {
+					this.queueAttrsChange(cell);
+				} else {
+					this.queue(cell.id, key, cell.get(key));
+				}
+			});
+	}
+
+	/**
+	 * Captures a replaced graph, e.g. a loaded document
+	 */
+	handleGraphReset() {
+		if (this.applyingRemote) return;
+
+		const cells = this.graphService.graph.getCells();
+		const present = new Set(cells.map(cell => cell.id));
+
+		this.getAliveCellIds()
+			.filter(cellId => !present.has(cellId))
+			.forEach(cellId => this.queue(cellId, ALIVE_PATH, false));
+
+		cells.forEach(cell => this.queueCell(cell));
+	}
+
+	/**
+	 * Queues every attribute of a cell
+	 */
+	queueCell(cell) {
+		this.describeCell(cell).forEach(({ path, value }) => this.queue(cell.id, path, value));
+	}
+
+	/**
+	 * Queues the attrs selectors that differ from the previous attrs
+	 */
+	queueAttrsChange(cell) {
+		const previous = cell.previous('attrs') || {};
+		const current = cell.get('attrs') || {};
+		const selectors = new Set([...Object.keys(previous), ...Object.keys(current)]);
+		const attrs = this.getCellJSON(cell).attrs || {};
+
+		selectors.forEach(selector => {
+			if (JSON.stringify(previous[selector]) !== JSON.stringify(current[selector])) {
+				this.queue(cell.id, `attrs/${selector}`, attrs[selector]);
+			}
+		});
+	}
+
+	/**
+	 * Queues a local change; the latest value of a register wins within one message
+	 */
+	queue(cellId, path, value) {
+		if (!this.transport) return;
+
+		this.pending.set(this.getRegisterKey(cellId, path), {
+			cell: cellId,
+			path,
+			value: this.clone(value)
+		});
+
+		if (!this.flushTimer) {
+			this.flushTimer = setTimeout(() => this.flush(), this.options.flushDelay);
+		}
+	}
+
+	/**
+	 * Stamps queued changes and sends them
+	 * @param {Object} options - { description, command, reverting } where reverting marks
+	 *   the changes of an undo or redo of the command
+	 * @returns {Array<Object>} Sent operations
+	 */
+	flush({ description = null, command = null, reverting = false } = {}) {
+		if (this.flushTimer) {
+			clearTimeout(this.flushTimer);
+			this.flushTimer = null;
+		}
+
+		if (!this.transport || this.pending.size === 0) return [];
+
+		let changes = Array.from(this.pending.values());
+		this.pending.clear();
+
+		if (reverting) {
+			changes = this.keepRemoteEdits(changes, command);
+		}
+
+		if (changes.length === 0) return [];
+
+		this.clock++;
+		const ops = changes.map(change => ({ ...change, clock: this.clock, site: this.siteId }));
+		ops.forEach(op => this.writeRegister(op, false));
+
+		description = description || this.getDescription(command);
+		this.send(MESSAGE_TYPES.OPERATIONS, { ops, description });
+		this.stats.sent += ops.length;
+
+		this.eventBus.emit(COLLABORATION_EVENTS.OPERATIONS_SENT, { count: ops.length, description });
+
+		if (this.debugMode) {
+			console.log(`CollaborationService: Sent ${ops.length} operations`, ops);
+		}
+
+		return ops;
+	}
+
+	/**
+	 * Drops the changes of a local undo or redo that would overwrite a collaborator's
+	 * later edit, and puts the collaborator's value back into the graph
+	 */
+	keepRemoteEdits(changes, command) {
+		const since = this.getCommandTime(command);
+		const conflicts = changes.filter(change => this.hasRemoteEditSince(change, since));
+
+		if (conflicts.length === 0) return changes;
+
+		const cells = new Map();
+		conflicts.forEach(change => {
+			if (!cells.has(change.cell)) cells.set(change.cell, new Set());
+			cells.get(change.cell).add(change.path);
+		});
+
+		this.applyRemote(() => this.renderCells(cells));
+		this.stats.conflicts += conflicts.length;
+
+		this.eventBus.emit(COLLABORATION_EVENTS.UNDO_CONFLICT, {
+			command,
+			cells: Array.from(cells.keys())
+		});
+
+		return changes.filter(change => !conflicts.includes(change));
+	}
+
+	/**
+	 * Checks whether a collaborator changed a register after the given time;
+	 * removing a cell conflicts with a later remote edit of any of its attributes
+	 */
+	hasRemoteEditSince(change, since) {
+		if (change.path === ALIVE_PATH && change.value === false) {
+			return this.getCellRegisters(change.cell).some(register => register.remoteAt > since);
+		}
+
+		const register = this.registers.get(this.getRegisterKey(change.cell, change.path));
+		return Boolean(register) && register.remoteAt > since;
+	}
+
+	/**
+	 * Gets when a command was created; batches count from their first command
+	 */
+	getCommandTime(command) {
+		if (!command) return 0;
+
+		if (Array.isArray(command.commands) && command.commands.length > 0) {
+			return Math.min(...command.commands.map(child => this.getCommandTime(child)));
+		}
+
+		return command.timestamp || 0;
+	}
+
+	/**
+	 * Merges operations from another site and applies the winners to the graph
+	 */
+	receiveOperations(message) {
+		const ops = Array.isArray(message.ops) ? message.ops : [];
+		if (ops.length === 0) return;
+
+		// Local changes not sent yet get stamped before the remote ones are merged
+		this.flush();
+
+		const changed = new Map();
+		ops.forEach(op => {
+			this.clock = Math.max(this.clock, op.clock);
+
+			if (this.writeRegister(op, true)) {
+				if (!changed.has(op.cell)) changed.set(op.cell, new Set());
+				changed.get(op.cell).add(op.path);
+			}
+		});
+
+		this.stats.received += ops.length;
+		if (changed.size === 0) return;
+
+		this.applyRemote(() => this.renderCells(changed));
+
+		this.eventBus.emit(COLLABORATION_EVENTS.OPERATIONS_APPLIED, {
+			site: message.site,
+			cells: Array.from(changed.keys()),
+			description: message.description || null
+		});
+
+		if (this.debugMode) {
+			console.log(`CollaborationService: Applied operations from ${message.site}`, ops);
+		}
+	}
+
+	/**
+	 * Writes an operation into its register if its stamp wins
+	 * @returns {boolean} Whether the register changed
+	 */
+	writeRegister(op, remote) {
+		const key = this.getRegisterKey(op.cell, op.path);
+		const current = this.registers.get(key);
+
+		if (current && this.compareStamps(op, current) <= 0) {
+			return false;
+		}
+
+		this.registers.set(key, {
+			cell: op.cell,
+			path: op.path,
+			value: op.value,
+			clock: op.clock,
+			site: op.site,
+			remoteAt: remote ? Date.now() : (current ? current.remoteAt : 0)
+		});
+
+		return true;
+	}
+
+	/**
+	 * Orders stamps by Lamport clock, then by site id
+	 */
+	compareStamps(a, b) {
+		if (a.clock !== b.clock) return a.clock - b.clock;
+		if (a.site === b.site) return 0;
+		return a.site < b.site ? -1 : 1;
+	}
+
+	/**
+	 * Runs graph changes that must not be captured as local changes
+	 */
+	applyRemote(callback) {
+		this.applyingRemote = true;
+		try {
+			callback();
+		} finally {
+			this.applyingRemote = false;
+		}
+	}
+
+	/**
+	 * Brings cells in the graph in line with their registers; elements go first so
+	 * that links find their ends, links whose ends have not arrived yet wait for them
+	 * @param {Map<string, Set<string>>} cells - Changed register paths by cell id
+	 */
+	renderCells(cells) {
+		const isLink = (cellId) => this.registers.has(this.getRegisterKey(cellId, 'source'));
+		const cellIds = Array.from(cells.keys()).sort((a, b) => isLink(a) - isLink(b));
+
+		cellIds.forEach(cellId => {
+			try {
+				this.renderCell(cellId, cells.get(cellId));
+			} catch (error) {
+				console.error(`CollaborationService: Could not apply changes to ${cellId}:`, error);
+				this.eventBus.emit(COLLABORATION_EVENTS.ERROR, { error, cellId });
+			}
+		});
+
+		this.addWaitingLinks();
+	}
+
+	/**
+	 * Adds links that arrived before their ends once both ends exist
+	 */
+	addWaitingLinks() {
+		const graph = this.graphService.graph;
+
+		this.getAliveCellIds()
+			.filter(cellId => !graph.getCell(cellId))
+			.map(cellId => this.buildCellJSON(cellId))
+			.filter(json => json.type && json.source && this.hasLinkEnds(json))
+			.forEach(json => graph.addCell(json, REMOTE_OPTIONS));
+	}
+
+	/**
+	 * Checks whether the cells a link connects are in the graph
+	 */
+	hasLinkEnds(json) {
+		const graph = this.graphService.graph;
+		return [json.source, json.target].every(end => !end || !end.id || Boolean(graph.getCell(end.id)));
+	}
+
+	/**
+	 * Adds, removes or updates one cell from its registers
+	 */
+	renderCell(cellId, paths) {
+		const graph = this.graphService.graph;
+		const cell = graph.getCell(cellId);
+		const alive = this.getRegisterValue(cellId, ALIVE_PATH) === true;
+
+		if (!alive) {
+			if (cell) cell.remove(REMOTE_OPTIONS);
+			return;
+		}
+
+		if (!cell) {
+			const json = this.buildCellJSON(cellId);
+			if (json.type && (!json.source || this.hasLinkEnds(json))) {
+				graph.addCell(json, REMOTE_OPTIONS);
+			}
+			return;
+		}
+
+		paths.forEach(path => {
+			if (path !== ALIVE_PATH) {
+				this.applyValue(cell, path, this.getRegisterValue(cellId, path));
+			}
+		});
+	}
+
+	/**
+	 * Sets or removes one synced attribute of a cell
+	 */
+	applyValue(cell, path, value) {
+		if (path.startsWith('attrs/') && this.selectionService) {
+			this.selectionService.setCellProperty(cell, path, this.clone(value), REMOTE_OPTIONS);
+		} else if (path.startsWith('attrs/')) {
+			if (value === undefined) {
+				cell.removeProp(path, REMOTE_OPTIONS);
+			} else {
+				cell.prop(path, this.clone(value), { ...REMOTE_OPTIONS, rewrite: true });
+			}
+		} else if (value === undefined) {
+			cell.unset(path, REMOTE_OPTIONS);
+		} else {
+			cell.set(path, this.clone(value), REMOTE_OPTIONS);
+		}
+	}
+
+	/**
+	 * Builds cell JSON from the registers of a cell
+	 */
+	buildCellJSON(cellId) {
+		const json = { id: cellId };
+
+		this.getCellRegisters(cellId).forEach(({ path, value }) => {
+			if (path === ALIVE_PATH || value === undefined) return;
+
+			if (path.startsWith('attrs/')) {
+				json.attrs = json.attrs || {};
+				json.attrs[path.slice('attrs/'.length)] = this.clone(value);
+			} else {
+				json[path] = this.clone(value);
+			}
+		});
+
+		return json;
+	}
+
+	/**
+	 * Splits a cell into register paths and values
+	 */
+	describeCell(cell) {
+		const json = this.getCellJSON(cell);
+		const entries = [];
+
+		Object.keys(json)
+			.filter(key => !IGNORED_ATTRIBUTES.includes(key))
+			.forEach(key => {
+				if (key === 'attrs') {
+					Object.keys(json.attrs || {}).forEach(selector => {
+						entries.push({ path: `attrs/${selector}`, value: json.attrs[selector] });
+					});
+				} else {
+					entries.push({ path: key, value: json[key] });
+				}
+			});
+
+		entries.push({ path: ALIVE_PATH, value: true });
+		return entries;
+	}
+
+	/**
+	 * Serializes a cell without the local selection highlight
+	 */
+	getCellJSON(cell) {
+		return this.selectionService ? this.selectionService.toUnselectedJSON(cell) : cell.toJSON();
+	}
+
+	/**
+	 * Writes the current graph into the registers with the lowest stamp, so that any
+	 * real edit from any site wins over it
+	 */
+	seedFromGraph() {
+		this.graphService.graph.getCells().forEach(cell => {
+			this.describeCell(cell).forEach(({ path, value }) => {
+				this.writeRegister({ cell: cell.id, path, value: this.clone(value), clock: 0, site: this.siteId }, false);
+			});
+		});
+	}
+
+	/**
+	 * Sends all registers, e.g. to a site that just joined
+	 */
+	sendState(type) {
+		const ops = Array.from(this.registers.values()).map(({ cell, path, value, clock, site }) => ({
+			cell, path, value, clock, site
+		}));
+
+		this.send(type, { ops });
+	}
+
+	/**
+	 * Gets the registers of one cell
+	 */
+	getCellRegisters(cellId) {
+		return Array.from(this.registers.values()).filter(register => register.cell === cellId);
+	}
+
+	/**
+	 * Gets the ids of cells that exist according to the registers
+	 */
+	getAliveCellIds() {
+		return Array.from(this.registers.values())
+			.filter(register => register.path === ALIVE_PATH && register.value === true)
+			.map(register => register.cell);
+	}
+
+	/**
+	 * Gets the current value of a register
+	 */
+	getRegisterValue(cellId, path) {
+		const register = this.registers.get(this.getRegisterKey(cellId, path));
+		return register ? register.value : undefined;
+	}
+
+	/**
+	 * Gets the map key of a register
+	 */
+	getRegisterKey(cellId, path) {
+		return `${cellId}|${path}`;
+	}
+
+	/**
+	 * Records a site seen in the session
+	 */
+	addPeer(site) {
+		if (this.peers.has(site)) return;
+
+		this.peers.add(site);
+		this.stateStore.set('collaboration.peers', Array.from(this.peers));
+		this.eventBus.emit(COLLABORATION_EVENTS.PEER_JOINED, { site });
+	}
+
+	/**
+	 * Forgets a site that left the session
+	 */
+	removePeer(site) {
+		if (!this.peers.delete(site)) return;
+
+		this.stateStore.set('collaboration.peers', Array.from(this.peers));
+		this.eventBus.emit(COLLABORATION_EVENTS.PEER_LEFT, { site });
+	}
+
+	/**
+	 * Updates the connection status in the state store
+	 */
+	setStatus(status) {
+		this.stateStore.set('collaboration.status', status);
+	}
+
+	/**
+	 * Gets the history description of a command
+	 */
+	getDescription(command) {
+		if (!command) return null;
+		return command.getDescription ? command.getDescription() : command.constructor.name;
+	}
+
+	/**
+	 * Generates a random site id
+	 */
+	generateSiteId() {
+		return `site-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+	}
+
+	/**
+	 * Deep-copies a JSON value
+	 */
+	clone(value) {
+		return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+	}
+
+	/**
+	 * Gets service statistics
+	 */
+	getStats() {
+		return {
+			status: this.stateStore.get('collaboration.status'),
+			siteId: this.siteId,
+			transport: this.transport ? this.transport.constructor.name : null,
+			peers: this.peers.size,
+			registers: this.registers.size,
+			pending: this.pending.size,
+			clock: this.clock,
+			...this.stats
+		};
+	}
+
+	/**
+	 * Enables debug mode
+	 */
+	setDebugMode(enabled) {
+		this.debugMode = enabled;
+	}
+
+	/**
+	 * Destroys the service
+	 */
+	destroy() {
+		if (!this.initialized) return;
+
+		this.disconnect();
+		this.initialized = false;
+
+		this.eventBus.emit(COLLABORATION_EVENTS.SERVICE_DESTROYED);
+	}
+}
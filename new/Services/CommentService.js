@@ -0,0 +1,368 @@
+import { COMMENT_EVENTS, DOCUMENT_EVENTS, EDITOR_EVENTS } from '../Events/EventTypes.js';
+
+/**
+ * Thread states
+ */
+export const THREAD_STATUS = {
+	OPEN: 'open',
+	RESOLVED: 'resolved'
+};
+
+/**
+ * CommentService - Review comment threads kept beside the diagram
+ *
+ * A thread is anchored to a cell id or to a canvas point and holds the comments with
+ * their author and time. Threads are not graph cells, so they never show up in
+ * exports; they are stored in the 'comments' section of the document. Review activity
+ * is not part of the undo history.
+ *
+ * Thread: { id, anchor: { cellId, x, y }, status, comments: [{ id, author, text, createdAt }],
+ * createdAt, resolvedAt, resolvedBy }. For cell anchors x/y hold the last known position,
+ * which keeps a thread in place after its cell is deleted.
+ */
+export class CommentService {
+	constructor(eventBus, stateStore, graphService) {
+		this.eventBus = eventBus;
+		this.stateStore = stateStore;
+		this.graphService = graphService;
+		this.threads = new Map();
+		this.author = 'Anonymous';
+		this.initialized = false;
+		this.debugMode = false;
+
+		this.handleCellRemoved = this.handleCellRemoved.bind(this);
+
+		this.bindEventHandlers();
+	}
+
+	/**
+	 * Initializes the service
+	 * @param {Object} options - Optional { author } of new comments
+	 */
+	init(options = {}) {
+		if (this.initialized) {
+			console.warn('CommentService: Already initialized');
+			return;
+		}
+
+		if (options.author) {
+			this.setAuthor(options.author);
+		}
+
+		this.graphService.graph.on('remove', this.handleCellRemoved);
+
+		this.initialized = true;
+		this.eventBus.emit(COMMENT_EVENTS.SERVICE_INITIALIZED);
+	}
+
+	/**
+	 * Binds service to document changes
+	 */
+	bindEventHandlers() {
+		// Documents saved before comments existed have no comments section
+		this.eventBus.on(DOCUMENT_EVENTS.LOADED, (event) => {
+			const sections = event.data.document.sections || {};
+			if (!sections.comments) {
+				this.restoreThreads(null);
+			}
+		});
+
+		this.eventBus.on(EDITOR_EVENTS.DESTROYING, () => this.destroy());
+	}
+
+	/**
+	 * Sets the author of new comments
+	 */
+	setAuthor(author) {
+		this.author = String(author).trim() || 'Anonymous';
+	}
+
+	/**
+	 * Gets the author of new comments
+	 */
+	getAuthor() {
+		return this.author;
+	}
+
+	/**
+	 * Starts a thread with its first comment
+	 * @param {Object} anchor - { cellId } or { x, y } in paper coordinates
+	 * @param {string} text - First comment
+	 * @returns {Object|null} Created thread
+	 */
+	createThread(anchor, text) {
+		const normalizedAnchor = this.normalizeAnchor(anchor);
+		const comment = this.createComment(text);
+
+		if (!normalizedAnchor || !comment) {
+			return null;
+		}
+
+		const thread = {
+			id: this.generateId('thread'),
+			anchor: normalizedAnchor,
+			status: THREAD_STATUS.OPEN,
+			comments: [comment],
+			createdAt: comment.createdAt,
+			resolvedAt: null,
+			resolvedBy: null
+		};
+
+		this.threads.set(thread.id, thread);
+
+		this.eventBus.emit(COMMENT_EVENTS.THREAD_CREATED, { thread });
+		this.emitChanged();
+
+		return thread;
+	}
+
+	/**
+	 * Adds a reply to a thread
+	 * @returns {Object|null} Added comment
+	 */
+	reply(threadId, text) {
+		const thread = this.threads.get(threadId);
+		const comment = thread ? this.createComment(text) : null;
+
+		if (!comment) {
+			return null;
+		}
+
+		thread.comments.push(comment);
+		this.emitUpdated(thread, 'reply');
+
+		return comment;
+	}
+
+	/**
+	 * Marks a thread as resolved
+	 */
+	resolveThread(threadId) {
+		const thread = this.threads.get(threadId);
+		if (!thread || thread.status === THREAD_STATUS.RESOLVED) return false;
+
+		thread.status = THREAD_STATUS.RESOLVED;
+		thread.resolvedAt = Date.now();
+		thread.resolvedBy = this.author;
+		this.emitUpdated(thread, 'resolve');
+
+		return true;
+	}
+
+	/**
+	 * Reopens a resolved thread
+	 */
+	reopenThread(threadId) {
+		const thread = this.threads.get(threadId);
+		if (!thread || thread.status === THREAD_STATUS.OPEN) return false;
+
+		thread.status = THREAD_STATUS.OPEN;
+		thread.resolvedAt = null;
+		thread.resolvedBy = null;
+		this.emitUpdated(thread, 'reopen');
+
+		return true;
+	}
+
+	/**
+	 * Deletes a thread with all its comments
+	 */
+	deleteThread(threadId) {
+		const thread = this.threads.get(threadId);
+		if (!thread) return false;
+
+		this.threads.delete(threadId);
+
+		this.eventBus.emit(COMMENT_EVENTS.THREAD_DELETED, { thread });
+		this.emitChanged();
+
+		return true;
+	}
+
+	/**
+	 * Gets a thread by id
+	 */
+	getThread(threadId) {
+		return this.threads.get(threadId) || null;
+	}
+
+	/**
+	 * Gets threads, oldest first
+	 * @param {Object} filter - Optional { status, cellId }
+	 */
+	getThreads({ status = null, cellId = null } = {}) {
+		return Array.from(this.threads.values())
+			.filter(thread => !status || thread.status === status)
+			.filter(thread => !cellId || thread.anchor.cellId === cellId)
+			.sort((a, b) => a.createdAt - b.createdAt);
+	}
+
+	/**
+	 * Gets the paper point a thread is shown at: the top-right corner of an element,
+	 * the middle of a link or the anchored canvas point
+	 */
+	getAnchorPoint(thread) {
+		const { cellId, x, y } = thread.anchor;
+		const cell = cellId ? this.graphService.graph.getCell(cellId) : null;
+
+		if (cell) {
+			const point = this.getCellAnchorPoint(cell);
+			if (point) return point;
+		}
+
+		return { x, y };
+	}
+
+	/**
+	 * Gets the anchor point of a cell
+	 */
+	getCellAnchorPoint(cell) {
+		try {
+			const bbox = cell.getBBox();
+			const point = cell.isLink() ? bbox.center() : bbox.topRight();
+			return { x: point.x, y: point.y };
+		} catch (error) {
+			// Links whose ends are already gone have no box
+			return null;
+		}
+	}
+
+	/**
+	 * Checks whether a thread's cell no longer exists
+	 */
+	isDetached(thread) {
+		return Boolean(thread.anchor.cellId) && !this.graphService.graph.getCell(thread.anchor.cellId);
+	}
+
+	/**
+	 * Validates an anchor and records the current position of an anchored cell
+	 */
+	normalizeAnchor(anchor) {
+		if (!anchor) return null;
+
+		if (anchor.cellId) {
+			const cell = this.graphService.graph.getCell(anchor.cellId);
+			if (!cell) {
+				console.warn(`CommentService: Unknown cell ${anchor.cellId}`);
+				return null;
+			}
+
+			return { cellId: cell.id, ...this.getCellAnchorPoint(cell) };
+		}
+
+		if (typeof anchor.x !== 'number' || typeof anchor.y !== 'number') {
+			console.warn('CommentService: Anchor must be a cell id or a point');
+			return null;
+		}
+
+		return { cellId: null, x: anchor.x, y: anchor.y };
+	}
+
+	/**
+	 * Creates a comment by the current author
+	 */
+	createComment(text) {
+		const trimmed = typeof text === 'string' ? text.trim() : '';
+		if (!trimmed) return null;
+
+		return {
+			id: this.generateId('comment'),
+			author: this.author,
+			text: trimmed,
+			createdAt: Date.now()
+		};
+	}
+
+	/**
+	 * Keeps threads of a removed cell at its last position
+	 */
+	handleCellRemoved(cell) {
+		this.getThreads({ cellId: cell.id }).forEach(thread => {
+			const point = this.getCellAnchorPoint(cell);
+			if (point) {
+				thread.anchor = { ...thread.anchor, ...point };
+			}
+			this.emitUpdated(thread, 'detach');
+		});
+	}
+
+	/**
+	 * Serializes all threads for the document
+	 */
+	exportThreads() {
+		return JSON.parse(JSON.stringify(this.getThreads()));
+	}
+
+	/**
+	 * Replaces all threads with the threads of a document
+	 */
+	restoreThreads(threads) {
+		this.threads.clear();
+
+		(Array.isArray(threads) ? threads : []).forEach(thread => {
+			if (thread && thread.id && thread.anchor && Array.isArray(thread.comments)) {
+				this.threads.set(thread.id, JSON.parse(JSON.stringify(thread)));
+			}
+		});
+
+		this.emitChanged();
+	}
+
+	/**
+	 * Announces a changed thread
+	 */
+	emitUpdated(thread, change) {
+		this.eventBus.emit(COMMENT_EVENTS.THREAD_UPDATED, { thread, change });
+		this.emitChanged();
+	}
+
+	/**
+	 * Announces that the set of threads changed
+	 */
+	emitChanged() {
+		this.eventBus.emit(COMMENT_EVENTS.CHANGED, {
+			total: this.threads.size,
+			open: this.getThreads({ status: THREAD_STATUS.OPEN }).length
+		});
+	}
+
+	/**
+	 * Generates a unique id
+	 */
+	generateId(prefix) {
+		return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+	}
+
+	/**
+	 * Gets service statistics
+	 */
+	getStats() {
+		return {
+			initialized: this.initialized,
+			threads: this.threads.size,
+			open: this.getThreads({ status: THREAD_STATUS.OPEN }).length,
+			comments: Array.from(this.threads.values()).reduce((sum, thread) => sum + thread.comments.length, 0),
+			author: this.author
+		};
+	}
+
+	/**
+	 * Enables debug mode
+	 */
+	setDebugMode(enabled) {
+		this.debugMode = enabled;
+	}
+
+	/**
+	 * Destroys the service
+	 */
+	destroy() {
+		if (!this.initialized) return;
+
+		this.graphService.graph.off('remove', this.handleCellRemoved);
+		this.threads.clear();
+		this.initialized = false;
+
+		this.eventBus.emit(COMMENT_EVENTS.SERVICE_DESTROYED);
+	}
+}
@@ -0,0 +1,240 @@
+import { DIFF_EVENTS, EDITOR_EVENTS } from '../Events/EventTypes.js';
+import { diffDocuments, mergeDocuments, buildMergedDocument, MERGE_SIDES } from '../Core/DocumentDiff.js';
+
+/**
+ * DiffService - Compares two diagram versions and runs three-way merges
+ *
+ * Inputs can be document objects or .ddr.json strings of any schema version; they are
+ * migrated by DocumentService first, so old files compare cleanly with new ones. Passing
+ * null for a version uses the document currently open in the editor. The comparison
+ * itself lives in Core/DocumentDiff.js and needs no editor.
+ */
+export class DiffService {
+	constructor(eventBus, stateStore, documentService) {
+		this.eventBus = eventBus;
+		this.stateStore = stateStore;
+		this.documentService = documentService;
+		this.comparison = null;
+		this.merge = null;
+		this.initialized = false;
+		this.debugMode = false;
+
+		this.bindEventHandlers();
+	}
+
+	/**
+	 * Initializes the service
+	 */
+	init() {
+		if (this.initialized) {
+			console.warn('DiffService: Already initialized');
+			return;
+		}
+
+		this.initialized = true;
+		this.eventBus.emit(DIFF_EVENTS.SERVICE_INITIALIZED);
+	}
+
+	/**
+	 * Binds service to external events
+	 */
+	bindEventHandlers() {
+		this.eventBus.on(DIFF_EVENTS.COMPARE, (event) => this.compare(event.data.base, event.data.target));
+		this.eventBus.on(DIFF_EVENTS.MERGE, (event) => this.startMerge(event.data.base, event.data.ours, event.data.theirs));
+		this.eventBus.on(EDITOR_EVENTS.DESTROYING, () => this.destroy());
+	}
+
+	/**
+	 * Compares two versions of a diagram
+	 * @param {Object|string} base - Older version
+	 * @param {Object|string|null} target - Newer version, or null for the open document
+	 * @returns {Object|null} Comparison { base, target, diff }
+	 */
+	compare(base, target = null) {
+		const documents = this.prepareDocuments([base, target]);
+		if (!documents) return null;
+
+		const [baseDocument, targetDocument] = documents;
+		this.comparison = {
+			base: baseDocument,
+			target: targetDocument,
+			diff: diffDocuments(baseDocument, targetDocument)
+		};
+
+		if (this.debugMode) {
+			console.log('DiffService: Compared documents', this.comparison.diff.summary);
+		}
+
+		this.eventBus.emit(DIFF_EVENTS.COMPARED, { ...this.comparison });
+		return this.comparison;
+	}
+
+	/**
+	 * Closes the current comparison
+	 */
+	closeComparison() {
+		if (!this.comparison) return;
+
+		this.comparison = null;
+		this.eventBus.emit(DIFF_EVENTS.CLOSED);
+	}
+
+	/**
+	 * Starts a three-way merge; conflicts are resolved with resolveConflict
+	 * @param {Object|string} base - Common ancestor
+	 * @param {Object|string|null} ours - Our version, or null for the open document
+	 * @param {Object|string} theirs - Their version
+	 * @returns {Object|null} Merge { base, ours, theirs, cells, conflicts, resolutions }
+	 */
+	startMerge(base, ours, theirs) {
+		const documents = this.prepareDocuments([base, ours, theirs]);
+		if (!documents) return null;
+
+		this.merge = {
+			...mergeDocuments(...documents),
+			resolutions: {}
+		};
+
+		this.eventBus.emit(DIFF_EVENTS.MERGE_STARTED, { merge: this.merge });
+		return this.merge;
+	}
+
+	/**
+	 * Picks the version of a conflicting cell
+	 * @param {string} cellId - Conflicting cell
+	 * @param {string} side - 'ours' or 'theirs'
+	 */
+	resolveConflict(cellId, side) {
+		if (!this.merge) return false;
+
+		if (!MERGE_SIDES.includes(side) || !this.merge.conflicts.some(conflict => conflict.cellId === cellId)) {
+			console.warn(`DiffService: Cannot resolve ${cellId} with '${side}'`);
+			return false;
+		}
+
+		this.merge.resolutions[cellId] = side;
+
+		this.eventBus.emit(DIFF_EVENTS.CONFLICT_RESOLVED, {
+			cellId,
+			side,
+			remaining: this.getUnresolvedConflicts().length
+		});
+
+		return true;
+	}
+
+	/**
+	 * Picks one side for every conflict that is not resolved yet
+	 */
+	resolveAll(side) {
+		this.getUnresolvedConflicts().forEach(conflict => this.resolveConflict(conflict.cellId, side));
+	}
+
+	/**
+	 * Gets the conflicts without a chosen side
+	 */
+	getUnresolvedConflicts() {
+		if (!this.merge) return [];
+
+		return this.merge.conflicts.filter(conflict => !this.merge.resolutions[conflict.cellId]);
+	}
+
+	/**
+	 * Builds the merged document; unresolved conflicts use our version
+	 * @returns {Object|null} { document, unresolved, dropped }
+	 */
+	getMergeResult() {
+		return this.merge ? buildMergedDocument(this.merge, this.merge.resolutions) : null;
+	}
+
+	/**
+	 * Finishes the merge once every conflict is resolved
+	 * @param {Object} options - { load } to open the merged document in the editor
+	 * @returns {Object|null} Merged document
+	 */
+	completeMerge({ load = false } = {}) {
+		const result = this.getMergeResult();
+		if (!result) return null;
+
+		if (result.unresolved.length > 0) {
+			console.warn(`DiffService: Unresolved conflicts remain: ${result.unresolved.length}`);
+			return null;
+		}
+
+		if (load && !this.documentService.load(result.document)) {
+			return null;
+		}
+
+		this.merge = null;
+		this.eventBus.emit(DIFF_EVENTS.MERGE_COMPLETED, {
+			document: result.document,
+			dropped: result.dropped
+		});
+
+		return result.document;
+	}
+
+	/**
+	 * Abandons the current merge
+	 */
+	cancelMerge() {
+		if (!this.merge) return;
+
+		this.merge = null;
+		this.eventBus.emit(DIFF_EVENTS.MERGE_CANCELLED);
+	}
+
+	/**
+	 * Migrates inputs to the current schema, using the open document for null
+	 * @returns {Object[]|null} Independent copies of the documents
+	 */
+	prepareDocuments(inputs) {
+		try {
+			return inputs.map(input => {
+				const document = input === null || input === undefined
+					? this.documentService.createDocument()
+					: this.documentService.migrate(input);
+
+				return JSON.parse(JSON.stringify(document));
+			});
+		} catch (error) {
+			console.error('DiffService: Failed to read document:', error);
+			this.eventBus.emit(DIFF_EVENTS.FAILED, { error });
+			return null;
+		}
+	}
+
+	/**
+	 * Gets service statistics
+	 */
+	getStats() {
+		return {
+			initialized: this.initialized,
+			comparing: Boolean(this.comparison),
+			changes: this.comparison ? this.comparison.diff.changes.length : 0,
+			merging: Boolean(this.merge),
+			conflicts: this.merge ? this.merge.conflicts.length : 0,
+			unresolved: this.getUnresolvedConflicts().length
+		};
+	}
+
+	/**
+	 * Enables debug mode
+	 */
+	setDebugMode(enabled) {
+		this.debugMode = enabled;
+	}
+
+	/**
+	 * Destroys the service
+	 */
+	destroy() {
+		if (!this.initialized) return;
+
+		this.comparison = null;
+		this.merge = null;
+		this.initialized = false;
+
+		this.eventBus.emit(DIFF_EVENTS.SERVICE_DESTROYED);
+	}
+}
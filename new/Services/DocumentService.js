@@ -0,0 +1,511 @@
+import { DOCUMENT_EVENTS } from '../Events/EventTypes.js';
+
+export const DOCUMENT_FORMAT = 'ddr-drawing';
+export const DOCUMENT_EXTENSION = '.ddr.json';
+export const DOCUMENT_SCHEMA_VERSION = 2;
+
+/**
+ * DocumentService - Saves and loads versioned .ddr.json documents
+ *
+ * Schema versions:
+ * 0 - bare graph JSON, including legacy HistoryManager string snapshots
+ * 1 - bare graph JSON normalized to the current cell namespace
+ * 2 - document with graph cells and registered editor sections
+ */
+export class DocumentService {
+	constructor(eventBus, stateStore, graphService, portService, selectionService = null) {
+		this.eventBus = eventBus;
+		this.stateStore = stateStore;
+		this.graphService = graphService;
+		this.portService = portService;
+		this.selectionService = selectionService;
+		this.initialized = false;
+		this.debugMode = false;
+		this.sections = new Map();
+		this.migrations = new Map();
+
+		this.setupDefaultSections();
+		this.setupDefaultMigrations();
+		this.bindEventHandlers();
+	}
+
+	/**
+	 * Initializes the document service
+	 */
+	init() {
+		if (this.initialized) {
+			console.warn('DocumentService: Already initialized');
+			return;
+		}
+
+		this.initialized = true;
+		this.eventBus.emit(DOCUMENT_EVENTS.SERVICE_INITIALIZED);
+	}
+
+	/**
+	 * Binds service to external events
+	 */
+	bindEventHandlers() {
+		this.eventBus.on(DOCUMENT_EVENTS.SAVE, () => this.save());
+		this.eventBus.on(DOCUMENT_EVENTS.LOAD, (event) => this.load(event.data));
+	}
+
+	/**
+	 * Registers a named document section with serialize/deserialize handlers
+	 */
+	registerSection(name, section) {
+		if (typeof section.serialize !== 'function' || typeof section.deserialize !== 'function') {
+			throw new Error(`DocumentService: Section '${name}' must provide serialize and deserialize`);
+		}
+
+		this.sections.set(name, {
+			serialize: section.serialize,
+			deserialize: section.deserialize,
+			order: section.order || 0
+		});
+	}
+
+	/**
+	 * Unregisters a document section
+	 */
+	unregisterSection(name) {
+		return this.sections.delete(name);
+	}
+
+	/**
+	 * Registers a migration that upgrades a document from the given schema version to the next one
+	 */
+	registerMigration(fromVersion, migrate) {
+		this.migrations.set(fromVersion, migrate);
+	}
+
+	/**
+	 * Sets up sections for editor state that lives outside graph cells
+	 */
+	setupDefaultSections() {
+		this.registerSection('canvas', {
+			order: 10,
+			serialize: () => ({
+				zoom: this.stateStore.get('canvas.zoom'),
+				pan: { ...this.stateStore.get('canvas.pan') },
+				gridSize: this.stateStore.get('canvas.gridSize'),
+				background: this.stateStore.get('canvas.background'),
+				infinite: this.stateStore.get('canvas.infinite')
+			}),
+			deserialize: (canvas) => this.restoreCanvas(canvas)
+		});
+
+		this.registerSection('connections', {
+			order: 20,
+			serialize: () => ({
+				mode: this.stateStore.get('connections.mode'),
+				router: this.stateStore.get('connections.router'),
+				connector: this.stateStore.get('connections.connector'),
+				lineJumps: this.stateStore.get('connections.lineJumps')
+			}),
+			deserialize: (connections) => this.restoreConnections(connections)
+		});
+
+		this.registerSection('ports', {
+			order: 30,
+			serialize: () => this.serializePortStates(),
+			deserialize: (ports) => this.restorePortStates(ports)
+		});
+	}
+
+	/**
+	 * Sets up migrations for documents saved by older builds
+	 */
+	setupDefaultMigrations() {
+		this.registerMigration(0, (document) => this.migrateLegacyCells(document));
+		this.registerMigration(1, (document) => this.migrateGraphToDocument(document));
+	}
+
+	/**
+	 * Builds a document from the current editor state and marks the graph as saved
+	 */
+	save() {
+		const document = this.createDocument();
+
+		this.graphService.markAsSaved();
+		this.eventBus.emit(DOCUMENT_EVENTS.SAVED, { document });
+
+		return document;
+	}
+
+	/**
+	 * Builds a document from the current editor state without touching the saved flag
+	 */
+	createDocument() {
+		const metadata = this.stateStore.get('graph.metadata');
+		const document = {
+			format: DOCUMENT_FORMAT,
+			schemaVersion: DOCUMENT_SCHEMA_VERSION,
+			metadata: {
+				version: metadata.version,
+				created: metadata.created,
+				modified: metadata.modified,
+				saved: Date.now()
+			},
+			graph: this.exportGraph(),
+			sections: {}
+		};
+
+		this.getOrderedSections().forEach(([name, section]) => {
+			try {
+				document.sections[name] = section.serialize();
+			} catch (error) {
+				console.error(`DocumentService: Failed to serialize section '${name}':`, error);
+			}
+		});
+
+		return document;
+	}
+
+	/**
+	 * Serializes the graph with selected cells in their own style, not the selection highlight
+	 */
+	exportGraph() {
+		const graph = this.graphService.exportToJSON();
+		if (!this.selectionService || !Array.isArray(graph.cells)) return graph;
+
+		return {
+			...graph,
+			cells: graph.cells.map(json => {
+				const cell = this.graphService.graph.getCell(json.id);
+				return cell ? this.selectionService.toUnselectedJSON(cell) : json;
+			})
+		};
+	}
+
+	/**
+	 * Serializes the current editor state to a .ddr.json string
+	 */
+	serialize(space = 2) {
+		return JSON.stringify(this.save(), null, space);
+	}
+
+	/**
+	 * Loads a document, migrating it to the current schema first
+	 */
+	load(input) {
+		let document;
+
+		try {
+			document = this.migrate(input);
+		} catch (error) {
+			console.error('DocumentService: Failed to migrate document:', error);
+			this.eventBus.emit(DOCUMENT_EVENTS.LOAD_FAILED, { error });
+			return false;
+		}
+
+		// Sections and metadata are optional in hand-written documents
+		document = {
+			...document,
+			sections: document.sections || {},
+			metadata: document.metadata || {}
+		};
+
+		if (!this.graphService.loadFromJSON(document.graph)) {
+			this.eventBus.emit(DOCUMENT_EVENTS.LOAD_FAILED, { error: new Error('Graph data rejected') });
+			return false;
+		}
+
+		this.getOrderedSections().forEach(([name, section]) => {
+			if (document.sections[name] === undefined) return;
+
+			try {
+				section.deserialize(document.sections[name], document);
+			} catch (error) {
+				console.error(`DocumentService: Failed to restore section '${name}':`, error);
+			}
+		});
+
+		this.stateStore.set('graph.metadata', {
+			...this.stateStore.get('graph.metadata'),
+			version: document.metadata.version || '1.0',
+			created: document.metadata.created || Date.now()
+		});
+		this.graphService.markAsSaved();
+
+		this.eventBus.emit(DOCUMENT_EVENTS.LOADED, { document });
+		return true;
+	}
+
+	/**
+	 * Parses and upgrades raw input to the current document schema
+	 */
+	migrate(input) {
+		let document = typeof input === 'string' ? JSON.parse(input) : input;
+
+		if (!document || typeof document !== 'object') {
+			throw new Error('DocumentService: Document must be an object or JSON string');
+		}
+
+		let version = this.detectSchemaVersion(document);
+
+		if (version > DOCUMENT_SCHEMA_VERSION) {
+			throw new Error(`DocumentService: Schema version ${version} is newer than supported ${DOCUMENT_SCHEMA_VERSION}`);
+		}
+
+		while (version < DOCUMENT_SCHEMA_VERSION) {
+			const migrate = this.migrations.get(version);
+			if (!migrate) {
+				throw new Error(`DocumentService: No migration from schema version ${version}`);
+			}
+
+			document = migrate(document);
+			version++;
+
+			if (this.debugMode) {
+				console.log(`DocumentService: Migrated document to schema version ${version}`);
+			}
+		}
+
+		return document;
+	}
+
+	/**
+	 * Detects the schema version of a parsed document
+	 */
+	detectSchemaVersion(document) {
+		if (document.format === DOCUMENT_FORMAT) {
+			return document.schemaVersion;
+		}
+
+		if (Array.isArray(document.cells)) {
+			return document.schemaVersion === 1 ? 1 : 0;
+		}
+
+		throw new Error('DocumentService: Unrecognized document format');
+	}
+
+	/**
+	 * Migrates legacy cells to the current cell namespace and port groups
+	 */
+	migrateLegacyCells(graphJSON) {
+		const cells = graphJSON.cells.map(cell => {
+			const migrated = { ...cell };
+
+			if (migrated.type === 'Link') {
+				migrated.type = 'CustomLink';
+			}
+
+			if (migrated.ports) {
+				const groups = { ...migrated.ports.groups };
+				if (groups.simplePorts) {
+					groups.default = groups.default || groups.simplePorts;
+					delete groups.simplePorts;
+				}
+
+				migrated.ports = {
+					...migrated.ports,
+					groups,
+					items: (migrated.ports.items || []).map(item =>
+						item.group === 'simplePorts' ? { ...item, group: 'default' } : item
+					)
+				};
+			}
+
+			return migrated;
+		});
+
+		return { ...graphJSON, cells, schemaVersion: 1 };
+	}
+
+	/**
+	 * Wraps bare graph cells into a document and extracts callouts stored on cells
+	 * Legacy element callouts were drawn with helper links, which are dropped here
+	 */
+	migrateGraphToDocument(graphJSON) {
+		const helperLinkIds = new Set();
+		const callouts = [];
+
+		const cells = graphJSON.cells.map(cell => {
+			if (Array.isArray(cell.labels)) {
+				return {
+					...cell,
+					labels: cell.labels.map((label, index) =>
+						label.attrs && label.attrs.calloutText && !label.calloutId
+							? { ...label, calloutId: `callout_${cell.id}_${index}` }
+							: label
+					)
+				};
+			}
+
+			if (!Array.isArray(cell.callouts)) return cell;
+
+			cell.callouts.forEach(callout => {
+				if (!callout || typeof callout !== 'object') return;
+
+				if (callout.diagonalId) helperLinkIds.add(callout.diagonalId);
+				if (callout.horizontalId) helperLinkIds.add(callout.horizontalId);
+
+				callouts.push({
+					targetId: cell.id,
+					targetType: 'element',
+					text: callout.text
+				});
+			});
+
+			return { ...cell, callouts: [] };
+		});
+
+		return {
+			format: DOCUMENT_FORMAT,
+			schemaVersion: 2,
+			metadata: {
+				version: '1.0',
+				created: Date.now()
+			},
+			graph: {
+				cells: cells.filter(cell => !helperLinkIds.has(cell.id))
+			},
+			sections: {
+				callouts
+			}
+		};
+	}
+
+	/**
+	 * Restores canvas view settings
+	 */
+	restoreCanvas(canvas) {
+		this.stateStore.setBatch({
+			'canvas.gridSize': canvas.gridSize || this.stateStore.get('canvas.gridSize'),
+			'canvas.background': canvas.background || this.stateStore.get('canvas.background')
+		});
+
+		if (typeof canvas.infinite === 'boolean') {
+			this.eventBus.emit('canvas:set-infinite', { enabled: canvas.infinite });
+		}
+
+		if (typeof canvas.zoom === 'number') {
+			this.eventBus.emit('canvas:zoom', { zoom: canvas.zoom });
+		}
+
+		if (canvas.pan) {
+			this.eventBus.emit('canvas:pan', { x: canvas.pan.x, y: canvas.pan.y });
+		}
+	}
+
+	/**
+	 * Restores connection mode, router and connector
+	 */
+	restoreConnections(connections) {
+		if (connections.router) {
+			this.stateStore.set('connections.router', connections.router);
+		}
+
+		if (connections.connector) {
+			this.stateStore.set('connections.connector', connections.connector);
+		}
+
+		if (connections.mode) {
+			this.stateStore.set('connections.mode', connections.mode);
+		}
+
+		if (connections.lineJumps) {
+			this.stateStore.set('connections.lineJumps', { ...connections.lineJumps });
+		}
+	}
+
+	/**
+	 * Converts port states to plain JSON
+	 */
+	serializePortStates() {
+		const portStates = this.stateStore.get('ports.states');
+		const result = {};
+
+		portStates.forEach((sides, elementId) => {
+			result[elementId] = {};
+			Object.entries(sides).forEach(([side, ports]) => {
+				result[elementId][side] = ports.map(port => ({
+					id: port.id,
+					occupied: port.occupied,
+					linkId: port.linkId
+				}));
+			});
+		});
+
+		return result;
+	}
+
+	/**
+	 * Rebuilds port states from the graph and reapplies saved occupancy
+	 */
+	restorePortStates(ports) {
+		this.portService.syncAllPortStates();
+
+		Object.entries(ports).forEach(([elementId, sides]) => {
+			const element = this.graphService.getElementById(elementId);
+			if (!element) return;
+
+			Object.values(sides).flat().forEach(port => {
+				if (!port.occupied || !port.linkId) return;
+				if (!this.graphService.getElementById(port.linkId)) return;
+
+				this.portService.occupyPort(element, port.id, port.linkId);
+			});
+		});
+	}
+
+	/**
+	 * Gets sections sorted by restore order
+	 */
+	getOrderedSections() {
+		return Array.from(this.sections.entries())
+			.sort(([, a], [, b]) => a.order - b.order);
+	}
+
+	/**
+	 * Builds a file name with the native document extension
+	 */
+	getFileName(name = 'diagram') {
+		return name.endsWith(DOCUMENT_EXTENSION) ? name : `${name}${DOCUMENT_EXTENSION}`;
+	}
+
+	/**
+	 * Downloads the current document as a .ddr.json file
+	 */
+	download(name = 'diagram') {
+		const blob = new Blob([this.serialize()], { type: 'application/json' });
+		const url = URL.createObjectURL(blob);
+
+		const link = document.createElement('a');
+		link.href = url;
+		link.download = this.getFileName(name);
+		link.click();
+
+		URL.revokeObjectURL(url);
+	}
+
+	/**
+	 * Gets service statistics
+	 */
+	getStats() {
+		return {
+			schemaVersion: DOCUMENT_SCHEMA_VERSION,
+			sections: Array.from(this.sections.keys()),
+			migrations: Array.from(this.migrations.keys())
+		};
+	}
+
+	/**
+	 * Enables debug mode
+	 */
+	setDebugMode(enabled) {
+		this.debugMode = enabled;
+	}
+
+	/**
+	 * Destroys the service
+	 */
+	destroy() {
+		this.sections.clear();
+		this.migrations.clear();
+		this.initialized = false;
+
+		this.eventBus.emit(DOCUMENT_EVENTS.SERVICE_DESTROYED);
+	}
+}
@@ -0,0 +1,528 @@
+import { EXPORT_EVENTS } from '../Events/EventTypes.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+
+/**
+ * ExportService - Serializes the paper into standalone image formats
+ */
+export class ExportService {
+	constructor(eventBus, stateStore, graphService, paperService, selectionService) {
+		this.eventBus = eventBus;
+		this.stateStore = stateStore;
+		this.graphService = graphService;
+		this.paperService = paperService;
+		this.selectionService = selectionService;
+		this.initialized = false;
+		this.debugMode = false;
+
+		// Style elements injected by UI components and plugins
+		this.styleSheetIds = [
+			'callouts-plugin-styles',
+			'guidelines-styles'
+		];
+
+		// Editor-only nodes that never belong in an exported image
+		this.artifactSelectors = [
+			'.joint-port',
+			'.joint-tools-layer',
+			'.joint-tools',
+			'.joint-grid-layer',
+			'[class*="joint-highlight"]',
+			'.guidelines-container',
+			'[data-export-ignore]'
+		];
+
+		// Distance from a cell at which callout overlays are still considered attached
+		this.calloutReach = 60;
+		this.pngScales = [1, 2, 4];
+
+		this.bindEventHandlers();
+	}
+
+	/**
+	 * Initializes the export service
+	 */
+	init() {
+		if (this.initialized) {
+			console.warn('ExportService: Already initialized');
+			return;
+		}
+
+		this.initialized = true;
+		this.eventBus.emit(EXPORT_EVENTS.SERVICE_INITIALIZED);
+	}
+
+	/**
+	 * Binds service to external events
+	 */
+	bindEventHandlers() {
+		this.eventBus.on(EXPORT_EVENTS.EXPORT_SVG, (event) => {
+			this.downloadSVG((event.data && event.data.name) || 'diagram');
+		});
+
+		this.eventBus.on(EXPORT_EVENTS.EXPORT_PNG, (event) => {
+			const options = event.data || {};
+			this.downloadPNG(options.name || 'diagram', options);
+		});
+	}
+
+	/**
+	 * Exports the current diagram as a standalone SVG string
+	 */
+	exportSVG(options = {}) {
+		try {
+			const result = this.buildSVG(options);
+			if (!result) return null;
+
+			const markup = this.serializeSVG(result.svg);
+
+			this.eventBus.emit(EXPORT_EVENTS.SVG_EXPORTED, {
+				bounds: result.bounds,
+				size: markup.length
+			});
+
+			return markup;
+		} catch (error) {
+			console.error('ExportService: Failed to export SVG:', error);
+			this.eventBus.emit(EXPORT_EVENTS.EXPORT_FAILED, { format: 'svg', error });
+			return null;
+		}
+	}
+
+	/**
+	 * Builds a cropped SVG clone of the paper, optionally limited to given cells
+	 */
+	buildSVG(options = {}) {
+		const {
+			padding = 20,
+			background = this.stateStore.get('canvas.background'),
+			includeCallouts = true,
+			cells = null
+		} = options;
+
+		const paper = this.paperService.paper;
+		if (!paper) {
+			console.error('ExportService: Paper is not initialized');
+			return null;
+		}
+
+		const region = cells ? this.getCellsRegion(cells) : this.graphService.getBounds();
+		const calloutNodes = includeCallouts ? this.getCalloutNodes(cells ? region : null) : [];
+		const bounds = this.getExportBounds(region, calloutNodes, padding);
+		const svg = paper.svg.cloneNode(true);
+
+		this.stripEditorArtifacts(svg);
+
+		if (cells) {
+			this.isolateCells(svg, cells);
+		}
+
+		this.resetSelectionStyles(svg);
+		this.resetViewportTransform(svg);
+		this.applyCrop(svg, bounds);
+
+		if (background) {
+			this.addBackground(svg, bounds, background);
+		}
+
+		this.embedStyles(svg);
+		this.embedCallouts(svg, bounds, calloutNodes);
+
+		return { svg, bounds };
+	}
+
+	/**
+	 * Gets the bounding region of the given elements
+	 */
+	getCellsRegion(cells) {
+		const elements = cells.filter(cell => cell.isElement());
+		return this.graphService.graph.getCellsBBox(elements) || joint.g.rect(0, 0, 0, 0);
+	}
+
+	/**
+	 * Calculates the crop area from a region, callout overlays and padding
+	 */
+	getExportBounds(region, calloutNodes, padding) {
+		let bounds = joint.g.rect(region.x, region.y, region.width, region.height);
+
+		calloutNodes.forEach(node => {
+			const box = this.estimateCalloutBox(node);
+			if (box) {
+				bounds = bounds.union(box);
+			}
+		});
+
+		return bounds.moveAndExpand({
+			x: -padding,
+			y: -padding,
+			width: padding * 2,
+			height: padding * 2
+		});
+	}
+
+	/**
+	 * Removes cells that are not part of the exported set
+	 * Links are kept when selected or when both their ends are exported
+	 */
+	isolateCells(svg, cells) {
+		const exportedIds = new Set(cells.map(cell => cell.id));
+
+		this.graphService.graph.getLinks().forEach(link => {
+			const source = link.getSourceElement();
+			const target = link.getTargetElement();
+
+			if (source && target && exportedIds.has(source.id) && exportedIds.has(target.id)) {
+				exportedIds.add(link.id);
+			}
+		});
+
+		svg.querySelectorAll('[model-id]').forEach(node => {
+			if (!exportedIds.has(node.getAttribute('model-id')) && node.parentNode) {
+				node.parentNode.removeChild(node);
+			}
+		});
+
+		// Line jumps of links left out of the export
+		svg.querySelectorAll('[data-jumps-link-id]').forEach(node => {
+			if (!exportedIds.has(node.getAttribute('data-jumps-link-id')) && node.parentNode) {
+				node.parentNode.removeChild(node);
+			}
+		});
+	}
+
+	/**
+	 * Gets exportable callout overlay nodes from the canvas
+	 * When a region is given only callouts anchored near it are returned
+	 */
+	getCalloutNodes(region = null) {
+		const paperElement = this.paperService.paperElement;
+		if (!paperElement) return [];
+
+		const area = region ? joint.g.rect(region).inflate(this.calloutReach) : null;
+
+		return Array.from(paperElement.querySelectorAll('.callout-line, .callout-outer-container'))
+			.filter(node => !node.querySelector('.placeholder'))
+			.filter(node => !area || area.containsPoint({
+				x: parseFloat(node.style.left),
+				y: parseFloat(node.style.top)
+			}));
+	}
+
+	/**
+	 * Estimates a callout node box without relying on browser layout
+	 */
+	estimateCalloutBox(node) {
+		const x = parseFloat(node.style.left);
+		const y = parseFloat(node.style.top);
+		if (isNaN(x) || isNaN(y)) return null;
+
+		if (node.classList.contains('callout-line')) {
+			return joint.g.rect(x, y, parseFloat(node.style.width) || 1, 1);
+		}
+
+		const lines = node.textContent.split('\n');
+		const longest = Math.max(...lines.map(line => line.length));
+		const width = longest * 7 + 8;
+		const height = lines.length * 12 + 4;
+
+		// Text overlay sits 5px above its anchor container
+		return joint.g.rect(x, y - height - 5, width, height);
+	}
+
+	/**
+	 * Removes ports, tools, highlighters and guidelines from the clone
+	 */
+	stripEditorArtifacts(svg) {
+		svg.querySelectorAll(this.artifactSelectors.join(',')).forEach(node => {
+			node.parentNode.removeChild(node);
+		});
+	}
+
+	/**
+	 * Restores the own strokes of cells that are currently selected
+	 */
+	resetSelectionStyles(svg) {
+		const selection = this.stateStore.get('selection.elements') || [];
+
+		selection.forEach(cell => {
+			const cellNode = svg.querySelector(`[model-id="${cell.id}"]`);
+			const style = this.selectionService.getUnselectedStyle(cell);
+			if (!cellNode || !style) return;
+
+			const selector = cell.isLink() ? 'line' : 'body';
+			this.setNodeStroke(
+				cellNode.querySelector(`[joint-selector="${selector}"]`),
+				style[`${selector}/stroke`],
+				style[`${selector}/strokeWidth`]
+			);
+		});
+	}
+
+	/**
+	 * Sets stroke attributes on an SVG node; missing values remove the attribute
+	 */
+	setNodeStroke(node, stroke, strokeWidth) {
+		if (!node) return;
+
+		[['stroke', stroke], ['stroke-width', strokeWidth]].forEach(([name, value]) => {
+			if (value === undefined) {
+				node.removeAttribute(name);
+			} else {
+				node.setAttribute(name, value);
+			}
+		});
+	}
+
+	/**
+	 * Removes zoom and pan so the clone uses graph coordinates
+	 */
+	resetViewportTransform(svg) {
+		svg.querySelectorAll('.joint-viewport, .joint-layers').forEach(node => {
+			node.removeAttribute('transform');
+		});
+	}
+
+	/**
+	 * Crops the clone to the export bounds
+	 */
+	applyCrop(svg, bounds) {
+		svg.setAttribute('xmlns', SVG_NS);
+		svg.setAttribute('xmlns:xlink', XLINK_NS);
+		svg.setAttribute('width', bounds.width);
+		svg.setAttribute('height', bounds.height);
+		svg.setAttribute('viewBox', `${bounds.x} ${bounds.y} ${bounds.width} ${bounds.height}`);
+		svg.removeAttribute('style');
+		svg.removeAttribute('id');
+	}
+
+	/**
+	 * Inlines CSS injected by editor components
+	 */
+	embedStyles(svg) {
+		const css = this.styleSheetIds
+			.map(id => document.getElementById(id))
+			.filter(Boolean)
+			.map(style => style.textContent)
+			.join('\n');
+
+		if (!css) return;
+
+		const style = document.createElementNS(SVG_NS, 'style');
+		style.setAttribute('type', 'text/css');
+		style.textContent = css;
+
+		svg.insertBefore(style, svg.firstChild);
+	}
+
+	/**
+	 * Adds a background rectangle behind the diagram
+	 */
+	addBackground(svg, bounds, color) {
+		const rect = document.createElementNS(SVG_NS, 'rect');
+		rect.setAttribute('x', bounds.x);
+		rect.setAttribute('y', bounds.y);
+		rect.setAttribute('width', bounds.width);
+		rect.setAttribute('height', bounds.height);
+		rect.setAttribute('fill', color);
+
+		svg.insertBefore(rect, svg.firstChild);
+	}
+
+	/**
+	 * Embeds HTML callout overlays through a foreignObject
+	 */
+	embedCallouts(svg, bounds, nodes) {
+		if (nodes.length === 0) return;
+
+		const foreignObject = document.createElementNS(SVG_NS, 'foreignObject');
+		foreignObject.setAttribute('x', bounds.x);
+		foreignObject.setAttribute('y', bounds.y);
+		foreignObject.setAttribute('width', bounds.width);
+		foreignObject.setAttribute('height', bounds.height);
+
+		const container = document.createElementNS(XHTML_NS, 'div');
+		container.setAttribute('style', `position: relative; left: ${-bounds.x}px; top: ${-bounds.y}px;`);
+
+		nodes.forEach(node => {
+			container.appendChild(node.cloneNode(true));
+		});
+
+		foreignObject.appendChild(container);
+		svg.appendChild(foreignObject);
+	}
+
+	/**
+	 * Serializes an SVG node to a standalone document string
+	 */
+	serializeSVG(svg) {
+		const markup = typeof XMLSerializer !== 'undefined'
+			? new XMLSerializer().serializeToString(svg)
+			: svg.outerHTML;
+
+		return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n${markup}`;
+	}
+
+	/**
+	 * Exports the diagram or the current selection as a PNG blob
+	 */
+	async exportPNG(options = {}) {
+		const {
+			scale = this.stateStore.get('ui.export.pngScale') || 1,
+			background = this.stateStore.get('canvas.background'),
+			selectionOnly = false,
+			padding = 20
+		} = options;
+
+		if (!this.pngScales.includes(scale)) {
+			console.warn(`ExportService: Unsupported PNG scale ${scale}`);
+			return null;
+		}
+
+		const cells = selectionOnly ? this.selectionService.getSelectedElements() : null;
+		if (cells && cells.length === 0) {
+			console.warn('ExportService: Nothing selected to export');
+			return null;
+		}
+
+		const svgOptions = { padding, background, cells };
+
+		try {
+			let blob;
+
+			try {
+				blob = await this.rasterize(svgOptions, scale, background);
+			} catch (error) {
+				if (error.name !== 'SecurityError') throw error;
+
+				// Some browsers taint the canvas when the SVG contains a foreignObject
+				console.warn('ExportService: Canvas tainted by callout overlays, exporting without them');
+				blob = await this.rasterize({ ...svgOptions, includeCallouts: false }, scale, background);
+			}
+
+			this.stateStore.set('ui.export.pngScale', scale);
+
+			this.eventBus.emit(EXPORT_EVENTS.PNG_EXPORTED, {
+				scale,
+				selectionOnly,
+				size: blob.size
+			});
+
+			return blob;
+		} catch (error) {
+			console.error('ExportService: Failed to export PNG:', error);
+			this.eventBus.emit(EXPORT_EVENTS.EXPORT_FAILED, { format: 'png', error });
+			return null;
+		}
+	}
+
+	/**
+	 * Renders an SVG export onto a scaled canvas and encodes it as PNG
+	 */
+	async rasterize(svgOptions, scale, background) {
+		const result = this.buildSVG(svgOptions);
+		if (!result) {
+			throw new Error('ExportService: Unable to build SVG for rasterization');
+		}
+
+		const { svg, bounds } = result;
+		const image = await this.loadImage(this.serializeSVG(svg));
+
+		const canvas = document.createElement('canvas');
+		canvas.width = Math.ceil(bounds.width * scale);
+		canvas.height = Math.ceil(bounds.height * scale);
+
+		const context = canvas.getContext('2d');
+		if (background) {
+			context.fillStyle = background;
+			context.fillRect(0, 0, canvas.width, canvas.height);
+		}
+		context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+		return new Promise((resolve, reject) => {
+			canvas.toBlob(blob => {
+				if (blob) {
+					resolve(blob);
+				} else {
+					reject(new Error('ExportService: Canvas produced no PNG data'));
+				}
+			}, 'image/png');
+		});
+	}
+
+	/**
+	 * Loads SVG markup into an image element
+	 */
+	loadImage(markup) {
+		return new Promise((resolve, reject) => {
+			const image = new Image();
+			image.onload = () => resolve(image);
+			image.onerror = () => reject(new Error('ExportService: Failed to load SVG image'));
+			image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+		});
+	}
+
+	/**
+	 * Downloads the diagram or the current selection as a PNG file
+	 */
+	async downloadPNG(name = 'diagram', options = {}) {
+		const blob = await this.exportPNG(options);
+		if (!blob) return false;
+
+		const scale = options.scale || this.stateStore.get('ui.export.pngScale') || 1;
+		this.downloadBlob(blob, `${name}@${scale}x.png`);
+		return true;
+	}
+
+	/**
+	 * Downloads the current diagram as an SVG file
+	 */
+	downloadSVG(name = 'diagram', options = {}) {
+		const markup = this.exportSVG(options);
+		if (!markup) return false;
+
+		this.downloadBlob(new Blob([markup], { type: 'image/svg+xml' }), `${name}.svg`);
+		return true;
+	}
+
+	/**
+	 * Triggers a browser download for a blob
+	 */
+	downloadBlob(blob, fileName) {
+		const url = URL.createObjectURL(blob);
+
+		const link = document.createElement('a');
+		link.href = url;
+		link.download = fileName;
+		link.click();
+
+		URL.revokeObjectURL(url);
+	}
+
+	/**
+	 * Gets service statistics
+	 */
+	getStats() {
+		return {
+			styleSheets: this.styleSheetIds.length,
+			artifactSelectors: this.artifactSelectors.length,
+			calloutOverlays: this.getCalloutNodes().length
+		};
+	}
+
+	/**
+	 * Enables debug mode
+	 */
+	setDebugMode(enabled) {
+		this.debugMode = enabled;
+	}
+
+	/**
+	 * Destroys the service
+	 */
+	destroy() {
+		this.initialized = false;
+		this.eventBus.emit(EXPORT_EVENTS.SERVICE_DESTROYED);
+	}
+}
@@ -1,10 +1,14 @@
+import { SHAPE_EVENTS } from '../Events/EventTypes.js';
+import { createRouter, createConnector } from './RoutingService.js';
+
 /**
  * GraphService - Service for managing JointJS Graph operations and state
  */
 export class GraphService {
-	constructor(eventBus, stateStore) {
+	constructor(eventBus, stateStore, shapeRegistry = null) {
 		this.eventBus = eventBus;
 		this.stateStore = stateStore;
+		this.shapeRegistry = shapeRegistry;
 		this.graph = null;
 		this.cellNamespace = null;
 		this.initialized = false;
@@ -22,6 +26,19 @@ export class GraphService {
 			...joint.shapes,
 			...this.createCustomShapes()
 		};
+
+		if (this.shapeRegistry) {
+			this.shapeRegistry.getShapeClasses().forEach((shapeClass, type) => {
+				this.registerShapeClass(type, shapeClass);
+			});
+		}
+	}
+
+	/**
+	 * Adds a shape class to the cell namespace so documents using it can be loaded
+	 */
+	registerShapeClass(type, shapeClass) {
+		joint.util.setByPath(this.cellNamespace, type, shapeClass, '.');
 	}
 
 	/**
@@ -90,6 +107,7 @@ export class GraphService {
 		this.graph.on('remove', this.handleCellRemoved.bind(this));
 		this.graph.on('change:position', this.handleCellMoved.bind(this));
 		this.graph.on('change:size', this.handleCellResized.bind(this));
+		this.graph.on('change:angle', this.handleCellRotated.bind(this));
 		this.graph.on('change:attrs', this.handleCellStyleChanged.bind(this));
 	}
 
@@ -102,6 +120,16 @@ export class GraphService {
 		this.eventBus.on('graph:export', () => this.exportToJSON());
 		this.eventBus.on('element:create', (event) => this.createElement(event.data));
 		this.eventBus.on('link:create', (event) => this.createLink(event.data));
+		this.eventBus.on(SHAPE_EVENTS.REGISTERED, (event) => {
+			if (event.data.shapeClass) {
+				this.registerShapeClass(event.data.shape.type, event.data.shapeClass);
+			}
+		});
+
+		// Every undoable edit counts as a modification, including moves and style changes
+		this.eventBus.on('command:executed', () => this.updateGraphMetadata());
+		this.eventBus.on('command:undone', () => this.updateGraphMetadata());
+		this.eventBus.on('command:redone', () => this.updateGraphMetadata());
 	}
 
 	/**
@@ -158,6 +186,18 @@ export class GraphService {
 		}
 	}
 
+	/**
+	 * Handles cell rotation
+	 */
+	handleCellRotated(cell, newAngle) {
+		if (cell.isElement()) {
+			this.eventBus.emit('element:rotated', { 
+				element: cell, 
+				angle: newAngle 
+			});
+		}
+	}
+
 	/**
 	 * Handles cell style changes
 	 */
@@ -225,62 +265,47 @@ export class GraphService {
 	}
 
 	/**
-	 * Creates a new element and adds it to the graph
+	 * Creates a new element of a registered shape and adds it to the graph
 	 */
 	createElement(options = {}) {
 		const {
 			type = 'rectangle',
 			position = { x: 100, y: 100 },
-			size = { width: 60, height: 40 },
+			size = null,
 			attrs = {},
-			ports = null
+			ports = null,
+			label = null
 		} = options;
 
+		const shape = this.shapeRegistry ? this.shapeRegistry.getShape(type) : null;
+		const ShapeClass = shape ? joint.util.getByPath(this.cellNamespace, shape.type, '.') : null;
+
 		let element;
 
-		switch (type) {
-			case 'rectangle':
-				element = new this.cellNamespace.CustomRectangle({
-					position,
-					size,
-					attrs: {
-						body: { ...attrs }
-					}
-				});
-				break;
-
-			case 'circle':
-				element = new joint.shapes.standard.Circle({
-					position,
-					size,
-					attrs: {
-						body: { ...attrs }
-					}
-				});
-				break;
-
-			case 'ellipse':
-				element = new joint.shapes.standard.Ellipse({
-					position,
-					size,
-					attrs: {
-						body: { ...attrs }
-					}
-				});
-				break;
-
-			default:
-				element = new this.cellNamespace.CustomRectangle({
-					position,
-					size,
-					attrs: {
-						body: { ...attrs }
-					}
-				});
-		}
+		if (ShapeClass) {
+			element = new ShapeClass(this.shapeRegistry.createElementAttributes(type, {
+				position,
+				size,
+				attrs,
+				ports,
+				label
+			}));
+		} else {
+			if (this.shapeRegistry) {
+				console.warn(`GraphService: Unknown shape '${type}', falling back to rectangle`);
+			}
 
-		if (ports) {
-			element.set('ports', ports);
+			element = new this.cellNamespace.CustomRectangle({
+				position,
+				size: size || { width: 60, height: 40 },
+				attrs: {
+					body: { ...attrs }
+				}
+			});
+
+			if (ports) {
+				element.set('ports', ports);
+			}
 		}
 
 		element.addTo(this.graph);
@@ -295,8 +320,8 @@ export class GraphService {
 			source,
 			target,
 			attrs = {},
-			router = { name: 'manhattan' },
-			connector = { name: 'rounded' },
+			router = createRouter(this.stateStore.get('connections.router')),
+			connector = createConnector(this.stateStore.get('connections.connector')),
 			labels = []
 		} = options;
 
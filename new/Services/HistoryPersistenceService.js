@@ -0,0 +1,272 @@
+import { HISTORY_EVENTS, DOCUMENT_EVENTS, COMMAND_EVENTS, EDITOR_EVENTS } from '../Events/EventTypes.js';
+
+/**
+ * HistoryPersistenceService - Keeps the undo/redo history in a storage adapter across sessions
+ *
+ * History is saved together with a signature of the graph it applies to and is only
+ * restored when the current graph matches, so undo never runs against a different drawing.
+ */
+export class HistoryPersistenceService {
+	constructor(eventBus, stateStore, graphService, commandManager, commandRegistry, historyStorage) {
+		this.eventBus = eventBus;
+		this.stateStore = stateStore;
+		this.graphService = graphService;
+		this.commandManager = commandManager;
+		this.commandRegistry = commandRegistry;
+		this.storage = historyStorage;
+		this.initialized = false;
+		this.debugMode = false;
+		this.storageKey = 'history';
+		this.saveDelay = 500;
+		this.saveTimer = null;
+		this.restoring = false;
+
+		this.bindEventHandlers();
+	}
+
+	/**
+	 * Initializes the service and restores history saved by a previous session
+	 */
+	async init() {
+		if (this.initialized) {
+			console.warn('HistoryPersistenceService: Already initialized');
+			return;
+		}
+
+		this.commandManager.registerCommandTypes(this.commandRegistry);
+		this.initialized = true;
+
+		await this.restore();
+		this.eventBus.emit(HISTORY_EVENTS.SERVICE_INITIALIZED);
+	}
+
+	/**
+	 * Binds service to history and document events
+	 */
+	bindEventHandlers() {
+		const scheduleSave = () => this.scheduleSave();
+
+		this.eventBus.on(COMMAND_EVENTS.EXECUTED, scheduleSave);
+		this.eventBus.on(COMMAND_EVENTS.UNDONE, scheduleSave);
+		this.eventBus.on(COMMAND_EVENTS.REDONE, scheduleSave);
+		this.eventBus.on(COMMAND_EVENTS.BATCH_COMPLETED, scheduleSave);
+		this.eventBus.on(COMMAND_EVENTS.HISTORY_CLEARED, scheduleSave);
+
+		// A freshly loaded document may be the one the saved history belongs to
+		this.eventBus.on(DOCUMENT_EVENTS.LOADED, () => {
+			if (this.commandManager.history.length === 0) {
+				this.restore();
+			}
+		});
+
+		// Write pending changes before the page goes away and before the
+		// editor teardown clears the in-memory history
+		this.eventBus.on(EDITOR_EVENTS.BEFORE_UNLOAD, () => this.flush());
+		this.eventBus.on(EDITOR_EVENTS.DESTROYING, () => this.destroy());
+
+		this.eventBus.on(HISTORY_EVENTS.SAVE, () => this.save());
+		this.eventBus.on(HISTORY_EVENTS.RESTORE, () => this.restore());
+	}
+
+	/**
+	 * Replaces the storage adapter, e.g. with a localStorage or IndexedDB one
+	 */
+	setStorage(storage, options = {}) {
+		if (!storage || typeof storage.load !== 'function' || typeof storage.save !== 'function') {
+			throw new Error('HistoryPersistenceService: Storage must implement load and save');
+		}
+
+		this.storage = storage;
+		if (options.key) {
+			this.storageKey = options.key;
+		}
+	}
+
+	/**
+	 * Debounces saving so bursts of commands result in a single write
+	 */
+	scheduleSave() {
+		if (!this.initialized || this.restoring) return;
+
+		clearTimeout(this.saveTimer);
+		this.saveTimer = setTimeout(() => {
+			this.saveTimer = null;
+			this.save();
+		}, this.saveDelay);
+	}
+
+	/**
+	 * Saves immediately if a save is pending
+	 */
+	flush() {
+		if (!this.saveTimer) return;
+
+		clearTimeout(this.saveTimer);
+		this.saveTimer = null;
+		this.save();
+	}
+
+	/**
+	 * Saves the current history with the graph signature
+	 */
+	async save() {
+		try {
+			const history = this.commandManager.serializeHistory(this.commandRegistry);
+			history.graphSignature = this.getGraphSignature();
+
+			await this.storage.save(this.storageKey, history);
+
+			this.eventBus.emit(HISTORY_EVENTS.SAVED, {
+				totalCommands: history.commands.length,
+				position: history.currentIndex
+			});
+
+			if (this.debugMode) {
+				console.log(`HistoryPersistenceService: Saved ${history.commands.length} commands`);
+			}
+
+			return true;
+
+		} catch (error) {
+			console.error('HistoryPersistenceService: Failed to save history:', error);
+			this.eventBus.emit(HISTORY_EVENTS.SAVE_FAILED, { error });
+			return false;
+		}
+	}
+
+	/**
+	 * Restores saved history if it belongs to the current graph
+	 */
+	async restore() {
+		let history;
+
+		try {
+			history = await this.storage.load(this.storageKey);
+		} catch (error) {
+			console.error('HistoryPersistenceService: Failed to load history:', error);
+			return false;
+		}
+
+		if (!history || !Array.isArray(history.commands) || history.commands.length === 0) {
+			return false;
+		}
+
+		if (history.graphSignature !== this.getGraphSignature()) {
+			this.eventBus.emit(HISTORY_EVENTS.RESTORE_SKIPPED, { reason: 'graph-mismatch' });
+
+			if (this.debugMode) {
+				console.log('HistoryPersistenceService: Saved history belongs to a different graph');
+			}
+
+			return false;
+		}
+
+		const unknownTypes = this.findUnknownTypes(history.commands);
+		if (unknownTypes.length > 0) {
+			this.eventBus.emit(HISTORY_EVENTS.RESTORE_SKIPPED, { reason: 'unknown-commands', types: unknownTypes });
+			return false;
+		}
+
+		this.restoring = true;
+		try {
+			this.commandManager.restoreHistory(history, this.commandRegistry);
+		} finally {
+			this.restoring = false;
+		}
+
+		this.eventBus.emit(HISTORY_EVENTS.RESTORED, {
+			totalCommands: history.commands.length,
+			position: history.currentIndex
+		});
+
+		return true;
+	}
+
+	/**
+	 * Collects command types that the registry cannot deserialize
+	 */
+	findUnknownTypes(commands) {
+		const unknown = new Set();
+
+		const visit = (data) => {
+			if (!this.commandRegistry.has(data.type)) {
+				unknown.add(data.type);
+			}
+			(data.commands || []).forEach(visit);
+		};
+
+		commands.forEach(visit);
+		return Array.from(unknown);
+	}
+
+	/**
+	 * Computes a signature of the graph structure (cell ids, geometry and link ends)
+	 * Styling is left out so selection highlighting does not change the signature
+	 */
+	getGraphSignature() {
+		const parts = this.graphService.graph.getCells()
+			.map(cell => {
+				if (cell.isLink()) {
+					return `${cell.id}:${cell.get('source').id || ''}>${cell.get('target').id || ''}`;
+				}
+
+				const { x, y } = cell.position();
+				const { width, height } = cell.size();
+				return `${cell.id}:${cell.get('type')}@${x},${y},${width},${height}`;
+			})
+			.sort();
+
+		// djb2 string hash
+		let hash = 5381;
+		const text = parts.join('|');
+		for (let i = 0; i < text.length; i++) {
+			hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+		}
+
+		return `${parts.length}:${(hash >>> 0).toString(16)}`;
+	}
+
+	/**
+	 * Removes saved history from storage
+	 */
+	async clear() {
+		clearTimeout(this.saveTimer);
+		this.saveTimer = null;
+
+		if (typeof this.storage.remove === 'function') {
+			await this.storage.remove(this.storageKey);
+		}
+
+		this.eventBus.emit(HISTORY_EVENTS.CLEARED);
+	}
+
+	/**
+	 * Gets service statistics
+	 */
+	getStats() {
+		return {
+			storage: this.storage ? this.storage.constructor.name : null,
+			storageKey: this.storageKey,
+			registeredTypes: this.commandRegistry.getTypes(),
+			pendingSave: this.saveTimer !== null
+		};
+	}
+
+	/**
+	 * Enables debug mode
+	 */
+	setDebugMode(enabled) {
+		this.debugMode = enabled;
+	}
+
+	/**
+	 * Destroys the service, flushing a pending save
+	 */
+	destroy() {
+		if (!this.initialized) return;
+
+		this.flush();
+		this.initialized = false;
+		this.eventBus.emit(HISTORY_EVENTS.SERVICE_DESTROYED);
+	}
+}
@@ -0,0 +1,511 @@
+import { LAYER_EVENTS, DOCUMENT_EVENTS } from '../Events/EventTypes.js';
+
+export const DEFAULT_LAYER_ID = 'layer-default';
+
+/**
+ * Batch name that makes the paper delay view sorting until all z values are set
+ */
+const SORT_BATCH = 'to-front';
+
+/**
+ * LayerService - Named layers of the diagram
+ *
+ * Layers are kept in `layers.items` ordered from bottom to top; a cell belongs to the
+ * layer named by its `layer` property and cells without a known layer belong to the
+ * bottom one. The z values of cells are kept sorted by layer, so reordering layers or
+ * moving cells between them is reflected on the paper. Hidden layers hide the views of
+ * their cells, locked layers make them non-interactive.
+ */
+export class LayerService {
+	constructor(eventBus, stateStore, graphService, paperService) {
+		this.eventBus = eventBus;
+		this.stateStore = stateStore;
+		this.graphService = graphService;
+		this.paperService = paperService;
+		this.frameRequest = null;
+		this.initialized = false;
+		this.debugMode = false;
+
+		this.handleCellAdded = this.handleCellAdded.bind(this);
+		this.handleCellLayerChanged = this.handleCellLayerChanged.bind(this);
+		this.scheduleRefresh = this.scheduleRefresh.bind(this);
+		this.refresh = this.refresh.bind(this);
+
+		this.bindEventHandlers();
+	}
+
+	/**
+	 * Initializes the layer service
+	 */
+	init() {
+		if (this.initialized) {
+			console.warn('LayerService: Already initialized');
+			return;
+		}
+
+		const graph = this.graphService.graph;
+		graph.on('add', this.handleCellAdded);
+		graph.on('change:layer', this.handleCellLayerChanged);
+		graph.on('reset', this.scheduleRefresh);
+
+		this.initialized = true;
+		this.refresh();
+	}
+
+	/**
+	 * Binds service to external events
+	 */
+	bindEventHandlers() {
+		this.eventBus.on(LAYER_EVENTS.SET_ACTIVE, (event) => this.setActiveLayer(event.data.layerId));
+
+		// Paper-wide interactivity changes overwrite the interactivity of locked views
+		this.eventBus.on('paper:interactive-changed', () => this.applyAll());
+
+		// Documents saved before layers existed have no layers section
+		this.eventBus.on(DOCUMENT_EVENTS.LOADED, (event) => {
+			const sections = event.data.document.sections || {};
+			if (!sections.layers) {
+				this.restoreLayers(null);
+			}
+		});
+	}
+
+	/**
+	 * Gets the layers from bottom to top
+	 */
+	getLayers() {
+		return this.stateStore.get('layers.items') || [];
+	}
+
+	/**
+	 * Gets a layer by id
+	 */
+	getLayer(layerId) {
+		return this.getLayers().find(layer => layer.id === layerId) || null;
+	}
+
+	/**
+	 * Gets the layer new cells are added to
+	 */
+	getActiveLayer() {
+		return this.getLayer(this.stateStore.get('layers.active')) || this.getLayers()[0];
+	}
+
+	/**
+	 * Gets the id of the layer a cell belongs to
+	 */
+	getCellLayerId(cell) {
+		const layerId = cell.get('layer');
+		return this.getLayer(layerId) ? layerId : this.getLayers()[0].id;
+	}
+
+	/**
+	 * Gets the cells of a layer from bottom to top
+	 */
+	getLayerCells(layerId) {
+		return this.getCellsByLayer().get(layerId) || [];
+	}
+
+	/**
+	 * Groups all cells by layer, each group sorted by z
+	 */
+	getCellsByLayer() {
+		const groups = new Map(this.getLayers().map(layer => [layer.id, []]));
+
+		this.graphService.graph.getCells().forEach(cell => {
+			groups.get(this.getCellLayerId(cell)).push(cell);
+		});
+
+		groups.forEach((cells, layerId) => groups.set(layerId, this.sortByZ(cells)));
+		return groups;
+	}
+
+	/**
+	 * Checks whether a cell is in a locked layer
+	 */
+	isCellLocked(cell) {
+		return Boolean(this.getLayer(this.getCellLayerId(cell)).locked);
+	}
+
+	/**
+	 * Checks whether a cell is in a visible layer
+	 */
+	isCellVisible(cell) {
+		return this.getLayer(this.getCellLayerId(cell)).visible !== false;
+	}
+
+	/**
+	 * Creates a unique layer id
+	 */
+	generateLayerId() {
+		return `layer_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+	}
+
+	/**
+	 * Creates a name that no other layer uses
+	 */
+	generateLayerName() {
+		const names = new Set(this.getLayers().map(layer => layer.name));
+		let index = this.getLayers().length + 1;
+
+		while (names.has(`Layer ${index}`)) {
+			index++;
+		}
+
+		return `Layer ${index}`;
+	}
+
+	/**
+	 * Adds a layer above the others, or at the given index, and makes it active
+	 */
+	addLayer({ id = this.generateLayerId(), name = this.generateLayerName(), index = null } = {}) {
+		if (this.getLayer(id)) {
+			throw new Error(`LayerService: Layer ${id} already exists`);
+		}
+
+		const layers = [...this.getLayers()];
+		const layer = { id, name, visible: true, locked: false };
+		layers.splice(index === null ? layers.length : index, 0, layer);
+
+		this.setLayers(layers);
+		this.setActiveLayer(id);
+
+		return layer;
+	}
+
+	/**
+	 * Removes a layer; its cells move to the layer below, or above for the bottom layer
+	 */
+	removeLayer(layerId) {
+		const layers = this.getLayers();
+		const index = layers.findIndex(layer => layer.id === layerId);
+
+		if (index === -1) return false;
+		if (layers.length === 1) {
+			throw new Error('LayerService: The last layer cannot be removed');
+		}
+
+		const target = layers[index > 0 ? index - 1 : 1];
+		this.getLayerCells(layerId).forEach(cell => cell.set('layer', target.id));
+
+		this.setLayers(layers.filter(layer => layer.id !== layerId));
+
+		if (this.stateStore.get('layers.active') === layerId) {
+			this.setActiveLayer(target.id);
+		}
+
+		this.refresh();
+		return true;
+	}
+
+	/**
+	 * Renames a layer
+	 */
+	renameLayer(layerId, name) {
+		return this.updateLayer(layerId, { name: String(name).trim() || this.getLayer(layerId).name });
+	}
+
+	/**
+	 * Shows or hides the cells of a layer
+	 */
+	setLayerVisible(layerId, visible) {
+		return this.updateLayer(layerId, { visible: Boolean(visible) });
+	}
+
+	/**
+	 * Locks or unlocks the cells of a layer
+	 */
+	setLayerLocked(layerId, locked) {
+		return this.updateLayer(layerId, { locked: Boolean(locked) });
+	}
+
+	/**
+	 * Moves a layer to a new position in the stack (0 is the bottom)
+	 */
+	moveLayer(layerId, index) {
+		const layers = [...this.getLayers()];
+		const currentIndex = layers.findIndex(layer => layer.id === layerId);
+
+		if (currentIndex === -1) return false;
+
+		const [layer] = layers.splice(currentIndex, 1);
+		layers.splice(Math.max(0, Math.min(index, layers.length)), 0, layer);
+
+		this.setLayers(layers);
+		this.normalizeZ();
+		return true;
+	}
+
+	/**
+	 * Moves cells to the top of a layer
+	 */
+	moveCellsToLayer(cells, layerId) {
+		if (!this.getLayer(layerId)) return false;
+
+		const graph = this.graphService.graph;
+		let z = graph.maxZIndex();
+
+		graph.startBatch(SORT_BATCH);
+		this.sortByZ(cells).forEach(cell => {
+			cell.set({ layer: layerId, z: ++z });
+		});
+		graph.stopBatch(SORT_BATCH);
+
+		this.normalizeZ();
+		return true;
+	}
+
+	/**
+	 * Brings cells to the front of their layers, keeping their order
+	 */
+	bringToFront(cells) {
+		const graph = this.graphService.graph;
+		let z = graph.maxZIndex();
+
+		graph.startBatch(SORT_BATCH);
+		this.sortByZ(cells).forEach(cell => cell.set('z', ++z));
+		graph.stopBatch(SORT_BATCH);
+
+		this.normalizeZ();
+	}
+
+	/**
+	 * Sends cells to the back of their layers, keeping their order
+	 */
+	sendToBack(cells) {
+		const graph = this.graphService.graph;
+		let z = graph.minZIndex();
+
+		graph.startBatch(SORT_BATCH);
+		this.sortByZ(cells).reverse().forEach(cell => cell.set('z', --z));
+		graph.stopBatch(SORT_BATCH);
+
+		this.normalizeZ();
+	}
+
+	/**
+	 * Sets the layer new cells are added to
+	 */
+	setActiveLayer(layerId) {
+		if (!this.getLayer(layerId) || this.stateStore.get('layers.active') === layerId) return;
+
+		this.stateStore.set('layers.active', layerId);
+		this.eventBus.emit(LAYER_EVENTS.ACTIVE_CHANGED, { layerId });
+	}
+
+	/**
+	 * Changes the properties of a layer
+	 */
+	updateLayer(layerId, changes) {
+		if (!this.getLayer(layerId)) return false;
+
+		this.setLayers(this.getLayers().map(layer =>
+			layer.id === layerId ? { ...layer, ...changes } : layer
+		));
+
+		this.getLayerCells(layerId).forEach(cell => this.applyCellState(cell));
+		return true;
+	}
+
+	/**
+	 * Stores the layer list and notifies listeners
+	 */
+	setLayers(layers) {
+		this.stateStore.set('layers.items', layers);
+		this.eventBus.emit(LAYER_EVENTS.CHANGED, { layers });
+	}
+
+	/**
+	 * Sorts cells by their z values
+	 */
+	sortByZ(cells) {
+		return [...cells].sort((a, b) => (a.get('z') || 0) - (b.get('z') || 0));
+	}
+
+	/**
+	 * Renumbers z values so that every layer is drawn above the layers below it
+	 */
+	normalizeZ() {
+		const graph = this.graphService.graph;
+		let z = 1;
+
+		graph.startBatch(SORT_BATCH);
+		for (const cells of this.getCellsByLayer().values()) {
+			cells.forEach(cell => {
+				if (cell.get('z') !== z) {
+					cell.set('z', z);
+				}
+				z++;
+			});
+		}
+		graph.stopBatch(SORT_BATCH);
+	}
+
+	/**
+	 * Applies the visibility and lock of its layer to the view of a cell
+	 */
+	applyCellState(cell) {
+		const paper = this.paperService.paper;
+		const view = paper ? paper.findViewByModel(cell) : null;
+		if (!view) return;
+
+		view.el.style.display = this.isCellVisible(cell) ? '' : 'none';
+		view.setInteractivity(this.isCellLocked(cell) ? false : paper.options.interactive);
+	}
+
+	/**
+	 * Applies layer state to all views
+	 */
+	applyAll() {
+		if (!this.initialized) return;
+
+		this.graphService.graph.getCells().forEach(cell => this.applyCellState(cell));
+	}
+
+	/**
+	 * Puts new cells into the active layer
+	 */
+	handleCellAdded(cell) {
+		if (!this.getLayer(cell.get('layer'))) {
+			cell.set('layer', this.getActiveLayer().id);
+		}
+
+		this.applyCellState(cell);
+		this.scheduleRefresh();
+	}
+
+	/**
+	 * Updates a cell that moved to another layer
+	 */
+	handleCellLayerChanged(cell) {
+		this.applyCellState(cell);
+	}
+
+	/**
+	 * Queues a z renumbering, so that adding many cells renumbers once
+	 */
+	scheduleRefresh() {
+		if (this.frameRequest !== null) return;
+
+		this.frameRequest = requestAnimationFrame(this.refresh);
+	}
+
+	/**
+	 * Renumbers z values and reapplies layer state to all views
+	 */
+	refresh() {
+		if (this.frameRequest !== null) {
+			cancelAnimationFrame(this.frameRequest);
+			this.frameRequest = null;
+		}
+
+		if (!this.initialized) return;
+
+		this.normalizeZ();
+		this.applyAll();
+	}
+
+	/**
+	 * Captures layers, cell membership and z values for undo
+	 */
+	captureState() {
+		return {
+			layers: this.getLayers().map(layer => ({ ...layer })),
+			active: this.stateStore.get('layers.active'),
+			cells: this.graphService.graph.getCells().map(cell => ({
+				id: cell.id,
+				layer: cell.get('layer'),
+				z: cell.get('z')
+			}))
+		};
+	}
+
+	/**
+	 * Restores a state captured by captureState
+	 */
+	restoreState(state) {
+		const graph = this.graphService.graph;
+
+		this.setLayers(state.layers.map(layer => ({ ...layer })));
+		this.stateStore.set('layers.active', state.active);
+
+		graph.startBatch(SORT_BATCH);
+		state.cells.forEach(({ id, layer, z }) => {
+			const cell = graph.getCell(id);
+			if (cell) cell.set({ layer, z });
+		});
+		graph.stopBatch(SORT_BATCH);
+
+		this.refresh();
+	}
+
+	/**
+	 * Exports the layer list for the document
+	 */
+	exportLayers() {
+		return {
+			items: this.getLayers().map(layer => ({ ...layer })),
+			active: this.stateStore.get('layers.active')
+		};
+	}
+
+	/**
+	 * Restores the layer list of a document, or the single default layer
+	 */
+	restoreLayers(data) {
+		const items = data && Array.isArray(data.items) && data.items.length > 0
+			? data.items.map(layer => ({
+				id: String(layer.id),
+				name: layer.name || layer.id,
+				visible: layer.visible !== false,
+				locked: Boolean(layer.locked)
+			}))
+			: [{ id: DEFAULT_LAYER_ID, name: 'Layer 1', visible: true, locked: false }];
+
+		const active = data && items.some(layer => layer.id === data.active) ? data.active : items[items.length - 1].id;
+
+		this.setLayers(items);
+		this.stateStore.set('layers.active', active);
+		this.refresh();
+	}
+
+	/**
+	 * Gets layer statistics
+	 */
+	getStats() {
+		const groups = this.getCellsByLayer();
+
+		return {
+			initialized: this.initialized,
+			layerCount: this.getLayers().length,
+			activeLayer: this.stateStore.get('layers.active'),
+			cellsPerLayer: Object.fromEntries(Array.from(groups, ([id, cells]) => [id, cells.length]))
+		};
+	}
+
+	/**
+	 * Enables debug mode
+	 */
+	setDebugMode(enabled) {
+		this.debugMode = enabled;
+	}
+
+	/**
+	 * Destroys the layer service
+	 */
+	destroy() {
+		if (this.frameRequest !== null) {
+			cancelAnimationFrame(this.frameRequest);
+			this.frameRequest = null;
+		}
+
+		if (this.initialized) {
+			const graph = this.graphService.graph;
+			graph.off('add', this.handleCellAdded);
+			graph.off('change:layer', this.handleCellLayerChanged);
+			graph.off('reset', this.scheduleRefresh);
+		}
+
+		this.initialized = false;
+	}
+}
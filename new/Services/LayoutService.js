@@ -0,0 +1,575 @@
+import { LAYOUT_EVENTS } from '../Events/EventTypes.js';
+import { BatchMoveCommand } from '../Commands/MoveCommand.js';
+
+export const LAYOUT_ALGORITHMS = ['layered', 'grid', 'force'];
+
+/**
+ * LayoutService - Automatic positioning of all or selected elements
+ *
+ * Algorithms:
+ * layered - Sugiyama-style layers along link direction with crossing reduction
+ * grid    - compact grid in current reading order
+ * force   - Fruchterman-Reingold force-directed placement
+ *
+ * Results keep the top-left corner of the laid out elements in place and are
+ * applied as a single undoable BatchMoveCommand.
+ */
+export class LayoutService {
+	constructor(eventBus, stateStore, graphService, portService, selectionService, validationService, commandManager) {
+		this.eventBus = eventBus;
+		this.stateStore = stateStore;
+		this.graphService = graphService;
+		this.portService = portService;
+		this.selectionService = selectionService;
+		this.validationService = validationService;
+		this.commandManager = commandManager;
+		this.initialized = false;
+		this.debugMode = false;
+		this.defaults = {
+			nodeSpacing: 40,
+			rankSpacing: 80,
+			direction: 'auto',
+			crossingSweeps: 8,
+			columns: null,
+			iterations: 300,
+			idealLength: 150,
+			snapToGrid: true,
+			animate: false,
+			duration: 400
+		};
+
+		this.bindEventHandlers();
+	}
+
+	/**
+	 * Initializes the layout service
+	 */
+	init() {
+		if (this.initialized) {
+			console.warn('LayoutService: Already initialized');
+			return;
+		}
+
+		this.initialized = true;
+		this.eventBus.emit(LAYOUT_EVENTS.SERVICE_INITIALIZED);
+	}
+
+	/**
+	 * Binds service to external events
+	 */
+	bindEventHandlers() {
+		this.eventBus.on(LAYOUT_EVENTS.APPLY, (event) => {
+			const { algorithm, ...options } = event.data || {};
+			this.applyLayout(algorithm, options);
+		});
+	}
+
+	/**
+	 * Lays out elements and applies the result as one undoable command
+	 */
+	applyLayout(algorithm = 'layered', options = {}) {
+		const settings = { ...this.defaults, ...options };
+
+		try {
+			if (!LAYOUT_ALGORITHMS.includes(algorithm)) {
+				throw new Error(`Unknown layout algorithm '${algorithm}'`);
+			}
+
+			const elements = this.getLayoutElements(settings.selectionOnly);
+			if (elements.length < 2) {
+				return false;
+			}
+
+			const positions = this.computeLayout(algorithm, elements, settings);
+			const moved = elements.filter(element => {
+				const current = element.position();
+				const next = positions.get(element.id);
+				return next.x !== current.x || next.y !== current.y;
+			});
+
+			if (moved.length === 0) {
+				return true;
+			}
+
+			const command = new BatchMoveCommand(
+				this.validationService,
+				moved,
+				moved.map(element => positions.get(element.id)),
+				{
+					description: `Apply ${algorithm} layout`,
+					animate: settings.animate,
+					duration: settings.duration
+				}
+			);
+
+			if (!this.commandManager.execute(command)) {
+				throw new Error('Layout command was rejected');
+			}
+
+			this.eventBus.emit(LAYOUT_EVENTS.APPLIED, {
+				algorithm,
+				elementCount: moved.length,
+				selectionOnly: Boolean(settings.selectionOnly)
+			});
+
+			return true;
+
+		} catch (error) {
+			console.error('LayoutService: Failed to apply layout:', error);
+			this.eventBus.emit(LAYOUT_EVENTS.FAILED, { algorithm, error });
+			return false;
+		}
+	}
+
+	/**
+	 * Gets top-level elements to lay out; embedded elements move with their parent
+	 */
+	getLayoutElements(selectionOnly = false) {
+		const source = selectionOnly
+			? (this.selectionService.getSelectedElements() || []).filter(cell => cell.isElement())
+			: this.graphService.graph.getElements();
+
+		return source.filter(element => !element.parent());
+	}
+
+	/**
+	 * Computes target positions without changing the graph
+	 * @returns {Map<string, {x: number, y: number}>} Top-left positions by element id
+	 */
+	computeLayout(algorithm, elements, options = {}) {
+		const settings = { ...this.defaults, ...options };
+		const nodes = elements.map(element => ({
+			id: element.id,
+			element,
+			width: element.size().width,
+			height: element.size().height,
+			x: element.position().x,
+			y: element.position().y
+		}));
+		const edges = this.collectEdges(elements);
+
+		let positions;
+		switch (algorithm) {
+			case 'layered':
+				positions = this.layeredLayout(nodes, edges, settings);
+				break;
+			case 'grid':
+				positions = this.gridLayout(nodes, settings);
+				break;
+			case 'force':
+				positions = this.forceLayout(nodes, edges, settings);
+				break;
+			default:
+				throw new Error(`Unknown layout algorithm '${algorithm}'`);
+		}
+
+		return this.anchorPositions(nodes, positions, settings);
+	}
+
+	/**
+	 * Collects directed links between the given elements
+	 */
+	collectEdges(elements) {
+		const ids = new Set(elements.map(element => element.id));
+		const edges = [];
+		const seen = new Set();
+
+		this.graphService.graph.getLinks().forEach(link => {
+			const source = link.get('source') || {};
+			const target = link.get('target') || {};
+
+			if (!ids.has(source.id) || !ids.has(target.id) || source.id === target.id) return;
+
+			const key = `${source.id}>${target.id}`;
+			if (seen.has(key)) return;
+			seen.add(key);
+
+			edges.push({
+				source: source.id,
+				target: target.id,
+				sourcePort: source.port || null,
+				targetPort: target.port || null
+			});
+		});
+
+		return edges;
+	}
+
+	/**
+	 * Picks the flow direction from the port sides links leave and enter through
+	 */
+	resolveDirection(edges, direction) {
+		if (direction && direction !== 'auto') {
+			return direction;
+		}
+
+		const votes = { TB: 0, BT: 0, LR: 0, RL: 0 };
+		const sourceSides = { bottom: 'TB', top: 'BT', right: 'LR', left: 'RL' };
+		const targetSides = { top: 'TB', bottom: 'BT', left: 'LR', right: 'RL' };
+
+		edges.forEach(edge => {
+			const sourceSide = edge.sourcePort && this.portService.determinePortSide(edge.sourcePort);
+			const targetSide = edge.targetPort && this.portService.determinePortSide(edge.targetPort);
+
+			if (sourceSide) votes[sourceSides[sourceSide]]++;
+			if (targetSide) votes[targetSides[targetSide]]++;
+		});
+
+		return Object.entries(votes).reduce(
+			(best, [key, count]) => (count > votes[best] ? key : best),
+			'TB'
+		);
+	}
+
+	/**
+	 * Sugiyama-style layered layout
+	 */
+	layeredLayout(nodes, edges, settings) {
+		const direction = this.resolveDirection(edges, settings.direction);
+		const horizontal = direction === 'LR' || direction === 'RL';
+		const nodeById = new Map(nodes.map(node => [node.id, node]));
+
+		const acyclicEdges = this.removeCycles(nodes, edges);
+		const layerOf = this.assignLayers(nodes, acyclicEdges);
+		const { layers, adjacency } = this.buildLayerGraph(nodes, acyclicEdges, layerOf, horizontal);
+
+		this.reduceCrossings(layers, adjacency, settings.crossingSweeps);
+
+		// Coordinate assignment: layers along the main axis, centered on the cross axis
+		const breadthOf = (id) => {
+			const node = nodeById.get(id);
+			if (!node) return settings.nodeSpacing / 2;
+			return horizontal ? node.height : node.width;
+		};
+		const depthOf = (id) => {
+			const node = nodeById.get(id);
+			if (!node) return 0;
+			return horizontal ? node.width : node.height;
+		};
+
+		const layerBreadths = layers.map(layer => layer.reduce(
+			(sum, id, index) => sum + breadthOf(id) + (index > 0 ? settings.nodeSpacing : 0),
+			0
+		));
+		const maxBreadth = Math.max(...layerBreadths);
+		const positions = new Map();
+		let main = 0;
+
+		layers.forEach((layer, layerIndex) => {
+			const layerDepth = Math.max(0, ...layer.map(depthOf));
+			let cross = (maxBreadth - layerBreadths[layerIndex]) / 2;
+
+			layer.forEach(id => {
+				const node = nodeById.get(id);
+				if (node) {
+					// Center nodes of different depth within their layer
+					const offset = (layerDepth - depthOf(id)) / 2;
+					positions.set(id, horizontal
+						? { x: main + offset, y: cross }
+						: { x: cross, y: main + offset });
+				}
+				cross += breadthOf(id) + settings.nodeSpacing;
+			});
+
+			main += layerDepth + settings.rankSpacing;
+		});
+
+		// Mirror for bottom-to-top and right-to-left flows
+		if (direction === 'BT' || direction === 'RL') {
+			const extent = main - settings.rankSpacing;
+			positions.forEach((position, id) => {
+				const node = nodeById.get(id);
+				if (direction === 'BT') {
+					position.y = extent - position.y - node.height;
+				} else {
+					position.x = extent - position.x - node.width;
+				}
+			});
+		}
+
+		return positions;
+	}
+
+	/**
+	 * Reverses back edges found by depth-first search so the graph becomes acyclic
+	 */
+	removeCycles(nodes, edges) {
+		const outgoing = new Map(nodes.map(node => [node.id, []]));
+		edges.forEach(edge => outgoing.get(edge.source).push(edge));
+
+		const state = new Map();
+		const reversed = new Set();
+
+		const visit = (id) => {
+			state.set(id, 'active');
+			outgoing.get(id).forEach(edge => {
+				const targetState = state.get(edge.target);
+				if (targetState === 'active') {
+					reversed.add(edge);
+				} else if (!targetState) {
+					visit(edge.target);
+				}
+			});
+			state.set(id, 'done');
+		};
+
+		nodes.forEach(node => {
+			if (!state.has(node.id)) visit(node.id);
+		});
+
+		return edges.map(edge => (reversed.has(edge)
+			? { source: edge.target, target: edge.source }
+			: { source: edge.source, target: edge.target }));
+	}
+
+	/**
+	 * Assigns each node the length of the longest path leading to it
+	 */
+	assignLayers(nodes, edges) {
+		const incoming = new Map(nodes.map(node => [node.id, 0]));
+		const outgoing = new Map(nodes.map(node => [node.id, []]));
+
+		edges.forEach(edge => {
+			incoming.set(edge.target, incoming.get(edge.target) + 1);
+			outgoing.get(edge.source).push(edge.target);
+		});
+
+		const layerOf = new Map(nodes.map(node => [node.id, 0]));
+		const queue = nodes.filter(node => incoming.get(node.id) === 0).map(node => node.id);
+
+		while (queue.length > 0) {
+			const id = queue.shift();
+			outgoing.get(id).forEach(target => {
+				layerOf.set(target, Math.max(layerOf.get(target), layerOf.get(id) + 1));
+				incoming.set(target, incoming.get(target) - 1);
+				if (incoming.get(target) === 0) {
+					queue.push(target);
+				}
+			});
+		}
+
+		return layerOf;
+	}
+
+	/**
+	 * Splits long edges with dummy nodes and orders layers by current position
+	 */
+	buildLayerGraph(nodes, edges, layerOf, horizontal) {
+		const layerCount = Math.max(0, ...layerOf.values()) + 1;
+		const layers = Array.from({ length: layerCount }, () => []);
+		const adjacency = { up: new Map(), down: new Map() };
+		const link = (from, to) => {
+			if (!adjacency.down.has(from)) adjacency.down.set(from, []);
+			if (!adjacency.up.has(to)) adjacency.up.set(to, []);
+			adjacency.down.get(from).push(to);
+			adjacency.up.get(to).push(from);
+		};
+
+		// Initial order follows the current drawing so re-running layout is stable
+		[...nodes]
+			.sort((a, b) => (horizontal ? a.y - b.y : a.x - b.x))
+			.forEach(node => layers[layerOf.get(node.id)].push(node.id));
+
+		let dummyCount = 0;
+		edges.forEach(edge => {
+			let previous = edge.source;
+			for (let layer = layerOf.get(edge.source) + 1; layer < layerOf.get(edge.target); layer++) {
+				const dummy = `__dummy_${dummyCount++}`;
+				layers[layer].push(dummy);
+				link(previous, dummy);
+				previous = dummy;
+			}
+			link(previous, edge.target);
+		});
+
+		return { layers, adjacency };
+	}
+
+	/**
+	 * Reorders layers by the barycenter of their neighbours, alternating sweep direction
+	 */
+	reduceCrossings(layers, adjacency, sweeps) {
+		const orderIndex = new Map();
+		const updateIndex = (layer) => layer.forEach((id, index) => orderIndex.set(id, index));
+		layers.forEach(updateIndex);
+
+		const reorder = (layer, neighbours) => {
+			const weights = new Map(layer.map((id, index) => {
+				const related = neighbours.get(id) || [];
+				if (related.length === 0) return [id, index];
+				return [id, related.reduce((sum, other) => sum + orderIndex.get(other), 0) / related.length];
+			}));
+
+			layer.sort((a, b) => weights.get(a) - weights.get(b));
+			updateIndex(layer);
+		};
+
+		for (let sweep = 0; sweep < sweeps; sweep++) {
+			if (sweep % 2 === 0) {
+				for (let i = 1; i < layers.length; i++) reorder(layers[i], adjacency.up);
+			} else {
+				for (let i = layers.length - 2; i >= 0; i--) reorder(layers[i], adjacency.down);
+			}
+		}
+	}
+
+	/**
+	 * Compact grid layout in reading order
+	 */
+	gridLayout(nodes, settings) {
+		const ordered = [...nodes].sort((a, b) => (a.y - b.y) || (a.x - b.x));
+		const columns = settings.columns || Math.ceil(Math.sqrt(ordered.length));
+		const cellWidth = Math.max(...ordered.map(node => node.width)) + settings.nodeSpacing;
+		const cellHeight = Math.max(...ordered.map(node => node.height)) + settings.nodeSpacing;
+		const positions = new Map();
+
+		ordered.forEach((node, index) => {
+			const column = index % columns;
+			const row = Math.floor(index / columns);
+
+			positions.set(node.id, {
+				x: column * cellWidth + (cellWidth - settings.nodeSpacing - node.width) / 2,
+				y: row * cellHeight + (cellHeight - settings.nodeSpacing - node.height) / 2
+			});
+		});
+
+		return positions;
+	}
+
+	/**
+	 * Fruchterman-Reingold force-directed layout
+	 */
+	forceLayout(nodes, edges, settings) {
+		const k = settings.idealLength;
+		const centers = new Map();
+
+		// Start from the current drawing; nodes stacked on each other get spread on a circle
+		const occupied = new Set();
+		nodes.forEach((node, index) => {
+			let x = node.x + node.width / 2;
+			let y = node.y + node.height / 2;
+			const key = `${Math.round(x)},${Math.round(y)}`;
+
+			if (occupied.has(key)) {
+				const angle = (2 * Math.PI * index) / nodes.length;
+				x += Math.cos(angle) * k;
+				y += Math.sin(angle) * k;
+			}
+
+			occupied.add(key);
+			centers.set(node.id, { x, y });
+		});
+
+		let temperature = k * Math.sqrt(nodes.length) / 2;
+		const cooling = temperature / (settings.iterations + 1);
+
+		for (let iteration = 0; iteration < settings.iterations; iteration++) {
+			const displacement = new Map(nodes.map(node => [node.id, { x: 0, y: 0 }]));
+
+			for (let i = 0; i < nodes.length; i++) {
+				for (let j = i + 1; j < nodes.length; j++) {
+					const a = centers.get(nodes[i].id);
+					const b = centers.get(nodes[j].id);
+					let dx = a.x - b.x;
+					let dy = a.y - b.y;
+					let distance = Math.hypot(dx, dy);
+
+					if (distance < 0.01) {
+						dx = 0.01 * (i - j);
+						dy = 0.01;
+						distance = Math.hypot(dx, dy);
+					}
+
+					const force = (k * k) / distance;
+					const da = displacement.get(nodes[i].id);
+					const db = displacement.get(nodes[j].id);
+					da.x += (dx / distance) * force;
+					da.y += (dy / distance) * force;
+					db.x -= (dx / distance) * force;
+					db.y -= (dy / distance) * force;
+				}
+			}
+
+			edges.forEach(edge => {
+				const a = centers.get(edge.source);
+				const b = centers.get(edge.target);
+				const dx = a.x - b.x;
+				const dy = a.y - b.y;
+				const distance = Math.max(Math.hypot(dx, dy), 0.01);
+				const force = (distance * distance) / k;
+
+				const da = displacement.get(edge.source);
+				const db = displacement.get(edge.target);
+				da.x -= (dx / distance) * force;
+				da.y -= (dy / distance) * force;
+				db.x += (dx / distance) * force;
+				db.y += (dy / distance) * force;
+			});
+
+			nodes.forEach(node => {
+				const d = displacement.get(node.id);
+				const length = Math.hypot(d.x, d.y);
+				if (length === 0) return;
+
+				const center = centers.get(node.id);
+				const step = Math.min(length, temperature);
+				center.x += (d.x / length) * step;
+				center.y += (d.y / length) * step;
+			});
+
+			temperature = Math.max(temperature - cooling, 1);
+		}
+
+		return new Map(nodes.map(node => {
+			const center = centers.get(node.id);
+			return [node.id, { x: center.x - node.width / 2, y: center.y - node.height / 2 }];
+		}));
+	}
+
+	/**
+	 * Moves the layout so its top-left corner matches the original one and snaps to the grid
+	 */
+	anchorPositions(nodes, positions, settings) {
+		const originX = Math.min(...nodes.map(node => node.x));
+		const originY = Math.min(...nodes.map(node => node.y));
+		const layoutX = Math.min(...[...positions.values()].map(position => position.x));
+		const layoutY = Math.min(...[...positions.values()].map(position => position.y));
+		const gridSize = settings.snapToGrid ? (this.stateStore.get('canvas.gridSize') || 1) : 1;
+		const snap = (value) => Math.round(value / gridSize) * gridSize;
+
+		const anchored = new Map();
+		positions.forEach((position, id) => {
+			anchored.set(id, {
+				x: snap(position.x - layoutX + originX),
+				y: snap(position.y - layoutY + originY)
+			});
+		});
+
+		return anchored;
+	}
+
+	/**
+	 * Gets service statistics
+	 */
+	getStats() {
+		return {
+			algorithms: LAYOUT_ALGORITHMS,
+			defaults: { ...this.defaults }
+		};
+	}
+
+	/**
+	 * Enables debug mode
+	 */
+	setDebugMode(enabled) {
+		this.debugMode = enabled;
+	}
+
+	/**
+	 * Destroys the service
+	 */
+	destroy() {
+		this.initialized = false;
+		this.eventBus.emit(LAYOUT_EVENTS.SERVICE_DESTROYED);
+	}
+}
@@ -1,3 +1,10 @@
+import { createRouter, createConnector } from './RoutingService.js';
+
+/**
+ * Free space kept around the content of an infinite canvas when it grows
+ */
+const INFINITE_CANVAS_MARGIN = 200;
+
 /**
  * PaperService - Service for managing JointJS Paper operations and interactions
  */
@@ -10,6 +17,7 @@ export class PaperService {
 		this.paperElement = null;
 		this.initialized = false;
 		this.debugMode = false;
+		this.growthRequest = null;
 		this.interactionState = {
 			dragging: false,
 			connecting: false,
@@ -21,7 +29,7 @@ export class PaperService {
 	}
 
 	/**
-	 * Initializes the JointJS paper with configuration
+	 * Initializes the JointJS paper with configuration; accepts a selector or the element itself
 	 */
 	init(elementSelector = '#ddrCanvas') {
 		if (this.initialized) {
@@ -29,7 +37,9 @@ export class PaperService {
 			return this.paper;
 		}
 
-		this.paperElement = document.querySelector(elementSelector);
+		this.paperElement = typeof elementSelector === 'string'
+			? document.querySelector(elementSelector)
+			: elementSelector;
 		if (!this.paperElement) {
 			throw new Error(`PaperService: Element '${elementSelector}' not found`);
 		}
@@ -39,6 +49,7 @@ export class PaperService {
 		
 		this.setupPaperEvents();
 		this.setupPaperProperties();
+		this.setupCanvasGrowth();
 		this.initialized = true;
 
 		this.eventBus.emit('paper:initialized', {
@@ -77,15 +88,26 @@ export class PaperService {
 			validateMagnet: (cellView, magnet) => {
 				return this.validateMagnet(cellView, magnet);
 			},
-			interactive: {
-				linkMove: false,
-				labelMove: false,
-				arrowheadMove: false,
-				vertexMove: false,
-				vertexAdd: false,
-				vertexRemove: false,
-				useLinkTools: false
-			}
+			interactive: this.getInteractivity()
+		};
+	}
+
+	/**
+	 * Gets the paper interactivity; in read-only mode nothing can be dragged or connected
+	 */
+	getInteractivity() {
+		if (this.stateStore.get('app.readOnly')) {
+			return false;
+		}
+
+		return {
+			linkMove: false,
+			labelMove: false,
+			arrowheadMove: false,
+			vertexMove: false,
+			vertexAdd: false,
+			vertexRemove: false,
+			useLinkTools: false
 		};
 	}
 
@@ -105,6 +127,7 @@ export class PaperService {
 		this.paper.on('element:pointerup', this.handleElementPointerUp.bind(this));
 		this.paper.on('element:pointermove', this.handleElementPointerMove.bind(this));
 		this.paper.on('element:pointerclick', this.handleElementPointerClick.bind(this));
+		this.paper.on('element:pointerdblclick', this.handleElementPointerDblClick.bind(this));
 		this.paper.on('element:contextmenu', this.handleElementContextMenu.bind(this));
 		this.paper.on('element:mouseenter', this.handleElementMouseEnter.bind(this));
 		this.paper.on('element:mouseleave', this.handleElementMouseLeave.bind(this));
@@ -114,6 +137,7 @@ export class PaperService {
 		this.paper.on('link:pointerup', this.handleLinkPointerUp.bind(this));
 		this.paper.on('link:pointermove', this.handleLinkPointerMove.bind(this));
 		this.paper.on('link:pointerclick', this.handleLinkPointerClick.bind(this));
+		this.paper.on('link:pointerdblclick', this.handleLinkPointerDblClick.bind(this));
 		this.paper.on('link:contextmenu', this.handleLinkContextMenu.bind(this));
 		this.paper.on('link:connect', this.handleLinkConnect.bind(this));
 		this.paper.on('link:disconnect', this.handleLinkDisconnect.bind(this));
@@ -137,11 +161,41 @@ export class PaperService {
 	 */
 	bindEventHandlers() {
 		this.eventBus.on('canvas:resize', (event) => this.resize(event.data.width, event.data.height));
-		this.eventBus.on('canvas:zoom', (event) => this.setZoom(event.data.zoom));
+		this.eventBus.on('canvas:zoom', (event) => this.setZoom(event.data.zoom, event.data.point || null));
 		this.eventBus.on('canvas:pan', (event) => this.setPan(event.data.x, event.data.y));
 		this.eventBus.on('canvas:fit-content', () => this.fitContent());
 		this.eventBus.on('canvas:reset-view', () => this.resetView());
+		this.eventBus.on('canvas:zoom-to-selection', () => this.zoomToSelection());
+		this.eventBus.on('canvas:set-infinite', (event) => this.setInfinite(event.data.enabled));
 		this.eventBus.on('paper:set-interactive', (event) => this.setInteractive(event.data));
+		this.eventBus.on('state:app.readOnly:changed', () => this.setInteractive(this.getInteractivity()));
+
+		// Grid and background follow the state, whether set one by one or in a batch like a loaded document
+		this.eventBus.on('state:canvas.gridSize:changed', () => this.applyGridSize());
+		this.eventBus.on('state:canvas.background:changed', () => this.applyBackground());
+		this.eventBus.on('state:batch-changed', (event) => {
+			const changes = event.data.changes || [];
+			if (changes.some(change => change.path === 'canvas.gridSize')) this.applyGridSize();
+			if (changes.some(change => change.path === 'canvas.background')) this.applyBackground();
+		});
+	}
+
+	/**
+	 * Applies the grid size from the state to the paper
+	 */
+	applyGridSize() {
+		if (!this.paper) return;
+
+		this.paper.setGridSize(this.stateStore.get('canvas.gridSize'));
+	}
+
+	/**
+	 * Applies the background colour from the state to the paper
+	 */
+	applyBackground() {
+		if (!this.paper) return;
+
+		this.paper.drawBackground({ color: this.stateStore.get('canvas.background') });
 	}
 
 	/**
@@ -158,8 +212,8 @@ export class PaperService {
 					targetMarker: { type: 'none' }
 				}
 			},
-			router: { name: connectionState.router },
-			connector: { name: connectionState.connector }
+			router: createRouter(connectionState.router),
+			connector: createConnector(connectionState.connector)
 		});
 	}
 
@@ -299,6 +353,18 @@ export class PaperService {
 		});
 	}
 
+	/**
+	 * Handle element pointer double click
+	 */
+	handleElementPointerDblClick(elementView, event, x, y) {
+		this.eventBus.emit('paper:element-dblclick', {
+			element: elementView.model,
+			elementView,
+			coordinates: { x, y },
+			originalEvent: event
+		});
+	}
+
 	/**
 	 * Handle element context menu
 	 */
@@ -381,6 +447,18 @@ export class PaperService {
 		});
 	}
 
+	/**
+	 * Handle link pointer double click
+	 */
+	handleLinkPointerDblClick(linkView, event, x, y) {
+		this.eventBus.emit('paper:link-dblclick', {
+			link: linkView.model,
+			linkView,
+			coordinates: { x, y },
+			originalEvent: event
+		});
+	}
+
 	/**
 	 * Handle link context menu
 	 */
@@ -456,21 +534,42 @@ export class PaperService {
 		this.eventBus.emit('paper:resized', { width, height });
 	}
 
+	/**
+	 * Limits a zoom level to the configured range
+	 */
+	clampZoom(zoom) {
+		const minZoom = this.stateStore.get('canvas.minZoom') || 0.1;
+		const maxZoom = this.stateStore.get('canvas.maxZoom') || 5;
+
+		return Math.max(minZoom, Math.min(maxZoom, zoom));
+	}
+
 	/**
 	 * Sets paper zoom level
+	 * With a point (relative to the paper element) the paper point under it stays in place
 	 */
 	setZoom(zoom, point = null) {
 		if (!this.paper) return;
 
-		const clampedZoom = Math.max(0.1, Math.min(5, zoom));
+		const clampedZoom = this.clampZoom(zoom);
 		
 		if (point) {
-			this.paper.scale(clampedZoom, clampedZoom, point.x, point.y);
+			const currentZoom = this.paper.scale().sx;
+			const { tx, ty } = this.paper.translate();
+			const anchor = { x: (point.x - tx) / currentZoom, y: (point.y - ty) / currentZoom };
+
+			this.paper.scale(clampedZoom, clampedZoom);
+			this.paper.translate(point.x - anchor.x * clampedZoom, point.y - anchor.y * clampedZoom);
 		} else {
 			this.paper.scale(clampedZoom, clampedZoom);
 		}
 
 		this.stateStore.set('canvas.zoom', clampedZoom);
+
+		// Zooming around a point also moves the origin
+		if (point) {
+			this.syncPanState();
+		}
 		this.eventBus.emit('paper:zoomed', { zoom: clampedZoom, point });
 	}
 
@@ -489,6 +588,17 @@ export class PaperService {
 		this.eventBus.emit('paper:panned', { x, y });
 	}
 
+	/**
+	 * Stores the current paper translation as the pan state
+	 */
+	syncPanState() {
+		const translate = this.paper.translate();
+		this.stateStore.setBatch({
+			'canvas.pan.x': translate.tx,
+			'canvas.pan.y': translate.ty
+		});
+	}
+
 	/**
 	 * Fits content to paper view
 	 */
@@ -504,10 +614,129 @@ export class PaperService {
 
 		const scale = this.paper.scale();
 		this.stateStore.set('canvas.zoom', scale.sx);
+		this.syncPanState();
 
 		this.eventBus.emit('paper:content-fitted', { padding, scale });
 	}
 
+	/**
+	 * Zooms and pans so that the cells fill the view
+	 */
+	zoomToCells(cells, padding = 40) {
+		if (!this.paper || cells.length === 0) return;
+
+		const bbox = this.graphService.graph.getCellsBBox(cells);
+		if (!bbox) return;
+
+		const width = this.paperElement.clientWidth || this.stateStore.get('canvas.width');
+		const height = this.paperElement.clientHeight || this.stateStore.get('canvas.height');
+		const zoom = this.clampZoom(Math.min(
+			(width - padding * 2) / Math.max(bbox.width, 1),
+			(height - padding * 2) / Math.max(bbox.height, 1)
+		));
+
+		const center = bbox.center();
+		this.paper.scale(zoom, zoom);
+		this.paper.translate(width / 2 - center.x * zoom, height / 2 - center.y * zoom);
+
+		this.stateStore.set('canvas.zoom', zoom);
+		this.syncPanState();
+
+		this.eventBus.emit('paper:zoomed', { zoom, cells });
+	}
+
+	/**
+	 * Zooms to the selected cells, or fits all content when nothing is selected
+	 */
+	zoomToSelection() {
+		const selection = this.stateStore.get('selection.elements') || [];
+
+		if (selection.length === 0) {
+			this.fitContent();
+			return;
+		}
+
+		this.zoomToCells(selection);
+	}
+
+	/**
+	 * Gets the visible area of the paper in paper coordinates
+	 */
+	getVisibleArea() {
+		const zoom = this.stateStore.get('canvas.zoom') || 1;
+		const pan = this.stateStore.get('canvas.pan') || { x: 0, y: 0 };
+		const width = this.paperElement ? this.paperElement.clientWidth : this.stateStore.get('canvas.width');
+		const height = this.paperElement ? this.paperElement.clientHeight : this.stateStore.get('canvas.height');
+
+		return {
+			x: -pan.x / zoom,
+			y: -pan.y / zoom,
+			width: width / zoom,
+			height: height / zoom
+		};
+	}
+
+	/**
+	 * Subscribes to graph changes that may grow an infinite canvas
+	 */
+	setupCanvasGrowth() {
+		const scheduleGrowth = () => {
+			if (!this.stateStore.get('canvas.infinite') || this.growthRequest !== null) return;
+
+			this.growthRequest = requestAnimationFrame(() => {
+				this.growthRequest = null;
+				this.growToContent();
+			});
+		};
+
+		this.graphService.graph.on('add reset change:position change:size change:angle', scheduleGrowth);
+	}
+
+	/**
+	 * Turns the infinite canvas on or off
+	 */
+	setInfinite(enabled) {
+		this.stateStore.set('canvas.infinite', Boolean(enabled));
+
+		if (enabled) {
+			this.growToContent();
+		}
+
+		this.eventBus.emit('paper:infinite-changed', { enabled: Boolean(enabled) });
+	}
+
+	/**
+	 * Grows the canvas in any direction so that it covers the content with a margin; it never shrinks.
+	 * Content left of or above the origin moves `canvas.origin` into negative coordinates,
+	 * the view reaches it by panning
+	 */
+	growToContent() {
+		if (!this.paper) return;
+
+		const bbox = this.graphService.graph.getBBox();
+		if (!bbox) return;
+
+		const origin = this.stateStore.get('canvas.origin') || { x: 0, y: 0 };
+		const width = this.stateStore.get('canvas.width');
+		const height = this.stateStore.get('canvas.height');
+
+		const left = bbox.x < origin.x ? Math.floor(bbox.x - INFINITE_CANVAS_MARGIN) : origin.x;
+		const top = bbox.y < origin.y ? Math.floor(bbox.y - INFINITE_CANVAS_MARGIN) : origin.y;
+		const right = Math.max(origin.x + width, Math.ceil(bbox.x + bbox.width + INFINITE_CANVAS_MARGIN));
+		const bottom = Math.max(origin.y + height, Math.ceil(bbox.y + bbox.height + INFINITE_CANVAS_MARGIN));
+
+		if (left !== origin.x || top !== origin.y) {
+			this.stateStore.setBatch({
+				'canvas.origin.x': left,
+				'canvas.origin.y': top
+			});
+		}
+
+		if (right - left !== width || bottom - top !== height) {
+			this.resize(right - left, bottom - top);
+		}
+	}
+
 	/**
 	 * Resets paper view to default
 	 */
@@ -609,6 +838,11 @@ export class PaperService {
 	 * Destroys the service
 	 */
 	destroy() {
+		if (this.growthRequest !== null) {
+			cancelAnimationFrame(this.growthRequest);
+			this.growthRequest = null;
+		}
+
 		if (this.paper) {
 			this.paper.remove();
 			this.paper = null;
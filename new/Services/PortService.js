@@ -1,4 +1,24 @@
  
+/**
+ * Creates the port group shared by all editor elements
+ */
+export function createDefaultPortGroup() {
+	return {
+		attrs: {
+			circle: {
+				r: 4,
+				magnet: true,
+				stroke: '#31d0c6',
+				strokeWidth: 2,
+				fill: '#ffffff',
+				display: 'none',
+				'pointer-events': 'auto'
+			}
+		},
+		markup: '<circle r="4" />'
+	};
+}
+
 /**
  * PortService - Service for managing element ports and their states
  */
@@ -41,6 +61,11 @@ export class PortService {
 		this.eventBus.on('ports:hide', (event) => this.hideElementPorts(event.element));
 		this.eventBus.on('ports:add', (event) => this.addPortToElement(event.element, event.side));
 		this.eventBus.on('ports:remove', (event) => this.removePortFromElement(event.element, event.portId));
+		this.eventBus.on('state:app.readOnly:changed', (event) => {
+			if (event.data.newValue) {
+				this.hideAllPorts();
+			}
+		});
 	}
 
 	/**
@@ -49,20 +74,7 @@ export class PortService {
 	createEmptyPortsConfig() {
 		return {
 			groups: {
-				'default': {
-					attrs: {
-						circle: {
-							r: 4,
-							magnet: true,
-							stroke: '#31d0c6',
-							strokeWidth: 2,
-							fill: '#ffffff',
-							display: 'none',
-							'pointer-events': 'auto'
-						}
-					},
-					markup: '<circle r="4" />'
-				}
+				'default': createDefaultPortGroup()
 			},
 			items: []
 		};
@@ -74,20 +86,7 @@ export class PortService {
 	createStandardPortsConfig() {
 		return {
 			groups: {
-				'default': {
-					attrs: {
-						circle: {
-							r: 4,
-							magnet: true,
-							stroke: '#31d0c6',
-							strokeWidth: 2,
-							fill: '#ffffff',
-							display: 'none',
-							'pointer-events': 'auto'
-						}
-					},
-					markup: '<circle r="4" />'
-				}
+				'default': createDefaultPortGroup()
 			},
 			items: [
 				{ group: 'default', args: { x: '50%', y: '0%' }, id: 'top_0' },
@@ -347,10 +346,10 @@ export class PortService {
 	}
 
 	/**
-	 * Shows ports for an element
+	 * Shows ports for an element; ports stay hidden in read-only mode
 	 */
 	showElementPorts(element) {
-		if (!element) return;
+		if (!element || this.stateStore.get('app.readOnly')) return;
 
 		const elementId = element.id;
 		const visiblePorts = this.stateStore.get('ports.visible');
@@ -395,6 +394,15 @@ export class PortService {
 		this.eventBus.emit('ports:element-ports-hidden', { element });
 	}
 
+	/**
+	 * Hides the ports of every element
+	 */
+	hideAllPorts() {
+		Array.from(this.stateStore.get('ports.visible')).forEach(elementId => {
+			this.hideElementPorts(this.graphService.getElementById(elementId));
+		});
+	}
+
 	/**
 	 * Gets free ports for an element
 	 */
@@ -423,8 +431,9 @@ export class PortService {
 
 	/**
 	 * Checks if a port is available for connection
+	 * A port held by ignoredLinkId counts as available, so a link can be re-validated on its own ports
 	 */
-	isPortAvailable(element, portId) {
+	isPortAvailable(element, portId, ignoredLinkId = null) {
 		const elementId = element.id;
 		const portStates = this.stateStore.get('ports.states');
 		const elementPortState = portStates.get(elementId);
@@ -432,7 +441,8 @@ export class PortService {
 		if (!elementPortState) return false;
 
 		const port = Object.values(elementPortState).flat().find(p => p.id === portId);
-		return port && !port.occupied && port.magnet;
+		const free = port && (!port.occupied || (ignoredLinkId !== null && port.linkId === ignoredLinkId));
+		return free && port.magnet;
 	}
 
 	/**
@@ -0,0 +1,343 @@
+import { PRESENCE_EVENTS, COLLABORATION_EVENTS, EDITOR_EVENTS } from '../Events/EventTypes.js';
+
+/**
+ * Collaboration message type of presence updates
+ */
+const PRESENCE_MESSAGE = 'presence';
+
+/**
+ * Fields of a presence update
+ */
+const PRESENCE_FIELDS = ['cursor', 'selection', 'viewport'];
+
+/**
+ * Colors and names given to users who did not choose their own, picked by site id
+ */
+const PRESENCE_COLORS = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#008080', '#f032e6', '#9a6324'];
+const PRESENCE_NAMES = ['Otter', 'Falcon', 'Lynx', 'Heron', 'Badger', 'Fox', 'Owl', 'Marten', 'Panda', 'Wren'];
+
+/**
+ * PresenceService - Shares where each user is: pointer, selection and viewport
+ *
+ * Presence travels as 'presence' messages of the CollaborationService, so it uses the
+ * same transport as the document and can be tested with a loopback transport. Only
+ * changed fields are sent, at most once per throttle interval; remote updates are
+ * collected and announced with one PRESENCE_EVENTS.CHANGED per interval.
+ */
+export class PresenceService {
+	constructor(eventBus, stateStore, collaborationService, selectionService, paperService) {
+		this.eventBus = eventBus;
+		this.stateStore = stateStore;
+		this.collaborationService = collaborationService;
+		this.selectionService = selectionService;
+		this.paperService = paperService;
+		this.initialized = false;
+		this.debugMode = false;
+		this.local = {
+			name: null,
+			color: null,
+			cursor: null,
+			selection: [],
+			viewport: null
+		};
+		this.users = new Map();
+		this.dirty = new Set();
+		this.sendTimer = null;
+		this.lastSent = 0;
+		this.notifyTimer = null;
+		this.options = {
+			name: null,
+			color: null,
+			// Minimum time between two sent updates and between two CHANGED events
+			throttle: 50
+		};
+		this.stats = {
+			sent: 0,
+			received: 0
+		};
+
+		this.handlePointerMove = this.handlePointerMove.bind(this);
+		this.handlePointerLeave = this.handlePointerLeave.bind(this);
+		this.updateViewport = this.updateViewport.bind(this);
+
+		this.bindEventHandlers();
+	}
+
+	/**
+	 * Initializes presence tracking
+	 * @param {Object} options - Optional { name, color, throttle } of the local user
+	 */
+	init(options = {}) {
+		if (this.initialized) {
+			console.warn('PresenceService: Already initialized');
+			return;
+		}
+
+		this.options = { ...this.options, ...options };
+
+		const paperElement = this.paperService.paperElement;
+		if (paperElement) {
+			paperElement.addEventListener('mousemove', this.handlePointerMove);
+			paperElement.addEventListener('mouseleave', this.handlePointerLeave);
+		}
+
+		if (this.paperService.paper) {
+			this.paperService.paper.on('resize', this.updateViewport);
+		}
+
+		this.initialized = true;
+		this.eventBus.emit(PRESENCE_EVENTS.SERVICE_INITIALIZED);
+	}
+
+	/**
+	 * Binds service to session, selection and view changes
+	 */
+	bindEventHandlers() {
+		this.eventBus.on(COLLABORATION_EVENTS.CONNECTED, () => {
+			this.assignIdentity();
+			this.updateSelection();
+			this.updateViewport();
+			this.queueUpdate(PRESENCE_FIELDS);
+		});
+
+		this.eventBus.on(COLLABORATION_EVENTS.DISCONNECTED, () => {
+			this.users.forEach((user, site) => this.removeUser(site));
+		});
+
+		// Newcomers only learn about this user from the next update
+		this.eventBus.on(COLLABORATION_EVENTS.PEER_JOINED, () => this.queueUpdate(PRESENCE_FIELDS));
+		this.eventBus.on(COLLABORATION_EVENTS.PEER_LEFT, (event) => this.removeUser(event.data.site));
+
+		this.eventBus.on(COLLABORATION_EVENTS.MESSAGE_RECEIVED, (event) => {
+			const { message } = event.data;
+			if (message.type === PRESENCE_MESSAGE) {
+				this.receiveUpdate(message);
+			}
+		});
+
+		this.eventBus.onPattern('selection:*', () => this.updateSelection());
+
+		this.eventBus.on('state:canvas.zoom:changed', this.updateViewport);
+		this.eventBus.on('state:batch-changed', (event) => {
+			const changes = event.data.changes || [];
+			if (changes.some(change => change.path.startsWith('canvas.'))) {
+				this.updateViewport();
+			}
+		});
+
+		this.eventBus.on(EDITOR_EVENTS.DESTROYING, () => this.destroy());
+	}
+
+	/**
+	 * Picks the name and color of the local user for this session
+	 */
+	assignIdentity() {
+		const hash = this.hashSiteId(this.collaborationService.getSiteId() || '');
+
+		this.local.color = this.options.color || PRESENCE_COLORS[hash % PRESENCE_COLORS.length];
+		this.local.name = this.options.name || `Anonymous ${PRESENCE_NAMES[Math.floor(hash / PRESENCE_COLORS.length) % PRESENCE_NAMES.length]}`;
+	}
+
+	/**
+	 * Tracks the pointer in paper coordinates
+	 */
+	handlePointerMove(event) {
+		const paper = this.paperService.paper;
+		if (!paper) return;
+
+		const point = paper.clientToLocalPoint(event.clientX, event.clientY);
+		this.local.cursor = { x: Math.round(point.x), y: Math.round(point.y) };
+		this.queueUpdate(['cursor']);
+	}
+
+	/**
+	 * Hides the pointer of this user when it leaves the paper
+	 */
+	handlePointerLeave() {
+		this.local.cursor = null;
+		this.queueUpdate(['cursor']);
+	}
+
+	/**
+	 * Tracks the ids of the selected cells
+	 */
+	updateSelection() {
+		const selection = (this.selectionService.getSelectedElements() || []).map(cell => cell.id);
+
+		if (selection.join() !== this.local.selection.join()) {
+			this.local.selection = selection;
+			this.queueUpdate(['selection']);
+		}
+	}
+
+	/**
+	 * Tracks the visible area of the paper
+	 */
+	updateViewport() {
+		if (!this.paperService.paper) return;
+
+		this.local.viewport = this.paperService.getVisibleArea();
+		this.queueUpdate(['viewport']);
+	}
+
+	/**
+	 * Marks fields as changed and schedules a throttled update
+	 */
+	queueUpdate(fields) {
+		fields.forEach(field => this.dirty.add(field));
+
+		if (this.sendTimer || !this.collaborationService.isConnected()) return;
+
+		const wait = Math.max(0, this.lastSent + this.options.throttle - Date.now());
+		this.sendTimer = setTimeout(() => this.sendUpdate(), wait);
+	}
+
+	/**
+	 * Sends the changed fields together with the user identity
+	 */
+	sendUpdate() {
+		this.sendTimer = null;
+		if (this.dirty.size === 0 || !this.collaborationService.isConnected()) return;
+
+		const update = {
+			name: this.local.name,
+			color: this.local.color
+		};
+		this.dirty.forEach(field => {
+			update[field] = this.local[field];
+		});
+		this.dirty.clear();
+
+		this.collaborationService.send(PRESENCE_MESSAGE, update);
+		this.lastSent = Date.now();
+		this.stats.sent++;
+	}
+
+	/**
+	 * Merges a presence update of another user
+	 */
+	receiveUpdate(message) {
+		const site = message.site;
+		const isNew = !this.users.has(site);
+		const user = this.users.get(site) || {
+			site,
+			name: null,
+			color: null,
+			cursor: null,
+			selection: [],
+			viewport: null
+		};
+
+		['name', 'color', ...PRESENCE_FIELDS].forEach(field => {
+			if (field in message) {
+				user[field] = message[field];
+			}
+		});
+		user.updatedAt = Date.now();
+
+		this.users.set(site, user);
+		this.stats.received++;
+
+		if (isNew) {
+			this.eventBus.emit(PRESENCE_EVENTS.USER_JOINED, { user });
+		}
+
+		this.scheduleNotify();
+	}
+
+	/**
+	 * Forgets a user who left
+	 */
+	removeUser(site) {
+		const user = this.users.get(site);
+		if (!user) return;
+
+		this.users.delete(site);
+		this.eventBus.emit(PRESENCE_EVENTS.USER_LEFT, { user });
+		this.scheduleNotify();
+	}
+
+	/**
+	 * Announces remote changes at most once per throttle interval
+	 */
+	scheduleNotify() {
+		if (this.notifyTimer) return;
+
+		this.notifyTimer = setTimeout(() => {
+			this.notifyTimer = null;
+			this.eventBus.emit(PRESENCE_EVENTS.CHANGED, { users: this.getUsers() });
+		}, this.options.throttle);
+	}
+
+	/**
+	 * Gets the remote users
+	 */
+	getUsers() {
+		return Array.from(this.users.values());
+	}
+
+	/**
+	 * Gets the name and color of the local user
+	 */
+	getLocalUser() {
+		return { ...this.local, site: this.collaborationService.getSiteId() };
+	}
+
+	/**
+	 * Hashes a site id into a stable positive number
+	 */
+	hashSiteId(siteId) {
+		let hash = 0;
+		for (let i = 0; i < siteId.length; i++) {
+			hash = (hash * 31 + siteId.charCodeAt(i)) >>> 0;
+		}
+		return hash;
+	}
+
+	/**
+	 * Gets service statistics
+	 */
+	getStats() {
+		return {
+			initialized: this.initialized,
+			users: this.users.size,
+			name: this.local.name,
+			color: this.local.color,
+			...this.stats
+		};
+	}
+
+	/**
+	 * Enables debug mode
+	 */
+	setDebugMode(enabled) {
+		this.debugMode = enabled;
+	}
+
+	/**
+	 * Destroys the service
+	 */
+	destroy() {
+		if (!this.initialized) return;
+
+		clearTimeout(this.sendTimer);
+		clearTimeout(this.notifyTimer);
+		this.sendTimer = null;
+		this.notifyTimer = null;
+
+		const paperElement = this.paperService.paperElement;
+		if (paperElement) {
+			paperElement.removeEventListener('mousemove', this.handlePointerMove);
+			paperElement.removeEventListener('mouseleave', this.handlePointerLeave);
+		}
+
+		if (this.paperService.paper) {
+			this.paperService.paper.off('resize', this.updateViewport);
+		}
+
+		this.users.clear();
+		this.initialized = false;
+
+		this.eventBus.emit(PRESENCE_EVENTS.SERVICE_DESTROYED);
+	}
+}
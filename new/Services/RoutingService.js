@@ -0,0 +1,272 @@
+import { ROUTING_EVENTS, LINK_EVENTS } from '../Events/EventTypes.js';
+
+/**
+ * Routers offered for links
+ */
+export const ROUTERS = {
+	smart: { title: 'Smart Orthogonal', args: { padding: 10 } },
+	manhattan: { title: 'Manhattan', args: {} },
+	orthogonal: { title: 'Orthogonal', args: {} },
+	metro: { title: 'Metro', args: {} },
+	normal: { title: 'Normal', args: {} }
+};
+
+/**
+ * Connectors offered for links
+ */
+export const CONNECTORS = {
+	rounded: { title: 'Rounded', args: { radius: 10 } },
+	smooth: { title: 'Smooth', args: {} },
+	jumpover: { title: 'Jump Over', args: { size: 6, jump: 'arc' } },
+	straight: { title: 'Straight', args: {} }
+};
+
+export const DEFAULT_ROUTER = 'smart';
+export const DEFAULT_CONNECTOR = 'rounded';
+
+/**
+ * Creates a JointJS router definition by name, falling back to the default router
+ */
+export function createRouter(name, args = {}) {
+	const routerName = ROUTERS[name] ? name : DEFAULT_ROUTER;
+	return { name: routerName, args: { ...ROUTERS[routerName].args, ...args } };
+}
+
+/**
+ * Creates a JointJS connector definition by name, falling back to the default connector
+ */
+export function createConnector(name, args = {}) {
+	const connectorName = CONNECTORS[name] ? name : DEFAULT_CONNECTOR;
+	return { name: connectorName, args: { ...CONNECTORS[connectorName].args, ...args } };
+}
+
+/**
+ * RoutingService - Default and per-link router and connector
+ *
+ * The default lives in `connections.router` / `connections.connector` and applies to every
+ * link without an override. A per-link override is stored on the link as
+ * `routing: { router, connector }`; a missing or null value follows the default.
+ * Both are serialized with the document: the default by DocumentService, the override
+ * together with the link cell.
+ */
+export class RoutingService {
+	constructor(eventBus, stateStore, graphService) {
+		this.eventBus = eventBus;
+		this.stateStore = stateStore;
+		this.graphService = graphService;
+		this.initialized = false;
+		this.debugMode = false;
+
+		this.bindEventHandlers();
+	}
+
+	/**
+	 * Initializes the routing service
+	 */
+	init() {
+		if (this.initialized) {
+			console.warn('RoutingService: Already initialized');
+			return;
+		}
+
+		this.initialized = true;
+		this.eventBus.emit(ROUTING_EVENTS.SERVICE_INITIALIZED, this.getDefaultRouting());
+	}
+
+	/**
+	 * Binds service to default routing changes
+	 */
+	bindEventHandlers() {
+		// Covers commands, document loading and the legacy selectors alike
+		['connections.router', 'connections.connector'].forEach(path => {
+			this.eventBus.on(`state:${path}:changed`, () => this.applyDefaultRouting());
+		});
+
+		this.eventBus.on(LINK_EVENTS.ADDED, (event) => {
+			const link = event.data.link;
+			if (link && this.hasOverride(link)) {
+				this.applyRouting(link);
+			}
+		});
+	}
+
+	/**
+	 * Gets the default router and connector names
+	 */
+	getDefaultRouting() {
+		return {
+			router: this.stateStore.get('connections.router') || DEFAULT_ROUTER,
+			connector: this.stateStore.get('connections.connector') || DEFAULT_CONNECTOR
+		};
+	}
+
+	/**
+	 * Sets the default router and/or connector; undefined values are kept
+	 */
+	setDefaultRouting({ router, connector } = {}) {
+		if (router !== undefined && !ROUTERS[router]) {
+			console.error('RoutingService: Unknown router', router);
+			return false;
+		}
+
+		if (connector !== undefined && !CONNECTORS[connector]) {
+			console.error('RoutingService: Unknown connector', connector);
+			return false;
+		}
+
+		const previous = this.getDefaultRouting();
+
+		if (router !== undefined && router !== previous.router) {
+			this.stateStore.set('connections.router', router);
+		}
+
+		if (connector !== undefined && connector !== previous.connector) {
+			this.stateStore.set('connections.connector', connector);
+		}
+
+		this.eventBus.emit(ROUTING_EVENTS.DEFAULT_CHANGED, {
+			previous,
+			current: this.getDefaultRouting()
+		});
+
+		return true;
+	}
+
+	/**
+	 * Gets the per-link override, with null for values following the default
+	 */
+	getLinkOverride(link) {
+		const routing = link.get('routing') || {};
+
+		return {
+			router: routing.router || null,
+			connector: routing.connector || null
+		};
+	}
+
+	/**
+	 * Checks whether a link overrides the default router or connector
+	 */
+	hasOverride(link) {
+		const override = this.getLinkOverride(link);
+		return override.router !== null || override.connector !== null;
+	}
+
+	/**
+	 * Gets the router and connector names a link is drawn with
+	 */
+	getEffectiveRouting(link) {
+		const defaults = this.getDefaultRouting();
+		const override = this.getLinkOverride(link);
+
+		return {
+			router: override.router || defaults.router,
+			connector: override.connector || defaults.connector
+		};
+	}
+
+	/**
+	 * Sets the override of a link; null follows the default, undefined keeps the current value
+	 */
+	setLinkOverride(link, { router, connector } = {}) {
+		if (router && !ROUTERS[router]) {
+			console.error('RoutingService: Unknown router', router);
+			return false;
+		}
+
+		if (connector && !CONNECTORS[connector]) {
+			console.error('RoutingService: Unknown connector', connector);
+			return false;
+		}
+
+		const previous = this.getLinkOverride(link);
+		const override = {
+			router: router === undefined ? previous.router : router,
+			connector: connector === undefined ? previous.connector : connector
+		};
+
+		if (override.router === null && override.connector === null) {
+			link.unset('routing');
+		} else {
+			link.set('routing', override);
+		}
+
+		this.applyRouting(link);
+
+		this.eventBus.emit(ROUTING_EVENTS.LINK_CHANGED, {
+			link,
+			previous,
+			current: override
+		});
+
+		return true;
+	}
+
+	/**
+	 * Applies the effective router and connector to a link
+	 */
+	applyRouting(link) {
+		const { router, connector } = this.getEffectiveRouting(link);
+		const currentRouter = link.get('router') || {};
+		const currentConnector = link.get('connector') || {};
+
+		// Keep router args such as the padding of multi-line connections
+		link.set({
+			router: createRouter(router, currentRouter.name === router ? currentRouter.args : {}),
+			connector: createConnector(connector, currentConnector.name === connector ? currentConnector.args : {})
+		});
+	}
+
+	/**
+	 * Applies the default routing to all links without an override
+	 */
+	applyDefaultRouting() {
+		if (!this.graphService.graph) return;
+
+		this.graphService.graph.getLinks()
+			.filter(link => !this.hasOverride(link))
+			.forEach(link => this.applyRouting(link));
+	}
+
+	/**
+	 * Gets menu options for routers
+	 */
+	getRouterOptions() {
+		return Object.entries(ROUTERS).map(([name, router]) => ({ name, title: router.title }));
+	}
+
+	/**
+	 * Gets menu options for connectors
+	 */
+	getConnectorOptions() {
+		return Object.entries(CONNECTORS).map(([name, connector]) => ({ name, title: connector.title }));
+	}
+
+	/**
+	 * Gets routing statistics
+	 */
+	getStats() {
+		const links = this.graphService.graph ? this.graphService.graph.getLinks() : [];
+
+		return {
+			...this.getDefaultRouting(),
+			linkCount: links.length,
+			overriddenLinks: links.filter(link => this.hasOverride(link)).length
+		};
+	}
+
+	/**
+	 * Enables debug mode
+	 */
+	setDebugMode(enabled) {
+		this.debugMode = enabled;
+	}
+
+	/**
+	 * Destroys the service
+	 */
+	destroy() {
+		this.initialized = false;
+		this.eventBus.emit(ROUTING_EVENTS.SERVICE_DESTROYED);
+	}
+}
@@ -1,17 +1,32 @@
  
+/**
+ * Style attributes the selection highlight overrides on elements and links
+ */
+const HIGHLIGHT_PATHS = {
+	element: ['body/stroke', 'body/strokeWidth'],
+	link: ['line/stroke', 'line/strokeWidth']
+};
+
+/**
+ * Options of highlight writes; the highlight is view state and is not synced to collaborators
+ */
+export const SELECTION_OPTIONS = { selection: true };
+
 /**
  * SelectionService - Service for managing element selection and multi-selection
  */
 export class SelectionService {
-	constructor(eventBus, stateStore, graphService, portService) {
+	constructor(eventBus, stateStore, graphService, portService, layerService) {
 		this.eventBus = eventBus;
 		this.stateStore = stateStore;
 		this.graphService = graphService;
 		this.portService = portService;
+		this.layerService = layerService;
 		this.initialized = false;
 		this.debugMode = false;
 		this.selectionBox = null;
 		this.selectionTimeout = null;
+		this.savedStyles = new Map();
 		
 		this.bindEventHandlers();
 	}
@@ -44,6 +59,14 @@ export class SelectionService {
 		this.eventBus.on('paper:blank-click', (event) => {
 			this.handleBlankAreaClick(event);
 		});
+
+		// Locking or hiding a layer drops its cells from the selection
+		this.eventBus.on('layers:changed', () => {
+			const currentSelection = this.stateStore.get('selection.elements') || [];
+			currentSelection
+				.filter(element => !this.isSelectable(element))
+				.forEach(element => this.unselectElement(element));
+		});
 		
 		this.eventBus.on('selection:select-element', (event) => {
 			this.selectElement(event.element, event.addToSelection);
@@ -109,6 +132,8 @@ export class SelectionService {
 	 * Selects an element or adds it to selection
 	 */
 	selectElement(element, addToSelection = false) {
+		if (!this.isSelectable(element)) return;
+
 		const currentSelection = this.stateStore.get('selection.elements');
 		
 		if (!addToSelection) {
@@ -174,7 +199,7 @@ export class SelectionService {
 		this.clearSelectionStyles(currentSelection);
 
 		const validElements = elements.filter(el => 
-			this.graphService.graph.getCells().includes(el)
+			this.graphService.graph.getCells().includes(el) && this.isSelectable(el)
 		);
 
 		validElements.forEach(element => {
@@ -190,11 +215,18 @@ export class SelectionService {
 		});
 	}
 
+	/**
+	 * Checks whether a cell can be selected; cells of locked and hidden layers cannot
+	 */
+	isSelectable(cell) {
+		return !this.layerService.isCellLocked(cell) && this.layerService.isCellVisible(cell);
+	}
+
 	/**
 	 * Selects elements within a rectangular area
 	 */
 	selectInArea(rect) {
-		const elementsInArea = this.graphService.getElementsInArea(rect);
+		const elementsInArea = this.graphService.getElementsInArea(rect).filter(element => this.isSelectable(element));
 		this.selectMultiple(elementsInArea);
 
 		this.eventBus.emit('selection:area-selected', {
@@ -212,7 +244,7 @@ export class SelectionService {
 		this.selectMultiple(allCells);
 
 		this.eventBus.emit('selection:all-selected', {
-			count: allCells.length
+			count: this.stateStore.get('selection.elements').length
 		});
 	}
 
@@ -261,30 +293,150 @@ export class SelectionService {
 	 * Applies visual selection style to an element
 	 */
 	applySelectionStyle(element) {
-		if (element.isElement()) {
-			element.attr('body/stroke', '#ff4444');
-			element.attr('body/strokeWidth', 3);
-		} else if (element.isLink()) {
-			element.attr('line/stroke', '#31d0c6');
-			element.attr('line/strokeWidth', 3);
+		this.saveStyle(element);
+		this.setHighlight(element);
+
+		if (element.isLink()) {
 			this.showConnectedElementPorts(element);
 		}
 	}
 
+	/**
+	 * Writes the highlight strokes of a selected cell
+	 */
+	setHighlight(cell) {
+		if (cell.isElement()) {
+			cell.attr('body/stroke', '#ff4444', SELECTION_OPTIONS);
+			cell.attr('body/strokeWidth', 3, SELECTION_OPTIONS);
+		} else if (cell.isLink()) {
+			cell.attr('line/stroke', '#31d0c6', SELECTION_OPTIONS);
+			cell.attr('line/strokeWidth', 3, SELECTION_OPTIONS);
+		}
+	}
+
 	/**
 	 * Removes visual selection style from an element
 	 */
 	removeSelectionStyle(element) {
-		if (element.isElement()) {
-			element.attr('body/stroke', '#8a8a96');
-			element.attr('body/strokeWidth', 1);
-		} else if (element.isLink()) {
-			element.attr('line/stroke', '#8a8a96');
-			element.attr('line/strokeWidth', 2);
+		this.restoreStyle(element);
+
+		if (element.isLink()) {
 			this.hideConnectedElementPorts(element);
 		}
 	}
 
+	/**
+	 * Gets the style paths the highlight overrides on a cell
+	 */
+	getHighlightPaths(cell) {
+		return cell.isLink() ? HIGHLIGHT_PATHS.link : HIGHLIGHT_PATHS.element;
+	}
+
+	/**
+	 * Remembers the style of a cell before it is highlighted
+	 */
+	saveStyle(cell) {
+		if (this.savedStyles.has(cell.id)) return;
+
+		const style = {};
+		this.getHighlightPaths(cell).forEach(path => {
+			style[path] = cell.attr(path);
+		});
+
+		this.savedStyles.set(cell.id, style);
+	}
+
+	/**
+	 * Puts back the style a cell had before it was highlighted
+	 */
+	restoreStyle(cell) {
+		const style = this.savedStyles.get(cell.id);
+		if (!style) return;
+
+		this.savedStyles.delete(cell.id);
+		Object.entries(style).forEach(([path, value]) => {
+			if (value === undefined) {
+				cell.removeAttr(path, SELECTION_OPTIONS);
+			} else {
+				cell.attr(path, value, SELECTION_OPTIONS);
+			}
+		});
+	}
+
+	/**
+	 * Gets the style a highlighted cell had before selection, or null when it is not highlighted
+	 */
+	getUnselectedStyle(cell) {
+		const style = this.savedStyles.get(cell.id);
+		return style ? { ...style } : null;
+	}
+
+	/**
+	 * Serializes a cell as it looks without the selection highlight
+	 */
+	toUnselectedJSON(cell) {
+		const json = JSON.parse(JSON.stringify(cell.toJSON()));
+		const style = this.savedStyles.get(cell.id);
+		if (!style) return json;
+
+		Object.entries(style).forEach(([path, value]) => {
+			if (value === undefined) {
+				joint.util.unsetByPath(json, `attrs/${path}`, '/');
+			} else {
+				joint.util.setByPath(json, `attrs/${path}`, value, '/');
+			}
+		});
+
+		return json;
+	}
+
+	/**
+	 * Reads a cell property as it is without the selection highlight
+	 * @param {joint.dia.Cell} cell - Cell
+	 * @param {string} path - Property path such as `attrs/body/stroke`
+	 */
+	getCellProperty(cell, path) {
+		if (!this.savedStyles.has(cell.id)) {
+			return cell.prop(path);
+		}
+
+		return joint.util.getByPath(this.toUnselectedJSON(cell), path, '/');
+	}
+
+	/**
+	 * Writes a cell property; on a highlighted cell the highlighted attributes the path
+	 * covers go to the saved style, so the highlight stays and the value shows on deselect
+	 * @param {joint.dia.Cell} cell - Cell
+	 * @param {string} path - Property path such as `attrs/body/stroke`
+	 * @param {*} value - New value, undefined removes the property
+	 * @param {Object} options - Options passed to the cell
+	 */
+	setCellProperty(cell, path, value, options = {}) {
+		const style = this.savedStyles.get(cell.id);
+		const covered = style ? Object.keys(style).filter(stylePath => {
+			const fullPath = `attrs/${stylePath}`;
+			return fullPath === path || fullPath.startsWith(`${path}/`);
+		}) : [];
+
+		// The saved style changes first, listeners of the write already see the new value
+		covered.forEach(stylePath => {
+			const rest = `attrs/${stylePath}`.slice(path.length + 1);
+			style[stylePath] = value === undefined || rest === ''
+				? value
+				: joint.util.getByPath(value, rest, '/');
+		});
+
+		if (value === undefined) {
+			cell.removeProp(path, options);
+		} else {
+			cell.prop(path, value, { ...options, rewrite: true });
+		}
+
+		if (covered.length > 0) {
+			this.setHighlight(cell);
+		}
+	}
+
 	/**
 	 * Clears selection styles from multiple elements
 	 */
@@ -0,0 +1,386 @@
+import { SHAPE_EVENTS } from '../Events/EventTypes.js';
+import { createDefaultPortGroup } from './PortService.js';
+
+export const SHAPE_CATEGORIES = {
+	basic: 'Elements',
+	flowchart: 'Flowchart'
+};
+
+const DEFAULT_BODY_ATTRS = {
+	fill: '#e9edf0',
+	stroke: '#8a8a96',
+	strokeWidth: 1
+};
+
+const DEFAULT_LABEL = {
+	text: '',
+	fontSize: 12,
+	fontFamily: 'sans-serif',
+	fill: '#333333'
+};
+
+const ALL_SIDES = ['top', 'right', 'bottom', 'left'];
+
+/**
+ * ShapeRegistryService - Catalogue of element shapes offered by the editor
+ *
+ * A shape definition describes:
+ * - type:     JointJS cell type; new types are defined from `base` with `attrs`
+ * - cellType: serialized type, when `type` names a namespace alias (CustomRectangle)
+ * - title, icon, category, shortcut: how the shape appears in toolbar and menus
+ * - size:     default size for new elements
+ * - ports:    sides (or side -> count map) that get ports on creation
+ * - label:    default label text and font settings
+ */
+export class ShapeRegistryService {
+	constructor(eventBus, stateStore) {
+		this.eventBus = eventBus;
+		this.stateStore = stateStore;
+		this.shapes = new Map();
+		this.shapeClasses = new Map();
+		this.initialized = false;
+		this.debugMode = false;
+
+		this.setupDefaultShapes();
+	}
+
+	/**
+	 * Initializes the shape registry
+	 */
+	init() {
+		if (this.initialized) {
+			console.warn('ShapeRegistryService: Already initialized');
+			return;
+		}
+
+		this.initialized = true;
+		this.eventBus.emit(SHAPE_EVENTS.SERVICE_INITIALIZED, { shapes: this.getShapeNames() });
+	}
+
+	/**
+	 * Registers the built-in basic and flowchart shapes
+	 */
+	setupDefaultShapes() {
+		const standard = joint.shapes.standard;
+
+		this.registerShape('rectangle', {
+			type: 'CustomRectangle',
+			cellType: 'standard.Rectangle',
+			title: 'Rectangle',
+			icon: '⬜',
+			shortcut: 'r',
+			size: { width: 60, height: 40 },
+			ports: []
+		});
+
+		this.registerShape('circle', {
+			type: 'standard.Circle',
+			title: 'Circle',
+			icon: '⭕',
+			shortcut: 'c',
+			size: { width: 60, height: 60 },
+			ports: []
+		});
+
+		this.registerShape('ellipse', {
+			type: 'standard.Ellipse',
+			title: 'Ellipse',
+			icon: '⬯',
+			shortcut: 'e',
+			size: { width: 80, height: 50 },
+			ports: []
+		});
+
+		this.registerShape('process', {
+			type: 'flowchart.Process',
+			base: standard.Rectangle,
+			category: 'flowchart',
+			title: 'Process',
+			icon: '▭',
+			size: { width: 120, height: 60 }
+		});
+
+		this.registerShape('decision', {
+			type: 'flowchart.Decision',
+			base: standard.Polygon,
+			category: 'flowchart',
+			title: 'Decision',
+			icon: '◇',
+			size: { width: 100, height: 80 },
+			attrs: {
+				body: { refPoints: '50,0 100,50 50,100 0,50' }
+			}
+		});
+
+		this.registerShape('terminator', {
+			type: 'flowchart.Terminator',
+			base: standard.Rectangle,
+			category: 'flowchart',
+			title: 'Terminator',
+			icon: '⬭',
+			size: { width: 120, height: 50 },
+			attrs: {
+				body: { rx: 25, ry: 25 }
+			}
+		});
+
+		this.registerShape('document', {
+			type: 'flowchart.Document',
+			base: standard.Path,
+			category: 'flowchart',
+			title: 'Document',
+			icon: '🗎',
+			size: { width: 120, height: 70 },
+			attrs: {
+				body: { refD: 'M 0 0 L 100 0 L 100 85 C 75 70 25 100 0 85 Z' },
+				label: { refY: '45%' }
+			}
+		});
+
+		this.registerShape('database', {
+			type: 'flowchart.Database',
+			base: standard.Cylinder,
+			category: 'flowchart',
+			title: 'Database',
+			icon: '🛢',
+			size: { width: 80, height: 90 },
+			attrs: {
+				top: { ...DEFAULT_BODY_ATTRS }
+			}
+		});
+
+		this.registerShape('note', {
+			type: 'flowchart.Note',
+			base: standard.Path,
+			category: 'flowchart',
+			title: 'Note',
+			icon: '🗒',
+			size: { width: 110, height: 70 },
+			ports: ['left', 'right'],
+			attrs: {
+				body: {
+					refD: 'M 0 0 L 85 0 L 100 15 L 100 100 L 0 100 Z M 85 0 L 85 15 L 100 15',
+					fill: '#fff8e1'
+				}
+			}
+		});
+	}
+
+	/**
+	 * Registers a shape, defining its JointJS class when a base is given
+	 */
+	registerShape(name, definition) {
+		if (!name || !definition || !definition.type) {
+			throw new Error('ShapeRegistryService: Shape name and type are required');
+		}
+
+		const shape = {
+			name,
+			type: definition.type,
+			cellType: definition.cellType || definition.type,
+			title: definition.title || name,
+			icon: definition.icon || '⬜',
+			category: definition.category || 'basic',
+			shortcut: definition.shortcut || null,
+			size: { width: 60, height: 40, ...definition.size },
+			ports: definition.ports || ALL_SIDES,
+			label: { ...DEFAULT_LABEL, ...definition.label },
+			toolbar: definition.toolbar !== false
+		};
+
+		if (definition.base) {
+			const shapeClass = definition.base.define(shape.type, {
+				size: shape.size,
+				attrs: joint.util.merge({
+					body: { ...DEFAULT_BODY_ATTRS },
+					label: this.createLabelAttrs(shape.label)
+				}, definition.attrs || {})
+			});
+
+			this.shapeClasses.set(shape.type, shapeClass);
+		}
+
+		this.shapes.set(name, shape);
+		this.eventBus.emit(SHAPE_EVENTS.REGISTERED, { shape, shapeClass: this.shapeClasses.get(shape.type) || null });
+
+		return shape;
+	}
+
+	/**
+	 * Removes a shape from the registry
+	 */
+	unregisterShape(name) {
+		const shape = this.shapes.get(name);
+		if (!shape) return false;
+
+		this.shapes.delete(name);
+		this.eventBus.emit(SHAPE_EVENTS.UNREGISTERED, { shape });
+
+		return true;
+	}
+
+	/**
+	 * Gets a shape definition by name
+	 */
+	getShape(name) {
+		return this.shapes.get(name) || null;
+	}
+
+	/**
+	 * Finds the shape definition that created an element
+	 */
+	getShapeForElement(element) {
+		const type = element.get('type');
+		return this.getShapes().find(shape => shape.cellType === type) || null;
+	}
+
+	/**
+	 * Gets all shape definitions in registration order
+	 */
+	getShapes() {
+		return Array.from(this.shapes.values());
+	}
+
+	/**
+	 * Gets registered shape names
+	 */
+	getShapeNames() {
+		return Array.from(this.shapes.keys());
+	}
+
+	/**
+	 * Gets shapes grouped by category, in order of first registration
+	 */
+	getShapesByCategory() {
+		const categories = new Map();
+
+		this.getShapes().forEach(shape => {
+			if (!categories.has(shape.category)) {
+				categories.set(shape.category, []);
+			}
+			categories.get(shape.category).push(shape);
+		});
+
+		return categories;
+	}
+
+	/**
+	 * Gets the display title of a category
+	 */
+	getCategoryTitle(category) {
+		return SHAPE_CATEGORIES[category] || category.charAt(0).toUpperCase() + category.slice(1);
+	}
+
+	/**
+	 * Gets JointJS classes defined by the registry, keyed by cell type
+	 */
+	getShapeClasses() {
+		return new Map(this.shapeClasses);
+	}
+
+	/**
+	 * Builds cell attributes for a new element of the given shape
+	 */
+	createElementAttributes(name, options = {}) {
+		const shape = this.getShape(name);
+		if (!shape) {
+			throw new Error(`ShapeRegistryService: Unknown shape '${name}'`);
+		}
+
+		const attributes = {
+			position: options.position || { x: 100, y: 100 },
+			size: options.size || { ...shape.size },
+			attrs: {
+				body: { ...options.attrs }
+			}
+		};
+
+		if (options.label) {
+			attributes.attrs.label = this.createLabelAttrs({ ...shape.label, ...options.label });
+		}
+
+		const ports = options.ports || this.createPorts(shape.ports);
+		if (ports) {
+			attributes.ports = ports;
+		}
+
+		return attributes;
+	}
+
+	/**
+	 * Converts label settings to JointJS label attributes
+	 */
+	createLabelAttrs(label) {
+		return {
+			text: label.text,
+			fontSize: label.fontSize,
+			fontFamily: label.fontFamily,
+			fill: label.fill
+		};
+	}
+
+	/**
+	 * Builds a port configuration from sides or a side -> count map
+	 */
+	createPorts(sides) {
+		const counts = Array.isArray(sides)
+			? Object.fromEntries(sides.map(side => [side, 1]))
+			: { ...sides };
+
+		const items = [];
+		Object.entries(counts).forEach(([side, count]) => {
+			const step = 100 / (count + 1);
+
+			for (let index = 0; index < count; index++) {
+				const position = step * (index + 1);
+				const args = {
+					top: { x: `${position}%`, y: '0%' },
+					right: { x: '100%', y: `${position}%` },
+					bottom: { x: `${position}%`, y: '100%' },
+					left: { x: '0%', y: `${position}%` }
+				}[side];
+
+				if (args) {
+					items.push({ group: 'default', args, id: `${side}_${index}` });
+				}
+			}
+		});
+
+		if (items.length === 0) {
+			return null;
+		}
+
+		return {
+			groups: { 'default': createDefaultPortGroup() },
+			items
+		};
+	}
+
+	/**
+	 * Gets service statistics
+	 */
+	getStats() {
+		return {
+			shapeCount: this.shapes.size,
+			categories: Array.from(this.getShapesByCategory().keys())
+		};
+	}
+
+	/**
+	 * Enables debug mode
+	 */
+	setDebugMode(enabled) {
+		this.debugMode = enabled;
+	}
+
+	/**
+	 * Destroys the service
+	 */
+	destroy() {
+		this.shapes.clear();
+		this.shapeClasses.clear();
+		this.initialized = false;
+
+		this.eventBus.emit(SHAPE_EVENTS.SERVICE_DESTROYED);
+	}
+}
@@ -0,0 +1,666 @@
+import { ROUTING_EVENTS, PLUGIN_EVENTS } from '../Events/EventTypes.js';
+
+export const SMART_ROUTER = 'smart';
+
+/**
+ * Unit directions of the port sides
+ */
+const SIDE_DIRECTIONS = {
+	top: { x: 0, y: -1 },
+	right: { x: 1, y: 0 },
+	bottom: { x: 0, y: 1 },
+	left: { x: -1, y: 0 }
+};
+
+const DEFAULT_OPTIONS = {
+	padding: 10,
+	offset: 0,
+	bundle: 0,
+	bendCost: 20,
+	margin: 100,
+	maxLoops: 20000
+};
+
+const EPSILON = 0.01;
+
+/**
+ * Router of each graph; the JointJS router is global, while an editor and viewers can share the page
+ */
+const routersByGraph = new WeakMap();
+
+/**
+ * Binary min-heap of search states ordered by their estimated cost
+ */
+class MinHeap {
+	constructor() {
+		this.items = [];
+	}
+
+	/**
+	 * Gets the number of queued states
+	 */
+	get size() {
+		return this.items.length;
+	}
+
+	/**
+	 * Queues a state
+	 */
+	push(item) {
+		const items = this.items;
+		items.push(item);
+
+		let index = items.length - 1;
+		while (index > 0) {
+			const parent = (index - 1) >> 1;
+			if (items[parent].estimate <= item.estimate) break;
+			items[index] = items[parent];
+			index = parent;
+		}
+		items[index] = item;
+	}
+
+	/**
+	 * Removes and returns the state with the lowest estimate
+	 */
+	pop() {
+		const items = this.items;
+		const top = items[0];
+		const last = items.pop();
+
+		if (items.length > 0) {
+			let index = 0;
+			while (true) {
+				const left = index * 2 + 1;
+				const right = left + 1;
+				let smallest = index;
+				let estimate = last.estimate;
+
+				if (left < items.length && items[left].estimate < estimate) {
+					smallest = left;
+					estimate = items[left].estimate;
+				}
+				if (right < items.length && items[right].estimate < estimate) {
+					smallest = right;
+				}
+				if (smallest === index) break;
+
+				items[index] = items[smallest];
+				index = smallest;
+			}
+			items[index] = last;
+		}
+
+		return top;
+	}
+}
+
+/**
+ * Checks whether a point lies strictly inside a rectangle
+ */
+function containsPoint(rect, point) {
+	return point.x > rect.x + EPSILON && point.x < rect.x + rect.width - EPSILON &&
+		point.y > rect.y + EPSILON && point.y < rect.y + rect.height - EPSILON;
+}
+
+/**
+ * Checks whether two rectangles overlap
+ */
+function rectsOverlap(a, b) {
+	return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+/**
+ * Grows a rectangle on all sides
+ */
+function inflate(rect, amount) {
+	return {
+		x: rect.x - amount,
+		y: rect.y - amount,
+		width: rect.width + amount * 2,
+		height: rect.height + amount * 2
+	};
+}
+
+/**
+ * Gets the sorted unique values of a coordinate list with the midpoints between them
+ */
+function gridLines(values) {
+	const sorted = Array.from(new Set(values.map(value => Math.round(value * 100) / 100))).sort((a, b) => a - b);
+	const lines = [];
+
+	sorted.forEach((value, index) => {
+		if (index > 0) {
+			lines.push((sorted[index - 1] + value) / 2);
+		}
+		lines.push(value);
+	});
+
+	return lines;
+}
+
+/**
+ * Gets the direction of an axis-aligned step
+ */
+function stepDirection(from, to) {
+	if (Math.abs(to.x - from.x) > Math.abs(to.y - from.y)) {
+		return { x: Math.sign(to.x - from.x), y: 0 };
+	}
+	return { x: 0, y: Math.sign(to.y - from.y) };
+}
+
+/**
+ * Removes repeated and collinear points
+ */
+function simplify(points) {
+	const unique = points.filter((point, index) => {
+		const previous = points[index - 1];
+		return !previous || Math.abs(previous.x - point.x) > EPSILON || Math.abs(previous.y - point.y) > EPSILON;
+	});
+
+	return unique.filter((point, index) => {
+		const previous = unique[index - 1];
+		const next = unique[index + 1];
+		if (!previous || !next) return true;
+
+		const sameX = Math.abs(previous.x - point.x) < EPSILON && Math.abs(point.x - next.x) < EPSILON;
+		const sameY = Math.abs(previous.y - point.y) < EPSILON && Math.abs(point.y - next.y) < EPSILON;
+		return !sameX && !sameY;
+	});
+}
+
+/**
+ * SmartRouter - Orthogonal router that avoids elements and callout text
+ *
+ * Registered as the JointJS router `smart`. A route leaves each port in the direction of
+ * its side (PortService.determinePortSide()), runs through a sparse grid built from the
+ * edges of the obstacles near the link and minimizes length plus a cost per bend.
+ * Obstacles are the elements and the callout overlays of elements, inflated by `padding`.
+ * The `offset` arg shifts the whole route sideways so that the lines of a multi-line
+ * connection stay evenly spaced around bends; `bundle` is the largest offset in the bundle
+ * and keeps the base route the same for all of its lines. When no route is found within `maxLoops`
+ * the router falls back to plain orthogonal elbows.
+ *
+ * JointJS only re-routes the links of a moved element; the service also re-routes links
+ * whose route is crossed by a moved element or a changed callout.
+ */
+export class SmartRouter {
+	constructor(eventBus, stateStore, paperService, graphService, portService, calloutsPlugin) {
+		this.eventBus = eventBus;
+		this.stateStore = stateStore;
+		this.paperService = paperService;
+		this.graphService = graphService;
+		this.portService = portService;
+		this.calloutsPlugin = calloutsPlugin;
+		this.initialized = false;
+		this.debugMode = false;
+		this.changedAreas = [];
+		this.movedElements = new Set();
+		this.frameRequest = null;
+		this.stats = { routes: 0, fallbacks: 0, reroutes: 0 };
+
+		this.handleElementChange = this.handleElementChange.bind(this);
+		this.flush = this.flush.bind(this);
+
+		this.bindEventHandlers();
+	}
+
+	/**
+	 * Initializes the router and registers it with JointJS
+	 */
+	init() {
+		if (this.initialized) {
+			console.warn('SmartRouter: Already initialized');
+			return;
+		}
+
+		joint.routers[SMART_ROUTER] = (vertices, args, linkView) => {
+			const router = routersByGraph.get(linkView.model.graph) || this;
+			return router.route(vertices, args, linkView);
+		};
+
+		if (this.graphService.graph) {
+			routersByGraph.set(this.graphService.graph, this);
+			this.graphService.graph.on('change:position change:size add remove', this.handleElementChange);
+		}
+
+		this.initialized = true;
+	}
+
+	/**
+	 * Binds service to callout changes
+	 */
+	bindEventHandlers() {
+		[PLUGIN_EVENTS.CALLOUT_ADDED, PLUGIN_EVENTS.CALLOUT_REMOVED, PLUGIN_EVENTS.CALLOUT_EDITED].forEach(eventType => {
+			this.eventBus.on(eventType, () => this.rerouteAll());
+		});
+	}
+
+	/**
+	 * Computes the route of a link
+	 */
+	route(vertices, args, linkView) {
+		const options = { ...DEFAULT_OPTIONS, ...args };
+
+		// Every lane of a bundle keeps clear of obstacles, so all lanes share one base route
+		options.clearance = options.padding + Math.max(Math.abs(options.offset), options.bundle);
+
+		const link = linkView.model;
+		const start = { x: linkView.sourceAnchor.x, y: linkView.sourceAnchor.y };
+		const end = { x: linkView.targetAnchor.x, y: linkView.targetAnchor.y };
+
+		const sourceElement = link.getSourceElement();
+		const targetElement = link.getTargetElement();
+		const sourceDirection = this.getEndDirection(link, 'source', sourceElement, start, end);
+		const targetDirection = this.getEndDirection(link, 'target', targetElement, end, start);
+		const sourceStub = this.getStub(sourceElement, start, sourceDirection, options.clearance);
+		const targetStub = this.getStub(targetElement, end, targetDirection, options.clearance);
+
+		const waypoints = [sourceStub, ...(vertices || []).map(vertex => ({ x: vertex.x, y: vertex.y })), targetStub];
+		const obstacles = this.getObstacles(link, waypoints, options);
+
+		let points = this.findRoute(waypoints, obstacles, sourceDirection, targetDirection, options);
+		this.stats.routes++;
+
+		if (!points) {
+			this.stats.fallbacks++;
+			if (this.debugMode) {
+				console.log('SmartRouter: No route found, falling back to elbows for', link.id);
+			}
+			points = this.fallbackRoute(waypoints, sourceDirection);
+		}
+
+		const route = simplify([start, ...points, end]);
+		const result = options.offset ? this.offsetRoute(route, options) : route;
+
+		return result.slice(1, -1).map(point => new joint.g.Point(point.x, point.y));
+	}
+
+	/**
+	 * Gets the direction a link leaves or enters an element in; null for a loose end
+	 */
+	getEndDirection(link, end, element, point, otherPoint) {
+		if (!element) {
+			return null;
+		}
+
+		const terminal = link.get(end) || {};
+		const side = terminal.port ? this.portService.determinePortSide(terminal.port) : null;
+		if (side) {
+			return SIDE_DIRECTIONS[side];
+		}
+
+		// Ports without a side in their id and links to the element itself face the other end
+		const bbox = element.getBBox();
+		const center = { x: bbox.x + bbox.width / 2, y: bbox.y + bbox.height / 2 };
+		return stepDirection(center, otherPoint);
+	}
+
+	/**
+	 * Gets the first point outside the padded element in the direction of the port
+	 */
+	getStub(element, point, direction, padding) {
+		if (!element) {
+			return { x: point.x, y: point.y };
+		}
+
+		const bbox = element.getBBox();
+
+		if (direction.x > 0) return { x: bbox.x + bbox.width + padding, y: point.y };
+		if (direction.x < 0) return { x: bbox.x - padding, y: point.y };
+		if (direction.y > 0) return { x: point.x, y: bbox.y + bbox.height + padding };
+		return { x: point.x, y: bbox.y - padding };
+	}
+
+	/**
+	 * Collects padded obstacles near the route: elements and element callouts
+	 */
+	getObstacles(link, waypoints, options) {
+		const graph = link.graph;
+		if (!graph) return [];
+
+		const xs = waypoints.map(point => point.x);
+		const ys = waypoints.map(point => point.y);
+		const region = inflate({
+			x: Math.min(...xs),
+			y: Math.min(...ys),
+			width: Math.max(...xs) - Math.min(...xs),
+			height: Math.max(...ys) - Math.min(...ys)
+		}, options.margin);
+
+		// Containers of the connected elements would enclose the whole route
+		const ignored = new Set();
+		[link.getSourceElement(), link.getTargetElement()].forEach(element => {
+			if (element) {
+				element.getAncestors().forEach(ancestor => ignored.add(ancestor.id));
+			}
+		});
+
+		const rects = graph.getElements()
+			.filter(element => !ignored.has(element.id))
+			.map(element => element.getBBox());
+
+		if (this.calloutsPlugin) {
+			rects.push(...this.calloutsPlugin.getCalloutBounds());
+		}
+
+		return rects
+			.map(rect => inflate(rect, options.clearance))
+			.filter(rect => rectsOverlap(rect, region))
+			// An obstacle covering a waypoint cannot be avoided
+			.filter(rect => !waypoints.some(point => containsPoint(rect, point)));
+	}
+
+	/**
+	 * Routes through all waypoints, one leg at a time
+	 */
+	findRoute(waypoints, obstacles, sourceDirection, targetDirection, options) {
+		const points = [waypoints[0]];
+		let direction = sourceDirection;
+
+		for (let i = 0; i < waypoints.length - 1; i++) {
+			const isLast = i === waypoints.length - 2;
+			const arrival = isLast && targetDirection ? { x: -targetDirection.x, y: -targetDirection.y } : null;
+			const leg = this.findLeg(waypoints[i], waypoints[i + 1], direction, arrival, obstacles, options);
+
+			if (!leg) {
+				return null;
+			}
+
+			points.push(...leg.points.slice(1));
+			direction = leg.direction;
+		}
+
+		return points;
+	}
+
+	/**
+	 * Finds the cheapest orthogonal path between two points with A* on a sparse grid
+	 */
+	findLeg(from, to, startDirection, arrivalDirection, obstacles, options) {
+		const xs = gridLines([from.x, to.x, ...obstacles.flatMap(rect => [rect.x, rect.x + rect.width])]);
+		const ys = gridLines([from.y, to.y, ...obstacles.flatMap(rect => [rect.y, rect.y + rect.height])]);
+		const findIndex = (lines, value) => lines.findIndex(line => Math.abs(line - value) < 0.01);
+
+		const startX = findIndex(xs, from.x);
+		const startY = findIndex(ys, from.y);
+		const goalX = findIndex(xs, to.x);
+		const goalY = findIndex(ys, to.y);
+
+		const isFree = (x, y) => !obstacles.some(rect => containsPoint(rect, { x, y }));
+		const heuristic = (i, j) => Math.abs(xs[i] - to.x) + Math.abs(ys[j] - to.y);
+		const steps = [{ x: 1, y: 0 }, { x: -1, y: 0 }, { x: 0, y: 1 }, { x: 0, y: -1 }];
+		const directionIndex = (direction) => steps.findIndex(step => step.x === direction.x && step.y === direction.y);
+
+		const startDirectionIndex = startDirection ? directionIndex(startDirection) : -1;
+		const arrivalIndex = arrivalDirection ? directionIndex(arrivalDirection) : -1;
+		const key = (i, j, d) => (i * ys.length + j) * 5 + d + 1;
+
+		const heap = new MinHeap();
+		const costs = new Map();
+		const parents = new Map();
+		const startKey = key(startX, startY, startDirectionIndex);
+
+		heap.push({ i: startX, j: startY, d: startDirectionIndex, cost: 0, estimate: heuristic(startX, startY), key: startKey });
+		costs.set(startKey, 0);
+
+		let loops = 0;
+		while (heap.size > 0 && loops++ < options.maxLoops) {
+			const state = heap.pop();
+			if (state.cost > costs.get(state.key)) continue;
+
+			if (state.i === goalX && state.j === goalY) {
+				return this.buildLeg(state, parents, xs, ys, steps);
+			}
+
+			steps.forEach((step, d) => {
+				// Turning back on the spot is never useful
+				if (state.d !== -1 && steps[state.d].x === -step.x && steps[state.d].y === -step.y) return;
+
+				const i = state.i + step.x;
+				const j = state.j + step.y;
+				if (i < 0 || j < 0 || i >= xs.length || j >= ys.length || !isFree(xs[i], ys[j])) return;
+
+				// The middle of a step lies inside an obstacle when the step crosses it
+				if (!isFree((xs[i] + xs[state.i]) / 2, (ys[j] + ys[state.j]) / 2)) return;
+
+				let cost = state.cost + Math.abs(xs[i] - xs[state.i]) + Math.abs(ys[j] - ys[state.j]);
+				if (state.d !== -1 && state.d !== d) {
+					cost += options.bendCost;
+				}
+
+				if (i === goalX && j === goalY && arrivalIndex !== -1 && d !== arrivalIndex) {
+					const opposite = steps[arrivalIndex].x === -step.x && steps[arrivalIndex].y === -step.y;
+					cost += options.bendCost * (opposite ? 2 : 1);
+				}
+
+				const nextKey = key(i, j, d);
+				if (costs.has(nextKey) && costs.get(nextKey) <= cost) return;
+
+				costs.set(nextKey, cost);
+				parents.set(nextKey, state);
+				heap.push({ i, j, d, cost, estimate: cost + heuristic(i, j), key: nextKey });
+			});
+		}
+
+		return null;
+	}
+
+	/**
+	 * Rebuilds the points of a leg from the search states
+	 */
+	buildLeg(goal, parents, xs, ys, steps) {
+		const points = [];
+		let state = goal;
+
+		while (state) {
+			points.unshift({ x: xs[state.i], y: ys[state.j] });
+			state = parents.get(state.key);
+		}
+
+		return {
+			points: simplify(points),
+			direction: goal.d === -1 ? null : steps[goal.d]
+		};
+	}
+
+	/**
+	 * Connects the waypoints with elbows, ignoring obstacles
+	 */
+	fallbackRoute(waypoints, sourceDirection) {
+		const points = [waypoints[0]];
+		let horizontal = !sourceDirection || sourceDirection.x !== 0;
+
+		for (let i = 1; i < waypoints.length; i++) {
+			const from = waypoints[i - 1];
+			const to = waypoints[i];
+
+			if (Math.abs(from.x - to.x) > EPSILON && Math.abs(from.y - to.y) > EPSILON) {
+				points.push(horizontal ? { x: to.x, y: from.y } : { x: from.x, y: to.y });
+				horizontal = !horizontal;
+			}
+
+			points.push(to);
+		}
+
+		return points;
+	}
+
+	/**
+	 * Shifts a route sideways by `offset` while keeping its ends on the ports
+	 */
+	offsetRoute(route, options) {
+		if (route.length < 2) return route;
+
+		const offset = options.offset;
+		const normals = route.slice(1).map((point, index) => {
+			const direction = stepDirection(route[index], point);
+			return { x: -direction.y, y: direction.x };
+		});
+
+		const shifted = route.map((point, index) => {
+			const before = normals[index - 1] || { x: 0, y: 0 };
+			const after = normals[index] || { x: 0, y: 0 };
+			// At a corner both segments move, so the corner moves along both normals
+			return { x: point.x + (before.x + after.x) * offset, y: point.y + (before.y + after.y) * offset };
+		});
+
+		const first = route[0];
+		const last = route[route.length - 1];
+		const firstDirection = stepDirection(route[0], route[1]);
+		const lastDirection = stepDirection(route[route.length - 1], route[route.length - 2]);
+		const firstNormal = normals[0];
+		const lastNormal = normals[normals.length - 1];
+		const stub = options.padding / 2;
+
+		// The lines share the port and split into their lanes right after it
+		const sourceStub = { x: first.x + firstDirection.x * stub, y: first.y + firstDirection.y * stub };
+		const targetStub = { x: last.x + lastDirection.x * stub, y: last.y + lastDirection.y * stub };
+
+		return [
+			first,
+			sourceStub,
+			{ x: sourceStub.x + firstNormal.x * offset, y: sourceStub.y + firstNormal.y * offset },
+			...shifted.slice(1, -1),
+			{ x: targetStub.x + lastNormal.x * offset, y: targetStub.y + lastNormal.y * offset },
+			targetStub,
+			last
+		];
+	}
+
+	/**
+	 * Checks whether a link is drawn with this router
+	 */
+	usesRouter(link) {
+		const router = link.get('router');
+		return Boolean(router && router.name === SMART_ROUTER);
+	}
+
+	/**
+	 * Remembers the area a moved, added or removed element leaves so that links through it can be re-routed
+	 */
+	handleElementChange(element) {
+		if (!element.isElement()) return;
+
+		const position = element.previous('position') || element.get('position');
+		const size = element.previous('size') || element.get('size');
+		this.changedAreas.push({ x: position.x, y: position.y, width: size.width, height: size.height });
+
+		if (this.calloutsPlugin) {
+			this.changedAreas.push(...this.calloutsPlugin.getCalloutBounds(element));
+		}
+
+		this.movedElements.add(element);
+
+		if (this.frameRequest === null) {
+			this.frameRequest = requestAnimationFrame(this.flush);
+		}
+	}
+
+	/**
+	 * Re-routes the links crossed by the elements changed in this frame
+	 */
+	flush() {
+		this.frameRequest = null;
+
+		const areas = this.changedAreas;
+		this.movedElements.forEach(element => {
+			if (element.graph) {
+				areas.push(element.getBBox());
+				if (this.calloutsPlugin) {
+					areas.push(...this.calloutsPlugin.getCalloutBounds(element));
+				}
+			}
+		});
+
+		this.changedAreas = [];
+		const movedElements = this.movedElements;
+		this.movedElements = new Set();
+
+		const graph = this.graphService.graph;
+		const paper = this.paperService.paper;
+		if (!graph || !paper || areas.length === 0) return;
+
+		const padded = areas.map(area => inflate(area, DEFAULT_OPTIONS.padding));
+		const links = graph.getLinks().filter(link => {
+			if (!this.usesRouter(link)) return false;
+
+			// Links of a moved element are re-routed by JointJS itself
+			if (movedElements.has(link.getSourceElement()) || movedElements.has(link.getTargetElement())) return false;
+
+			const linkView = paper.findViewByModel(link);
+			const connection = linkView ? linkView.getConnection() : null;
+			return connection && padded.some(area => rectsOverlap(area, connection.bbox()));
+		});
+
+		this.reroute(links);
+	}
+
+	/**
+	 * Re-routes all links drawn with this router
+	 */
+	rerouteAll() {
+		if (!this.graphService.graph) return;
+
+		this.reroute(this.graphService.graph.getLinks().filter(link => this.usesRouter(link)));
+	}
+
+	/**
+	 * Requests new routes for links whose ends did not change
+	 */
+	reroute(links) {
+		const paper = this.paperService.paper;
+		if (!paper || links.length === 0) return;
+
+		links.forEach(link => {
+			const linkView = paper.findViewByModel(link);
+			if (!linkView) return;
+
+			if (typeof linkView.requestConnectionUpdate === 'function') {
+				linkView.requestConnectionUpdate();
+			} else {
+				linkView.update();
+			}
+		});
+
+		this.stats.reroutes += links.length;
+		this.eventBus.emit(ROUTING_EVENTS.ROUTES_UPDATED, { links });
+	}
+
+	/**
+	 * Gets router statistics
+	 */
+	getStats() {
+		return {
+			initialized: this.initialized,
+			...this.stats
+		};
+	}
+
+	/**
+	 * Enables debug mode
+	 */
+	setDebugMode(enabled) {
+		this.debugMode = enabled;
+	}
+
+	/**
+	 * Destroys the service
+	 */
+	destroy() {
+		if (this.frameRequest !== null) {
+			cancelAnimationFrame(this.frameRequest);
+			this.frameRequest = null;
+		}
+
+		if (this.graphService.graph) {
+			this.graphService.graph.off('change:position change:size add remove', this.handleElementChange);
+
+			if (routersByGraph.get(this.graphService.graph) === this) {
+				routersByGraph.delete(this.graphService.graph);
+			}
+		}
+
+		this.initialized = false;
+	}
+}
@@ -43,14 +43,16 @@ export class ValidationService {
 		});
 
 		this.addValidationRule('connection', 'ports-available', (context) => {
-			const { sourceElement, sourcePortId, targetElement, targetPortId } = context;
+			const { sourceElement, sourcePortId, targetElement, targetPortId, link } = context;
 			
 			if (!sourcePortId || !targetPortId) {
 				return { valid: false, reason: 'Connection must use ports' };
 			}
 
-			const sourceAvailable = this.portService.isPortAvailable(sourceElement, sourcePortId);
-			const targetAvailable = this.portService.isPortAvailable(targetElement, targetPortId);
+			// A reconnected link may keep one of its own ports
+			const ignoredLinkId = link ? link.id : null;
+			const sourceAvailable = this.portService.isPortAvailable(sourceElement, sourcePortId, ignoredLinkId);
+			const targetAvailable = this.portService.isPortAvailable(targetElement, targetPortId, ignoredLinkId);
 
 			if (!sourceAvailable) {
 				return { valid: false, reason: 'Source port is not available' };
@@ -66,7 +68,7 @@ export class ValidationService {
 		this.addValidationRule('connection', 'no-duplicate-connections', (context) => {
 			const { sourceElement, sourcePortId, targetElement, targetPortId } = context;
 			
-			const existingLinks = this.graphService.graph.getLinks();
+			const existingLinks = this.graphService.graph.getLinks().filter(link => link !== context.link);
 			const duplicateExists = existingLinks.some(link => {
 				const linkSource = link.get('source');
 				const linkTarget = link.get('target');
@@ -92,13 +94,16 @@ export class ValidationService {
 			const canvasWidth = this.stateStore.get('canvas.width');
 			const canvasHeight = this.stateStore.get('canvas.height');
 			
-			// For existing elements, get size from element; for new elements, use provided size
-			const elementSize = element ? element.size() : size;
+			// Resizes and new elements provide the size to check; moves keep the element size
+			const elementSize = size || element.size();
 
-			const isValid = position.x >= 0 && 
-							position.y >= 0 && 
-							position.x + elementSize.width <= canvasWidth && 
-							position.y + elementSize.height <= canvasHeight;
+			// An infinite canvas grows in every direction, negative coordinates included
+			const isValid = this.stateStore.get('canvas.infinite') || (
+				position.x >= 0 &&
+				position.y >= 0 &&
+				position.x + elementSize.width <= canvasWidth &&
+				position.y + elementSize.height <= canvasHeight
+			);
 
 			return {
 				valid: isValid,
@@ -173,7 +178,7 @@ export class ValidationService {
 		});
 
 		this.eventBus.on('element:validate-resize', (event) => {
-			this.validateElementResize(event.element, event.newSize);
+			this.validateElementResize(event.element, event.newSize, event.newPosition);
 		});
 
 		this.eventBus.on('graph:validate', () => {
@@ -224,9 +229,11 @@ export class ValidationService {
 
 	/**
 	 * Validates a connection attempt
+	 * Pass the link when an existing link is reconnected, so its own ports and route are not counted
 	 */
-	validateConnection(sourceInfo, targetInfo) {
+	validateConnection(sourceInfo, targetInfo, link = null) {
 		const context = {
+			link,
 			sourceElement: sourceInfo.cellView.model,
 			sourcePortId: sourceInfo.magnet ? sourceInfo.magnet.getAttribute('port') : null,
 			targetElement: targetInfo.cellView.model,
@@ -270,11 +277,11 @@ export class ValidationService {
 	/**
 	 * Validates element resizing
 	 */
-	validateElementResize(element, newSize) {
+	validateElementResize(element, newSize, newPosition = element.position()) {
 		const context = {
 			element,
 			size: newSize,
-			position: element.position(),
+			position: newPosition,
 			originalSize: element.size()
 		};
 
@@ -283,6 +290,34 @@ export class ValidationService {
 		this.eventBus.emit('validation:element-resize-validated', {
 			element,
 			newSize,
+			newPosition,
+			result
+		});
+
+		return result;
+	}
+
+	/**
+	 * Validates element rotation by checking the rotated bounding box against the resize rules
+	 */
+	validateElementRotation(element, angle) {
+		const position = element.position();
+		const size = element.size();
+		const rotatedBBox = joint.g.rect(position.x, position.y, size.width, size.height).bbox(angle);
+
+		const context = {
+			element,
+			angle,
+			size: { width: rotatedBBox.width, height: rotatedBBox.height },
+			position: { x: rotatedBBox.x, y: rotatedBBox.y },
+			originalSize: size
+		};
+
+		const result = this.runValidationRules('element', context);
+
+		this.eventBus.emit('validation:element-rotation-validated', {
+			element,
+			angle,
 			result
 		});
 
@@ -0,0 +1,244 @@
+/**
+ * Collaboration: connect failures and sites syncing through the loopback transport
+ *
+ * There is no package.json or test script; run from new/ with:
+ *   node --experimental-default-type=module --test Tests/
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus } from '../Core/EventBus.js';
+import { StateStore } from '../Core/StateStore.js';
+import { WebSocketTransport, LoopbackHub } from '../Core/CollaborationTransport.js';
+import { CollaborationService } from '../Services/CollaborationService.js';
+import { SelectionService } from '../Services/SelectionService.js';
+import { ChangePropertiesCommand } from '../Commands/ChangePropertiesCommand.js';
+import { COLLABORATION_EVENTS } from '../Events/EventTypes.js';
+import { FakeGraph, installJoint } from './helpers/FakeJoint.js';
+
+installJoint();
+
+/**
+ * WebSocket stub that never opens: it reports an error and closes right after creation
+ */
+class FailingWebSocket {
+	static instances = [];
+
+	constructor(url) {
+		this.url = url;
+		this.readyState = 0;
+		FailingWebSocket.instances.push(this);
+
+		setTimeout(() => {
+			this.readyState = 3;
+			if (this.onerror) this.onerror(new Error('refused'));
+			if (this.onclose) this.onclose();
+		}, 0);
+	}
+
+	send() {
+		throw new Error('FailingWebSocket: Socket is not open');
+	}
+
+	close() {
+		this.readyState = 3;
+	}
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('failed first connect leaves the service offline without reconnecting', async () => {
+	FailingWebSocket.instances = [];
+
+	const eventBus = new EventBus();
+	const stateStore = new StateStore(eventBus);
+	const graph = { on() {}, off() {}, getCells: () => [] };
+	const service = new CollaborationService(eventBus, stateStore, { graph });
+	service.init();
+
+	const events = [];
+	eventBus.on(COLLABORATION_EVENTS.CONNECTED, () => events.push('connected'));
+	eventBus.on(COLLABORATION_EVENTS.DISCONNECTED, () => events.push('disconnected'));
+
+	const originalError = console.error;
+	console.error = () => {};
+
+	try {
+		const transport = new WebSocketTransport('ws://test', { WebSocket: FailingWebSocket, reconnectDelay: 1 });
+		const connected = await service.connect({ transport });
+
+		assert.equal(connected, false);
+		assert.equal(service.transport, null);
+		assert.equal(stateStore.get('collaboration.status'), 'offline');
+
+		// Longer than several backoff steps
+		await wait(30);
+
+		assert.equal(FailingWebSocket.instances.length, 1);
+		assert.equal(transport.reconnectTimer, null);
+		assert.equal(stateStore.get('collaboration.status'), 'offline');
+		assert.deepEqual(events, []);
+	} finally {
+		console.error = originalError;
+	}
+});
+
+test('rejected transport connect does not schedule reconnects', async () => {
+	FailingWebSocket.instances = [];
+
+	const transport = new WebSocketTransport('ws://test', { WebSocket: FailingWebSocket, reconnectDelay: 1 });
+	const closes = [];
+
+	await assert.rejects(transport.connect({ onClose: (info) => closes.push(info) }));
+	await wait(30);
+
+	assert.equal(FailingWebSocket.instances.length, 1);
+	assert.equal(transport.reconnectTimer, null);
+	assert.deepEqual(closes, []);
+});
+
+/**
+ * Creates an editor site with a graph, selection and collaboration joined to the hub
+ */
+async function createSite(hub, siteId) {
+	const eventBus = new EventBus();
+	const stateStore = new StateStore(eventBus);
+	const graphService = { graph: new FakeGraph() };
+	const portService = { showElementPorts() {}, hideElementPorts() {} };
+	const layerService = { isCellLocked: () => false, isCellVisible: () => true };
+	const selection = new SelectionService(eventBus, stateStore, graphService, portService, layerService);
+	const collaboration = new CollaborationService(eventBus, stateStore, graphService, selection);
+
+	collaboration.init();
+	await collaboration.connect({ transport: hub.createTransport(), siteId, flushDelay: 1000 });
+
+	return { eventBus, stateStore, graph: graphService.graph, selection, collaboration };
+}
+
+/**
+ * Element JSON with a custom stroke
+ */
+const rectangle = (id, x = 0) => ({
+	id,
+	type: 'standard.Rectangle',
+	position: { x, y: 0 },
+	size: { width: 100, height: 40 },
+	attrs: { body: { fill: '#ffffff', stroke: '#123456', strokeWidth: 2 } }
+});
+
+test('selecting a cell does not change its attrs on other sites', async () => {
+	const hub = new LoopbackHub({ async: false });
+	const a = await createSite(hub, 'site-a');
+	const b = await createSite(hub, 'site-b');
+
+	a.graph.addCell(rectangle('e1'));
+	a.collaboration.flush();
+
+	a.selection.selectElement(a.graph.getCell('e1'));
+	assert.equal(a.graph.getCell('e1').attr('body/stroke'), '#ff4444');
+	assert.deepEqual(a.collaboration.flush(), []);
+	assert.deepEqual(b.graph.getCell('e1').attr('body'), rectangle('e1').attrs.body);
+
+	// A site joining while the cell is selected gets the real style
+	const c = await createSite(hub, 'site-c');
+	assert.deepEqual(c.graph.getCell('e1').attr('body'), rectangle('e1').attrs.body);
+
+	// A collaborator's stroke edit survives the local deselect
+	b.graph.getCell('e1').attr('body/stroke', '#00aa00');
+	b.collaboration.flush();
+	assert.equal(a.graph.getCell('e1').attr('body/stroke'), '#ff4444');
+
+	a.selection.clearSelection();
+	assert.equal(a.graph.getCell('e1').attr('body/stroke'), '#00aa00');
+	assert.deepEqual(a.collaboration.flush(), []);
+	assert.equal(b.graph.getCell('e1').attr('body/stroke'), '#00aa00');
+	assert.equal(c.graph.getCell('e1').attr('body/stroke'), '#00aa00');
+});
+
+test('concurrent edits of the same register converge on every site', async () => {
+	const hub = new LoopbackHub({ async: false });
+	const a = await createSite(hub, 'site-a');
+	const b = await createSite(hub, 'site-b');
+
+	a.graph.addCell(rectangle('e1'));
+	a.collaboration.flush();
+
+	// Both edits are made before either site hears of the other
+	a.graph.getCell('e1').attr('body/fill', '#aa0000');
+	b.graph.getCell('e1').attr('body/fill', '#0000aa');
+	a.collaboration.flush();
+	b.collaboration.flush();
+
+	const fillA = a.graph.getCell('e1').attr('body/fill');
+	const fillB = b.graph.getCell('e1').attr('body/fill');
+	assert.equal(fillA, fillB);
+	assert.ok(['#aa0000', '#0000aa'].includes(fillA));
+	assert.equal(
+		a.collaboration.getRegisterValue('e1', 'attrs/body').fill,
+		b.collaboration.getRegisterValue('e1', 'attrs/body').fill
+	);
+});
+
+test('local undo keeps a collaborator\'s later edit', async () => {
+	const hub = new LoopbackHub({ async: false });
+	const a = await createSite(hub, 'site-a');
+	const b = await createSite(hub, 'site-b');
+
+	a.graph.addCell(rectangle('e1'));
+	a.collaboration.flush();
+
+	const command = new ChangePropertiesCommand([a.graph.getCell('e1')], 'attrs/body/fill', '#aa0000', {
+		selectionService: a.selection
+	});
+	command.execute();
+	a.eventBus.emit('command:executed', { command });
+	assert.equal(b.graph.getCell('e1').attr('body/fill'), '#aa0000');
+
+	// The collaborator edits the same register after the command was created
+	await wait(5);
+	b.graph.getCell('e1').attr('body/fill', '#0000aa');
+	b.collaboration.flush();
+
+	const conflicts = [];
+	a.eventBus.on(COLLABORATION_EVENTS.UNDO_CONFLICT, (event) => conflicts.push(event.data.cells));
+
+	command.undo();
+	a.eventBus.emit('command:undone', { command });
+
+	assert.deepEqual(conflicts, [['e1']]);
+	assert.equal(a.graph.getCell('e1').attr('body/fill'), '#0000aa');
+	assert.equal(b.graph.getCell('e1').attr('body/fill'), '#0000aa');
+});
+
+test('remote links that arrive before their ends are added once the ends exist', async () => {
+	const hub = new LoopbackHub({ async: false });
+	const b = await createSite(hub, 'site-b');
+	const errors = [];
+	b.eventBus.on(COLLABORATION_EVENTS.ERROR, (event) => errors.push(event.data.error));
+
+	// A raw site sends hand-made operations in an awkward order
+	const raw = hub.createTransport();
+	await raw.connect({});
+	let clock = 10;
+	const opsFor = (json) => [
+		...Object.entries(json).filter(([key]) => key !== 'id' && key !== 'attrs')
+			.map(([path, value]) => ({ cell: json.id, path, value, clock, site: 'site-x' })),
+		{ cell: json.id, path: '#alive', value: true, clock, site: 'site-x' }
+	];
+	const link = (id, source, target) => ({ id, type: 'standard.Link', source: { id: source }, target: { id: target } });
+
+	// Link listed before its ends within one message
+	raw.send({ type: 'ops', site: 'site-x', ops: [...opsFor(link('l1', 'e1', 'e2')), ...opsFor(rectangle('e1')), ...opsFor(rectangle('e2', 200))] });
+	assert.ok(b.graph.getCell('l1'));
+
+	// Link sent in a message of its own before its ends
+	clock++;
+	raw.send({ type: 'ops', site: 'site-x', ops: opsFor(link('l2', 'e3', 'e4')) });
+	assert.equal(b.graph.getCell('l2'), undefined);
+
+	clock++;
+	raw.send({ type: 'ops', site: 'site-x', ops: [...opsFor(rectangle('e3', 400)), ...opsFor(rectangle('e4', 600))] });
+	assert.ok(b.graph.getCell('l2'));
+	assert.deepEqual(b.graph.getCell('l2').get('source'), { id: 'e3' });
+
+	assert.deepEqual(errors, []);
+});
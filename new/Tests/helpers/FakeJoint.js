@@ -0,0 +1,227 @@
+/**
+ * Minimal stand-in for the parts of JointJS the services use outside a browser:
+ * cells with path-based props and change events, a graph and `joint.util` path helpers
+ */
+
+/**
+ * Copies a JSON-compatible value
+ */
+const clone = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+/**
+ * Splits a path given as a string or an array
+ */
+const splitPath = (path, delimiter = '/') => Array.isArray(path) ? path : String(path).split(delimiter);
+
+/**
+ * Reads a nested value
+ */
+export function getByPath(object, path, delimiter = '/') {
+	return splitPath(path, delimiter).reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Writes a nested value, creating missing objects
+ */
+export function setByPath(object, path, value, delimiter = '/') {
+	const keys = splitPath(path, delimiter);
+	const last = keys.pop();
+	const parent = keys.reduce((target, key) => {
+		if (target[key] === null || typeof target[key] !== 'object') target[key] = {};
+		return target[key];
+	}, object);
+
+	parent[last] = value;
+	return object;
+}
+
+/**
+ * Removes a nested value
+ */
+export function unsetByPath(object, path, delimiter = '/') {
+	const keys = splitPath(path, delimiter);
+	const last = keys.pop();
+	const parent = getByPath(object, keys, delimiter);
+
+	if (parent && typeof parent === 'object') delete parent[last];
+	return object;
+}
+
+/**
+ * Makes the path helpers available as the global `joint.util`
+ */
+export function installJoint() {
+	globalThis.joint = { util: { getByPath, setByPath, unsetByPath } };
+}
+
+/**
+ * Cell with JointJS-like prop/attr access; a change triggers `change` on its graph
+ * with the options of the write
+ */
+export class FakeCell {
+	constructor(attributes) {
+		this.attributes = clone(attributes);
+		this.id = this.attributes.id;
+		this.graph = null;
+		this.changed = null;
+		this.previousAttributes = null;
+	}
+
+	get(key) {
+		return this.attributes[key];
+	}
+
+	set(key, value, options = {}) {
+		this.update(key, value, options);
+	}
+
+	unset(key, options = {}) {
+		this.update(key, undefined, options);
+	}
+
+	prop(path, value, options = {}) {
+		if (arguments.length < 2) return clone(getByPath(this.attributes, path));
+
+		const [key, ...rest] = splitPath(path);
+		if (rest.length === 0) {
+			this.update(key, value, options);
+			return;
+		}
+
+		const root = clone(this.attributes[key]) || {};
+		setByPath(root, rest, clone(value));
+		this.update(key, root, options);
+	}
+
+	removeProp(path, options = {}) {
+		const [key, ...rest] = splitPath(path);
+		if (rest.length === 0) {
+			this.update(key, undefined, options);
+			return;
+		}
+
+		const root = clone(this.attributes[key]) || {};
+		unsetByPath(root, rest);
+		this.update(key, root, options);
+	}
+
+	attr(path, value, options = {}) {
+		if (arguments.length < 2) return this.prop(`attrs/${path}`);
+		this.prop(`attrs/${path}`, value, options);
+	}
+
+	removeAttr(path, options = {}) {
+		this.removeProp(`attrs/${path}`, options);
+	}
+
+	update(key, value, options) {
+		if (JSON.stringify(this.attributes[key]) === JSON.stringify(value)) return;
+
+		this.previousAttributes = clone(this.attributes);
+		if (value === undefined) {
+			delete this.attributes[key];
+		} else {
+			this.attributes[key] = clone(value);
+		}
+
+		this.changed = { [key]: value };
+		if (this.graph) this.graph.trigger('change', this, options);
+		this.changed = null;
+	}
+
+	changedAttributes() {
+		return this.changed || false;
+	}
+
+	previous(key) {
+		return this.previousAttributes ? clone(this.previousAttributes[key]) : undefined;
+	}
+
+	toJSON() {
+		return clone(this.attributes);
+	}
+
+	isLink() {
+		return Boolean(this.attributes.source);
+	}
+
+	isElement() {
+		return !this.isLink();
+	}
+
+	getBBox() {
+		const { x = 0, y = 0 } = this.attributes.position || {};
+		const { width = 0, height = 0 } = this.attributes.size || {};
+		return { x, y, width, height };
+	}
+
+	getSourceElement() {
+		return this.graph && this.attributes.source ? this.graph.getCell(this.attributes.source.id) : null;
+	}
+
+	getTargetElement() {
+		return this.graph && this.attributes.target ? this.graph.getCell(this.attributes.target.id) : null;
+	}
+
+	remove(options = {}) {
+		if (this.graph) this.graph.removeCell(this, options);
+	}
+}
+
+/**
+ * Graph of fake cells; like a paper that has to render them, it rejects links whose ends are missing
+ */
+export class FakeGraph {
+	constructor() {
+		this.cells = new Map();
+		this.listeners = new Map();
+	}
+
+	on(events, callback) {
+		events.split(' ').forEach(event => {
+			if (!this.listeners.has(event)) this.listeners.set(event, []);
+			this.listeners.get(event).push(callback);
+		});
+	}
+
+	off(events, callback) {
+		events.split(' ').forEach(event => {
+			this.listeners.set(event, (this.listeners.get(event) || []).filter(listener => listener !== callback));
+		});
+	}
+
+	trigger(event, ...args) {
+		(this.listeners.get(event) || []).slice().forEach(callback => callback(...args));
+	}
+
+	addCell(cell, options = {}) {
+		const model = cell instanceof FakeCell ? cell : new FakeCell(cell);
+
+		if (model.isLink()) {
+			[model.get('source'), model.get('target')].forEach(end => {
+				if (end && end.id && !this.cells.has(end.id)) {
+					throw new Error(`FakeGraph: Link end ${end.id} does not exist`);
+				}
+			});
+		}
+
+		model.graph = this;
+		this.cells.set(model.id, model);
+		this.trigger('add', model, this, options);
+		return model;
+	}
+
+	removeCell(cell, options = {}) {
+		this.cells.delete(cell.id);
+		cell.graph = null;
+		this.trigger('remove', cell, this, options);
+	}
+
+	getCell(id) {
+		return this.cells.get(id);
+	}
+
+	getCells() {
+		return Array.from(this.cells.values());
+	}
+}
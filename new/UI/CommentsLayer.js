@@ -0,0 +1,589 @@
+import { COMMENT_EVENTS, CANVAS_EVENTS } from '../Events/EventTypes.js';
+import { THREAD_STATUS } from '../Services/CommentService.js';
+
+/**
+ * Graph events that move thread anchors
+ */
+const GRAPH_CHANGE_EVENTS = 'add remove reset change:position change:size change:source change:target change:vertices';
+
+/**
+ * CommentsLayer - Thread pins and the thread popover on top of the paper
+ *
+ * The layer is plain HTML above the paper SVG, so exports never contain comments.
+ * Pins follow their anchors on every view or graph change; the popover shows the open
+ * thread with replies, resolve/reopen and delete, or the form of a new thread.
+ */
+export class CommentsLayer {
+	constructor(eventBus, stateStore, commentService, paperService, graphService) {
+		this.eventBus = eventBus;
+		this.stateStore = stateStore;
+		this.commentService = commentService;
+		this.paperService = paperService;
+		this.graphService = graphService;
+		this.layerElement = null;
+		this.pinsElement = null;
+		this.popoverElement = null;
+		// { threadId } of an open thread or { anchor } of a new one
+		this.popover = null;
+		this.frameRequest = null;
+		this.initialized = false;
+
+		this.scheduleRender = this.scheduleRender.bind(this);
+		this.render = this.render.bind(this);
+
+		this.bindEventHandlers();
+	}
+
+	/**
+	 * Initializes the comments layer
+	 */
+	init() {
+		if (this.initialized) {
+			console.warn('CommentsLayer: Already initialized');
+			return;
+		}
+
+		this.createLayerElement();
+		this.addLayerStyles();
+
+		this.graphService.graph.on(GRAPH_CHANGE_EVENTS, this.scheduleRender);
+
+		this.initialized = true;
+		this.render();
+	}
+
+	/**
+	 * Binds component to threads and view changes
+	 */
+	bindEventHandlers() {
+		this.eventBus.on(COMMENT_EVENTS.CHANGED, this.scheduleRender);
+		this.eventBus.on(COMMENT_EVENTS.COMPOSE, (event) => this.compose(event.data));
+		this.eventBus.on(COMMENT_EVENTS.OPEN_THREAD, (event) => this.openThread(event.data.threadId, event.data));
+
+		this.eventBus.on(COMMENT_EVENTS.THREAD_UPDATED, (event) => {
+			if (this.popover && this.popover.threadId === event.data.thread.id) {
+				this.renderPopover();
+			}
+		});
+
+		this.eventBus.on(COMMENT_EVENTS.THREAD_DELETED, (event) => {
+			if (this.popover && this.popover.threadId === event.data.thread.id) {
+				this.closePopover();
+			}
+		});
+
+		this.eventBus.on('state:ui.panels.comments.showResolved:changed', this.scheduleRender);
+		this.eventBus.on('state:canvas.zoom:changed', this.scheduleRender);
+		this.eventBus.on('state:batch-changed', (event) => {
+			const changes = event.data.changes || [];
+			if (changes.some(change => change.path.startsWith('canvas.'))) {
+				this.scheduleRender();
+			}
+		});
+	}
+
+	/**
+	 * Creates the layer above the paper
+	 */
+	createLayerElement() {
+		const paperElement = this.paperService.paperElement;
+
+		this.layerElement = document.createElement('div');
+		this.layerElement.className = 'comments-layer';
+
+		this.pinsElement = document.createElement('div');
+		this.popoverElement = document.createElement('div');
+		this.popoverElement.className = 'comment-popover hidden';
+
+		// Keyboard shortcuts of the editor must not fire while typing a comment
+		this.popoverElement.addEventListener('keydown', (event) => event.stopPropagation());
+		this.popoverElement.addEventListener('mousedown', (event) => event.stopPropagation());
+		this.popoverElement.addEventListener('wheel', (event) => event.stopPropagation());
+
+		this.layerElement.appendChild(this.pinsElement);
+		this.layerElement.appendChild(this.popoverElement);
+
+		paperElement.style.position = 'relative';
+		paperElement.appendChild(this.layerElement);
+	}
+
+	/**
+	 * Adds CSS styles for pins and the popover
+	 */
+	addLayerStyles() {
+		const styleId = 'comments-layer-styles';
+		if (document.getElementById(styleId)) return;
+
+		const style = document.createElement('style');
+		style.id = styleId;
+		style.textContent = `
+			.comments-layer {
+				position: absolute;
+				top: 0;
+				left: 0;
+				width: 100%;
+				height: 100%;
+				pointer-events: none;
+				z-index: 1001;
+				overflow: hidden;
+				font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+				font-size: 12px;
+			}
+
+			.comment-pin {
+				position: absolute;
+				min-width: 22px;
+				height: 22px;
+				padding: 0 4px;
+				box-sizing: border-box;
+				transform: translate(-50%, -100%);
+				border: 2px solid #fff;
+				border-radius: 11px 11px 11px 2px;
+				background: #f5a623;
+				color: #fff;
+				font-size: 11px;
+				font-weight: 600;
+				line-height: 18px;
+				text-align: center;
+				box-shadow: 0 1px 4px rgba(0, 0, 0, 0.3);
+				cursor: pointer;
+				pointer-events: auto;
+			}
+
+			.comment-pin.resolved {
+				background: #9aa0ac;
+			}
+
+			.comment-pin.active {
+				background: #4a90e2;
+			}
+
+			.comment-popover {
+				position: absolute;
+				width: 260px;
+				max-height: 320px;
+				overflow-y: auto;
+				background: #fff;
+				border: 1px solid #d0d4dc;
+				border-radius: 4px;
+				box-shadow: 0 2px 8px rgba(0, 0, 0, 0.2);
+				color: #333;
+				pointer-events: auto;
+			}
+
+			.comment-popover.hidden {
+				display: none;
+			}
+
+			.comment-popover-header {
+				display: flex;
+				align-items: center;
+				gap: 4px;
+				padding: 6px 8px;
+				border-bottom: 1px solid #e0e3e8;
+				font-weight: 600;
+			}
+
+			.comment-popover-header span {
+				flex: 1;
+			}
+
+			.comment-popover button {
+				border: 1px solid #d0d4dc;
+				border-radius: 3px;
+				background: #fff;
+				padding: 1px 6px;
+				font-size: 11px;
+				cursor: pointer;
+			}
+
+			.comment-popover button.comment-close {
+				border: none;
+				font-size: 14px;
+			}
+
+			.comment-entry {
+				padding: 6px 8px;
+				border-bottom: 1px solid #f0f1f4;
+			}
+
+			.comment-meta {
+				display: flex;
+				justify-content: space-between;
+				margin-bottom: 2px;
+				color: #888;
+				font-size: 11px;
+			}
+
+			.comment-author {
+				color: #333;
+				font-weight: 600;
+			}
+
+			.comment-text {
+				white-space: pre-wrap;
+				word-break: break-word;
+			}
+
+			.comment-form {
+				display: flex;
+				flex-direction: column;
+				gap: 4px;
+				padding: 6px 8px;
+			}
+
+			.comment-form textarea {
+				width: 100%;
+				min-height: 48px;
+				box-sizing: border-box;
+				resize: vertical;
+				font: inherit;
+			}
+
+			.comment-form button {
+				align-self: flex-end;
+			}
+		`;
+
+		document.head.appendChild(style);
+	}
+
+	/**
+	 * Queues a render for the next frame
+	 */
+	scheduleRender() {
+		if (!this.initialized || this.frameRequest !== null) return;
+
+		this.frameRequest = requestAnimationFrame(this.render);
+	}
+
+	/**
+	 * Renders the pins and moves the popover to its anchor
+	 */
+	render() {
+		if (this.frameRequest !== null) {
+			cancelAnimationFrame(this.frameRequest);
+			this.frameRequest = null;
+		}
+
+		if (!this.initialized) return;
+
+		const showResolved = Boolean(this.stateStore.get('ui.panels.comments.showResolved'));
+		const threads = this.commentService.getThreads()
+			.filter(thread => showResolved || thread.status === THREAD_STATUS.OPEN);
+
+		this.pinsElement.innerHTML = '';
+		threads.forEach(thread => this.pinsElement.appendChild(this.createPin(thread)));
+
+		this.positionPopover();
+	}
+
+	/**
+	 * Creates the pin of a thread showing its comment count
+	 */
+	createPin(thread) {
+		const point = this.toPaperPoint(this.commentService.getAnchorPoint(thread));
+		const firstComment = thread.comments[0];
+
+		const pin = document.createElement('div');
+		pin.className = 'comment-pin';
+		pin.classList.toggle('resolved', thread.status === THREAD_STATUS.RESOLVED);
+		pin.classList.toggle('active', Boolean(this.popover) && this.popover.threadId === thread.id);
+		pin.style.left = `${point.x}px`;
+		pin.style.top = `${point.y}px`;
+		pin.textContent = String(thread.comments.length);
+		pin.title = firstComment ? `${firstComment.author}: ${firstComment.text}` : '';
+
+		pin.addEventListener('mousedown', (event) => event.stopPropagation());
+		pin.addEventListener('click', (event) => {
+			event.stopPropagation();
+			this.openThread(thread.id);
+		});
+
+		return pin;
+	}
+
+	/**
+	 * Opens the form of a new thread
+	 * @param {Object} target - { cellId }, { point } in paper coordinates or { clientPosition }
+	 */
+	compose({ cellId = null, point = null, clientPosition = null } = {}) {
+		let anchor = null;
+
+		if (cellId) {
+			anchor = { cellId };
+		} else if (point) {
+			anchor = { x: point.x, y: point.y };
+		} else if (clientPosition) {
+			const local = this.paperService.paper.clientToLocalPoint(clientPosition.x, clientPosition.y);
+			anchor = { x: local.x, y: local.y };
+		}
+
+		if (!anchor) return;
+
+		this.popover = { anchor };
+		this.renderPopover();
+		this.focusInput();
+	}
+
+	/**
+	 * Opens a thread, optionally scrolling the paper to it first
+	 * @param {string} threadId - Thread id
+	 * @param {Object} options - { reveal } to center the view on the thread
+	 */
+	openThread(threadId, { reveal = false } = {}) {
+		const thread = this.commentService.getThread(threadId);
+		if (!thread) return;
+
+		if (reveal) {
+			this.revealPoint(this.commentService.getAnchorPoint(thread));
+		}
+
+		this.popover = { threadId };
+		this.renderPopover();
+		this.render();
+	}
+
+	/**
+	 * Closes the popover
+	 */
+	closePopover() {
+		this.popover = null;
+		this.popoverElement.classList.add('hidden');
+		this.popoverElement.innerHTML = '';
+		this.render();
+	}
+
+	/**
+	 * Rebuilds the popover content, keeping text typed into the form
+	 */
+	renderPopover() {
+		if (!this.popover) return;
+
+		const input = this.popoverElement.querySelector('textarea');
+		const typed = input ? input.value : '';
+		const thread = this.popover.threadId ? this.commentService.getThread(this.popover.threadId) : null;
+
+		if (this.popover.threadId && !thread) {
+			this.closePopover();
+			return;
+		}
+
+		this.popoverElement.innerHTML = '';
+		this.popoverElement.appendChild(this.createPopoverHeader(thread));
+
+		if (thread) {
+			thread.comments.forEach(comment => this.popoverElement.appendChild(this.createCommentEntry(comment)));
+		}
+
+		this.popoverElement.appendChild(this.createForm(thread, typed));
+		this.popoverElement.classList.remove('hidden');
+		this.positionPopover();
+	}
+
+	/**
+	 * Creates the popover header with the thread actions
+	 */
+	createPopoverHeader(thread) {
+		const header = document.createElement('div');
+		header.className = 'comment-popover-header';
+
+		const title = document.createElement('span');
+		if (!thread) {
+			title.textContent = 'New comment';
+		} else if (thread.status === THREAD_STATUS.RESOLVED) {
+			title.textContent = `Resolved by ${thread.resolvedBy}`;
+		} else {
+			title.textContent = this.commentService.isDetached(thread) ? 'Comment (element deleted)' : 'Comment';
+		}
+		header.appendChild(title);
+
+		if (thread) {
+			const resolved = thread.status === THREAD_STATUS.RESOLVED;
+			header.appendChild(this.createButton(resolved ? 'Reopen' : 'Resolve', () => {
+				if (resolved) {
+					this.commentService.reopenThread(thread.id);
+				} else {
+					this.commentService.resolveThread(thread.id);
+				}
+			}));
+			header.appendChild(this.createButton('Delete', () => this.commentService.deleteThread(thread.id)));
+		}
+
+		const closeButton = this.createButton('×', () => this.closePopover());
+		closeButton.className = 'comment-close';
+		closeButton.title = 'Close';
+		header.appendChild(closeButton);
+
+		return header;
+	}
+
+	/**
+	 * Creates the view of one comment
+	 */
+	createCommentEntry(comment) {
+		const entry = document.createElement('div');
+		entry.className = 'comment-entry';
+
+		const meta = document.createElement('div');
+		meta.className = 'comment-meta';
+
+		const author = document.createElement('span');
+		author.className = 'comment-author';
+		author.textContent = comment.author;
+
+		const time = document.createElement('span');
+		time.textContent = new Date(comment.createdAt).toLocaleString();
+
+		meta.appendChild(author);
+		meta.appendChild(time);
+
+		const text = document.createElement('div');
+		text.className = 'comment-text';
+		text.textContent = comment.text;
+
+		entry.appendChild(meta);
+		entry.appendChild(text);
+		return entry;
+	}
+
+	/**
+	 * Creates the form for a reply or for the first comment of a new thread
+	 */
+	createForm(thread, typed) {
+		const form = document.createElement('div');
+		form.className = 'comment-form';
+
+		const input = document.createElement('textarea');
+		input.placeholder = thread ? 'Reply…' : 'Add a comment…';
+		input.value = typed;
+
+		const submit = () => {
+			const text = input.value;
+			if (!text.trim()) return;
+
+			if (thread) {
+				input.value = '';
+				this.commentService.reply(thread.id, text);
+				this.focusInput();
+			} else {
+				const created = this.commentService.createThread(this.popover.anchor, text);
+				if (created) {
+					input.value = '';
+					this.openThread(created.id);
+				}
+			}
+		};
+
+		input.addEventListener('keydown', (event) => {
+			if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) submit();
+			if (event.key === 'Escape') this.closePopover();
+		});
+
+		form.appendChild(input);
+		form.appendChild(this.createButton(thread ? 'Reply' : 'Comment', submit));
+		return form;
+	}
+
+	/**
+	 * Moves the popover next to its anchor
+	 */
+	positionPopover() {
+		if (!this.popover || this.popoverElement.classList.contains('hidden')) return;
+
+		const thread = this.popover.threadId ? this.commentService.getThread(this.popover.threadId) : null;
+		const anchor = thread ? this.commentService.getAnchorPoint(thread) : this.getDraftPoint();
+		if (!anchor) return;
+
+		const point = this.toPaperPoint(anchor);
+		this.popoverElement.style.left = `${point.x + 16}px`;
+		this.popoverElement.style.top = `${point.y}px`;
+	}
+
+	/**
+	 * Gets the paper point of a thread that is being written
+	 */
+	getDraftPoint() {
+		const { anchor } = this.popover;
+		if (!anchor.cellId) return anchor;
+
+		const cell = this.graphService.graph.getCell(anchor.cellId);
+		return cell ? this.commentService.getCellAnchorPoint(cell) : null;
+	}
+
+	/**
+	 * Centers the view on a paper point
+	 */
+	revealPoint(point) {
+		const zoom = this.stateStore.get('canvas.zoom') || 1;
+		const area = this.paperService.getVisibleArea();
+
+		this.eventBus.emit(CANVAS_EVENTS.PAN, {
+			x: -(point.x - area.width / 2) * zoom,
+			y: -(point.y - area.height / 2) * zoom
+		});
+	}
+
+	/**
+	 * Converts a point from paper coordinates to the layer
+	 */
+	toPaperPoint(point) {
+		return this.paperService.paper.localToPaperPoint(point.x, point.y);
+	}
+
+	/**
+	 * Focuses the text field of the popover
+	 */
+	focusInput() {
+		const input = this.popoverElement.querySelector('textarea');
+		if (input) input.focus();
+	}
+
+	/**
+	 * Creates a popover button
+	 */
+	createButton(text, action) {
+		const button = document.createElement('button');
+		button.textContent = text;
+		button.addEventListener('click', (event) => {
+			event.stopPropagation();
+			action();
+		});
+		return button;
+	}
+
+	/**
+	 * Gets layer statistics
+	 */
+	getStats() {
+		return {
+			initialized: this.initialized,
+			pins: this.pinsElement ? this.pinsElement.childElementCount : 0,
+			openThread: this.popover ? this.popover.threadId || null : null
+		};
+	}
+
+	/**
+	 * Destroys the layer
+	 */
+	destroy() {
+		if (this.frameRequest !== null) {
+			cancelAnimationFrame(this.frameRequest);
+			this.frameRequest = null;
+		}
+
+		if (this.initialized) {
+			this.graphService.graph.off(GRAPH_CHANGE_EVENTS, this.scheduleRender);
+		}
+
+		if (this.layerElement && this.layerElement.parentNode) {
+			this.layerElement.parentNode.removeChild(this.layerElement);
+		}
+
+		this.layerElement = null;
+		this.pinsElement = null;
+		this.popoverElement = null;
+		this.popover = null;
+		this.initialized = false;
+	}
+}
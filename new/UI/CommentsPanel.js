@@ -0,0 +1,394 @@
+import { UI_EVENTS, COMMENT_EVENTS } from '../Events/EventTypes.js';
+import { THREAD_STATUS } from '../Services/CommentService.js';
+
+/**
+ * CommentsPanel - Sidebar listing the review threads of the document
+ *
+ * Open threads are listed oldest first; resolved ones are shown on request. Clicking
+ * a thread scrolls the paper to its anchor and opens it in the CommentsLayer.
+ */
+export class CommentsPanel {
+	constructor(eventBus, stateStore, commentService, graphService) {
+		this.eventBus = eventBus;
+		this.stateStore = stateStore;
+		this.commentService = commentService;
+		this.graphService = graphService;
+		this.panelElement = null;
+		this.listElement = null;
+		this.countElement = null;
+		this.resolvedToggle = null;
+		this.frameRequest = null;
+		this.initialized = false;
+
+		this.scheduleRender = this.scheduleRender.bind(this);
+		this.render = this.render.bind(this);
+
+		this.bindEventHandlers();
+	}
+
+	/**
+	 * Initializes the comments panel
+	 */
+	init() {
+		if (this.initialized) {
+			console.warn('CommentsPanel: Already initialized');
+			return;
+		}
+
+		this.createPanelElement();
+		this.addPanelStyles();
+
+		this.initialized = true;
+		this.setVisible(Boolean(this.stateStore.get('ui.panels.comments.visible')));
+	}
+
+	/**
+	 * Binds component to thread and visibility changes
+	 */
+	bindEventHandlers() {
+		this.eventBus.on(COMMENT_EVENTS.CHANGED, this.scheduleRender);
+
+		this.eventBus.on('state:ui.panels.comments.visible:changed', (event) => {
+			this.setVisible(event.data.newValue);
+		});
+
+		this.eventBus.on('state:ui.panels.comments.showResolved:changed', (event) => {
+			if (this.resolvedToggle) {
+				this.resolvedToggle.checked = Boolean(event.data.newValue);
+			}
+			this.scheduleRender();
+		});
+	}
+
+	/**
+	 * Creates the panel with its header, filter and thread list
+	 */
+	createPanelElement() {
+		this.panelElement = document.createElement('div');
+		this.panelElement.id = 'editor-comments';
+		this.panelElement.className = 'editor-comments';
+
+		const container = document.querySelector('#comments-container');
+		if (!container) {
+			this.panelElement.classList.add('floating');
+		}
+
+		const header = document.createElement('div');
+		header.className = 'comments-header';
+
+		const title = document.createElement('span');
+		title.textContent = 'Comments ';
+		this.countElement = document.createElement('span');
+		this.countElement.className = 'comments-count';
+		title.appendChild(this.countElement);
+		header.appendChild(title);
+
+		const closeButton = document.createElement('button');
+		closeButton.className = 'comments-close';
+		closeButton.textContent = '×';
+		closeButton.title = 'Close';
+		closeButton.addEventListener('click', () => {
+			this.stateStore.set('ui.panels.comments.visible', false);
+		});
+		header.appendChild(closeButton);
+
+		const filter = document.createElement('label');
+		filter.className = 'comments-filter';
+
+		this.resolvedToggle = document.createElement('input');
+		this.resolvedToggle.type = 'checkbox';
+		this.resolvedToggle.checked = Boolean(this.stateStore.get('ui.panels.comments.showResolved'));
+		this.resolvedToggle.addEventListener('change', () => {
+			this.stateStore.set('ui.panels.comments.showResolved', this.resolvedToggle.checked);
+		});
+
+		filter.appendChild(this.resolvedToggle);
+		filter.appendChild(document.createTextNode(' Show resolved'));
+
+		this.listElement = document.createElement('div');
+		this.listElement.className = 'comments-list';
+
+		this.panelElement.appendChild(header);
+		this.panelElement.appendChild(filter);
+		this.panelElement.appendChild(this.listElement);
+
+		(container || document.body).appendChild(this.panelElement);
+	}
+
+	/**
+	 * Adds CSS styles for the comments panel
+	 */
+	addPanelStyles() {
+		const styleId = 'comments-panel-styles';
+		if (document.getElementById(styleId)) return;
+
+		const style = document.createElement('style');
+		style.id = styleId;
+		style.textContent = `
+			.editor-comments {
+				width: 240px;
+				background: #ffffff;
+				border: 1px solid #d0d4dc;
+				border-radius: 4px;
+				font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+				font-size: 12px;
+				color: #333;
+				user-select: none;
+			}
+
+			.editor-comments.floating {
+				position: fixed;
+				right: 16px;
+				bottom: 190px;
+				max-height: 40vh;
+				overflow-y: auto;
+				z-index: 900;
+				box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+			}
+
+			.editor-comments.hidden {
+				display: none;
+			}
+
+			.comments-header {
+				display: flex;
+				justify-content: space-between;
+				align-items: center;
+				padding: 6px 8px;
+				border-bottom: 1px solid #e0e3e8;
+				font-weight: 600;
+			}
+
+			.comments-count {
+				color: #999;
+				font-weight: normal;
+			}
+
+			.editor-comments button {
+				border: none;
+				background: none;
+				padding: 0 3px;
+				cursor: pointer;
+				font-size: 13px;
+				color: #555;
+			}
+
+			.comments-filter {
+				display: block;
+				padding: 4px 8px;
+				border-bottom: 1px solid #e0e3e8;
+				color: #555;
+			}
+
+			.comments-thread {
+				padding: 5px 8px;
+				border-bottom: 1px solid #f0f1f4;
+				cursor: pointer;
+			}
+
+			.comments-thread:hover {
+				background: #f5f6f8;
+			}
+
+			.comments-thread.resolved {
+				color: #aaa;
+			}
+
+			.comments-thread-meta {
+				display: flex;
+				justify-content: space-between;
+				gap: 4px;
+				color: #999;
+				font-size: 11px;
+			}
+
+			.comments-thread-author {
+				color: #333;
+				font-weight: 600;
+			}
+
+			.comments-thread.resolved .comments-thread-author {
+				color: #aaa;
+			}
+
+			.comments-thread-text {
+				margin: 2px 0;
+				overflow: hidden;
+				text-overflow: ellipsis;
+				white-space: nowrap;
+			}
+
+			.comments-empty {
+				padding: 8px;
+				color: #999;
+				text-align: center;
+			}
+		`;
+
+		document.head.appendChild(style);
+	}
+
+	/**
+	 * Shows or hides the panel
+	 */
+	setVisible(visible) {
+		if (!this.panelElement) return;
+
+		this.panelElement.classList.toggle('hidden', !visible);
+
+		if (visible) {
+			this.render();
+			this.eventBus.emit(UI_EVENTS.PANEL_OPENED, { panel: 'comments' });
+		} else {
+			this.eventBus.emit(UI_EVENTS.PANEL_CLOSED, { panel: 'comments' });
+		}
+	}
+
+	/**
+	 * Checks whether the panel is shown
+	 */
+	isVisible() {
+		return Boolean(this.panelElement) && !this.panelElement.classList.contains('hidden');
+	}
+
+	/**
+	 * Queues a render for the next frame
+	 */
+	scheduleRender() {
+		if (!this.initialized || !this.isVisible() || this.frameRequest !== null) return;
+
+		this.frameRequest = requestAnimationFrame(this.render);
+	}
+
+	/**
+	 * Renders the thread list
+	 */
+	render() {
+		if (this.frameRequest !== null) {
+			cancelAnimationFrame(this.frameRequest);
+			this.frameRequest = null;
+		}
+
+		if (!this.initialized || !this.isVisible()) return;
+
+		const showResolved = Boolean(this.stateStore.get('ui.panels.comments.showResolved'));
+		const openThreads = this.commentService.getThreads({ status: THREAD_STATUS.OPEN });
+		const threads = showResolved ? this.commentService.getThreads() : openThreads;
+
+		this.countElement.textContent = `(${openThreads.length})`;
+		this.listElement.innerHTML = '';
+
+		if (threads.length === 0) {
+			const empty = document.createElement('div');
+			empty.className = 'comments-empty';
+			empty.textContent = showResolved ? 'No comments' : 'No open comments';
+			this.listElement.appendChild(empty);
+			return;
+		}
+
+		threads.forEach(thread => this.listElement.appendChild(this.createThreadRow(thread)));
+	}
+
+	/**
+	 * Creates the row of a thread: first comment, author, replies and anchor
+	 */
+	createThreadRow(thread) {
+		const firstComment = thread.comments[0] || { author: '', text: '' };
+		const replies = thread.comments.length - 1;
+
+		const row = document.createElement('div');
+		row.className = 'comments-thread';
+		row.classList.toggle('resolved', thread.status === THREAD_STATUS.RESOLVED);
+		row.title = 'Show on canvas';
+		row.addEventListener('click', () => {
+			this.eventBus.emit(COMMENT_EVENTS.OPEN_THREAD, { threadId: thread.id, reveal: true });
+		});
+
+		const meta = document.createElement('div');
+		meta.className = 'comments-thread-meta';
+
+		const author = document.createElement('span');
+		author.className = 'comments-thread-author';
+		author.textContent = firstComment.author;
+
+		const time = document.createElement('span');
+		time.textContent = new Date(thread.createdAt).toLocaleString();
+
+		meta.appendChild(author);
+		meta.appendChild(time);
+
+		const text = document.createElement('div');
+		text.className = 'comments-thread-text';
+		text.textContent = firstComment.text;
+
+		const details = document.createElement('div');
+		details.className = 'comments-thread-meta';
+
+		const anchor = document.createElement('span');
+		anchor.textContent = this.getAnchorName(thread);
+
+		const status = document.createElement('span');
+		status.textContent = [
+			replies > 0 ? `${replies} ${replies === 1 ? 'reply' : 'replies'}` : '',
+			thread.status === THREAD_STATUS.RESOLVED ? '✓ Resolved' : ''
+		].filter(Boolean).join(' · ');
+
+		details.appendChild(anchor);
+		details.appendChild(status);
+
+		row.appendChild(meta);
+		row.appendChild(text);
+		row.appendChild(details);
+		return row;
+	}
+
+	/**
+	 * Describes what a thread is attached to
+	 */
+	getAnchorName(thread) {
+		if (!thread.anchor.cellId) {
+			return '📍 Canvas';
+		}
+
+		const cell = this.graphService.graph.getCell(thread.anchor.cellId);
+		if (!cell) {
+			return '⚠ Deleted element';
+		}
+
+		if (cell.isLink()) {
+			return '↔ Link';
+		}
+
+		return `▭ ${cell.attr('label/text') || cell.get('type')}`;
+	}
+
+	/**
+	 * Gets panel statistics
+	 */
+	getStats() {
+		return {
+			initialized: this.initialized,
+			visible: this.isVisible()
+		};
+	}
+
+	/**
+	 * Destroys the panel
+	 */
+	destroy() {
+		if (this.frameRequest !== null) {
+			cancelAnimationFrame(this.frameRequest);
+			this.frameRequest = null;
+		}
+
+		if (this.panelElement && this.panelElement.parentNode) {
+			this.panelElement.parentNode.removeChild(this.panelElement);
+		}
+
+		this.panelElement = null;
+		this.listElement = null;
+		this.countElement = null;
+		this.resolvedToggle = null;
+		this.initialized = false;
+	}
+}
@@ -1,13 +1,16 @@
  
-import { UI_EVENTS, PORT_EVENTS } from '../Events/EventTypes.js';
+import { UI_EVENTS, PORT_EVENTS, EXPORT_EVENTS, CLIPBOARD_EVENTS, LAYOUT_EVENTS, LABEL_EVENTS, LINK_EVENTS, ROUTING_EVENTS, PLUGIN_EVENTS, LAYER_EVENTS, COMMENT_EVENTS } from '../Events/EventTypes.js';
+import { LINE_JUMP_STYLES, LINE_JUMP_SIZES } from '../Plugins/LineJumpsPlugin.js';
 
 /**
  * ContextMenu - Dynamic context menu system for editor interactions
  */
 export class ContextMenu {
-	constructor(eventBus, stateStore) {
+	constructor(eventBus, stateStore, shapeRegistry, routingService) {
 		this.eventBus = eventBus;
 		this.stateStore = stateStore;
+		this.shapeRegistry = shapeRegistry;
+		this.routingService = routingService;
 		this.menuElement = null;
 		this.initialized = false;
 		this.currentTarget = null;
@@ -157,12 +160,25 @@ export class ContextMenu {
 	 */
 	setupDefaultMenuItems() {
 		this.registerMenuProvider('element', (target) => [
+			{
+				id: 'edit-label',
+				label: 'Edit Label',
+				icon: '✏️',
+				shortcut: 'Dbl-click',
+				action: () => this.editLabel(target)
+			},
 			{
 				id: 'add-callout',
 				label: 'Add Callout',
 				icon: '💬',
 				action: () => this.addCallout(target)
 			},
+			{
+				id: 'add-comment',
+				label: 'Add Comment',
+				icon: '💭',
+				action: () => this.addComment(target)
+			},
 			{ type: 'separator' },
 			{
 				id: 'add-port-top',
@@ -189,6 +205,34 @@ export class ContextMenu {
 				action: () => this.addPort(target, 'left')
 			},
 			{ type: 'separator' },
+			{
+				id: 'bring-to-front',
+				label: 'Bring to Front',
+				icon: '⇈',
+				action: () => this.bringToFront(target)
+			},
+			{
+				id: 'send-to-back',
+				label: 'Send to Back',
+				icon: '⇊',
+				action: () => this.sendToBack(target)
+			},
+			{ type: 'separator' },
+			{
+				id: 'copy',
+				label: 'Copy',
+				icon: '📄',
+				shortcut: 'Ctrl+C',
+				readOnly: true,
+				action: () => this.copyElements(target)
+			},
+			{
+				id: 'cut',
+				label: 'Cut',
+				icon: '✂️',
+				shortcut: 'Ctrl+X',
+				action: () => this.cutElements(target)
+			},
 			{
 				id: 'duplicate',
 				label: 'Duplicate',
@@ -206,12 +250,49 @@ export class ContextMenu {
 		]);
 
 		this.registerMenuProvider('link', (target) => [
+			{
+				id: 'edit-path',
+				label: this.isEditingLink(target) ? 'Finish Editing Path' : 'Edit Path',
+				icon: '〰️',
+				action: () => this.toggleLinkEditing(target)
+			},
+			{
+				id: 'link-router',
+				label: 'Router',
+				icon: '🔀',
+				submenu: this.createRoutingItems(target, 'router')
+			},
+			{
+				id: 'link-connector',
+				label: 'Connector',
+				icon: '➰',
+				submenu: this.createRoutingItems(target, 'connector')
+			},
+			{
+				id: 'routing-as-default',
+				label: 'Use Routing as Default',
+				icon: '📌',
+				action: () => this.setDefaultRouting(target)
+			},
+			{ type: 'separator' },
+			{
+				id: 'add-label',
+				label: 'Add Label',
+				icon: '✏️',
+				action: () => this.editLabel(target)
+			},
 			{
 				id: 'add-callout',
 				label: 'Add Callout',
 				icon: '💬',
 				action: () => this.addCallout(target)
 			},
+			{
+				id: 'add-comment',
+				label: 'Add Comment',
+				icon: '💭',
+				action: () => this.addComment(target)
+			},
 			{ type: 'separator' },
 			{
 				id: 'delete',
@@ -227,23 +308,7 @@ export class ContextMenu {
 				id: 'add-element',
 				label: 'Add Element',
 				icon: '⬜',
-				submenu: [
-					{
-						id: 'add-rectangle',
-						label: 'Rectangle',
-						action: () => this.addElement('rectangle')
-					},
-					{
-						id: 'add-circle',
-						label: 'Circle',
-						action: () => this.addElement('circle')
-					},
-					{
-						id: 'add-ellipse',
-						label: 'Ellipse',
-						action: () => this.addElement('ellipse')
-					}
-				]
+				submenu: this.createAddElementItems()
 			},
 			{ type: 'separator' },
 			{
@@ -254,12 +319,63 @@ export class ContextMenu {
 				action: () => this.pasteElements(),
 				disabled: !this.hasClipboardContent()
 			},
+			{
+				id: 'add-comment',
+				label: 'Add Comment Here',
+				icon: '💭',
+				action: () => this.addCanvasComment()
+			},
+			{ type: 'separator' },
+			{
+				id: 'export-png',
+				label: 'Export as PNG',
+				icon: '🖼',
+				readOnly: true,
+				submenu: this.createExportScaleItems('export-png', false)
+			},
+			{
+				id: 'export-selection-png',
+				label: 'Export Selection as PNG',
+				icon: '🖼',
+				readOnly: true,
+				submenu: this.createExportScaleItems('export-selection-png', true),
+				disabled: !this.hasSelection()
+			},
 			{ type: 'separator' },
+			{
+				id: 'auto-layout',
+				label: this.hasSelection() ? 'Layout Selection' : 'Auto Layout',
+				icon: '🗂',
+				submenu: [
+					{
+						id: 'layout-layered',
+						label: 'Layered',
+						action: () => this.applyLayout('layered')
+					},
+					{
+						id: 'layout-grid',
+						label: 'Grid',
+						action: () => this.applyLayout('grid')
+					},
+					{
+						id: 'layout-force',
+						label: 'Force-directed',
+						action: () => this.applyLayout('force')
+					}
+				]
+			},
+			{
+				id: 'line-jumps',
+				label: 'Line Jumps',
+				icon: '⌒',
+				submenu: this.createLineJumpItems()
+			},
 			{
 				id: 'select-all',
 				label: 'Select All',
 				icon: '🔲',
 				shortcut: 'Ctrl+A',
+				readOnly: true,
 				action: () => this.selectAll()
 			}
 		]);
@@ -304,7 +420,8 @@ export class ContextMenu {
 	}
 
 	/**
-	 * Registers a menu provider for a specific target type
+	 * Registers a menu provider for a specific target type;
+	 * only items marked `readOnly: true` are offered in read-only mode
 	 */
 	registerMenuProvider(targetType, provider) {
 		this.customMenuProviders.set(targetType, provider);
@@ -325,6 +442,11 @@ export class ContextMenu {
 		this.currentTargetType = targetType;
 		
 		const menuItems = this.generateMenuItems(target, targetType);
+		if (menuItems.length === 0) {
+			this.hide();
+			return;
+		}
+
 		this.renderMenu(menuItems);
 		this.positionMenu(x, y);
 		
@@ -370,7 +492,24 @@ export class ContextMenu {
 		}
 
 		const items = provider(target);
-		return this.processMenuItems(items, target);
+		const readOnly = this.stateStore.get('app.readOnly');
+
+		return this.processMenuItems(readOnly ? this.filterReadOnlyItems(items) : items, target);
+	}
+
+	/**
+	 * Keeps the items that do not change the diagram, without dangling separators
+	 */
+	filterReadOnlyItems(items) {
+		const filtered = items.filter(item => item.type === 'separator' || item.readOnly);
+
+		return filtered.filter((item, index) => {
+			if (item.type !== 'separator') return true;
+
+			const previous = filtered[index - 1];
+			const hasItemAfter = filtered.slice(index + 1).some(next => next.type !== 'separator');
+			return Boolean(previous) && previous.type !== 'separator' && hasItemAfter;
+		});
 	}
 
 	/**
@@ -569,6 +708,23 @@ export class ContextMenu {
 		this.eventBus.emit('callout:add', { target });
 	}
 
+	/**
+	 * Action: Start a comment thread on an element or link
+	 */
+	addComment(target) {
+		this.eventBus.emit(COMMENT_EVENTS.COMPOSE, { cellId: target.id });
+	}
+
+	/**
+	 * Action: Start a comment thread at the menu position
+	 */
+	addCanvasComment() {
+		const menuState = this.stateStore.get('ui.contextMenu');
+		this.eventBus.emit(COMMENT_EVENTS.COMPOSE, {
+			clientPosition: { x: menuState.x, y: menuState.y }
+		});
+	}
+
 	/**
 	 * Action: Add port to element
 	 */
@@ -590,6 +746,111 @@ export class ContextMenu {
 		this.eventBus.emit('selection:delete-requested', { elements: [target] });
 	}
 
+	/**
+	 * Creates add-element submenu items from the shape registry, one section per category
+	 */
+	createAddElementItems() {
+		const items = [];
+
+		this.shapeRegistry.getShapesByCategory().forEach((shapes) => {
+			if (items.length > 0) {
+				items.push({ type: 'separator' });
+			}
+
+			shapes.forEach(shape => items.push({
+				id: `add-${shape.name}`,
+				label: shape.title,
+				icon: shape.icon,
+				action: () => this.addElement(shape.name)
+			}));
+		});
+
+		return items;
+	}
+
+	/**
+	 * Creates router or connector items for a link, marking its current choice
+	 */
+	createRoutingItems(link, kind) {
+		const override = this.routingService.getLinkOverride(link)[kind];
+		const defaults = this.routingService.getDefaultRouting();
+		const options = kind === 'router'
+			? this.routingService.getRouterOptions()
+			: this.routingService.getConnectorOptions();
+		const defaultOption = options.find(option => option.name === defaults[kind]);
+
+		return [
+			{
+				id: `${kind}-default`,
+				label: `Default (${defaultOption ? defaultOption.title : defaults[kind]})`,
+				icon: override === null ? '✓' : '',
+				action: () => this.setLinkRouting(link, { [kind]: null })
+			},
+			{ type: 'separator' },
+			...options.map(option => ({
+				id: `${kind}-${option.name}`,
+				label: option.title,
+				icon: override === option.name ? '✓' : '',
+				action: () => this.setLinkRouting(link, { [kind]: option.name })
+			}))
+		];
+	}
+
+	/**
+	 * Gets the links a routing change applies to: the selected links when the target is among them
+	 */
+	getRoutingTargets(link) {
+		const selection = this.stateStore.get('selection.elements') || [];
+		const selectedLinks = selection.filter(cell => cell.isLink());
+
+		return selectedLinks.includes(link) ? selectedLinks : [link];
+	}
+
+	/**
+	 * Action: Override the router or connector of links
+	 */
+	setLinkRouting(target, routing) {
+		this.eventBus.emit(ROUTING_EVENTS.SET_LINK, {
+			links: this.getRoutingTargets(target),
+			...routing
+		});
+	}
+
+	/**
+	 * Action: Make the routing of a link the default for all links
+	 */
+	setDefaultRouting(target) {
+		this.eventBus.emit(ROUTING_EVENTS.SET_DEFAULT, this.routingService.getEffectiveRouting(target));
+	}
+
+	/**
+	 * Action: Edit the element label, or add a label at the middle of a link
+	 */
+	editLabel(target) {
+		this.eventBus.emit(LABEL_EVENTS.EDIT, {
+			cell: target,
+			position: target.isLink() ? { distance: 0.5, offset: 0 } : null
+		});
+	}
+
+	/**
+	 * Checks whether the link editor is attached to the link
+	 */
+	isEditingLink(link) {
+		return link.id === this.stateStore.get('connections.editingLinkId');
+	}
+
+	/**
+	 * Action: Enter or leave link path editing
+	 */
+	toggleLinkEditing(target) {
+		if (this.isEditingLink(target)) {
+			this.eventBus.emit(LINK_EVENTS.FINISH_EDITING);
+		} else {
+			this.eventBus.emit(LINK_EVENTS.EDIT, { link: target });
+		}
+	}
+
 	/**
 	 * Action: Add new element
 	 */
@@ -605,7 +866,46 @@ export class ContextMenu {
 	 * Action: Paste elements from clipboard
 	 */
 	pasteElements() {
-		this.eventBus.emit('clipboard:paste');
+		const menuState = this.stateStore.get('ui.contextMenu');
+		this.eventBus.emit(CLIPBOARD_EVENTS.PASTE, {
+			clientPosition: { x: menuState.x, y: menuState.y }
+		});
+	}
+
+	/**
+	 * Action: Copy the selection, or the target when it is not selected
+	 */
+	copyElements(target) {
+		this.eventBus.emit(CLIPBOARD_EVENTS.COPY, { elements: this.getActionTargets(target) });
+	}
+
+	/**
+	 * Action: Cut the selection, or the target when it is not selected
+	 */
+	cutElements(target) {
+		this.eventBus.emit(CLIPBOARD_EVENTS.CUT, { elements: this.getActionTargets(target) });
+	}
+
+	/**
+	 * Action: Bring the selection, or the target when it is not selected, to the front of its layer
+	 */
+	bringToFront(target) {
+		this.eventBus.emit(LAYER_EVENTS.BRING_TO_FRONT, { cells: this.getActionTargets(target) });
+	}
+
+	/**
+	 * Action: Send the selection, or the target when it is not selected, to the back of its layer
+	 */
+	sendToBack(target) {
+		this.eventBus.emit(LAYER_EVENTS.SEND_TO_BACK, { cells: this.getActionTargets(target) });
+	}
+
+	/**
+	 * Gets the selection if it contains the target, otherwise the target alone
+	 */
+	getActionTargets(target) {
+		const selection = this.stateStore.get('selection.elements') || [];
+		return selection.includes(target) ? selection : [target];
 	}
 
 	/**
@@ -615,6 +915,79 @@ export class ContextMenu {
 		this.eventBus.emit('selection:select-all');
 	}
 
+	/**
+	 * Creates PNG scale submenu items
+	 */
+	createExportScaleItems(idPrefix, selectionOnly) {
+		return [1, 2, 4].map(scale => ({
+			id: `${idPrefix}-${scale}x`,
+			label: `${scale}x`,
+			action: () => this.exportPNG(scale, selectionOnly)
+		}));
+	}
+
+	/**
+	 * Action: Export diagram or selection as PNG
+	 */
+	exportPNG(scale, selectionOnly) {
+		this.eventBus.emit(EXPORT_EVENTS.EXPORT_PNG, { scale, selectionOnly });
+	}
+
+	/**
+	 * Action: Lay out the selected elements, or all elements when nothing is selected
+	 */
+	applyLayout(algorithm) {
+		this.eventBus.emit(LAYOUT_EVENTS.APPLY, {
+			algorithm,
+			selectionOnly: this.hasSelection(),
+			animate: true
+		});
+	}
+
+	/**
+	 * Creates line jump items: off, the jump styles and the jump sizes
+	 */
+	createLineJumpItems() {
+		const options = this.stateStore.get('connections.lineJumps') || {};
+
+		return [
+			{
+				id: 'line-jumps-off',
+				label: 'Off',
+				icon: options.enabled ? '' : '✓',
+				action: () => this.setLineJumps({ enabled: false })
+			},
+			...Object.entries(LINE_JUMP_STYLES).map(([style, config]) => ({
+				id: `line-jumps-${style}`,
+				label: config.title,
+				icon: options.enabled && options.style === style ? '✓' : '',
+				action: () => this.setLineJumps({ enabled: true, style })
+			})),
+			{ type: 'separator' },
+			...Object.entries(LINE_JUMP_SIZES).map(([name, config]) => ({
+				id: `line-jumps-size-${name}`,
+				label: `${config.title} (${config.size}px)`,
+				icon: options.size === config.size ? '✓' : '',
+				action: () => this.setLineJumps({ size: config.size })
+			}))
+		];
+	}
+
+	/**
+	 * Action: Change the line jump options
+	 */
+	setLineJumps(options) {
+		this.eventBus.emit(PLUGIN_EVENTS.SET_LINE_JUMPS, options);
+	}
+
+	/**
+	 * Checks if any cells are selected
+	 */
+	hasSelection() {
+		const selection = this.stateStore.get('selection.elements') || [];
+		return selection.length > 0;
+	}
+
 	/**
 	 * Checks if clipboard has content
 	 */
@@ -0,0 +1,1039 @@
+import { DIFF_EVENTS } from '../Events/EventTypes.js';
+import { diffDocuments, CHANGE_STATUS, CHANGE_ASPECTS } from '../Core/DocumentDiff.js';
+
+/**
+ * Colors of change categories, shared by outlines, list markers and the legend
+ */
+const CATEGORY_COLORS = {
+	added: '#2ea043',
+	removed: '#d73a49',
+	moved: '#1f6feb',
+	changed: '#d29922',
+	conflict: '#8250df'
+};
+
+const CATEGORY_LABELS = {
+	added: 'Added',
+	removed: 'Removed',
+	moved: 'Moved',
+	changed: 'Changed',
+	conflict: 'Conflict'
+};
+
+/**
+ * Aspects that only change where a cell is drawn
+ */
+const GEOMETRY_ASPECTS = [CHANGE_ASPECTS.MOVED, CHANGE_ASPECTS.RESIZED, CHANGE_ASPECTS.ORDER];
+
+/**
+ * Descriptions of merge conflict reasons
+ */
+const CONFLICT_REASONS = {
+	'both-modified': 'Changed on both sides',
+	'both-added': 'Added on both sides',
+	'deleted-modified': 'Deleted by us, changed by them',
+	'modified-deleted': 'Changed by us, deleted by them'
+};
+
+const MIN_SCALE = 0.1;
+const MAX_SCALE = 4;
+
+/**
+ * DiffView - Visual comparison and merge of two diagram versions
+ *
+ * Opens over the editor with its own read-only paper, so the open document is never
+ * touched while reviewing. The newer version is drawn with removed cells faded in,
+ * every changed cell is outlined by category and moved elements show their old place.
+ * The change list steps through differences; in merge mode it also picks the side of
+ * each conflict and the preview follows the choices.
+ */
+export class DiffView {
+	constructor(eventBus, stateStore, diffService, graphService) {
+		this.eventBus = eventBus;
+		this.stateStore = stateStore;
+		this.diffService = diffService;
+		this.graphService = graphService;
+		this.viewElement = null;
+		this.canvasElement = null;
+		this.paperElement = null;
+		this.markersElement = null;
+		this.titleElement = null;
+		this.summaryElement = null;
+		this.positionElement = null;
+		this.listElement = null;
+		this.footerElement = null;
+		this.graph = null;
+		this.paper = null;
+		this.mode = null;
+		this.items = [];
+		this.currentIndex = -1;
+		this.drag = null;
+		this.frameRequest = null;
+		this.initialized = false;
+
+		this.scheduleMarkers = this.scheduleMarkers.bind(this);
+		this.renderMarkers = this.renderMarkers.bind(this);
+		this.handleResize = this.handleResize.bind(this);
+		this.handleKeyDown = this.handleKeyDown.bind(this);
+		this.handleWheel = this.handleWheel.bind(this);
+
+		this.bindEventHandlers();
+	}
+
+	/**
+	 * Initializes the diff view
+	 */
+	init() {
+		if (this.initialized) {
+			console.warn('DiffView: Already initialized');
+			return;
+		}
+
+		this.createViewElement();
+		this.addViewStyles();
+
+		this.initialized = true;
+	}
+
+	/**
+	 * Binds component to comparison and merge events
+	 */
+	bindEventHandlers() {
+		this.eventBus.on(DIFF_EVENTS.COMPARED, (event) => this.openComparison(event.data));
+		this.eventBus.on(DIFF_EVENTS.MERGE_STARTED, () => this.openMerge());
+
+		this.eventBus.on(DIFF_EVENTS.CONFLICT_RESOLVED, () => {
+			if (this.mode === 'merge') this.renderMerge();
+		});
+
+		[DIFF_EVENTS.CLOSED, DIFF_EVENTS.MERGE_COMPLETED, DIFF_EVENTS.MERGE_CANCELLED].forEach(eventType => {
+			this.eventBus.on(eventType, () => this.hide());
+		});
+	}
+
+	/**
+	 * Creates the dialog with canvas, change list and merge footer
+	 */
+	createViewElement() {
+		this.viewElement = document.createElement('div');
+		this.viewElement.className = 'diff-view hidden';
+		this.viewElement.tabIndex = -1;
+
+		// Editor shortcuts must not act on the document hidden behind the dialog
+		this.viewElement.addEventListener('keydown', this.handleKeyDown);
+
+		const dialog = document.createElement('div');
+		dialog.className = 'diff-dialog';
+
+		const header = document.createElement('div');
+		header.className = 'diff-header';
+
+		this.titleElement = document.createElement('span');
+		this.titleElement.className = 'diff-title';
+
+		this.summaryElement = document.createElement('span');
+		this.summaryElement.className = 'diff-summary';
+
+		header.appendChild(this.titleElement);
+		header.appendChild(this.summaryElement);
+		header.appendChild(this.createLegend());
+		header.appendChild(this.createButton('Fit', 'Fit diagram to view', () => this.fitContent()));
+		header.appendChild(this.createButton('×', 'Close', () => this.close()));
+
+		const body = document.createElement('div');
+		body.className = 'diff-body';
+
+		this.canvasElement = document.createElement('div');
+		this.canvasElement.className = 'diff-canvas';
+		this.canvasElement.addEventListener('wheel', this.handleWheel, { passive: false });
+
+		this.paperElement = document.createElement('div');
+		this.markersElement = document.createElement('div');
+		this.markersElement.className = 'diff-markers';
+
+		this.canvasElement.appendChild(this.paperElement);
+		this.canvasElement.appendChild(this.markersElement);
+
+		const sidebar = document.createElement('div');
+		sidebar.className = 'diff-sidebar';
+
+		const navigation = document.createElement('div');
+		navigation.className = 'diff-nav';
+		this.positionElement = document.createElement('span');
+		navigation.appendChild(this.createButton('‹ Prev', 'Previous difference (↑)', () => this.step(-1)));
+		navigation.appendChild(this.positionElement);
+		navigation.appendChild(this.createButton('Next ›', 'Next difference (↓)', () => this.step(1)));
+
+		this.listElement = document.createElement('div');
+		this.listElement.className = 'diff-list';
+
+		sidebar.appendChild(navigation);
+		sidebar.appendChild(this.listElement);
+
+		body.appendChild(this.canvasElement);
+		body.appendChild(sidebar);
+
+		this.footerElement = document.createElement('div');
+		this.footerElement.className = 'diff-footer';
+
+		dialog.appendChild(header);
+		dialog.appendChild(body);
+		dialog.appendChild(this.footerElement);
+		this.viewElement.appendChild(dialog);
+
+		document.body.appendChild(this.viewElement);
+	}
+
+	/**
+	 * Creates the color legend of change categories
+	 */
+	createLegend() {
+		const legend = document.createElement('span');
+		legend.className = 'diff-legend';
+
+		Object.keys(CATEGORY_COLORS).forEach(category => {
+			const item = document.createElement('span');
+			item.className = `diff-legend-item diff-legend-${category}`;
+			item.appendChild(this.createSwatch(category));
+			item.appendChild(document.createTextNode(CATEGORY_LABELS[category]));
+			legend.appendChild(item);
+		});
+
+		return legend;
+	}
+
+	/**
+	 * Adds CSS styles for the diff view
+	 */
+	addViewStyles() {
+		const styleId = 'diff-view-styles';
+		if (document.getElementById(styleId)) return;
+
+		const style = document.createElement('style');
+		style.id = styleId;
+		style.textContent = `
+			.diff-view {
+				position: fixed;
+				inset: 0;
+				z-index: 2000;
+				display: flex;
+				align-items: center;
+				justify-content: center;
+				background: rgba(0, 0, 0, 0.35);
+				font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+				font-size: 12px;
+				color: #333;
+				outline: none;
+			}
+
+			.diff-view.hidden {
+				display: none;
+			}
+
+			.diff-dialog {
+				display: flex;
+				flex-direction: column;
+				width: calc(100vw - 64px);
+				height: calc(100vh - 64px);
+				background: #fff;
+				border-radius: 6px;
+				box-shadow: 0 4px 24px rgba(0, 0, 0, 0.3);
+				overflow: hidden;
+			}
+
+			.diff-header,
+			.diff-footer {
+				display: flex;
+				align-items: center;
+				gap: 8px;
+				padding: 8px 12px;
+				border-bottom: 1px solid #e0e3e8;
+			}
+
+			.diff-footer {
+				justify-content: flex-end;
+				border-top: 1px solid #e0e3e8;
+				border-bottom: none;
+			}
+
+			.diff-footer.hidden {
+				display: none;
+			}
+
+			.diff-title {
+				font-size: 14px;
+				font-weight: 600;
+			}
+
+			.diff-summary,
+			.diff-footer-status {
+				flex: 1;
+				color: #666;
+			}
+
+			.diff-legend {
+				display: flex;
+				gap: 10px;
+			}
+
+			.diff-view:not(.merge) .diff-legend-conflict {
+				display: none;
+			}
+
+			.diff-legend-item {
+				display: flex;
+				align-items: center;
+				gap: 4px;
+			}
+
+			.diff-swatch {
+				display: inline-block;
+				width: 10px;
+				height: 10px;
+				flex: none;
+				border-radius: 2px;
+			}
+
+			.diff-view button {
+				border: 1px solid #d0d4dc;
+				border-radius: 3px;
+				background: #fff;
+				padding: 2px 8px;
+				font-size: 12px;
+				cursor: pointer;
+			}
+
+			.diff-view button:disabled {
+				opacity: 0.5;
+				cursor: default;
+			}
+
+			.diff-view button.active {
+				background: #e6f0fc;
+				border-color: #4a90e2;
+				font-weight: 600;
+			}
+
+			.diff-view button.primary {
+				background: #4a90e2;
+				border-color: #4a90e2;
+				color: #fff;
+			}
+
+			.diff-body {
+				display: flex;
+				flex: 1;
+				min-height: 0;
+			}
+
+			.diff-canvas {
+				position: relative;
+				flex: 1;
+				overflow: hidden;
+				background: #fafbfc;
+				cursor: grab;
+			}
+
+			.diff-markers {
+				position: absolute;
+				top: 0;
+				left: 0;
+				width: 100%;
+				height: 100%;
+				pointer-events: none;
+			}
+
+			.diff-marker {
+				position: absolute;
+				box-sizing: border-box;
+				border: 2px solid;
+				border-radius: 3px;
+			}
+
+			.diff-marker.current {
+				border-width: 3px;
+				box-shadow: 0 0 0 3px rgba(74, 144, 226, 0.25);
+			}
+
+			.diff-marker.previous {
+				border-style: dashed;
+				border-width: 1px;
+			}
+
+			.diff-sidebar {
+				display: flex;
+				flex-direction: column;
+				width: 300px;
+				border-left: 1px solid #e0e3e8;
+			}
+
+			.diff-nav {
+				display: flex;
+				align-items: center;
+				justify-content: space-between;
+				padding: 6px 8px;
+				border-bottom: 1px solid #e0e3e8;
+			}
+
+			.diff-list {
+				flex: 1;
+				overflow-y: auto;
+			}
+
+			.diff-group {
+				padding: 6px 8px 2px;
+				color: #999;
+				font-size: 11px;
+				font-weight: 600;
+				text-transform: uppercase;
+			}
+
+			.diff-item {
+				padding: 5px 8px;
+				border-bottom: 1px solid #f0f1f4;
+				cursor: pointer;
+			}
+
+			.diff-item:hover {
+				background: #f5f6f8;
+			}
+
+			.diff-item.current {
+				background: #e6f0fc;
+			}
+
+			.diff-item-title {
+				display: flex;
+				align-items: center;
+				gap: 6px;
+				font-weight: 600;
+			}
+
+			.diff-item-name {
+				overflow: hidden;
+				text-overflow: ellipsis;
+				white-space: nowrap;
+			}
+
+			.diff-item-detail {
+				margin: 2px 0 0 16px;
+				color: #666;
+				word-break: break-word;
+			}
+
+			.diff-item-sides {
+				display: flex;
+				gap: 4px;
+				margin: 4px 0 0 16px;
+			}
+
+			.diff-empty {
+				padding: 12px;
+				color: #999;
+				text-align: center;
+			}
+		`;
+
+		document.head.appendChild(style);
+	}
+
+	/**
+	 * Shows the comparison of two versions
+	 * @param {Object} comparison - { base, target, diff } from DiffService
+	 */
+	openComparison({ base, target, diff }) {
+		this.mode = 'compare';
+		this.show();
+
+		this.titleElement.textContent = 'Compare versions';
+		this.footerElement.classList.add('hidden');
+
+		this.renderDocuments(base, target, diff, new Map());
+		this.fitContent();
+		this.select(this.items.length > 0 ? 0 : -1, { reveal: false });
+	}
+
+	/**
+	 * Shows the three-way merge started in DiffService
+	 */
+	openMerge() {
+		this.mode = 'merge';
+		this.show();
+
+		this.titleElement.textContent = 'Merge versions';
+		this.footerElement.classList.remove('hidden');
+
+		this.renderMerge();
+		this.fitContent();
+		this.select(this.items.length > 0 ? 0 : -1, { reveal: false });
+	}
+
+	/**
+	 * Re-renders the merge preview after a conflict was resolved
+	 */
+	renderMerge() {
+		const merge = this.diffService.merge;
+		const result = this.diffService.getMergeResult();
+		if (!merge || !result) return;
+
+		const conflicts = new Map(merge.conflicts.map(conflict => [conflict.cellId, conflict]));
+		const selectedId = this.items[this.currentIndex] ? this.items[this.currentIndex].cellId : null;
+
+		this.renderDocuments(merge.base, result.document, diffDocuments(merge.base, result.document), conflicts);
+		this.renderFooter(merge, result);
+
+		const index = this.items.findIndex(item => item.cellId === selectedId);
+		this.select(index, { reveal: false });
+	}
+
+	/**
+	 * Draws the newer document with removed cells of the older one and builds the change list
+	 * @param {Object} base - Older document
+	 * @param {Object} target - Newer document or merge preview
+	 * @param {Object} diff - Result of diffDocuments(base, target)
+	 * @param {Map} conflicts - Merge conflicts by cell id
+	 */
+	renderDocuments(base, target, diff, conflicts) {
+		this.ensurePaper();
+
+		const removedIds = new Set(diff.changes
+			.filter(change => change.status === CHANGE_STATUS.REMOVED)
+			.map(change => change.cellId));
+		const removedCells = base.graph.cells.filter(cell => removedIds.has(cell.id));
+
+		try {
+			this.graph.fromJSON({ cells: [...target.graph.cells, ...removedCells] });
+		} catch (error) {
+			console.error('DiffView: Failed to render document:', error);
+			this.graph.clear();
+		}
+
+		removedIds.forEach(cellId => {
+			const view = this.paper.findViewByModel(cellId);
+			if (view) view.el.style.opacity = '0.35';
+		});
+
+		const conflictItems = [];
+		const changeItems = [];
+		diff.changes.forEach(change => {
+			const conflict = conflicts.get(change.cellId) || null;
+			(conflict ? conflictItems : changeItems).push({ cellId: change.cellId, change, conflict });
+		});
+
+		// Conflicts whose chosen version equals the base leave no change behind
+		conflicts.forEach((conflict, cellId) => {
+			if (!conflictItems.some(item => item.cellId === cellId)) {
+				conflictItems.push({ cellId, change: null, conflict });
+			}
+		});
+
+		this.items = [...conflictItems, ...changeItems];
+		this.currentIndex = -1;
+
+		this.summaryElement.textContent = this.describeSummary(diff.summary, conflicts.size);
+		this.renderList(conflictItems.length);
+		this.renderMarkers();
+	}
+
+	/**
+	 * Renders the change list, conflicts first
+	 */
+	renderList(conflictCount) {
+		this.listElement.innerHTML = '';
+
+		if (this.items.length === 0) {
+			const empty = document.createElement('div');
+			empty.className = 'diff-empty';
+			empty.textContent = 'The versions are identical';
+			this.listElement.appendChild(empty);
+			return;
+		}
+
+		this.items.forEach((item, index) => {
+			if (this.mode === 'merge' && (index === 0 || index === conflictCount)) {
+				const group = document.createElement('div');
+				group.className = 'diff-group';
+				group.textContent = index < conflictCount ? 'Conflicts' : 'Changes';
+				this.listElement.appendChild(group);
+			}
+
+			this.listElement.appendChild(this.createListItem(item, index));
+		});
+	}
+
+	/**
+	 * Creates the list entry of a change or conflict
+	 */
+	createListItem(item, index) {
+		const { change, conflict } = item;
+		const category = this.getCategory(item);
+		const kind = change ? change.kind : conflict.kind;
+
+		const row = document.createElement('div');
+		row.className = 'diff-item';
+		row.dataset.index = index;
+		row.addEventListener('click', () => this.select(index));
+
+		const title = document.createElement('div');
+		title.className = 'diff-item-title';
+		title.appendChild(this.createSwatch(category));
+
+		const name = document.createElement('span');
+		name.className = 'diff-item-name';
+		name.textContent = `${kind === 'link' ? '↔' : '▭'} ${change ? change.name : conflict.name}`;
+		title.appendChild(name);
+		row.appendChild(title);
+
+		this.describeItem(item).forEach(line => {
+			const detail = document.createElement('div');
+			detail.className = 'diff-item-detail';
+			detail.textContent = line;
+			row.appendChild(detail);
+		});
+
+		if (conflict) {
+			row.appendChild(this.createSideButtons(conflict));
+		}
+
+		return row;
+	}
+
+	/**
+	 * Creates the buttons choosing the version of a conflicting cell
+	 */
+	createSideButtons(conflict) {
+		const sides = document.createElement('div');
+		sides.className = 'diff-item-sides';
+
+		const chosen = this.diffService.merge ? this.diffService.merge.resolutions[conflict.cellId] : null;
+
+		[['ours', 'Keep ours'], ['theirs', 'Take theirs']].forEach(([side, label]) => {
+			const version = conflict[side];
+			const button = this.createButton(label, version ? `Use the ${side} version` : `Delete the cell as in ${side}`, () => {
+				this.diffService.resolveConflict(conflict.cellId, side);
+			});
+			button.classList.toggle('active', chosen === side);
+			sides.appendChild(button);
+		});
+
+		return sides;
+	}
+
+	/**
+	 * Describes a change or conflict in short lines
+	 */
+	describeItem({ change, conflict }) {
+		const lines = [];
+
+		if (conflict) {
+			lines.push(CONFLICT_REASONS[conflict.reason] || conflict.reason);
+			if (conflict.keys.length > 0) {
+				lines.push(`Both changed: ${conflict.keys.join(', ')}`);
+			}
+			if (conflict.oursAspects.length > 0) lines.push(`Ours: ${conflict.oursAspects.join(', ')}`);
+			if (conflict.theirsAspects.length > 0) lines.push(`Theirs: ${conflict.theirsAspects.join(', ')}`);
+			return lines;
+		}
+
+		if (change.status !== CHANGE_STATUS.MODIFIED) {
+			return [change.status === CHANGE_STATUS.ADDED ? 'Added' : 'Removed'];
+		}
+
+		const aspects = change.aspects.join(', ');
+		lines.push(aspects.charAt(0).toUpperCase() + aspects.slice(1));
+
+		const { ports, callouts } = change.details;
+		if (ports) {
+			lines.push(`Ports: ${[
+				...ports.added.map(id => `+${id}`),
+				...ports.removed.map(id => `−${id}`),
+				...ports.changed.map(id => `~${id}`)
+			].join(' ')}`);
+		}
+
+		if (callouts) {
+			lines.push(`Callouts: ${[
+				...callouts.added.map(text => `+“${text}”`),
+				...callouts.removed.map(text => `−“${text}”`)
+			].join(' ')}`);
+		}
+
+		return lines;
+	}
+
+	/**
+	 * Describes the counts of the comparison
+	 */
+	describeSummary(summary, conflictCount) {
+		const parts = [
+			`${summary.added} added`,
+			`${summary.removed} removed`,
+			`${summary.modified} changed`,
+			`${summary.unchanged} unchanged`
+		];
+
+		if (this.mode === 'merge') {
+			parts.unshift(`${conflictCount} ${conflictCount === 1 ? 'conflict' : 'conflicts'}`);
+		}
+
+		return parts.join(' · ');
+	}
+
+	/**
+	 * Renders the merge status and actions
+	 */
+	renderFooter(merge, result) {
+		this.footerElement.innerHTML = '';
+
+		const resolved = merge.conflicts.length - result.unresolved.length;
+		const status = document.createElement('span');
+		status.className = 'diff-footer-status';
+		status.textContent = [
+			merge.conflicts.length > 0 ? `${resolved} of ${merge.conflicts.length} conflicts resolved` : 'No conflicts',
+			result.dropped.length > 0 ? `${result.dropped.length} links dropped because an end was removed` : ''
+		].filter(Boolean).join(' · ');
+
+		const apply = this.createButton('Apply merge', 'Open the merged document in the editor', () => {
+			this.diffService.completeMerge({ load: true });
+		});
+		apply.classList.add('primary');
+		apply.disabled = result.unresolved.length > 0;
+
+		this.footerElement.appendChild(status);
+		this.footerElement.appendChild(this.createButton('Keep all ours', 'Keep our version of unresolved conflicts', () => this.diffService.resolveAll('ours')));
+		this.footerElement.appendChild(this.createButton('Take all theirs', 'Take their version of unresolved conflicts', () => this.diffService.resolveAll('theirs')));
+		this.footerElement.appendChild(this.createButton('Cancel', 'Abandon the merge', () => this.diffService.cancelMerge()));
+		this.footerElement.appendChild(apply);
+	}
+
+	/**
+	 * Gets the color category of a list item
+	 */
+	getCategory({ change, conflict }) {
+		if (conflict) return 'conflict';
+		if (change.status === CHANGE_STATUS.ADDED) return 'added';
+		if (change.status === CHANGE_STATUS.REMOVED) return 'removed';
+
+		return change.aspects.every(aspect => GEOMETRY_ASPECTS.includes(aspect)) ? 'moved' : 'changed';
+	}
+
+	/**
+	 * Creates the paper on first use
+	 */
+	ensurePaper() {
+		if (this.paper) return;
+
+		const namespace = this.graphService.cellNamespace;
+
+		this.graph = new joint.dia.Graph({}, { cellNamespace: namespace });
+		this.paper = new joint.dia.Paper({
+			el: this.paperElement,
+			model: this.graph,
+			width: this.canvasElement.clientWidth,
+			height: this.canvasElement.clientHeight,
+			gridSize: 1,
+			interactive: false,
+			cellViewNamespace: namespace,
+			background: { color: '#fafbfc' }
+		});
+
+		this.paper.on('cell:pointerclick', (cellView) => {
+			const index = this.items.findIndex(item => item.cellId === cellView.model.id);
+			if (index !== -1) this.select(index, { reveal: false });
+		});
+
+		this.paper.on('blank:pointerdown', (event) => {
+			const translate = this.paper.translate();
+			this.drag = { x: event.clientX, y: event.clientY, tx: translate.tx, ty: translate.ty };
+		});
+
+		this.paper.on('blank:pointermove', (event) => {
+			if (!this.drag) return;
+			this.paper.translate(this.drag.tx + event.clientX - this.drag.x, this.drag.ty + event.clientY - this.drag.y);
+		});
+
+		this.paper.on('blank:pointerup', () => {
+			this.drag = null;
+		});
+
+		this.paper.on('scale translate', this.scheduleMarkers);
+	}
+
+	/**
+	 * Fits the whole diagram into the canvas
+	 */
+	fitContent() {
+		if (!this.paper) return;
+
+		this.paper.setDimensions(this.canvasElement.clientWidth, this.canvasElement.clientHeight);
+		this.paper.scaleContentToFit({ padding: 40, maxScale: 1, minScale: MIN_SCALE });
+		this.renderMarkers();
+	}
+
+	/**
+	 * Selects a list item and centers the paper on its cell
+	 * @param {number} index - Item index, -1 for none
+	 * @param {Object} options - { reveal } to scroll the paper to the cell
+	 */
+	select(index, { reveal = true } = {}) {
+		this.currentIndex = index >= 0 && index < this.items.length ? index : -1;
+
+		this.listElement.querySelectorAll('.diff-item').forEach(row => {
+			row.classList.toggle('current', Number(row.dataset.index) === this.currentIndex);
+		});
+
+		const current = this.listElement.querySelector('.diff-item.current');
+		if (current && current.scrollIntoView) {
+			current.scrollIntoView({ block: 'nearest' });
+		}
+
+		this.positionElement.textContent = this.items.length > 0
+			? `${this.currentIndex + 1} / ${this.items.length}`
+			: '0 / 0';
+
+		if (reveal && this.currentIndex !== -1) {
+			this.centerOn(this.items[this.currentIndex].cellId);
+		}
+
+		this.renderMarkers();
+	}
+
+	/**
+	 * Moves to the previous or next difference, wrapping around
+	 */
+	step(direction) {
+		if (this.items.length === 0) return;
+
+		const start = this.currentIndex === -1 && direction < 0 ? 0 : this.currentIndex;
+		this.select((start + direction + this.items.length) % this.items.length);
+	}
+
+	/**
+	 * Centers the paper on a cell
+	 */
+	centerOn(cellId) {
+		const view = this.paper.findViewByModel(cellId);
+		if (!view) return;
+
+		const bbox = this.paper.paperToLocalRect(view.getBBox());
+		const scale = this.paper.scale().sx;
+
+		this.paper.translate(
+			this.canvasElement.clientWidth / 2 - (bbox.x + bbox.width / 2) * scale,
+			this.canvasElement.clientHeight / 2 - (bbox.y + bbox.height / 2) * scale
+		);
+	}
+
+	/**
+	 * Queues a marker render for the next frame
+	 */
+	scheduleMarkers() {
+		if (this.frameRequest !== null) return;
+
+		this.frameRequest = requestAnimationFrame(this.renderMarkers);
+	}
+
+	/**
+	 * Outlines every changed cell and the old place of moved elements
+	 */
+	renderMarkers() {
+		if (this.frameRequest !== null) {
+			cancelAnimationFrame(this.frameRequest);
+			this.frameRequest = null;
+		}
+
+		if (!this.paper || !this.mode) return;
+
+		const fragment = document.createDocumentFragment();
+
+		this.items.forEach((item, index) => {
+			const color = CATEGORY_COLORS[this.getCategory(item)];
+			const view = this.paper.findViewByModel(item.cellId);
+			const before = item.change && item.change.status === CHANGE_STATUS.MODIFIED ? item.change.details.before : null;
+
+			if (before && before.position && before.size && item.change.aspects.includes(CHANGE_ASPECTS.MOVED)) {
+				const rect = this.paper.localToPaperRect(before.position.x, before.position.y, before.size.width, before.size.height);
+				fragment.appendChild(this.createMarker(rect, color, 'previous', 'Previous position'));
+			}
+
+			if (view) {
+				const marker = this.createMarker(view.getBBox(), color, index === this.currentIndex ? 'current' : '', item.change ? item.change.name : item.conflict.name);
+				fragment.appendChild(marker);
+			}
+		});
+
+		this.markersElement.innerHTML = '';
+		this.markersElement.appendChild(fragment);
+	}
+
+	/**
+	 * Creates an outline around a rectangle in paper coordinates
+	 */
+	createMarker(rect, color, className, title) {
+		const marker = document.createElement('div');
+		marker.className = `diff-marker ${className}`.trim();
+		marker.style.borderColor = color;
+		marker.style.left = `${rect.x - 4}px`;
+		marker.style.top = `${rect.y - 4}px`;
+		marker.style.width = `${rect.width + 8}px`;
+		marker.style.height = `${rect.height + 8}px`;
+		marker.title = title;
+		return marker;
+	}
+
+	/**
+	 * Creates a color swatch of a category
+	 */
+	createSwatch(category) {
+		const swatch = document.createElement('span');
+		swatch.className = 'diff-swatch';
+		swatch.style.background = CATEGORY_COLORS[category];
+		return swatch;
+	}
+
+	/**
+	 * Zooms the paper around the pointer
+	 */
+	handleWheel(event) {
+		if (!this.paper) return;
+		event.preventDefault();
+
+		const scale = this.paper.scale().sx;
+		const next = Math.min(MAX_SCALE, Math.max(MIN_SCALE, scale * (event.deltaY < 0 ? 1.1 : 1 / 1.1)));
+		const local = this.paper.clientToLocalPoint(event.clientX, event.clientY);
+		const rect = this.canvasElement.getBoundingClientRect();
+
+		this.paper.scale(next, next);
+		this.paper.translate(
+			event.clientX - rect.left - local.x * next,
+			event.clientY - rect.top - local.y * next
+		);
+	}
+
+	/**
+	 * Handles navigation keys and keeps every key away from the editor
+	 */
+	handleKeyDown(event) {
+		event.stopPropagation();
+
+		if (event.key === 'ArrowDown') {
+			event.preventDefault();
+			this.step(1);
+		} else if (event.key === 'ArrowUp') {
+			event.preventDefault();
+			this.step(-1);
+		} else if (event.key === 'Escape') {
+			this.close();
+		}
+	}
+
+	/**
+	 * Keeps the paper sized to the dialog
+	 */
+	handleResize() {
+		if (!this.paper) return;
+
+		this.paper.setDimensions(this.canvasElement.clientWidth, this.canvasElement.clientHeight);
+		this.renderMarkers();
+	}
+
+	/**
+	 * Shows the dialog
+	 */
+	show() {
+		this.viewElement.classList.remove('hidden');
+		this.viewElement.classList.toggle('merge', this.mode === 'merge');
+		this.viewElement.focus();
+
+		window.addEventListener('resize', this.handleResize);
+	}
+
+	/**
+	 * Closes the comparison or abandons the merge
+	 */
+	close() {
+		if (this.mode === 'merge') {
+			this.diffService.cancelMerge();
+		} else {
+			this.diffService.closeComparison();
+		}
+	}
+
+	/**
+	 * Hides the dialog and releases the rendered documents
+	 */
+	hide() {
+		if (!this.viewElement || !this.mode) return;
+
+		this.mode = null;
+		this.items = [];
+		this.currentIndex = -1;
+		this.drag = null;
+		this.viewElement.classList.add('hidden');
+		this.markersElement.innerHTML = '';
+
+		if (this.graph) {
+			this.graph.clear();
+		}
+
+		window.removeEventListener('resize', this.handleResize);
+	}
+
+	/**
+	 * Checks whether the dialog is shown
+	 */
+	isVisible() {
+		return Boolean(this.mode);
+	}
+
+	/**
+	 * Creates a dialog button
+	 */
+	createButton(text, title, action) {
+		const button = document.createElement('button');
+		button.textContent = text;
+		button.title = title;
+		button.addEventListener('click', (event) => {
+			event.stopPropagation();
+			action();
+		});
+		return button;
+	}
+
+	/**
+	 * Gets view statistics
+	 */
+	getStats() {
+		return {
+			initialized: this.initialized,
+			mode: this.mode,
+			items: this.items.length,
+			current: this.currentIndex
+		};
+	}
+
+	/**
+	 * Destroys the view
+	 */
+	destroy() {
+		if (this.frameRequest !== null) {
+			cancelAnimationFrame(this.frameRequest);
+			this.frameRequest = null;
+		}
+
+		this.hide();
+
+		if (this.paper) {
+			this.paper.remove();
+		}
+
+		if (this.viewElement && this.viewElement.parentNode) {
+			this.viewElement.parentNode.removeChild(this.viewElement);
+		}
+
+		this.graph = null;
+		this.paper = null;
+		this.viewElement = null;
+		this.initialized = false;
+	}
+}
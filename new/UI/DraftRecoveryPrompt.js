@@ -0,0 +1,183 @@
+import { UI_EVENTS, AUTOSAVE_EVENTS } from '../Events/EventTypes.js';
+
+/**
+ * DraftRecoveryPrompt - Banner offering to restore an unsaved autosave draft
+ */
+export class DraftRecoveryPrompt {
+	constructor(eventBus, stateStore) {
+		this.eventBus = eventBus;
+		this.stateStore = stateStore;
+		this.promptElement = null;
+		this.pendingDraft = null;
+		this.containerElement = null;
+		this.initialized = false;
+
+		this.bindEventHandlers();
+	}
+
+	/**
+	 * Initializes the prompt inside the editor container; without one it is shown on the page body
+	 */
+	init(containerElement = null) {
+		if (this.initialized) {
+			console.warn('DraftRecoveryPrompt: Already initialized');
+			return;
+		}
+
+		this.containerElement = containerElement;
+
+		this.addPromptStyles();
+		this.initialized = true;
+
+		// The draft may have been announced before the UI was ready
+		if (this.pendingDraft) {
+			this.show(this.pendingDraft);
+		}
+	}
+
+	/**
+	 * Binds component to autosave events
+	 */
+	bindEventHandlers() {
+		this.eventBus.on(AUTOSAVE_EVENTS.DRAFT_AVAILABLE, (event) => {
+			this.pendingDraft = event.data.draft;
+			if (this.initialized) {
+				this.show(this.pendingDraft);
+			}
+		});
+
+		this.eventBus.on(AUTOSAVE_EVENTS.DRAFT_RESTORED, () => this.hide());
+		this.eventBus.on(AUTOSAVE_EVENTS.DRAFT_DISCARDED, () => this.hide());
+	}
+
+	/**
+	 * Shows the prompt for the given draft
+	 */
+	show(draft) {
+		this.hide();
+
+		this.promptElement = document.createElement('div');
+		this.promptElement.className = 'draft-recovery-prompt';
+		this.promptElement.setAttribute('role', 'alertdialog');
+		this.promptElement.setAttribute('data-export-ignore', '');
+
+		const message = document.createElement('span');
+		message.className = 'draft-recovery-message';
+		message.textContent = `Unsaved draft from ${this.formatTimestamp(draft.savedAt)} found. Restore it?`;
+
+		const restoreButton = this.createButton('Restore', 'primary', () => {
+			this.eventBus.emit(AUTOSAVE_EVENTS.RESTORE_DRAFT, { id: draft.id });
+		});
+
+		const discardButton = this.createButton('Discard', 'secondary', () => {
+			this.eventBus.emit(AUTOSAVE_EVENTS.DISCARD_DRAFT, { id: draft.id });
+		});
+
+		this.promptElement.append(message, restoreButton, discardButton);
+
+		(this.containerElement || document.body).appendChild(this.promptElement);
+
+		this.eventBus.emit(UI_EVENTS.PANEL_OPENED, { panel: 'draft-recovery' });
+	}
+
+	/**
+	 * Hides the prompt
+	 */
+	hide() {
+		if (this.promptElement && this.promptElement.parentNode) {
+			this.promptElement.parentNode.removeChild(this.promptElement);
+			this.eventBus.emit(UI_EVENTS.PANEL_CLOSED, { panel: 'draft-recovery' });
+		}
+
+		this.promptElement = null;
+		this.pendingDraft = null;
+	}
+
+	/**
+	 * Creates a prompt button
+	 */
+	createButton(label, variant, onClick) {
+		const button = document.createElement('button');
+		button.type = 'button';
+		button.className = `draft-recovery-button ${variant}`;
+		button.textContent = label;
+		button.addEventListener('click', onClick);
+		return button;
+	}
+
+	/**
+	 * Formats a draft timestamp for display
+	 */
+	formatTimestamp(timestamp) {
+		const date = new Date(timestamp);
+		const isToday = date.toDateString() === new Date().toDateString();
+
+		return isToday ? date.toLocaleTimeString() : date.toLocaleString();
+	}
+
+	/**
+	 * Adds CSS styles for the prompt
+	 */
+	addPromptStyles() {
+		const styleId = 'draft-recovery-styles';
+		if (document.getElementById(styleId)) return;
+
+		const style = document.createElement('style');
+		style.id = styleId;
+		style.textContent = `
+			.draft-recovery-prompt {
+				position: absolute;
+				top: 12px;
+				left: 50%;
+				transform: translateX(-50%);
+				display: flex;
+				align-items: center;
+				gap: 8px;
+				padding: 8px 12px;
+				background: #fff8e1;
+				border: 1px solid #ffca28;
+				border-radius: 4px;
+				box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+				font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif;
+				font-size: 13px;
+				z-index: 1100;
+			}
+
+			.draft-recovery-button {
+				padding: 4px 10px;
+				border: 1px solid #dee2e6;
+				border-radius: 4px;
+				background: #ffffff;
+				color: #495057;
+				cursor: pointer;
+			}
+
+			.draft-recovery-button.primary {
+				background: #007bff;
+				border-color: #0056b3;
+				color: #ffffff;
+			}
+
+			.draft-recovery-button:hover {
+				opacity: 0.85;
+			}
+		`;
+
+		document.head.appendChild(style);
+	}
+
+	/**
+	 * Destroys the prompt
+	 */
+	destroy() {
+		this.hide();
+
+		const styleElement = document.getElementById('draft-recovery-styles');
+		if (styleElement && styleElement.parentNode) {
+			styleElement.parentNode.removeChild(styleElement);
+		}
+
+		this.containerElement = null;
+		this.initialized = false;
+	}
+}
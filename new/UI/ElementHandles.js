@@ -0,0 +1,473 @@
+import { ELEMENT_EVENTS, PAPER_EVENTS, SELECTION_EVENTS } from '../Events/EventTypes.js';
+
+/**
+ * Resize handle directions as [dx, dy] multipliers of the element's local axes
+ */
+const RESIZE_DIRECTIONS = {
+	'nw': [-1, -1],
+	'n': [0, -1],
+	'ne': [1, -1],
+	'e': [1, 0],
+	'se': [1, 1],
+	's': [0, 1],
+	'sw': [-1, 1],
+	'w': [-1, 0]
+};
+
+const MIN_ELEMENT_SIZE = 1;
+const ROTATION_SNAP_ANGLE = 15;
+
+/**
+ * ElementHandles - Resize and rotation handles around the single selected element
+ *
+ * Handles only emit ELEMENT_EVENTS.RESIZE / ROTATE with the target geometry; commands are
+ * created by the event handlers. All events of one drag share a gestureId so they merge
+ * into a single undo step.
+ */
+export class ElementHandles {
+	constructor(eventBus, stateStore, paperService) {
+		this.eventBus = eventBus;
+		this.stateStore = stateStore;
+		this.paperService = paperService;
+		this.containerElement = null;
+		this.frameElement = null;
+		this.element = null;
+		this.drag = null;
+		this.pendingPointer = null;
+		this.frameRequest = null;
+		this.initialized = false;
+
+		this.handlePointerMove = this.handlePointerMove.bind(this);
+		this.handlePointerUp = this.handlePointerUp.bind(this);
+		this.update = this.update.bind(this);
+
+		this.bindEventHandlers();
+	}
+
+	/**
+	 * Initializes the handles overlay
+	 */
+	init() {
+		if (this.initialized) {
+			console.warn('ElementHandles: Already initialized');
+			return;
+		}
+
+		this.createHandlesContainer();
+		this.addHandleStyles();
+
+		// Keep handles aligned when the paper is zoomed or panned
+		this.paperService.paper.on('scale translate resize', this.update);
+
+		this.initialized = true;
+		this.updateTarget();
+	}
+
+	/**
+	 * Binds component to selection and geometry events
+	 */
+	bindEventHandlers() {
+		this.eventBus.on('state:batch-changed', (event) => {
+			const changes = event.data.changes || [];
+			if (changes.some(change => change.path.startsWith('selection.'))) {
+				this.updateTarget();
+			}
+		});
+
+		this.eventBus.on(SELECTION_EVENTS.CLEARED, () => this.updateTarget());
+		this.eventBus.on('state:app.readOnly:changed', () => this.updateTarget());
+
+		this.eventBus.on(ELEMENT_EVENTS.REMOVED, (event) => {
+			if (event.data.element === this.element) {
+				this.cancelDrag();
+				this.setTarget(null);
+			}
+		});
+
+		[ELEMENT_EVENTS.MOVED, ELEMENT_EVENTS.RESIZED, ELEMENT_EVENTS.ROTATED].forEach(eventType => {
+			this.eventBus.on(eventType, (event) => {
+				if (event.data.element === this.element) {
+					this.update();
+				}
+			});
+		});
+
+		[PAPER_EVENTS.ZOOMED, PAPER_EVENTS.PANNED, PAPER_EVENTS.CONTENT_FITTED, PAPER_EVENTS.VIEW_RESET].forEach(eventType => {
+			this.eventBus.on(eventType, this.update);
+		});
+	}
+
+	/**
+	 * Creates the overlay container and the handle frame
+	 */
+	createHandlesContainer() {
+		const paperElement = this.paperService.paperElement;
+
+		this.containerElement = document.createElement('div');
+		this.containerElement.className = 'element-handles-container';
+		this.containerElement.setAttribute('data-export-ignore', '');
+
+		this.frameElement = document.createElement('div');
+		this.frameElement.className = 'element-handles-frame';
+
+		Object.keys(RESIZE_DIRECTIONS).forEach(direction => {
+			const handle = document.createElement('div');
+			handle.className = `element-handle resize-handle handle-${direction}`;
+			handle.dataset.direction = direction;
+			handle.addEventListener('pointerdown', (event) => this.startDrag(event, 'resize', direction));
+			this.frameElement.appendChild(handle);
+		});
+
+		const rotateStem = document.createElement('div');
+		rotateStem.className = 'element-handle-rotate-stem';
+
+		const rotateHandle = document.createElement('div');
+		rotateHandle.className = 'element-handle rotate-handle';
+		rotateHandle.title = 'Rotate (Shift snaps to 15°)';
+		rotateHandle.addEventListener('pointerdown', (event) => this.startDrag(event, 'rotate'));
+
+		this.frameElement.append(rotateStem, rotateHandle);
+		this.containerElement.appendChild(this.frameElement);
+
+		paperElement.style.position = 'relative';
+		paperElement.appendChild(this.containerElement);
+	}
+
+	/**
+	 * Picks the handle target from the current selection; there are no handles in read-only mode
+	 */
+	updateTarget() {
+		if (!this.initialized) return;
+
+		const selection = this.stateStore.get('selection.elements') || [];
+		const element = !this.stateStore.get('app.readOnly') && selection.length === 1 && selection[0].isElement()
+			? selection[0]
+			: null;
+
+		if (element !== this.element) {
+			this.cancelDrag();
+			this.setTarget(element);
+		}
+	}
+
+	/**
+	 * Sets the element the handles are attached to
+	 */
+	setTarget(element) {
+		this.element = element;
+		this.update();
+	}
+
+	/**
+	 * Positions the frame over the target element
+	 */
+	update() {
+		if (!this.frameElement) return;
+
+		if (!this.element || !this.element.graph) {
+			this.frameElement.style.display = 'none';
+			return;
+		}
+
+		const paper = this.paperService.paper;
+		const scale = paper.scale().sx;
+		const bbox = this.element.getBBox();
+		const center = paper.localToPaperPoint(bbox.center());
+		const width = bbox.width * scale;
+		const height = bbox.height * scale;
+
+		Object.assign(this.frameElement.style, {
+			display: 'block',
+			left: `${center.x - width / 2}px`,
+			top: `${center.y - height / 2}px`,
+			width: `${width}px`,
+			height: `${height}px`,
+			transform: `rotate(${this.element.angle()}deg)`
+		});
+	}
+
+	/**
+	 * Starts a resize or rotation drag
+	 */
+	startDrag(event, type, direction = null) {
+		if (!this.element || event.button !== 0) return;
+
+		event.preventDefault();
+		event.stopPropagation();
+
+		const position = this.element.position();
+		const size = this.element.size();
+
+		this.drag = {
+			type,
+			direction,
+			gestureId: joint.util.uuid(),
+			startPoint: this.getLocalPoint(event),
+			bbox: { x: position.x, y: position.y, width: size.width, height: size.height },
+			angle: this.element.angle()
+		};
+
+		this.containerElement.classList.add('dragging');
+		document.addEventListener('pointermove', this.handlePointerMove);
+		document.addEventListener('pointerup', this.handlePointerUp);
+	}
+
+	/**
+	 * Queues drag updates to one per animation frame
+	 */
+	handlePointerMove(event) {
+		if (!this.drag) return;
+
+		this.pendingPointer = {
+			point: this.getLocalPoint(event),
+			shiftKey: event.shiftKey
+		};
+
+		if (!this.frameRequest) {
+			this.frameRequest = requestAnimationFrame(() => {
+				this.frameRequest = null;
+				this.applyPendingPointer();
+			});
+		}
+	}
+
+	/**
+	 * Finishes the drag, applying the last pointer position
+	 */
+	handlePointerUp(event) {
+		if (!this.drag) return;
+
+		if (this.frameRequest) {
+			cancelAnimationFrame(this.frameRequest);
+			this.frameRequest = null;
+		}
+
+		this.applyPendingPointer();
+		this.cancelDrag();
+	}
+
+	/**
+	 * Emits the geometry for the latest pointer position
+	 */
+	applyPendingPointer() {
+		if (!this.drag || !this.pendingPointer) return;
+
+		const { point, shiftKey } = this.pendingPointer;
+		this.pendingPointer = null;
+
+		if (this.drag.type === 'resize') {
+			const geometry = this.computeResize(point, shiftKey);
+			this.eventBus.emit(ELEMENT_EVENTS.RESIZE, {
+				element: this.element,
+				position: geometry.position,
+				size: geometry.size,
+				gestureId: this.drag.gestureId
+			});
+		} else {
+			this.eventBus.emit(ELEMENT_EVENTS.ROTATE, {
+				element: this.element,
+				angle: this.computeRotation(point, shiftKey),
+				gestureId: this.drag.gestureId
+			});
+		}
+	}
+
+	/**
+	 * Stops the current drag without applying pending changes
+	 */
+	cancelDrag() {
+		if (this.frameRequest) {
+			cancelAnimationFrame(this.frameRequest);
+			this.frameRequest = null;
+		}
+
+		document.removeEventListener('pointermove', this.handlePointerMove);
+		document.removeEventListener('pointerup', this.handlePointerUp);
+
+		if (this.containerElement) {
+			this.containerElement.classList.remove('dragging');
+		}
+
+		this.drag = null;
+		this.pendingPointer = null;
+	}
+
+	/**
+	 * Computes new geometry so the handle opposite to the dragged one stays in place
+	 */
+	computeResize(point, keepAspectRatio) {
+		const { bbox, angle, startPoint } = this.drag;
+		const [dx, dy] = RESIZE_DIRECTIONS[this.drag.direction];
+
+		// Pointer delta in the element's unrotated frame
+		const local = this.rotateVector({ x: point.x - startPoint.x, y: point.y - startPoint.y }, -angle);
+
+		let width = bbox.width + dx * local.x;
+		let height = bbox.height + dy * local.y;
+
+		if (keepAspectRatio) {
+			const ratio = bbox.width / bbox.height;
+
+			if (dx !== 0 && dy !== 0) {
+				const scale = Math.max(width / bbox.width, height / bbox.height);
+				width = bbox.width * scale;
+				height = bbox.height * scale;
+			} else if (dx !== 0) {
+				height = width / ratio;
+			} else {
+				width = height * ratio;
+			}
+		}
+
+		width = Math.round(Math.max(MIN_ELEMENT_SIZE, width));
+		height = Math.round(Math.max(MIN_ELEMENT_SIZE, height));
+
+		const center = { x: bbox.x + bbox.width / 2, y: bbox.y + bbox.height / 2 };
+		const anchorOffset = this.rotateVector({ x: -dx * bbox.width / 2, y: -dy * bbox.height / 2 }, angle);
+		const newAnchorOffset = this.rotateVector({ x: -dx * width / 2, y: -dy * height / 2 }, angle);
+
+		const newCenter = {
+			x: center.x + anchorOffset.x - newAnchorOffset.x,
+			y: center.y + anchorOffset.y - newAnchorOffset.y
+		};
+
+		return {
+			position: {
+				x: Math.round(newCenter.x - width / 2),
+				y: Math.round(newCenter.y - height / 2)
+			},
+			size: { width, height }
+		};
+	}
+
+	/**
+	 * Computes the rotation angle from the pointer position around the element center
+	 */
+	computeRotation(point, snap) {
+		const { bbox } = this.drag;
+		const center = { x: bbox.x + bbox.width / 2, y: bbox.y + bbox.height / 2 };
+
+		// The handle sits above the element, so pointing straight up means 0°
+		const angle = Math.atan2(point.y - center.y, point.x - center.x) * 180 / Math.PI + 90;
+		const step = snap ? ROTATION_SNAP_ANGLE : 1;
+
+		return ((Math.round(angle / step) * step) % 360 + 360) % 360;
+	}
+
+	/**
+	 * Rotates a vector clockwise by the given angle in degrees (SVG orientation)
+	 */
+	rotateVector(vector, angle) {
+		const radians = angle * Math.PI / 180;
+		const cos = Math.cos(radians);
+		const sin = Math.sin(radians);
+
+		return {
+			x: vector.x * cos - vector.y * sin,
+			y: vector.x * sin + vector.y * cos
+		};
+	}
+
+	/**
+	 * Converts a pointer event to paper local coordinates
+	 */
+	getLocalPoint(event) {
+		return this.paperService.paper.clientToLocalPoint(event.clientX, event.clientY);
+	}
+
+	/**
+	 * Adds CSS styles for the handles
+	 */
+	addHandleStyles() {
+		const styleId = 'element-handles-styles';
+		if (document.getElementById(styleId)) return;
+
+		const style = document.createElement('style');
+		style.id = styleId;
+		style.textContent = `
+			.element-handles-container {
+				position: absolute;
+				top: 0;
+				left: 0;
+				width: 100%;
+				height: 100%;
+				pointer-events: none;
+				overflow: hidden;
+				z-index: 900;
+			}
+
+			.element-handles-frame {
+				position: absolute;
+				display: none;
+				box-sizing: border-box;
+				border: 1px dashed #31d0c6;
+				transform-origin: 50% 50%;
+			}
+
+			.element-handle {
+				position: absolute;
+				width: 8px;
+				height: 8px;
+				margin: -5px 0 0 -5px;
+				background: #ffffff;
+				border: 1px solid #31d0c6;
+				pointer-events: auto;
+			}
+
+			.element-handles-container.dragging .element-handle {
+				opacity: 0.6;
+			}
+
+			.handle-nw { left: 0; top: 0; cursor: nwse-resize; }
+			.handle-n { left: 50%; top: 0; cursor: ns-resize; }
+			.handle-ne { left: 100%; top: 0; cursor: nesw-resize; }
+			.handle-e { left: 100%; top: 50%; cursor: ew-resize; }
+			.handle-se { left: 100%; top: 100%; cursor: nwse-resize; }
+			.handle-s { left: 50%; top: 100%; cursor: ns-resize; }
+			.handle-sw { left: 0; top: 100%; cursor: nesw-resize; }
+			.handle-w { left: 0; top: 50%; cursor: ew-resize; }
+
+			.element-handle.rotate-handle {
+				left: 50%;
+				top: -24px;
+				border-radius: 50%;
+				cursor: grab;
+			}
+
+			.element-handle-rotate-stem {
+				position: absolute;
+				left: 50%;
+				top: -20px;
+				height: 20px;
+				border-left: 1px solid #31d0c6;
+			}
+		`;
+
+		document.head.appendChild(style);
+	}
+
+	/**
+	 * Destroys the handles overlay
+	 */
+	destroy() {
+		this.cancelDrag();
+
+		if (this.paperService.paper) {
+			this.paperService.paper.off('scale translate resize', this.update);
+		}
+
+		if (this.containerElement && this.containerElement.parentNode) {
+			this.containerElement.parentNode.removeChild(this.containerElement);
+		}
+
+		const styleElement = document.getElementById('element-handles-styles');
+		if (styleElement && styleElement.parentNode) {
+			styleElement.parentNode.removeChild(styleElement);
+		}
+
+		this.containerElement = null;
+		this.frameElement = null;
+		this.element = null;
+		this.initialized = false;
+	}
+}
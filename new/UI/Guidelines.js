@@ -4,9 +4,10 @@ import { UI_EVENTS, PAPER_EVENTS } from '../Events/EventTypes.js';
  * Guidelines - Visual alignment and snapping system for precise element positioning
  */
 export class Guidelines {
-	constructor(eventBus, stateStore) {
+	constructor(eventBus, stateStore, layerService) {
 		this.eventBus = eventBus;
 		this.stateStore = stateStore;
+		this.layerService = layerService;
 		this.paperElement = null;
 		this.guidelinesContainer = null;
 		this.initialized = false;
@@ -241,6 +242,7 @@ export class Guidelines {
 		
 		allElements.forEach(element => {
 			if (element === this.draggedElement) return;
+			if (this.layerService.isCellLocked(element) || !this.layerService.isCellVisible(element)) return;
 
 			const bounds = element.getBBox();
 			const snapData = {
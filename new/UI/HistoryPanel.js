@@ -0,0 +1,465 @@
+import { UI_EVENTS } from '../Events/EventTypes.js';
+
+/**
+ * Events after which the history list may be out of date
+ */
+const REFRESH_EVENTS = [
+	'command:executed',
+	'command:undone',
+	'command:redone',
+	'command:batch-completed',
+	'command:history-cleared',
+	'command:history-restored'
+];
+
+/**
+ * Icons of history entries by command class
+ */
+const COMMAND_ICONS = {
+	AddElementCommand: '➕',
+	AddMultipleElementsCommand: '➕',
+	AddCellsCommand: '📋',
+	AddCalloutsCommand: '💬',
+	DeleteElementCommand: '🗑',
+	DeleteMultipleCommand: '🗑',
+	ConnectCommand: '🔗',
+	ConnectMultipleCommand: '🔗',
+	DisconnectCommand: '✂️',
+	MoveCommand: '✥',
+	MoveMultipleCommand: '✥',
+	BatchMoveCommand: '✥',
+	AlignCommand: '⇹',
+	ResizeCommand: '⤡',
+	RotateCommand: '⟳',
+	EditLabelCommand: '✏️',
+	EditLinkCommand: '〰️',
+	ChangeRoutingCommand: '🔀',
+	ChangePropertiesCommand: '☰',
+	ChangeLayersCommand: '🗂',
+	BatchCommand: '📦',
+	CompositeCommand: '📦'
+};
+
+const DEFAULT_ICON = '•';
+
+/**
+ * HistoryPanel - List of undoable and redoable commands
+ *
+ * Past commands are listed above the current position and future ones below it.
+ * Clicking an entry undoes or redoes to exactly that point; the "Initial state" row
+ * undoes everything. Batches are shown as collapsible groups of their commands.
+ */
+export class HistoryPanel {
+	constructor(eventBus, stateStore, commandManager) {
+		this.eventBus = eventBus;
+		this.stateStore = stateStore;
+		this.commandManager = commandManager;
+		this.panelElement = null;
+		this.listElement = null;
+		this.expanded = new Set();
+		this.frameRequest = null;
+		this.initialized = false;
+
+		this.scheduleRender = this.scheduleRender.bind(this);
+		this.render = this.render.bind(this);
+
+		this.bindEventHandlers();
+	}
+
+	/**
+	 * Initializes the history panel
+	 */
+	init() {
+		if (this.initialized) {
+			console.warn('HistoryPanel: Already initialized');
+			return;
+		}
+
+		this.createPanelElement();
+		this.addPanelStyles();
+
+		this.initialized = true;
+		this.setVisible(Boolean(this.stateStore.get('ui.panels.history.visible')));
+	}
+
+	/**
+	 * Binds component to history and visibility changes
+	 */
+	bindEventHandlers() {
+		REFRESH_EVENTS.forEach(eventType => {
+			this.eventBus.on(eventType, this.scheduleRender);
+		});
+
+		this.eventBus.on('state:ui.panels.history.visible:changed', (event) => {
+			this.setVisible(event.data.newValue);
+		});
+	}
+
+	/**
+	 * Creates the panel with its header and entry list
+	 */
+	createPanelElement() {
+		this.panelElement = document.createElement('div');
+		this.panelElement.id = 'editor-history';
+		this.panelElement.className = 'editor-history';
+
+		const container = document.querySelector('#history-container');
+		if (!container) {
+			this.panelElement.classList.add('floating');
+		}
+
+		const header = document.createElement('div');
+		header.className = 'history-header';
+		header.textContent = 'History';
+
+		const closeButton = document.createElement('button');
+		closeButton.className = 'history-close';
+		closeButton.textContent = '×';
+		closeButton.title = 'Close';
+		closeButton.addEventListener('click', () => {
+			this.stateStore.set('ui.panels.history.visible', false);
+		});
+		header.appendChild(closeButton);
+
+		this.listElement = document.createElement('div');
+		this.listElement.className = 'history-list';
+
+		this.panelElement.appendChild(header);
+		this.panelElement.appendChild(this.listElement);
+
+		(container || document.body).appendChild(this.panelElement);
+	}
+
+	/**
+	 * Adds CSS styles for the history panel
+	 */
+	addPanelStyles() {
+		const styleId = 'history-panel-styles';
+		if (document.getElementById(styleId)) return;
+
+		const style = document.createElement('style');
+		style.id = styleId;
+		style.textContent = `
+			.editor-history {
+				width: 240px;
+				background: #ffffff;
+				border: 1px solid #d0d4dc;
+				border-radius: 4px;
+				font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+				font-size: 12px;
+				color: #333;
+				user-select: none;
+			}
+
+			.editor-history.floating {
+				position: fixed;
+				left: 232px;
+				bottom: 16px;
+				max-height: 40vh;
+				overflow-y: auto;
+				z-index: 900;
+				box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+			}
+
+			.editor-history.hidden {
+				display: none;
+			}
+
+			.history-header {
+				display: flex;
+				justify-content: space-between;
+				align-items: center;
+				padding: 6px 8px;
+				border-bottom: 1px solid #e0e3e8;
+				font-weight: 600;
+			}
+
+			.editor-history button {
+				border: none;
+				background: none;
+				padding: 0 3px;
+				cursor: pointer;
+				font-size: 13px;
+				color: #555;
+			}
+
+			.history-entry {
+				display: flex;
+				align-items: center;
+				gap: 4px;
+				padding: 3px 6px;
+				cursor: pointer;
+			}
+
+			.history-entry:hover {
+				background: #f5f6f8;
+			}
+
+			.history-entry.current {
+				background: #e6f0fc;
+				font-weight: 600;
+			}
+
+			.history-entry.future {
+				color: #aaa;
+			}
+
+			.history-toggle {
+				width: 14px;
+				flex: none;
+			}
+
+			.history-icon {
+				width: 18px;
+				flex: none;
+				text-align: center;
+			}
+
+			.history-description {
+				flex: 1;
+				overflow: hidden;
+				text-overflow: ellipsis;
+				white-space: nowrap;
+			}
+
+			.history-time {
+				flex: none;
+				color: #999;
+				font-size: 11px;
+				font-weight: normal;
+			}
+
+			.history-children {
+				margin: 0;
+				padding: 0 0 2px 36px;
+				list-style: none;
+			}
+
+			.history-children.future {
+				color: #aaa;
+			}
+
+			.history-child {
+				display: flex;
+				gap: 4px;
+				padding: 1px 4px;
+				overflow: hidden;
+				white-space: nowrap;
+			}
+		`;
+
+		document.head.appendChild(style);
+	}
+
+	/**
+	 * Shows or hides the panel
+	 */
+	setVisible(visible) {
+		if (!this.panelElement) return;
+
+		this.panelElement.classList.toggle('hidden', !visible);
+
+		if (visible) {
+			this.render();
+			this.eventBus.emit(UI_EVENTS.PANEL_OPENED, { panel: 'history' });
+		} else {
+			this.eventBus.emit(UI_EVENTS.PANEL_CLOSED, { panel: 'history' });
+		}
+	}
+
+	/**
+	 * Checks whether the panel is shown
+	 */
+	isVisible() {
+		return Boolean(this.panelElement) && !this.panelElement.classList.contains('hidden');
+	}
+
+	/**
+	 * Queues a render for the next frame
+	 */
+	scheduleRender() {
+		if (!this.initialized || !this.isVisible() || this.frameRequest !== null) return;
+
+		this.frameRequest = requestAnimationFrame(this.render);
+	}
+
+	/**
+	 * Renders the initial state row followed by every history entry
+	 */
+	render() {
+		if (this.frameRequest !== null) {
+			cancelAnimationFrame(this.frameRequest);
+			this.frameRequest = null;
+		}
+
+		if (!this.initialized || !this.isVisible()) return;
+
+		const entries = this.commandManager.getHistory(Infinity);
+		const currentIndex = this.commandManager.currentIndex;
+
+		this.listElement.innerHTML = '';
+		this.listElement.appendChild(this.createEntryRow({
+			index: -1,
+			type: null,
+			description: 'Initial state',
+			timestamp: null,
+			commands: null
+		}, currentIndex));
+
+		entries.forEach(entry => {
+			this.listElement.appendChild(this.createEntryRow(entry, currentIndex));
+
+			if (entry.commands && this.expanded.has(this.getEntryKey(entry))) {
+				this.listElement.appendChild(this.createChildList(entry, currentIndex));
+			}
+		});
+
+		const current = this.listElement.querySelector('.history-entry.current');
+		if (current && current.scrollIntoView) {
+			current.scrollIntoView({ block: 'nearest' });
+		}
+	}
+
+	/**
+	 * Creates the row of a history entry
+	 */
+	createEntryRow(entry, currentIndex) {
+		const row = document.createElement('div');
+		row.className = 'history-entry';
+		row.dataset.index = entry.index;
+		row.classList.toggle('current', entry.index === currentIndex);
+		row.classList.toggle('future', entry.index > currentIndex);
+		row.title = entry.index > currentIndex ? 'Redo to here' : 'Undo to here';
+		row.addEventListener('click', () => this.jumpTo(entry.index));
+
+		const toggle = document.createElement('button');
+		toggle.className = 'history-toggle';
+		if (entry.commands && entry.commands.length > 0) {
+			const key = this.getEntryKey(entry);
+			const expanded = this.expanded.has(key);
+			toggle.textContent = expanded ? '▾' : '▸';
+			toggle.title = expanded ? 'Collapse' : 'Expand';
+			toggle.addEventListener('click', (event) => {
+				event.stopPropagation();
+				this.toggleGroup(key);
+			});
+		}
+		row.appendChild(toggle);
+
+		const icon = document.createElement('span');
+		icon.className = 'history-icon';
+		icon.textContent = entry.index === -1 ? '⌂' : this.getIcon(entry.type);
+		row.appendChild(icon);
+
+		const description = document.createElement('span');
+		description.className = 'history-description';
+		description.textContent = entry.description;
+		row.appendChild(description);
+
+		if (entry.timestamp) {
+			const time = document.createElement('span');
+			time.className = 'history-time';
+			time.textContent = new Date(entry.timestamp).toLocaleTimeString();
+			row.appendChild(time);
+		}
+
+		return row;
+	}
+
+	/**
+	 * Creates the list of commands inside an expanded batch
+	 */
+	createChildList(entry, currentIndex) {
+		const list = document.createElement('ul');
+		list.className = 'history-children';
+		list.classList.toggle('future', entry.index > currentIndex);
+
+		entry.commands.forEach(command => {
+			const item = document.createElement('li');
+			item.className = 'history-child';
+
+			const icon = document.createElement('span');
+			icon.className = 'history-icon';
+			icon.textContent = this.getIcon(command.type);
+
+			const description = document.createElement('span');
+			description.className = 'history-description';
+			description.textContent = command.description;
+
+			item.appendChild(icon);
+			item.appendChild(description);
+			list.appendChild(item);
+		});
+
+		return list;
+	}
+
+	/**
+	 * Gets the icon of a command class
+	 */
+	getIcon(type) {
+		return COMMAND_ICONS[type] || DEFAULT_ICON;
+	}
+
+	/**
+	 * Gets a key that identifies a batch across renders
+	 */
+	getEntryKey(entry) {
+		return `${entry.index}:${entry.timestamp}`;
+	}
+
+	/**
+	 * Expands or collapses a batch group
+	 */
+	toggleGroup(key) {
+		if (this.expanded.has(key)) {
+			this.expanded.delete(key);
+		} else {
+			this.expanded.add(key);
+		}
+		this.render();
+	}
+
+	/**
+	 * Undoes or redoes to the given history entry
+	 */
+	jumpTo(index) {
+		if (index === this.commandManager.currentIndex) return;
+
+		if (!this.commandManager.jumpTo(index)) {
+			console.warn(`HistoryPanel: Could not restore history entry ${index}`);
+		}
+
+		this.render();
+	}
+
+	/**
+	 * Gets panel statistics
+	 */
+	getStats() {
+		return {
+			initialized: this.initialized,
+			visible: this.isVisible(),
+			expandedGroups: this.expanded.size
+		};
+	}
+
+	/**
+	 * Destroys the panel
+	 */
+	destroy() {
+		if (this.frameRequest !== null) {
+			cancelAnimationFrame(this.frameRequest);
+			this.frameRequest = null;
+		}
+
+		if (this.panelElement && this.panelElement.parentNode) {
+			this.panelElement.parentNode.removeChild(this.panelElement);
+		}
+
+		this.panelElement = null;
+		this.listElement = null;
+		this.expanded.clear();
+		this.initialized = false;
+	}
+}
@@ -0,0 +1,496 @@
+import { LABEL_EVENTS, PAPER_EVENTS, ELEMENT_EVENTS, LINK_EVENTS } from '../Events/EventTypes.js';
+import { LABEL_STYLE_PROPERTIES } from '../Commands/EditLabelCommand.js';
+
+const DEFAULT_LABEL_STYLE = {
+	fontSize: 14,
+	fontFamily: 'sans-serif',
+	fontWeight: 'normal',
+	fontStyle: 'normal',
+	fill: '#333333'
+};
+
+const FONT_SIZES = [10, 12, 14, 16, 18, 24, 32];
+const FONT_FAMILIES = ['sans-serif', 'serif', 'monospace'];
+
+/**
+ * LabelEditor - In-place editor for element and link labels
+ *
+ * Double-click an element to edit its label, a link label to edit that label, or a link
+ * path to add a label at that point. Enter applies, Shift+Enter adds a line, Escape cancels.
+ * Changes are emitted as LABEL_EVENTS.CHANGE and recorded as undoable commands.
+ */
+export class LabelEditor {
+	constructor(eventBus, stateStore, paperService) {
+		this.eventBus = eventBus;
+		this.stateStore = stateStore;
+		this.paperService = paperService;
+		this.session = null;
+		this.initialized = false;
+
+		this.handleOutsidePointerDown = this.handleOutsidePointerDown.bind(this);
+
+		this.bindEventHandlers();
+	}
+
+	/**
+	 * Initializes the label editor
+	 */
+	init() {
+		if (this.initialized) {
+			console.warn('LabelEditor: Already initialized');
+			return;
+		}
+
+		this.addEditorStyles();
+		this.initialized = true;
+	}
+
+	/**
+	 * Binds editor to paper and label events
+	 */
+	bindEventHandlers() {
+		this.eventBus.on(PAPER_EVENTS.ELEMENT_DBLCLICK, (event) => {
+			this.startEditing(event.data.element);
+		});
+
+		this.eventBus.on(PAPER_EVENTS.LINK_DBLCLICK, (event) => {
+			this.handleLinkDoubleClick(event.data);
+		});
+
+		this.eventBus.on(LABEL_EVENTS.EDIT, (event) => {
+			const { cell, labelIndex = null, position = null } = event.data;
+			this.startEditing(cell, { labelIndex, position });
+		});
+
+		const cancelForRemovedCell = (cell) => {
+			if (this.session && this.session.cell === cell) {
+				this.cancelEditing();
+			}
+		};
+
+		this.eventBus.on(ELEMENT_EVENTS.REMOVED, (event) => cancelForRemovedCell(event.data.element));
+		this.eventBus.on(LINK_EVENTS.REMOVED, (event) => cancelForRemovedCell(event.data.link));
+
+		this.eventBus.on('state:app.readOnly:changed', (event) => {
+			if (event.data.newValue && this.session) {
+				this.cancelEditing();
+			}
+		});
+	}
+
+	/**
+	 * Edits the double-clicked link label, or adds a label where the path was clicked
+	 */
+	handleLinkDoubleClick({ link, linkView, coordinates, originalEvent }) {
+		const labelNode = originalEvent && originalEvent.target && originalEvent.target.closest
+			? originalEvent.target.closest('[label-idx]')
+			: null;
+
+		if (labelNode) {
+			const labelIndex = Number(labelNode.getAttribute('label-idx'));
+			if (!this.isEditableLinkLabel(link.label(labelIndex))) return;
+
+			this.startEditing(link, { labelIndex });
+			return;
+		}
+
+		const length = linkView.getConnectionLength();
+		const distance = length > 0 ? linkView.getClosestPointLength(coordinates) / length : 0.5;
+
+		this.startEditing(link, {
+			position: { distance: Math.round(distance * 1000) / 1000, offset: 0 }
+		});
+	}
+
+	/**
+	 * Checks whether a link label is a plain text label (callouts have their own editor)
+	 */
+	isEditableLinkLabel(label) {
+		return Boolean(label) && !(label.attrs && label.attrs.calloutText);
+	}
+
+	/**
+	 * Opens the editor for a cell label; labels are not editable in read-only mode
+	 */
+	startEditing(cell, { labelIndex = null, position = null } = {}) {
+		if (!this.initialized || !cell || !cell.graph || this.stateStore.get('app.readOnly')) return;
+
+		if (this.session) {
+			this.finishEditing();
+		}
+
+		const textAttrs = this.getTextAttrs(cell, labelIndex);
+		const style = { ...DEFAULT_LABEL_STYLE };
+		LABEL_STYLE_PROPERTIES.forEach(property => {
+			if (textAttrs[property] !== undefined) {
+				style[property] = textAttrs[property];
+			}
+		});
+
+		const text = textAttrs.text || '';
+		const editorElement = this.createEditorElement(text, style);
+
+		this.session = {
+			cell,
+			labelIndex,
+			position,
+			originalText: text,
+			originalStyle: { ...style },
+			style,
+			editorElement,
+			textarea: editorElement.querySelector('textarea')
+		};
+
+		this.paperService.paperElement.appendChild(editorElement);
+		this.positionEditor();
+		this.applyPreviewStyle();
+
+		this.session.textarea.focus();
+		this.session.textarea.select();
+
+		// Registered after the current double click has finished propagating
+		setTimeout(() => document.addEventListener('pointerdown', this.handleOutsidePointerDown, true), 0);
+
+		this.eventBus.emit(LABEL_EVENTS.EDITING_STARTED, { cell, labelIndex });
+	}
+
+	/**
+	 * Gets text attributes of the edited label
+	 */
+	getTextAttrs(cell, labelIndex) {
+		if (cell.isLink()) {
+			const label = labelIndex === null ? null : cell.label(labelIndex);
+			return (label && label.attrs && label.attrs.text) || {};
+		}
+
+		return cell.attr('label') || {};
+	}
+
+	/**
+	 * Creates the editor with its font controls
+	 */
+	createEditorElement(text, style) {
+		const editorElement = document.createElement('div');
+		editorElement.className = 'label-editor';
+		editorElement.setAttribute('data-export-ignore', '');
+
+		const controls = document.createElement('div');
+		controls.className = 'label-editor-controls';
+
+		controls.append(
+			this.createSelect('fontSize', FONT_SIZES, style.fontSize, value => Number(value)),
+			this.createSelect('fontFamily', FONT_FAMILIES, style.fontFamily),
+			this.createToggle('fontWeight', 'B', 'bold', style.fontWeight),
+			this.createToggle('fontStyle', 'I', 'italic', style.fontStyle),
+			this.createColorInput(style.fill)
+		);
+
+		const textarea = document.createElement('textarea');
+		textarea.className = 'label-editor-text';
+		textarea.value = text;
+		textarea.rows = Math.max(1, text.split('\n').length);
+
+		textarea.addEventListener('keydown', (event) => {
+			if (event.key === 'Enter' && !event.shiftKey) {
+				event.preventDefault();
+				this.finishEditing();
+			} else if (event.key === 'Escape') {
+				event.preventDefault();
+				this.cancelEditing();
+			}
+		});
+
+		// Keep editor keystrokes away from global shortcuts
+		editorElement.addEventListener('keydown', (event) => event.stopPropagation());
+
+		editorElement.append(controls, textarea);
+		return editorElement;
+	}
+
+	/**
+	 * Creates a select control for a style property
+	 */
+	createSelect(property, options, currentValue, parse = value => value) {
+		const select = document.createElement('select');
+		select.className = `label-editor-${property}`;
+		select.title = property === 'fontSize' ? 'Font size' : 'Font family';
+
+		const values = options.includes(currentValue) ? options : [currentValue, ...options];
+		values.forEach(value => {
+			const option = document.createElement('option');
+			option.value = value;
+			option.textContent = value;
+			option.selected = value === currentValue;
+			select.appendChild(option);
+		});
+
+		select.addEventListener('change', () => this.setStyle(property, parse(select.value)));
+		return select;
+	}
+
+	/**
+	 * Creates a toggle button for bold or italic
+	 */
+	createToggle(property, label, activeValue, currentValue) {
+		const button = document.createElement('button');
+		button.type = 'button';
+		button.className = `label-editor-toggle label-editor-${property}`;
+		button.textContent = label;
+		button.classList.toggle('active', currentValue === activeValue);
+
+		// Keep focus in the textarea
+		button.addEventListener('mousedown', (event) => event.preventDefault());
+		button.addEventListener('click', () => {
+			const active = !button.classList.contains('active');
+			button.classList.toggle('active', active);
+			this.setStyle(property, active ? activeValue : 'normal');
+		});
+
+		return button;
+	}
+
+	/**
+	 * Creates the text color input
+	 */
+	createColorInput(currentValue) {
+		const input = document.createElement('input');
+		input.type = 'color';
+		input.className = 'label-editor-fill';
+		input.title = 'Text color';
+		input.value = /^#[0-9a-f]{6}$/i.test(currentValue) ? currentValue : DEFAULT_LABEL_STYLE.fill;
+
+		input.addEventListener('input', () => this.setStyle('fill', input.value));
+		return input;
+	}
+
+	/**
+	 * Updates a style property of the current session
+	 */
+	setStyle(property, value) {
+		if (!this.session) return;
+
+		this.session.style[property] = value;
+		this.applyPreviewStyle();
+		this.session.textarea.focus();
+	}
+
+	/**
+	 * Shows the current style in the textarea, scaled with the paper zoom
+	 */
+	applyPreviewStyle() {
+		const { textarea, style } = this.session;
+		const scale = this.paperService.paper.scale().sx;
+
+		Object.assign(textarea.style, {
+			fontSize: `${style.fontSize * scale}px`,
+			fontFamily: style.fontFamily,
+			fontWeight: style.fontWeight,
+			fontStyle: style.fontStyle,
+			color: style.fill
+		});
+	}
+
+	/**
+	 * Places the editor over the element or at the link label position
+	 */
+	positionEditor() {
+		const { cell, labelIndex, position, editorElement, textarea } = this.session;
+		const paper = this.paperService.paper;
+		const scale = paper.scale().sx;
+
+		let center;
+		let width;
+		let height;
+
+		if (cell.isLink()) {
+			const linkView = paper.findViewByModel(cell);
+			const labelPosition = labelIndex === null ? position : cell.label(labelIndex).position;
+			center = paper.localToPaperPoint(linkView.getLabelCoordinates(labelPosition || { distance: 0.5 }));
+			width = 160;
+			height = 40;
+		} else {
+			const bbox = cell.getBBox();
+			center = paper.localToPaperPoint(bbox.center());
+			width = Math.max(80, bbox.width * scale);
+			height = Math.max(28, bbox.height * scale);
+		}
+
+		textarea.style.width = `${width}px`;
+		textarea.style.height = `${height}px`;
+
+		Object.assign(editorElement.style, {
+			left: `${center.x - width / 2}px`,
+			top: `${center.y - height / 2}px`
+		});
+	}
+
+	/**
+	 * Finishes editing when clicking outside the editor
+	 */
+	handleOutsidePointerDown(event) {
+		if (this.session && !this.session.editorElement.contains(event.target)) {
+			this.finishEditing();
+		}
+	}
+
+	/**
+	 * Applies the edited text and style
+	 */
+	finishEditing() {
+		if (!this.session) return;
+
+		const session = this.session;
+		const text = session.textarea.value.replace(/\s+$/, '');
+		const changedStyle = {};
+
+		LABEL_STYLE_PROPERTIES.forEach(property => {
+			if (session.style[property] !== session.originalStyle[property]) {
+				changedStyle[property] = session.style[property];
+			}
+		});
+
+		this.closeEditor();
+
+		const textChanged = text !== session.originalText;
+		const styleChanged = Object.keys(changedStyle).length > 0;
+		const isNewLinkLabel = session.cell.isLink() && session.labelIndex === null;
+
+		// A new link label without text has nothing to add
+		const hasChanges = isNewLinkLabel ? text.trim() !== '' : textChanged || styleChanged;
+
+		if (hasChanges) {
+			this.eventBus.emit(LABEL_EVENTS.CHANGE, {
+				cell: session.cell,
+				text,
+				// A new link label gets the full style so it renders as previewed
+				style: isNewLinkLabel ? { ...session.style } : changedStyle,
+				labelIndex: session.labelIndex,
+				position: session.position
+			});
+		}
+
+		this.eventBus.emit(LABEL_EVENTS.EDITING_FINISHED, {
+			cell: session.cell,
+			labelIndex: session.labelIndex,
+			changed: hasChanges
+		});
+	}
+
+	/**
+	 * Closes the editor without applying changes
+	 */
+	cancelEditing() {
+		if (!this.session) return;
+
+		const { cell, labelIndex } = this.session;
+		this.closeEditor();
+
+		this.eventBus.emit(LABEL_EVENTS.EDITING_CANCELLED, { cell, labelIndex });
+	}
+
+	/**
+	 * Removes the editor element and ends the session
+	 */
+	closeEditor() {
+		document.removeEventListener('pointerdown', this.handleOutsidePointerDown, true);
+
+		const { editorElement } = this.session;
+		if (editorElement.parentNode) {
+			editorElement.parentNode.removeChild(editorElement);
+		}
+
+		this.session = null;
+	}
+
+	/**
+	 * Checks whether a label is being edited
+	 */
+	isEditing() {
+		return this.session !== null;
+	}
+
+	/**
+	 * Adds CSS styles for the editor
+	 */
+	addEditorStyles() {
+		const styleId = 'label-editor-styles';
+		if (document.getElementById(styleId)) return;
+
+		const style = document.createElement('style');
+		style.id = styleId;
+		style.textContent = `
+			.label-editor {
+				position: absolute;
+				z-index: 1050;
+			}
+
+			.label-editor-controls {
+				position: absolute;
+				bottom: 100%;
+				left: 0;
+				display: flex;
+				gap: 4px;
+				margin-bottom: 4px;
+				padding: 4px;
+				background: #ffffff;
+				border: 1px solid #dee2e6;
+				border-radius: 4px;
+				box-shadow: 0 2px 6px rgba(0, 0, 0, 0.15);
+				white-space: nowrap;
+			}
+
+			.label-editor-controls select,
+			.label-editor-controls input,
+			.label-editor-toggle {
+				height: 24px;
+				font-size: 12px;
+			}
+
+			.label-editor-toggle {
+				min-width: 24px;
+				border: 1px solid #dee2e6;
+				border-radius: 3px;
+				background: #ffffff;
+				cursor: pointer;
+			}
+
+			.label-editor-toggle.active {
+				background: #e7f1ff;
+				border-color: #007bff;
+			}
+
+			.label-editor-fontWeight { font-weight: bold; }
+			.label-editor-fontStyle { font-style: italic; }
+
+			.label-editor-text {
+				box-sizing: border-box;
+				padding: 4px;
+				border: 2px solid #31d0c6;
+				border-radius: 3px;
+				background: rgba(255, 255, 255, 0.95);
+				text-align: center;
+				resize: none;
+				outline: none;
+				overflow: hidden;
+			}
+		`;
+
+		document.head.appendChild(style);
+	}
+
+	/**
+	 * Destroys the label editor
+	 */
+	destroy() {
+		if (this.session) {
+			this.cancelEditing();
+		}
+
+		const styleElement = document.getElementById('label-editor-styles');
+		if (styleElement && styleElement.parentNode) {
+			styleElement.parentNode.removeChild(styleElement);
+		}
+
+		this.initialized = false;
+	}
+}
@@ -0,0 +1,506 @@
+import { UI_EVENTS, LAYER_EVENTS } from '../Events/EventTypes.js';
+
+/**
+ * Events after which the layer tree may be out of date
+ */
+const REFRESH_EVENTS = [
+	LAYER_EVENTS.CHANGED,
+	LAYER_EVENTS.ACTIVE_CHANGED,
+	'command:executed',
+	'command:undone',
+	'command:redone'
+];
+
+/**
+ * Graph events that change the cells listed in the tree
+ */
+const GRAPH_CHANGE_EVENTS = 'add remove reset change:layer change:z change:attrs';
+
+/**
+ * LayersPanel - Tree of layers and their cells
+ *
+ * Layers are listed from top to bottom with their cells in drawing order. Layer changes
+ * and z-order changes are emitted as LAYER_EVENTS and applied as undoable commands by
+ * EventHandlers; only the active layer is switched directly.
+ */
+export class LayersPanel {
+	constructor(eventBus, stateStore, layerService, graphService, selectionService) {
+		this.eventBus = eventBus;
+		this.stateStore = stateStore;
+		this.layerService = layerService;
+		this.graphService = graphService;
+		this.selectionService = selectionService;
+		this.panelElement = null;
+		this.treeElement = null;
+		this.expanded = new Set();
+		this.frameRequest = null;
+		this.initialized = false;
+
+		this.scheduleRender = this.scheduleRender.bind(this);
+		this.render = this.render.bind(this);
+
+		this.bindEventHandlers();
+	}
+
+	/**
+	 * Initializes the layers panel
+	 */
+	init() {
+		if (this.initialized) {
+			console.warn('LayersPanel: Already initialized');
+			return;
+		}
+
+		this.createPanelElement();
+		this.addPanelStyles();
+
+		this.graphService.graph.on(GRAPH_CHANGE_EVENTS, this.scheduleRender);
+
+		this.initialized = true;
+		this.setVisible(Boolean(this.stateStore.get('ui.panels.layers.visible')));
+	}
+
+	/**
+	 * Binds component to layer, selection and visibility changes
+	 */
+	bindEventHandlers() {
+		REFRESH_EVENTS.forEach(eventType => {
+			this.eventBus.on(eventType, this.scheduleRender);
+		});
+
+		this.eventBus.onPattern('selection:*', this.scheduleRender);
+
+		this.eventBus.on('state:ui.panels.layers.visible:changed', (event) => {
+			this.setVisible(event.data.newValue);
+		});
+	}
+
+	/**
+	 * Creates the panel with its header, action bar and tree
+	 */
+	createPanelElement() {
+		this.panelElement = document.createElement('div');
+		this.panelElement.id = 'editor-layers';
+		this.panelElement.className = 'editor-layers';
+
+		const container = document.querySelector('#layers-container');
+		if (!container) {
+			this.panelElement.classList.add('floating');
+		}
+
+		const header = document.createElement('div');
+		header.className = 'layers-header';
+		header.textContent = 'Layers';
+
+		const closeButton = this.createButton('×', 'Close', () => {
+			this.stateStore.set('ui.panels.layers.visible', false);
+		});
+		closeButton.classList.add('layers-close');
+		header.appendChild(closeButton);
+
+		const actions = document.createElement('div');
+		actions.className = 'layers-actions';
+		actions.appendChild(this.createButton('+', 'Add Layer', () => this.changeLayers('add')));
+		actions.appendChild(this.createButton('⇈', 'Bring to Front', () => this.eventBus.emit(LAYER_EVENTS.BRING_TO_FRONT, {})));
+		actions.appendChild(this.createButton('⇊', 'Send to Back', () => this.eventBus.emit(LAYER_EVENTS.SEND_TO_BACK, {})));
+		actions.appendChild(this.createButton('⇥', 'Move Selection to Active Layer', () => this.moveSelectionToActiveLayer()));
+
+		this.treeElement = document.createElement('div');
+		this.treeElement.className = 'layers-tree';
+
+		this.panelElement.appendChild(header);
+		this.panelElement.appendChild(actions);
+		this.panelElement.appendChild(this.treeElement);
+
+		// Keyboard shortcuts of the editor must not fire while renaming a layer
+		this.panelElement.addEventListener('keydown', (event) => event.stopPropagation());
+
+		(container || document.body).appendChild(this.panelElement);
+	}
+
+	/**
+	 * Adds CSS styles for the layers panel
+	 */
+	addPanelStyles() {
+		const styleId = 'layers-panel-styles';
+		if (document.getElementById(styleId)) return;
+
+		const style = document.createElement('style');
+		style.id = styleId;
+		style.textContent = `
+			.editor-layers {
+				width: 240px;
+				background: #ffffff;
+				border: 1px solid #d0d4dc;
+				border-radius: 4px;
+				font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+				font-size: 12px;
+				color: #333;
+				user-select: none;
+			}
+
+			.editor-layers.floating {
+				position: fixed;
+				top: 72px;
+				left: 232px;
+				max-height: calc(100vh - 120px);
+				overflow-y: auto;
+				z-index: 900;
+				box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+			}
+
+			.editor-layers.hidden {
+				display: none;
+			}
+
+			.layers-header {
+				display: flex;
+				justify-content: space-between;
+				align-items: center;
+				padding: 6px 8px;
+				border-bottom: 1px solid #e0e3e8;
+				font-weight: 600;
+			}
+
+			.layers-actions {
+				display: flex;
+				gap: 4px;
+				padding: 4px 8px;
+				border-bottom: 1px solid #e0e3e8;
+			}
+
+			.editor-layers button {
+				border: none;
+				background: none;
+				padding: 0 3px;
+				cursor: pointer;
+				font-size: 13px;
+				color: #555;
+			}
+
+			.editor-layers button:hover {
+				color: #000;
+			}
+
+			.editor-layers button:disabled {
+				color: #ccc;
+				cursor: default;
+			}
+
+			.layer-row {
+				display: flex;
+				align-items: center;
+				gap: 2px;
+				padding: 3px 4px;
+				cursor: pointer;
+			}
+
+			.layer-row:hover {
+				background: #f5f6f8;
+			}
+
+			.layer-row.active {
+				background: #e6f0fc;
+			}
+
+			.layer-row.hidden-layer .layer-name {
+				color: #999;
+			}
+
+			.layer-name {
+				flex: 1;
+				overflow: hidden;
+				text-overflow: ellipsis;
+				white-space: nowrap;
+			}
+
+			.layer-name input {
+				width: 100%;
+				box-sizing: border-box;
+				font-size: 12px;
+			}
+
+			.layer-cells {
+				margin: 0;
+				padding: 0 0 2px 28px;
+				list-style: none;
+			}
+
+			.layer-cell {
+				padding: 1px 4px;
+				overflow: hidden;
+				text-overflow: ellipsis;
+				white-space: nowrap;
+				cursor: pointer;
+			}
+
+			.layer-cell:hover {
+				background: #f5f6f8;
+			}
+
+			.layer-cell.selected {
+				background: #4a90e2;
+				color: #fff;
+			}
+		`;
+
+		document.head.appendChild(style);
+	}
+
+	/**
+	 * Shows or hides the panel
+	 */
+	setVisible(visible) {
+		if (!this.panelElement) return;
+
+		this.panelElement.classList.toggle('hidden', !visible);
+
+		if (visible) {
+			this.render();
+			this.eventBus.emit(UI_EVENTS.PANEL_OPENED, { panel: 'layers' });
+		} else {
+			this.eventBus.emit(UI_EVENTS.PANEL_CLOSED, { panel: 'layers' });
+		}
+	}
+
+	/**
+	 * Checks whether the panel is shown
+	 */
+	isVisible() {
+		return Boolean(this.panelElement) && !this.panelElement.classList.contains('hidden');
+	}
+
+	/**
+	 * Queues a render for the next frame
+	 */
+	scheduleRender() {
+		if (!this.initialized || !this.isVisible() || this.frameRequest !== null) return;
+
+		this.frameRequest = requestAnimationFrame(this.render);
+	}
+
+	/**
+	 * Renders the layer tree, top layer first
+	 */
+	render() {
+		if (this.frameRequest !== null) {
+			cancelAnimationFrame(this.frameRequest);
+			this.frameRequest = null;
+		}
+
+		if (!this.initialized || !this.isVisible()) return;
+
+		// Keep an open rename field while other changes arrive
+		if (this.treeElement.querySelector('.layer-name input')) return;
+
+		const layers = this.layerService.getLayers();
+		const groups = this.layerService.getCellsByLayer();
+		const activeLayer = this.layerService.getActiveLayer();
+		const selection = new Set(this.stateStore.get('selection.elements') || []);
+
+		this.treeElement.innerHTML = '';
+
+		[...layers].reverse().forEach(layer => {
+			const index = layers.indexOf(layer);
+			const cells = groups.get(layer.id) || [];
+
+			this.treeElement.appendChild(this.createLayerRow(layer, index, layers.length, cells.length, layer === activeLayer));
+
+			if (this.expanded.has(layer.id) && cells.length > 0) {
+				this.treeElement.appendChild(this.createCellList([...cells].reverse(), selection));
+			}
+		});
+	}
+
+	/**
+	 * Creates the row of a layer with its toggles and buttons
+	 */
+	createLayerRow(layer, index, layerCount, cellCount, active) {
+		const row = document.createElement('div');
+		row.className = 'layer-row';
+		row.dataset.layerId = layer.id;
+		row.classList.toggle('active', active);
+		row.classList.toggle('hidden-layer', !layer.visible);
+		row.addEventListener('click', () => this.eventBus.emit(LAYER_EVENTS.SET_ACTIVE, { layerId: layer.id }));
+
+		const expanded = this.expanded.has(layer.id);
+		row.appendChild(this.createButton(expanded ? '▾' : '▸', expanded ? 'Collapse' : 'Expand', () => {
+			if (expanded) {
+				this.expanded.delete(layer.id);
+			} else {
+				this.expanded.add(layer.id);
+			}
+			this.render();
+		}));
+
+		row.appendChild(this.createButton(layer.visible ? '👁' : '◌', layer.visible ? 'Hide Layer' : 'Show Layer', () => {
+			this.changeLayers('set-visible', { layerId: layer.id, visible: !layer.visible });
+		}));
+
+		row.appendChild(this.createButton(layer.locked ? '🔒' : '🔓', layer.locked ? 'Unlock Layer' : 'Lock Layer', () => {
+			this.changeLayers('set-locked', { layerId: layer.id, locked: !layer.locked });
+		}));
+
+		const name = document.createElement('span');
+		name.className = 'layer-name';
+		name.textContent = `${layer.name} (${cellCount})`;
+		name.title = 'Double-click to rename';
+		name.addEventListener('dblclick', () => this.startRename(name, layer));
+		row.appendChild(name);
+
+		const upButton = this.createButton('▲', 'Move Layer Up', () => {
+			this.changeLayers('move', { layerId: layer.id, index: index + 1 });
+		});
+		upButton.disabled = index === layerCount - 1;
+		row.appendChild(upButton);
+
+		const downButton = this.createButton('▼', 'Move Layer Down', () => {
+			this.changeLayers('move', { layerId: layer.id, index: index - 1 });
+		});
+		downButton.disabled = index === 0;
+		row.appendChild(downButton);
+
+		const removeButton = this.createButton('×', 'Remove Layer', () => {
+			this.changeLayers('remove', { layerId: layer.id });
+		});
+		removeButton.disabled = layerCount === 1;
+		row.appendChild(removeButton);
+
+		return row;
+	}
+
+	/**
+	 * Creates the list of cells of an expanded layer
+	 */
+	createCellList(cells, selection) {
+		const list = document.createElement('ul');
+		list.className = 'layer-cells';
+
+		cells.forEach(cell => {
+			const item = document.createElement('li');
+			item.className = 'layer-cell';
+			item.textContent = this.getCellName(cell);
+			item.title = cell.id;
+			item.classList.toggle('selected', selection.has(cell));
+			item.addEventListener('click', (event) => {
+				this.selectionService.selectElement(cell, event.shiftKey || event.ctrlKey || event.metaKey);
+			});
+			list.appendChild(item);
+		});
+
+		return list;
+	}
+
+	/**
+	 * Gets the name of a cell shown in the tree
+	 */
+	getCellName(cell) {
+		if (cell.isLink()) {
+			const labels = cell.labels();
+			const text = labels.length > 0 && labels[0].attrs && labels[0].attrs.text ? labels[0].attrs.text.text : '';
+			return `↔ ${text || 'Link'}`;
+		}
+
+		return cell.attr('label/text') || cell.get('type');
+	}
+
+	/**
+	 * Replaces the layer name with an input until it is committed or cancelled
+	 */
+	startRename(nameElement, layer) {
+		const input = document.createElement('input');
+		input.type = 'text';
+		input.value = layer.name;
+
+		let finished = false;
+		const finish = (commit) => {
+			if (finished) return;
+			finished = true;
+
+			const name = input.value.trim();
+			input.remove();
+
+			if (commit && name && name !== layer.name) {
+				this.changeLayers('rename', { layerId: layer.id, name });
+			} else {
+				this.render();
+			}
+		};
+
+		input.addEventListener('click', (event) => event.stopPropagation());
+		input.addEventListener('blur', () => finish(true));
+		input.addEventListener('keydown', (event) => {
+			if (event.key === 'Enter') finish(true);
+			if (event.key === 'Escape') finish(false);
+		});
+
+		nameElement.textContent = '';
+		nameElement.appendChild(input);
+		input.focus();
+		input.select();
+	}
+
+	/**
+	 * Action: Move the selected cells to the active layer
+	 */
+	moveSelectionToActiveLayer() {
+		const cells = this.stateStore.get('selection.elements') || [];
+		if (cells.length === 0) return;
+
+		this.changeLayers('move-cells', { cells, layerId: this.layerService.getActiveLayer().id });
+	}
+
+	/**
+	 * Requests a layer change
+	 */
+	changeLayers(action, params = {}) {
+		this.eventBus.emit(LAYER_EVENTS.CHANGE, { action, ...params });
+	}
+
+	/**
+	 * Creates a small icon button that does not activate the layer row
+	 */
+	createButton(text, title, action) {
+		const button = document.createElement('button');
+		button.textContent = text;
+		button.title = title;
+		button.addEventListener('click', (event) => {
+			event.stopPropagation();
+			action();
+		});
+		return button;
+	}
+
+	/**
+	 * Gets panel statistics
+	 */
+	getStats() {
+		return {
+			initialized: this.initialized,
+			visible: this.isVisible(),
+			expandedLayers: this.expanded.size
+		};
+	}
+
+	/**
+	 * Destroys the panel
+	 */
+	destroy() {
+		if (this.frameRequest !== null) {
+			cancelAnimationFrame(this.frameRequest);
+			this.frameRequest = null;
+		}
+
+		if (this.initialized) {
+			this.graphService.graph.off(GRAPH_CHANGE_EVENTS, this.scheduleRender);
+		}
+
+		if (this.panelElement && this.panelElement.parentNode) {
+			this.panelElement.parentNode.removeChild(this.panelElement);
+		}
+
+		this.panelElement = null;
+		this.treeElement = null;
+		this.initialized = false;
+	}
+}
@@ -0,0 +1,261 @@
+import { LINK_EVENTS, SELECTION_EVENTS } from '../Events/EventTypes.js';
+import { EditLinkCommand } from '../Commands/EditLinkCommand.js';
+
+/**
+ * Graph batches started by link tools for one drag gesture
+ */
+const EDIT_BATCHES = ['vertex-add', 'vertex-move', 'segment-move', 'arrowhead-move'];
+
+/**
+ * Routers whose straight segments can be dragged with segment handles
+ */
+const SEGMENT_ROUTERS = ['orthogonal'];
+
+/**
+ * LinkEditor - Opt-in editing mode for the path of a single link
+ *
+ * Shows JointJS link tools on the edited link: vertices, segment handles for orthogonal
+ * routes and arrowheads for reconnecting. The tools change the model while dragging; at the
+ * end of each gesture the editor emits LINK_EVENTS.CHANGE_PATH with the path before and after,
+ * and the event handlers turn it into an undoable EditLinkCommand.
+ */
+export class LinkEditor {
+	constructor(eventBus, stateStore, paperService, graphService) {
+		this.eventBus = eventBus;
+		this.stateStore = stateStore;
+		this.paperService = paperService;
+		this.graphService = graphService;
+		this.link = null;
+		this.committedPath = null;
+		this.initialized = false;
+
+		this.handleBatchStop = this.handleBatchStop.bind(this);
+		this.handlePathChange = this.handlePathChange.bind(this);
+		this.refreshTools = this.refreshTools.bind(this);
+
+		this.bindEventHandlers();
+	}
+
+	/**
+	 * Initializes the link editor
+	 */
+	init() {
+		if (this.initialized) {
+			console.warn('LinkEditor: Already initialized');
+			return;
+		}
+
+		this.initialized = true;
+	}
+
+	/**
+	 * Binds component to editing requests and selection changes
+	 */
+	bindEventHandlers() {
+		this.eventBus.on(LINK_EVENTS.EDIT, (event) => this.startEditing(event.data.link));
+		this.eventBus.on(LINK_EVENTS.FINISH_EDITING, () => this.stopEditing());
+
+		this.eventBus.on('state:batch-changed', (event) => {
+			const changes = event.data.changes || [];
+			if (this.link && changes.some(change => change.path.startsWith('selection.'))) {
+				const selection = this.stateStore.get('selection.elements') || [];
+				if (selection.length > 0 && !selection.includes(this.link)) {
+					this.stopEditing();
+				}
+			}
+		});
+
+		this.eventBus.on(SELECTION_EVENTS.CLEARED, () => this.stopEditing());
+
+		this.eventBus.on(LINK_EVENTS.REMOVED, (event) => {
+			if (event.data.link === this.link) {
+				this.stopEditing();
+			}
+		});
+
+		this.eventBus.on('state:app.readOnly:changed', (event) => {
+			if (event.data.newValue) {
+				this.stopEditing();
+			}
+		});
+	}
+
+	/**
+	 * Enters editing mode for a link; not available in read-only mode
+	 */
+	startEditing(link) {
+		if (!this.initialized || !link || !link.isLink() || this.stateStore.get('app.readOnly')) {
+			return false;
+		}
+
+		if (link === this.link) {
+			return true;
+		}
+
+		this.stopEditing();
+
+		const linkView = this.paperService.paper.findViewByModel(link);
+		if (!linkView) {
+			return false;
+		}
+
+		this.eventBus.emit(SELECTION_EVENTS.SELECT_ELEMENT, { element: link, addToSelection: false });
+
+		this.link = link;
+		this.committedPath = EditLinkCommand.capturePath(link);
+		this.stateStore.set('connections.editingLinkId', link.id);
+
+		this.renderTools(linkView);
+
+		this.graphService.graph.on('batch:stop', this.handleBatchStop);
+		link.on('change:source change:target change:vertices', this.handlePathChange);
+		link.on('change:router', this.refreshTools);
+
+		this.eventBus.emit(LINK_EVENTS.EDITING_STARTED, { link });
+		return true;
+	}
+
+	/**
+	 * Leaves editing mode and removes the link tools
+	 */
+	stopEditing() {
+		if (!this.link) return;
+
+		const link = this.link;
+
+		this.graphService.graph.off('batch:stop', this.handleBatchStop);
+		link.off('change:source change:target change:vertices', this.handlePathChange);
+		link.off('change:router', this.refreshTools);
+
+		const linkView = this.paperService.paper ? this.paperService.paper.findViewByModel(link) : null;
+		if (linkView) {
+			linkView.removeTools();
+		}
+
+		this.link = null;
+		this.committedPath = null;
+		this.stateStore.set('connections.editingLinkId', null);
+
+		this.eventBus.emit(LINK_EVENTS.EDITING_FINISHED, { link });
+	}
+
+	/**
+	 * Checks whether a link is being edited
+	 */
+	isEditing(link = null) {
+		return link ? this.link === link : this.link !== null;
+	}
+
+	/**
+	 * Creates the tools for the current router of the link
+	 */
+	createTools(link) {
+		const router = link.router();
+		const routerName = router ? router.name : null;
+
+		const tools = [
+			new joint.linkTools.Vertices({ snapRadius: 10, redundancyRemoval: true, vertexAdding: true })
+		];
+
+		if (SEGMENT_ROUTERS.includes(routerName)) {
+			tools.push(new joint.linkTools.Segments({ snapRadius: 10, redundancyRemoval: true }));
+		}
+
+		tools.push(
+			new joint.linkTools.SourceArrowhead(),
+			new joint.linkTools.TargetArrowhead(),
+			new joint.linkTools.Boundary({ padding: 10 })
+		);
+
+		return tools;
+	}
+
+	/**
+	 * Attaches the tools to the link view
+	 */
+	renderTools(linkView) {
+		linkView.removeTools();
+		linkView.addTools(new joint.dia.ToolsView({
+			name: 'link-editor',
+			tools: this.createTools(linkView.model)
+		}));
+	}
+
+	/**
+	 * Re-creates the tools, e.g. when the router of the edited link changes
+	 */
+	refreshTools() {
+		if (!this.link) return;
+
+		const linkView = this.paperService.paper.findViewByModel(this.link);
+		if (linkView) {
+			this.renderTools(linkView);
+		}
+	}
+
+	/**
+	 * Commits the path when a tool gesture on the edited link ends
+	 */
+	handleBatchStop(data) {
+		if (!this.link || data.cell !== this.link || !EDIT_BATCHES.includes(data.batchName)) {
+			return;
+		}
+
+		if (this.graphService.graph.hasActiveBatch(EDIT_BATCHES)) {
+			return;
+		}
+
+		this.commitPath();
+	}
+
+	/**
+	 * Tracks path changes outside of tool gestures
+	 */
+	handlePathChange(link, value, options = {}) {
+		if (this.graphService.graph.hasActiveBatch(EDIT_BATCHES)) {
+			return;
+		}
+
+		// Vertex removal by double click is a single UI change without a batch
+		if (options.ui) {
+			this.commitPath();
+		} else {
+			// Commands, undo and redo: the model is the new reference path
+			this.committedPath = EditLinkCommand.capturePath(link);
+		}
+	}
+
+	/**
+	 * Emits a path change request when the link differs from the last committed path
+	 */
+	commitPath() {
+		const before = this.committedPath;
+		const after = EditLinkCommand.capturePath(this.link);
+
+		if (JSON.stringify(before) === JSON.stringify(after)) {
+			return;
+		}
+
+		this.committedPath = after;
+		this.eventBus.emit(LINK_EVENTS.CHANGE_PATH, { link: this.link, before, after });
+	}
+
+	/**
+	 * Gets editor statistics
+	 */
+	getStats() {
+		return {
+			initialized: this.initialized,
+			editing: this.link !== null,
+			linkId: this.link ? this.link.id : null
+		};
+	}
+
+	/**
+	 * Destroys the link editor
+	 */
+	destroy() {
+		this.stopEditing();
+		this.initialized = false;
+	}
+}
@@ -0,0 +1,492 @@
+import { UI_EVENTS, CANVAS_EVENTS, PRESENCE_EVENTS } from '../Events/EventTypes.js';
+
+const MINIMAP_WIDTH = 200;
+const MINIMAP_HEIGHT = 150;
+const CONTENT_MARGIN = 50;
+
+/**
+ * Minimum time between two redraws of the graph, growing with the graph size
+ */
+const REDRAW_INTERVAL = 50;
+const LARGE_GRAPH_CELLS = 1000;
+const LARGE_GRAPH_REDRAW_INTERVAL = 500;
+
+/**
+ * Graph events that change what the minimap shows
+ */
+const GRAPH_CHANGE_EVENTS = 'add remove reset change:position change:size change:angle change:source change:target change:vertices';
+
+/**
+ * Minimap - Scaled-down navigator of the whole diagram
+ *
+ * The graph is drawn on a canvas as plain boxes and polylines, which stays cheap for
+ * thousands of cells; redraws are batched per frame and throttled for large graphs.
+ * The viewport rectangle follows `canvas.zoom` / `canvas.pan` and is moved without
+ * redrawing the graph. Dragging the rectangle pans the paper, clicking elsewhere
+ * re-centers the view on the clicked point. Viewports of collaborators are shown as
+ * frames in their presence colors.
+ */
+export class Minimap {
+	constructor(eventBus, stateStore, paperService, graphService) {
+		this.eventBus = eventBus;
+		this.stateStore = stateStore;
+		this.paperService = paperService;
+		this.graphService = graphService;
+		this.panelElement = null;
+		this.canvasElement = null;
+		this.viewportElement = null;
+		this.remoteViewports = [];
+		this.remoteViewportElements = [];
+		this.world = null;
+		this.drag = null;
+		this.frameRequest = null;
+		this.redrawTimer = null;
+		this.lastRedraw = 0;
+		this.redrawCount = 0;
+		this.initialized = false;
+
+		this.scheduleRedraw = this.scheduleRedraw.bind(this);
+		this.redraw = this.redraw.bind(this);
+		this.updateViewport = this.updateViewport.bind(this);
+		this.handlePointerMove = this.handlePointerMove.bind(this);
+		this.handlePointerUp = this.handlePointerUp.bind(this);
+
+		this.bindEventHandlers();
+	}
+
+	/**
+	 * Initializes the minimap panel
+	 */
+	init() {
+		if (this.initialized) {
+			console.warn('Minimap: Already initialized');
+			return;
+		}
+
+		this.createPanelElement();
+		this.addMinimapStyles();
+
+		this.graphService.graph.on(GRAPH_CHANGE_EVENTS, this.scheduleRedraw);
+		this.paperService.paper.on('resize', this.updateViewport);
+
+		this.initialized = true;
+		this.setVisible(this.stateStore.get('ui.panels.minimap.visible') !== false);
+	}
+
+	/**
+	 * Binds component to view and visibility changes
+	 */
+	bindEventHandlers() {
+		this.eventBus.on('state:canvas.zoom:changed', this.updateViewport);
+
+		// PaperService updates the pan in one batch
+		this.eventBus.on('state:batch-changed', (event) => {
+			const changes = event.data.changes || [];
+			if (changes.some(change => change.path.startsWith('canvas.'))) {
+				this.updateViewport();
+			}
+		});
+
+		this.eventBus.on('state:ui.panels.minimap.visible:changed', (event) => {
+			this.setVisible(event.data.newValue);
+		});
+
+		this.eventBus.on(PRESENCE_EVENTS.CHANGED, (event) => {
+			this.remoteViewports = event.data.users.filter(user => user.viewport);
+			this.updateRemoteViewports();
+		});
+	}
+
+	/**
+	 * Creates the panel with the graph canvas and the viewport rectangle
+	 */
+	createPanelElement() {
+		this.panelElement = document.createElement('div');
+		this.panelElement.id = 'editor-minimap';
+		this.panelElement.className = 'editor-minimap';
+
+		const container = document.querySelector('#minimap-container');
+		if (!container) {
+			this.panelElement.classList.add('floating');
+		}
+
+		this.canvasElement = document.createElement('canvas');
+		this.canvasElement.className = 'minimap-canvas';
+		this.canvasElement.width = MINIMAP_WIDTH;
+		this.canvasElement.height = MINIMAP_HEIGHT;
+
+		this.viewportElement = document.createElement('div');
+		this.viewportElement.className = 'minimap-viewport';
+
+		this.panelElement.appendChild(this.canvasElement);
+		this.panelElement.appendChild(this.viewportElement);
+		this.panelElement.addEventListener('pointerdown', (event) => this.startDrag(event));
+
+		(container || document.body).appendChild(this.panelElement);
+	}
+
+	/**
+	 * Adds CSS styles for the minimap
+	 */
+	addMinimapStyles() {
+		const styleId = 'minimap-styles';
+		if (document.getElementById(styleId)) return;
+
+		const style = document.createElement('style');
+		style.id = styleId;
+		style.textContent = `
+			.editor-minimap {
+				position: relative;
+				width: ${MINIMAP_WIDTH}px;
+				height: ${MINIMAP_HEIGHT}px;
+				background: #ffffff;
+				border: 1px solid #d0d4dc;
+				border-radius: 4px;
+				overflow: hidden;
+				cursor: crosshair;
+				user-select: none;
+				touch-action: none;
+			}
+
+			.editor-minimap.floating {
+				position: fixed;
+				right: 16px;
+				bottom: 16px;
+				z-index: 900;
+				box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+			}
+
+			.editor-minimap.hidden {
+				display: none;
+			}
+
+			.minimap-canvas {
+				display: block;
+			}
+
+			.minimap-viewport {
+				position: absolute;
+				box-sizing: border-box;
+				border: 2px solid #4a90e2;
+				background: rgba(74, 144, 226, 0.1);
+				cursor: move;
+			}
+
+			.minimap-remote-viewport {
+				position: absolute;
+				box-sizing: border-box;
+				border: 1px dashed;
+				pointer-events: none;
+			}
+		`;
+
+		document.head.appendChild(style);
+	}
+
+	/**
+	 * Shows or hides the panel
+	 */
+	setVisible(visible) {
+		if (!this.panelElement) return;
+
+		this.panelElement.classList.toggle('hidden', !visible);
+
+		if (visible) {
+			this.scheduleRedraw();
+			this.eventBus.emit(UI_EVENTS.PANEL_OPENED, { panel: 'minimap' });
+		} else {
+			this.eventBus.emit(UI_EVENTS.PANEL_CLOSED, { panel: 'minimap' });
+		}
+	}
+
+	/**
+	 * Checks whether the panel is shown
+	 */
+	isVisible() {
+		return Boolean(this.panelElement) && !this.panelElement.classList.contains('hidden');
+	}
+
+	/**
+	 * Queues a redraw of the graph, at most once per frame and throttled for large graphs
+	 */
+	scheduleRedraw() {
+		if (!this.initialized || !this.isVisible() || this.frameRequest !== null || this.redrawTimer !== null) {
+			return;
+		}
+
+		const cellCount = this.graphService.graph.getCells().length;
+		const interval = cellCount > LARGE_GRAPH_CELLS ? LARGE_GRAPH_REDRAW_INTERVAL : REDRAW_INTERVAL;
+		const wait = this.lastRedraw + interval - Date.now();
+
+		if (wait > 0) {
+			this.redrawTimer = setTimeout(() => {
+				this.redrawTimer = null;
+				this.frameRequest = requestAnimationFrame(this.redraw);
+			}, wait);
+		} else {
+			this.frameRequest = requestAnimationFrame(this.redraw);
+		}
+	}
+
+	/**
+	 * Draws the graph scaled to the panel
+	 */
+	redraw() {
+		this.frameRequest = null;
+		this.lastRedraw = Date.now();
+
+		const graph = this.graphService.graph;
+		const context = this.canvasElement.getContext('2d');
+		const bbox = graph.getBBox() || { x: 0, y: 0, width: 0, height: 0 };
+
+		this.world = this.createWorld({
+			x: bbox.x - CONTENT_MARGIN,
+			y: bbox.y - CONTENT_MARGIN,
+			width: bbox.width + CONTENT_MARGIN * 2,
+			height: bbox.height + CONTENT_MARGIN * 2
+		});
+
+		context.clearRect(0, 0, MINIMAP_WIDTH, MINIMAP_HEIGHT);
+
+		context.strokeStyle = '#9aa0ac';
+		context.lineWidth = 1;
+		graph.getLinks().forEach(link => this.drawLink(context, link));
+
+		context.fillStyle = '#c8cdd8';
+		graph.getElements().forEach(element => this.drawElement(context, element));
+
+		this.redrawCount++;
+		this.updateViewport();
+	}
+
+	/**
+	 * Creates the mapping from paper to minimap coordinates for an area of the paper
+	 */
+	createWorld(area) {
+		const scale = Math.min(MINIMAP_WIDTH / area.width, MINIMAP_HEIGHT / area.height);
+
+		return {
+			scale,
+			// Center the area inside the panel
+			x: area.x - (MINIMAP_WIDTH / scale - area.width) / 2,
+			y: area.y - (MINIMAP_HEIGHT / scale - area.height) / 2
+		};
+	}
+
+	/**
+	 * Converts a paper point to minimap coordinates
+	 */
+	toMinimap(point) {
+		return {
+			x: (point.x - this.world.x) * this.world.scale,
+			y: (point.y - this.world.y) * this.world.scale
+		};
+	}
+
+	/**
+	 * Converts a minimap point to paper coordinates
+	 */
+	toPaper(point) {
+		return {
+			x: point.x / this.world.scale + this.world.x,
+			y: point.y / this.world.scale + this.world.y
+		};
+	}
+
+	/**
+	 * Draws an element as its bounding box
+	 */
+	drawElement(context, element) {
+		const bbox = element.getBBox();
+		const topLeft = this.toMinimap(bbox);
+
+		context.fillRect(
+			topLeft.x,
+			topLeft.y,
+			Math.max(1, bbox.width * this.world.scale),
+			Math.max(1, bbox.height * this.world.scale)
+		);
+	}
+
+	/**
+	 * Draws a link through its rendered route, or between element centers before it is rendered
+	 */
+	drawLink(context, link) {
+		const linkView = this.paperService.paper.findViewByModel(link);
+		let points;
+
+		if (linkView && linkView.sourcePoint && linkView.targetPoint) {
+			points = [linkView.sourcePoint, ...(linkView.route || []), linkView.targetPoint];
+		} else {
+			const source = link.getSourceElement();
+			const target = link.getTargetElement();
+			if (!source || !target) return;
+
+			points = [source.getBBox().center(), ...link.vertices(), target.getBBox().center()];
+		}
+
+		context.beginPath();
+		points.map(point => this.toMinimap(point)).forEach((point, index) => {
+			if (index === 0) {
+				context.moveTo(point.x, point.y);
+			} else {
+				context.lineTo(point.x, point.y);
+			}
+		});
+		context.stroke();
+	}
+
+	/**
+	 * Moves the viewport rectangle to the visible area
+	 */
+	updateViewport() {
+		if (!this.viewportElement || !this.world) return;
+
+		const area = this.paperService.getVisibleArea();
+		const topLeft = this.toMinimap(area);
+
+		this.viewportElement.style.left = `${topLeft.x}px`;
+		this.viewportElement.style.top = `${topLeft.y}px`;
+		this.viewportElement.style.width = `${area.width * this.world.scale}px`;
+		this.viewportElement.style.height = `${area.height * this.world.scale}px`;
+
+		this.updateRemoteViewports();
+	}
+
+	/**
+	 * Draws the viewports of collaborators as colored frames
+	 */
+	updateRemoteViewports() {
+		if (!this.panelElement || !this.world) return;
+
+		this.remoteViewportElements.forEach(element => element.remove());
+		this.remoteViewportElements = this.remoteViewports.map(user => {
+			const topLeft = this.toMinimap(user.viewport);
+			const element = document.createElement('div');
+
+			element.className = 'minimap-remote-viewport';
+			element.title = user.name;
+			element.style.borderColor = user.color;
+			element.style.left = `${topLeft.x}px`;
+			element.style.top = `${topLeft.y}px`;
+			element.style.width = `${user.viewport.width * this.world.scale}px`;
+			element.style.height = `${user.viewport.height * this.world.scale}px`;
+
+			// Below the own viewport, which stays draggable
+			this.panelElement.insertBefore(element, this.viewportElement);
+			return element;
+		});
+	}
+
+	/**
+	 * Gets the pointer position inside the panel
+	 */
+	getPointerPosition(event) {
+		const rect = this.canvasElement.getBoundingClientRect();
+		return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+	}
+
+	/**
+	 * Starts dragging the viewport; a click outside of it re-centers the view first
+	 */
+	startDrag(event) {
+		if (event.button !== 0 || !this.world) return;
+
+		event.preventDefault();
+		event.stopPropagation();
+
+		const pointer = this.getPointerPosition(event);
+
+		if (event.target !== this.viewportElement) {
+			this.centerOn(this.toPaper(pointer));
+		}
+
+		this.drag = {
+			pointer,
+			area: this.paperService.getVisibleArea()
+		};
+
+		document.addEventListener('pointermove', this.handlePointerMove);
+		document.addEventListener('pointerup', this.handlePointerUp);
+	}
+
+	/**
+	 * Pans the paper while the viewport is dragged
+	 */
+	handlePointerMove(event) {
+		if (!this.drag) return;
+
+		const pointer = this.getPointerPosition(event);
+		const dx = (pointer.x - this.drag.pointer.x) / this.world.scale;
+		const dy = (pointer.y - this.drag.pointer.y) / this.world.scale;
+
+		this.panTo(this.drag.area.x + dx, this.drag.area.y + dy);
+	}
+
+	/**
+	 * Ends the viewport drag
+	 */
+	handlePointerUp() {
+		this.drag = null;
+
+		document.removeEventListener('pointermove', this.handlePointerMove);
+		document.removeEventListener('pointerup', this.handlePointerUp);
+	}
+
+	/**
+	 * Pans the paper so that the point is in the middle of the view
+	 */
+	centerOn(point) {
+		const area = this.paperService.getVisibleArea();
+		this.panTo(point.x - area.width / 2, point.y - area.height / 2);
+	}
+
+	/**
+	 * Pans the paper so that the visible area starts at the given paper point
+	 */
+	panTo(x, y) {
+		const zoom = this.stateStore.get('canvas.zoom') || 1;
+		this.eventBus.emit(CANVAS_EVENTS.PAN, { x: -x * zoom, y: -y * zoom });
+	}
+
+	/**
+	 * Gets minimap statistics
+	 */
+	getStats() {
+		return {
+			initialized: this.initialized,
+			visible: this.isVisible(),
+			redrawCount: this.redrawCount,
+			scale: this.world ? this.world.scale : null
+		};
+	}
+
+	/**
+	 * Destroys the minimap
+	 */
+	destroy() {
+		this.handlePointerUp();
+
+		if (this.frameRequest !== null) {
+			cancelAnimationFrame(this.frameRequest);
+			this.frameRequest = null;
+		}
+
+		if (this.redrawTimer !== null) {
+			clearTimeout(this.redrawTimer);
+			this.redrawTimer = null;
+		}
+
+		if (this.initialized) {
+			this.graphService.graph.off(GRAPH_CHANGE_EVENTS, this.scheduleRedraw);
+			this.paperService.paper.off('resize', this.updateViewport);
+		}
+
+		if (this.panelElement && this.panelElement.parentNode) {
+			this.panelElement.parentNode.removeChild(this.panelElement);
+		}
+
+		this.panelElement = null;
+		this.initialized = false;
+	}
+}
@@ -0,0 +1,249 @@
+import { PRESENCE_EVENTS } from '../Events/EventTypes.js';
+
+/**
+ * Graph events that move the outlines of remote selections
+ */
+const GRAPH_CHANGE_EVENTS = 'remove change:position change:size change:angle change:source change:target change:vertices';
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+/**
+ * PresenceOverlay - Cursors and selections of collaborators on top of the paper
+ *
+ * Each remote user gets a colored pointer with their name and an outline around every
+ * cell they selected. Positions are kept in paper coordinates by PresenceService and
+ * re-projected once per frame when users, cells or the view change.
+ */
+export class PresenceOverlay {
+	constructor(eventBus, stateStore, presenceService, paperService, graphService) {
+		this.eventBus = eventBus;
+		this.stateStore = stateStore;
+		this.presenceService = presenceService;
+		this.paperService = paperService;
+		this.graphService = graphService;
+		this.overlayElement = null;
+		this.frameRequest = null;
+		this.initialized = false;
+
+		this.scheduleRender = this.scheduleRender.bind(this);
+		this.render = this.render.bind(this);
+
+		this.bindEventHandlers();
+	}
+
+	/**
+	 * Initializes the overlay
+	 */
+	init() {
+		if (this.initialized) {
+			console.warn('PresenceOverlay: Already initialized');
+			return;
+		}
+
+		this.createOverlayElement();
+		this.addOverlayStyles();
+
+		this.graphService.graph.on(GRAPH_CHANGE_EVENTS, this.scheduleRender);
+
+		this.initialized = true;
+	}
+
+	/**
+	 * Binds component to presence and view changes
+	 */
+	bindEventHandlers() {
+		this.eventBus.on(PRESENCE_EVENTS.CHANGED, this.scheduleRender);
+		this.eventBus.on('state:canvas.zoom:changed', this.scheduleRender);
+
+		this.eventBus.on('state:batch-changed', (event) => {
+			const changes = event.data.changes || [];
+			if (changes.some(change => change.path.startsWith('canvas.'))) {
+				this.scheduleRender();
+			}
+		});
+	}
+
+	/**
+	 * Creates the overlay above the paper
+	 */
+	createOverlayElement() {
+		const paperElement = this.paperService.paperElement;
+
+		this.overlayElement = document.createElement('div');
+		this.overlayElement.className = 'presence-overlay';
+
+		paperElement.style.position = 'relative';
+		paperElement.appendChild(this.overlayElement);
+	}
+
+	/**
+	 * Adds CSS styles for the overlay
+	 */
+	addOverlayStyles() {
+		const styleId = 'presence-overlay-styles';
+		if (document.getElementById(styleId)) return;
+
+		const style = document.createElement('style');
+		style.id = styleId;
+		style.textContent = `
+			.presence-overlay {
+				position: absolute;
+				top: 0;
+				left: 0;
+				width: 100%;
+				height: 100%;
+				pointer-events: none;
+				z-index: 1000;
+				overflow: hidden;
+			}
+
+			.presence-selection {
+				position: absolute;
+				box-sizing: border-box;
+				border: 2px solid;
+				border-radius: 2px;
+			}
+
+			.presence-cursor {
+				position: absolute;
+				transition: left 0.05s linear, top 0.05s linear;
+			}
+
+			.presence-cursor svg {
+				display: block;
+			}
+
+			.presence-name {
+				position: absolute;
+				left: 12px;
+				top: 14px;
+				padding: 1px 5px;
+				border-radius: 3px;
+				font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+				font-size: 11px;
+				color: #fff;
+				white-space: nowrap;
+			}
+		`;
+
+		document.head.appendChild(style);
+	}
+
+	/**
+	 * Queues a render for the next frame
+	 */
+	scheduleRender() {
+		if (!this.initialized || this.frameRequest !== null) return;
+
+		this.frameRequest = requestAnimationFrame(this.render);
+	}
+
+	/**
+	 * Renders the selections and cursors of all remote users
+	 */
+	render() {
+		this.frameRequest = null;
+		if (!this.overlayElement) return;
+
+		const fragment = document.createDocumentFragment();
+		const users = this.presenceService.getUsers();
+
+		// Outlines go below all cursors
+		users.forEach(user => this.renderSelection(fragment, user));
+		users.forEach(user => this.renderCursor(fragment, user));
+
+		this.overlayElement.innerHTML = '';
+		this.overlayElement.appendChild(fragment);
+	}
+
+	/**
+	 * Outlines the cells selected by a user
+	 */
+	renderSelection(fragment, user) {
+		const paper = this.paperService.paper;
+
+		(user.selection || []).forEach(cellId => {
+			const cell = this.graphService.graph.getCell(cellId);
+			const view = cell ? paper.findViewByModel(cell) : null;
+			if (!view) return;
+
+			const bbox = view.getBBox();
+			const outline = document.createElement('div');
+			outline.className = 'presence-selection';
+			outline.style.borderColor = user.color;
+			outline.style.left = `${bbox.x - 3}px`;
+			outline.style.top = `${bbox.y - 3}px`;
+			outline.style.width = `${bbox.width + 6}px`;
+			outline.style.height = `${bbox.height + 6}px`;
+			outline.title = user.name;
+
+			fragment.appendChild(outline);
+		});
+	}
+
+	/**
+	 * Draws the pointer of a user with their name
+	 */
+	renderCursor(fragment, user) {
+		if (!user.cursor) return;
+
+		const point = this.paperService.paper.localToPaperPoint(user.cursor.x, user.cursor.y);
+
+		const cursor = document.createElement('div');
+		cursor.className = 'presence-cursor';
+		cursor.style.left = `${point.x}px`;
+		cursor.style.top = `${point.y}px`;
+
+		// Built without innerHTML: name and color come from other users
+		const svg = document.createElementNS(SVG_NAMESPACE, 'svg');
+		svg.setAttribute('width', '14');
+		svg.setAttribute('height', '20');
+		svg.setAttribute('viewBox', '0 0 14 20');
+
+		const arrow = document.createElementNS(SVG_NAMESPACE, 'path');
+		arrow.setAttribute('d', 'M0 0 L0 16 L4 12 L7 19 L10 18 L7 11 L13 11 Z');
+		arrow.setAttribute('fill', user.color);
+		arrow.setAttribute('stroke', '#fff');
+		svg.appendChild(arrow);
+		cursor.appendChild(svg);
+
+		const name = document.createElement('span');
+		name.className = 'presence-name';
+		name.style.background = user.color;
+		name.textContent = user.name;
+		cursor.appendChild(name);
+
+		fragment.appendChild(cursor);
+	}
+
+	/**
+	 * Gets overlay statistics
+	 */
+	getStats() {
+		return {
+			initialized: this.initialized,
+			users: this.presenceService.getUsers().length
+		};
+	}
+
+	/**
+	 * Destroys the overlay
+	 */
+	destroy() {
+		if (this.frameRequest !== null) {
+			cancelAnimationFrame(this.frameRequest);
+			this.frameRequest = null;
+		}
+
+		if (this.initialized) {
+			this.graphService.graph.off(GRAPH_CHANGE_EVENTS, this.scheduleRender);
+		}
+
+		if (this.overlayElement && this.overlayElement.parentNode) {
+			this.overlayElement.parentNode.removeChild(this.overlayElement);
+		}
+
+		this.overlayElement = null;
+		this.initialized = false;
+	}
+}
@@ -0,0 +1,681 @@
+import { UI_EVENTS, PROPERTIES_EVENTS } from '../Events/EventTypes.js';
+
+/**
+ * Link end markers offered by the panel
+ */
+const LINK_MARKERS = {
+	none: { title: 'None', marker: { type: 'none' } },
+	arrow: { title: 'Arrow', marker: { type: 'path', d: 'M 10 -5 0 0 10 5 z' } },
+	'open-arrow': { title: 'Open Arrow', marker: { type: 'path', d: 'M 10 -5 0 0 10 5', fill: 'none' } },
+	circle: { title: 'Circle', marker: { type: 'circle', r: 5 } },
+	diamond: { title: 'Diamond', marker: { type: 'path', d: 'M 0 0 8 -5 16 0 8 5 z' } }
+};
+
+/**
+ * Value shown for properties that differ between the selected cells
+ */
+const MIXED = Symbol('mixed');
+
+/**
+ * Events that can change the properties of the selected cells
+ */
+const REFRESH_EVENTS = ['command:executed', 'command:undone', 'command:redone', 'command:history-restored'];
+
+/**
+ * PropertiesPanel - Inspector of the selected elements and links
+ *
+ * Shows the properties shared by the selection; values that differ between the selected
+ * cells are shown as mixed and are only written when edited. Every edit is emitted as
+ * PROPERTIES_EVENTS.CHANGE and applied by EventHandlers as an undoable command.
+ * `ui.panels.properties.target` holds the ids of the inspected cells.
+ */
+export class PropertiesPanel {
+	constructor(eventBus, stateStore, selectionService, routingService, portService) {
+		this.eventBus = eventBus;
+		this.stateStore = stateStore;
+		this.selectionService = selectionService;
+		this.routingService = routingService;
+		this.portService = portService;
+		this.panelElement = null;
+		this.bodyElement = null;
+		this.cells = [];
+		this.frameRequest = null;
+		this.initialized = false;
+
+		this.scheduleRefresh = this.scheduleRefresh.bind(this);
+		this.refresh = this.refresh.bind(this);
+
+		this.bindEventHandlers();
+	}
+
+	/**
+	 * Initializes the properties panel
+	 */
+	init() {
+		if (this.initialized) {
+			console.warn('PropertiesPanel: Already initialized');
+			return;
+		}
+
+		this.createPanelElement();
+		this.addPanelStyles();
+
+		this.initialized = true;
+		this.setVisible(Boolean(this.stateStore.get('ui.panels.properties.visible')));
+	}
+
+	/**
+	 * Binds component to selection, history and visibility changes
+	 */
+	bindEventHandlers() {
+		this.eventBus.onPattern('selection:*', this.scheduleRefresh);
+
+		REFRESH_EVENTS.forEach(eventType => {
+			this.eventBus.on(eventType, this.scheduleRefresh);
+		});
+
+		this.eventBus.on('state:ui.panels.properties.visible:changed', (event) => {
+			this.setVisible(event.data.newValue);
+		});
+	}
+
+	/**
+	 * Creates the panel with its header and the field container
+	 */
+	createPanelElement() {
+		this.panelElement = document.createElement('div');
+		this.panelElement.id = 'editor-properties';
+		this.panelElement.className = 'editor-properties';
+
+		const container = document.querySelector('#properties-container');
+		if (!container) {
+			this.panelElement.classList.add('floating');
+		}
+
+		const header = document.createElement('div');
+		header.className = 'properties-header';
+		header.textContent = 'Properties';
+
+		const closeButton = document.createElement('button');
+		closeButton.className = 'properties-close';
+		closeButton.textContent = '×';
+		closeButton.title = 'Close';
+		closeButton.addEventListener('click', () => {
+			this.stateStore.set('ui.panels.properties.visible', false);
+		});
+		header.appendChild(closeButton);
+
+		this.bodyElement = document.createElement('div');
+		this.bodyElement.className = 'properties-body';
+
+		this.panelElement.appendChild(header);
+		this.panelElement.appendChild(this.bodyElement);
+
+		// Keyboard shortcuts of the editor must not fire while typing a value
+		this.panelElement.addEventListener('keydown', (event) => event.stopPropagation());
+
+		(container || document.body).appendChild(this.panelElement);
+	}
+
+	/**
+	 * Adds CSS styles for the properties panel
+	 */
+	addPanelStyles() {
+		const styleId = 'properties-panel-styles';
+		if (document.getElementById(styleId)) return;
+
+		const style = document.createElement('style');
+		style.id = styleId;
+		style.textContent = `
+			.editor-properties {
+				width: 240px;
+				background: #ffffff;
+				border: 1px solid #d0d4dc;
+				border-radius: 4px;
+				font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+				font-size: 12px;
+				color: #333;
+			}
+
+			.editor-properties.floating {
+				position: fixed;
+				top: 72px;
+				right: 16px;
+				max-height: calc(100vh - 260px);
+				overflow-y: auto;
+				z-index: 900;
+				box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+			}
+
+			.editor-properties.hidden {
+				display: none;
+			}
+
+			.properties-header {
+				display: flex;
+				justify-content: space-between;
+				align-items: center;
+				padding: 6px 8px;
+				border-bottom: 1px solid #e0e3e8;
+				font-weight: 600;
+			}
+
+			.properties-close {
+				border: none;
+				background: none;
+				font-size: 16px;
+				line-height: 1;
+				cursor: pointer;
+				color: #666;
+			}
+
+			.properties-body {
+				padding: 4px 8px 8px;
+			}
+
+			.properties-empty {
+				padding: 8px 0;
+				color: #888;
+			}
+
+			.properties-section-title {
+				margin: 8px 0 4px;
+				font-weight: 600;
+				color: #555;
+			}
+
+			.properties-field {
+				display: flex;
+				align-items: center;
+				gap: 6px;
+				margin: 3px 0;
+			}
+
+			.properties-field > label {
+				flex: 0 0 70px;
+				overflow: hidden;
+				text-overflow: ellipsis;
+				white-space: nowrap;
+			}
+
+			.properties-field input,
+			.properties-field select {
+				flex: 1;
+				min-width: 0;
+				box-sizing: border-box;
+				padding: 2px 4px;
+				border: 1px solid #d0d4dc;
+				border-radius: 3px;
+				font-size: 12px;
+			}
+
+			.properties-field input[type="color"] {
+				flex: 0 0 24px;
+				padding: 0;
+				height: 22px;
+			}
+
+			.properties-field button {
+				border: 1px solid #d0d4dc;
+				border-radius: 3px;
+				background: #f5f6f8;
+				cursor: pointer;
+				font-size: 12px;
+			}
+
+			.properties-ports {
+				margin: 0;
+				padding: 0 0 0 16px;
+				color: #555;
+			}
+
+			.properties-ports .occupied {
+				color: #4a90e2;
+			}
+		`;
+
+		document.head.appendChild(style);
+	}
+
+	/**
+	 * Shows or hides the panel
+	 */
+	setVisible(visible) {
+		if (!this.panelElement) return;
+
+		this.panelElement.classList.toggle('hidden', !visible);
+
+		if (visible) {
+			this.refresh();
+			this.eventBus.emit(UI_EVENTS.PANEL_OPENED, { panel: 'properties' });
+		} else {
+			this.eventBus.emit(UI_EVENTS.PANEL_CLOSED, { panel: 'properties' });
+		}
+	}
+
+	/**
+	 * Checks whether the panel is shown
+	 */
+	isVisible() {
+		return Boolean(this.panelElement) && !this.panelElement.classList.contains('hidden');
+	}
+
+	/**
+	 * Queues a refresh for the next frame, so that bursts of selection events render once
+	 */
+	scheduleRefresh() {
+		if (!this.initialized || !this.isVisible() || this.frameRequest !== null) return;
+
+		this.frameRequest = requestAnimationFrame(this.refresh);
+	}
+
+	/**
+	 * Re-reads the selection and renders its properties
+	 */
+	refresh() {
+		if (this.frameRequest !== null) {
+			cancelAnimationFrame(this.frameRequest);
+			this.frameRequest = null;
+		}
+
+		if (!this.initialized || !this.isVisible()) return;
+
+		this.cells = (this.selectionService.getSelectedElements() || []).filter(cell => cell && cell.graph);
+		this.updateTarget();
+		this.render();
+	}
+
+	/**
+	 * Stores the ids of the inspected cells
+	 */
+	updateTarget() {
+		const target = this.cells.length > 0 ? this.cells.map(cell => cell.id) : null;
+		const current = this.stateStore.get('ui.panels.properties.target');
+
+		if (JSON.stringify(target) !== JSON.stringify(current)) {
+			this.stateStore.set('ui.panels.properties.target', target);
+		}
+	}
+
+	/**
+	 * Renders the fields of the inspected cells, keeping the focused field focused
+	 */
+	render() {
+		const focused = this.bodyElement.querySelector(':focus');
+		const focusedField = focused ? focused.dataset.field : null;
+
+		this.bodyElement.innerHTML = '';
+
+		if (this.cells.length === 0) {
+			const empty = document.createElement('div');
+			empty.className = 'properties-empty';
+			empty.textContent = 'Nothing selected';
+			this.bodyElement.appendChild(empty);
+			return;
+		}
+
+		const elements = this.cells.filter(cell => cell.isElement());
+		const links = this.cells.filter(cell => cell.isLink());
+
+		if (elements.length > 0) {
+			this.renderElementFields(elements);
+		}
+
+		if (links.length > 0) {
+			this.renderLinkFields(links);
+		}
+
+		if (focusedField) {
+			const field = this.bodyElement.querySelector(`[data-field="${focusedField}"]`);
+			if (field) field.focus();
+		}
+	}
+
+	/**
+	 * Renders the fields of the selected elements
+	 */
+	renderElementFields(elements) {
+		this.addSectionTitle(elements.length === 1 ? 'Element' : `${elements.length} Elements`);
+
+		this.addTextField(elements, 'Label', 'label', cell => cell.attr('label/text') || '');
+
+		this.addColorField(elements, 'Fill', 'attrs/body/fill', cell => cell.attr('body/fill'));
+		this.addColorField(elements, 'Stroke', 'attrs/body/stroke', cell => this.getStyleAttr(cell, 'body/stroke'));
+		this.addNumberField(elements, 'Stroke W', 'attrs/body/strokeWidth', cell => this.getStyleAttr(cell, 'body/strokeWidth'), { min: 0 });
+
+		this.addNumberField(elements, 'Width', 'size', cell => cell.size().width, { min: 1, key: 'width' });
+		this.addNumberField(elements, 'Height', 'size', cell => cell.size().height, { min: 1, key: 'height' });
+		this.addNumberField(elements, 'X', 'position', cell => cell.position().x, { key: 'x' });
+		this.addNumberField(elements, 'Y', 'position', cell => cell.position().y, { key: 'y' });
+
+		if (elements.length === 1) {
+			this.renderPortList(elements[0]);
+		}
+
+		this.renderDataFields(elements);
+	}
+
+	/**
+	 * Renders the fields of the selected links
+	 */
+	renderLinkFields(links) {
+		this.addSectionTitle(links.length === 1 ? 'Link' : `${links.length} Links`);
+
+		const routers = [{ name: '', title: 'Default' }, ...this.routingService.getRouterOptions()];
+		const connectors = [{ name: '', title: 'Default' }, ...this.routingService.getConnectorOptions()];
+
+		this.addSelectField(links, 'Router', 'router', routers,
+			link => this.routingService.getLinkOverride(link).router || '');
+		this.addSelectField(links, 'Connector', 'connector', connectors,
+			link => this.routingService.getLinkOverride(link).connector || '');
+
+		const markers = Object.entries(LINK_MARKERS).map(([name, { title }]) => ({ name, title }));
+
+		this.addSelectField(links, 'Start', 'attrs/line/sourceMarker', markers,
+			link => this.getMarkerName(link.attr('line/sourceMarker')),
+			name => LINK_MARKERS[name].marker);
+		this.addSelectField(links, 'End', 'attrs/line/targetMarker', markers,
+			link => this.getMarkerName(link.attr('line/targetMarker')),
+			name => LINK_MARKERS[name].marker);
+
+		this.addTextField(links, 'Dash', 'attrs/line/strokeDasharray',
+			link => link.attr('line/strokeDasharray') || '',
+			text => text.trim() || undefined);
+		this.addNumberField(links, 'Width', 'attrs/line/strokeWidth', link => this.getStyleAttr(link, 'line/strokeWidth'), { min: 0 });
+	}
+
+	/**
+	 * Reads a style attribute of a cell without the selection highlight
+	 */
+	getStyleAttr(cell, path) {
+		const style = this.selectionService.getUnselectedStyle(cell);
+		return style && path in style ? style[path] : cell.attr(path);
+	}
+
+	/**
+	 * Renders the ports of an element with their side and whether a link holds them
+	 */
+	renderPortList(element) {
+		const ports = element.getPorts();
+		if (ports.length === 0) return;
+
+		this.addSectionTitle(`Ports (${ports.length})`);
+
+		const freePorts = new Set(this.portService.getFreePorts(element).map(port => port.id));
+		const list = document.createElement('ul');
+		list.className = 'properties-ports';
+
+		ports.forEach(port => {
+			const item = document.createElement('li');
+			const occupied = !freePorts.has(port.id);
+
+			item.textContent = `${port.id} — ${this.portService.determinePortSide(port.id)}${occupied ? ', linked' : ''}`;
+			item.classList.toggle('occupied', occupied);
+			list.appendChild(item);
+		});
+
+		this.bodyElement.appendChild(list);
+	}
+
+	/**
+	 * Renders the custom data fields of the elements and the field to add a new one
+	 */
+	renderDataFields(elements) {
+		const keys = new Set();
+		elements.forEach(element => {
+			Object.keys(element.get('data') || {}).forEach(key => keys.add(key));
+		});
+
+		this.addSectionTitle('Data');
+
+		keys.forEach(key => {
+			const row = this.addTextField(elements, key, `data/${key}`, cell => {
+				const value = (cell.get('data') || {})[key];
+				return value === undefined || value === null ? '' : String(value);
+			});
+
+			const removeButton = document.createElement('button');
+			removeButton.textContent = '−';
+			removeButton.title = `Remove ${key}`;
+			removeButton.addEventListener('click', () => this.changeProperty(elements, `data/${key}`, undefined));
+			row.appendChild(removeButton);
+		});
+
+		const row = this.createRow('New');
+		const keyInput = document.createElement('input');
+		keyInput.type = 'text';
+		keyInput.placeholder = 'Field name';
+		keyInput.dataset.field = 'data-new';
+
+		const addButton = document.createElement('button');
+		addButton.textContent = '+';
+		addButton.title = 'Add field';
+
+		const addField = () => {
+			const key = keyInput.value.trim();
+			if (!key || key.includes('/') || keys.has(key)) return;
+			this.changeProperty(elements, `data/${key}`, '');
+		};
+
+		addButton.addEventListener('click', addField);
+		keyInput.addEventListener('keydown', (event) => {
+			if (event.key === 'Enter') addField();
+		});
+
+		row.appendChild(keyInput);
+		row.appendChild(addButton);
+	}
+
+	/**
+	 * Adds a section heading
+	 */
+	addSectionTitle(text) {
+		const title = document.createElement('div');
+		title.className = 'properties-section-title';
+		title.textContent = text;
+		this.bodyElement.appendChild(title);
+	}
+
+	/**
+	 * Adds a labeled row to the panel
+	 */
+	createRow(labelText) {
+		const row = document.createElement('div');
+		row.className = 'properties-field';
+
+		const label = document.createElement('label');
+		label.textContent = labelText;
+		label.title = labelText;
+		row.appendChild(label);
+
+		this.bodyElement.appendChild(row);
+		return row;
+	}
+
+	/**
+	 * Adds a text field; the value is written when the input is committed
+	 */
+	addTextField(cells, labelText, property, getter, parse = text => text) {
+		const row = this.createRow(labelText);
+		const value = this.getCommonValue(cells, getter);
+		const input = this.createInput('text', property, value);
+
+		input.addEventListener('change', () => this.changeProperty(cells, property, parse(input.value)));
+		row.appendChild(input);
+
+		return row;
+	}
+
+	/**
+	 * Adds a number field; `key` writes the number into an object property such as size
+	 */
+	addNumberField(cells, labelText, property, getter, { min = null, key = null } = {}) {
+		const row = this.createRow(labelText);
+		const value = this.getCommonValue(cells, getter);
+		const input = this.createInput('number', key ? `${property}-${key}` : property, value);
+
+		if (min !== null) {
+			input.min = min;
+		}
+
+		input.addEventListener('change', () => {
+			const number = Number(input.value);
+			if (input.value === '' || !Number.isFinite(number) || (min !== null && number < min)) {
+				this.scheduleRefresh();
+				return;
+			}
+
+			this.changeProperty(cells, property, key ? { [key]: number } : number);
+		});
+		row.appendChild(input);
+
+		return row;
+	}
+
+	/**
+	 * Adds a color field with a text input and a color picker
+	 */
+	addColorField(cells, labelText, property, getter) {
+		const row = this.addTextField(cells, labelText, property, getter, text => text.trim() || undefined);
+		const value = this.getCommonValue(cells, getter);
+
+		const picker = document.createElement('input');
+		picker.type = 'color';
+		picker.value = this.toHexColor(value);
+		picker.addEventListener('change', () => this.changeProperty(cells, property, picker.value));
+		row.appendChild(picker);
+
+		return row;
+	}
+
+	/**
+	 * Adds a select field; `toValue` maps the option name to the written value
+	 */
+	addSelectField(cells, labelText, property, options, getter, toValue = name => name) {
+		const row = this.createRow(labelText);
+		const value = this.getCommonValue(cells, getter);
+
+		const select = document.createElement('select');
+		select.dataset.field = property;
+
+		if (value === MIXED) {
+			select.appendChild(this.createOption('', 'Mixed', true));
+		} else if (value === null) {
+			select.appendChild(this.createOption('', 'Custom', true));
+		}
+
+		options.forEach(({ name, title }) => {
+			select.appendChild(this.createOption(name, title, value === name));
+		});
+
+		if (value === MIXED || value === null) {
+			select.options[0].disabled = true;
+		}
+
+		select.addEventListener('change', () => this.changeProperty(cells, property, toValue(select.value)));
+		row.appendChild(select);
+
+		return row;
+	}
+
+	/**
+	 * Creates an option of a select field
+	 */
+	createOption(value, text, selected) {
+		const option = document.createElement('option');
+		option.value = value;
+		option.textContent = text;
+		option.selected = selected;
+		return option;
+	}
+
+	/**
+	 * Creates an input showing a common value, or an empty input for mixed values
+	 */
+	createInput(type, field, value) {
+		const input = document.createElement('input');
+		input.type = type;
+		input.dataset.field = field;
+
+		if (value === MIXED) {
+			input.placeholder = 'Mixed';
+		} else if (value !== undefined && value !== null) {
+			input.value = value;
+		}
+
+		return input;
+	}
+
+	/**
+	 * Gets the value shared by all cells, or MIXED when they differ
+	 */
+	getCommonValue(cells, getter) {
+		const values = cells.map(getter);
+		const first = JSON.stringify(values[0]);
+
+		return values.every(value => JSON.stringify(value) === first) ? values[0] : MIXED;
+	}
+
+	/**
+	 * Finds the preset name of a link marker, null for markers the panel does not offer
+	 */
+	getMarkerName(marker) {
+		if (!marker || marker.type === 'none') return 'none';
+
+		const entry = Object.entries(LINK_MARKERS).find(([, preset]) => {
+			return Object.keys(preset.marker).every(key => preset.marker[key] === marker[key]);
+		});
+
+		return entry ? entry[0] : null;
+	}
+
+	/**
+	 * Converts a color to the hex form required by color inputs
+	 */
+	toHexColor(value) {
+		if (typeof value !== 'string') return '#000000';
+		if (/^#[0-9a-f]{6}$/i.test(value)) return value;
+		if (/^#[0-9a-f]{3}$/i.test(value)) {
+			return '#' + value.slice(1).split('').map(digit => digit + digit).join('');
+		}
+
+		return '#000000';
+	}
+
+	/**
+	 * Requests a property change of the cells
+	 */
+	changeProperty(cells, property, value) {
+		this.eventBus.emit(PROPERTIES_EVENTS.CHANGE, { cells, property, value });
+	}
+
+	/**
+	 * Gets panel statistics
+	 */
+	getStats() {
+		return {
+			initialized: this.initialized,
+			visible: this.isVisible(),
+			cellCount: this.cells.length
+		};
+	}
+
+	/**
+	 * Destroys the panel
+	 */
+	destroy() {
+		if (this.frameRequest !== null) {
+			cancelAnimationFrame(this.frameRequest);
+			this.frameRequest = null;
+		}
+
+		if (this.panelElement && this.panelElement.parentNode) {
+			this.panelElement.parentNode.removeChild(this.panelElement);
+		}
+
+		this.panelElement = null;
+		this.bodyElement = null;
+		this.cells = [];
+		this.initialized = false;
+	}
+}
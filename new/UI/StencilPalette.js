@@ -0,0 +1,691 @@
+import { UI_EVENTS, SHAPE_EVENTS, STENCIL_EVENTS } from '../Events/EventTypes.js';
+
+const PREVIEW_WIDTH = 56;
+const PREVIEW_HEIGHT = 40;
+const PREVIEW_PADDING = 4;
+
+/**
+ * Pointer travel before pressing a stencil item starts a drag
+ */
+const DRAG_THRESHOLD = 4;
+
+/**
+ * StencilPalette - Sidebar of shapes that are dragged onto the paper
+ *
+ * Groups are built from the shape categories of the registry; host apps add their own
+ * groups with `registerGroup()`, listing registered shape names or new shape definitions.
+ * While dragging over the paper the palette emits STENCIL_EVENTS.DRAG_OVER and draws the
+ * DROP_PREVIEW answer - the snapped position and its validation - as a ghost; dropping
+ * emits STENCIL_EVENTS.DROP, which EventHandlers turns into an AddElementCommand.
+ */
+export class StencilPalette {
+	constructor(eventBus, stateStore, shapeRegistry, graphService, paperService) {
+		this.eventBus = eventBus;
+		this.stateStore = stateStore;
+		this.shapeRegistry = shapeRegistry;
+		this.graphService = graphService;
+		this.paperService = paperService;
+		this.panelElement = null;
+		this.searchInput = null;
+		this.groupsElement = null;
+		this.ghostElement = null;
+		this.dragImage = null;
+		this.groups = new Map();
+		this.previews = new Map();
+		this.drag = null;
+		this.initialized = false;
+
+		this.handlePointerMove = this.handlePointerMove.bind(this);
+		this.handlePointerUp = this.handlePointerUp.bind(this);
+		this.handleKeyDown = this.handleKeyDown.bind(this);
+		this.render = this.render.bind(this);
+
+		this.bindEventHandlers();
+	}
+
+	/**
+	 * Initializes the stencil palette
+	 */
+	init() {
+		if (this.initialized) {
+			console.warn('StencilPalette: Already initialized');
+			return;
+		}
+
+		this.createPanelElement();
+		this.addPaletteStyles();
+
+		this.initialized = true;
+		this.setVisible(this.stateStore.get('ui.panels.stencil.visible') !== false);
+	}
+
+	/**
+	 * Binds component to shape, preview and visibility changes
+	 */
+	bindEventHandlers() {
+		this.eventBus.on(SHAPE_EVENTS.REGISTERED, (event) => {
+			this.previews.delete(event.data.shape.name);
+			this.render();
+		});
+		this.eventBus.on(SHAPE_EVENTS.UNREGISTERED, this.render);
+
+		this.eventBus.on(STENCIL_EVENTS.DROP_PREVIEW, (event) => this.showGhost(event.data));
+
+		this.eventBus.on('state:ui.panels.stencil.visible:changed', (event) => {
+			this.setVisible(event.data.newValue);
+		});
+	}
+
+	/**
+	 * Registers a stencil group
+	 *
+	 * `shapes` lists registered shape names or shape definitions with a `name`, which are
+	 * registered in the shape registry first. Groups are sorted by `order`; the groups
+	 * built from shape categories use 0.
+	 */
+	registerGroup(id, { title = id, shapes = [], order = 0, collapsed = false } = {}) {
+		const names = shapes.map(shape => {
+			if (typeof shape === 'string') return shape;
+
+			const { name, ...definition } = shape;
+			this.shapeRegistry.registerShape(name, definition);
+			return name;
+		});
+
+		const group = { id, title, shapes: names, order };
+		this.groups.set(id, group);
+
+		if (collapsed) {
+			this.setGroupCollapsed(id, true);
+		}
+
+		this.render();
+		this.eventBus.emit(STENCIL_EVENTS.GROUP_REGISTERED, { group });
+
+		return group;
+	}
+
+	/**
+	 * Removes a stencil group; its shapes stay registered
+	 */
+	unregisterGroup(id) {
+		const group = this.groups.get(id);
+		if (!group) return false;
+
+		this.groups.delete(id);
+		this.render();
+		this.eventBus.emit(STENCIL_EVENTS.GROUP_UNREGISTERED, { group });
+
+		return true;
+	}
+
+	/**
+	 * Gets the groups shown in the palette, category groups for shapes no registered group lists
+	 */
+	getGroups() {
+		const grouped = new Set();
+		this.groups.forEach(group => group.shapes.forEach(name => grouped.add(name)));
+
+		const categoryGroups = [];
+		this.shapeRegistry.getShapesByCategory().forEach((shapes, category) => {
+			const names = shapes.map(shape => shape.name).filter(name => !grouped.has(name));
+			if (names.length === 0 || this.groups.has(category)) return;
+
+			categoryGroups.push({
+				id: category,
+				title: this.shapeRegistry.getCategoryTitle(category),
+				shapes: names,
+				order: 0
+			});
+		});
+
+		// Array sort is stable, so category groups keep the registry order
+		return [...categoryGroups, ...this.groups.values()].sort((a, b) => a.order - b.order);
+	}
+
+	/**
+	 * Creates the sidebar with the search field and the group list
+	 */
+	createPanelElement() {
+		this.panelElement = document.createElement('div');
+		this.panelElement.id = 'editor-stencil';
+		this.panelElement.className = 'editor-stencil';
+
+		const container = document.querySelector('#stencil-container');
+		if (!container) {
+			this.panelElement.classList.add('floating');
+		}
+
+		this.searchInput = document.createElement('input');
+		this.searchInput.type = 'search';
+		this.searchInput.className = 'stencil-search';
+		this.searchInput.placeholder = 'Search shapes';
+		this.searchInput.value = this.stateStore.get('ui.panels.stencil.search') || '';
+		this.searchInput.addEventListener('input', () => {
+			this.stateStore.set('ui.panels.stencil.search', this.searchInput.value);
+			this.render();
+		});
+
+		// Keyboard shortcuts of the editor must not fire while searching
+		this.searchInput.addEventListener('keydown', (event) => event.stopPropagation());
+
+		this.groupsElement = document.createElement('div');
+		this.groupsElement.className = 'stencil-groups';
+
+		this.panelElement.appendChild(this.searchInput);
+		this.panelElement.appendChild(this.groupsElement);
+
+		(container || document.body).appendChild(this.panelElement);
+	}
+
+	/**
+	 * Adds CSS styles for the stencil palette
+	 */
+	addPaletteStyles() {
+		const styleId = 'stencil-palette-styles';
+		if (document.getElementById(styleId)) return;
+
+		const style = document.createElement('style');
+		style.id = styleId;
+		style.textContent = `
+			.editor-stencil {
+				width: 200px;
+				box-sizing: border-box;
+				padding: 6px;
+				background: #ffffff;
+				border: 1px solid #d0d4dc;
+				border-radius: 4px;
+				font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+				font-size: 12px;
+				color: #333;
+				overflow-y: auto;
+				user-select: none;
+			}
+
+			.editor-stencil.floating {
+				position: fixed;
+				top: 72px;
+				left: 16px;
+				bottom: 16px;
+				z-index: 900;
+				box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+			}
+
+			.editor-stencil.hidden {
+				display: none;
+			}
+
+			.stencil-search {
+				width: 100%;
+				box-sizing: border-box;
+				margin-bottom: 6px;
+				padding: 3px 6px;
+				border: 1px solid #d0d4dc;
+				border-radius: 3px;
+				font-size: 12px;
+			}
+
+			.stencil-group-title {
+				padding: 4px 2px;
+				font-weight: 600;
+				color: #555;
+				cursor: pointer;
+			}
+
+			.stencil-group-title::before {
+				content: '▾ ';
+			}
+
+			.stencil-group.collapsed .stencil-group-title::before {
+				content: '▸ ';
+			}
+
+			.stencil-group.collapsed .stencil-items {
+				display: none;
+			}
+
+			.stencil-items {
+				display: grid;
+				grid-template-columns: repeat(3, 1fr);
+				gap: 4px;
+				margin-bottom: 6px;
+			}
+
+			.stencil-item {
+				display: flex;
+				flex-direction: column;
+				align-items: center;
+				padding: 2px;
+				border: 1px solid transparent;
+				border-radius: 3px;
+				cursor: grab;
+				touch-action: none;
+			}
+
+			.stencil-item:hover {
+				border-color: #d0d4dc;
+				background: #f5f6f8;
+			}
+
+			.stencil-preview {
+				width: ${PREVIEW_WIDTH}px;
+				height: ${PREVIEW_HEIGHT}px;
+				display: flex;
+				align-items: center;
+				justify-content: center;
+				font-size: 22px;
+				pointer-events: none;
+			}
+
+			.stencil-title {
+				max-width: 100%;
+				overflow: hidden;
+				text-overflow: ellipsis;
+				white-space: nowrap;
+				font-size: 11px;
+			}
+
+			.stencil-empty {
+				padding: 8px 2px;
+				color: #888;
+			}
+
+			.stencil-drag-image {
+				position: fixed;
+				z-index: 2000;
+				pointer-events: none;
+				opacity: 0.8;
+			}
+
+			.stencil-ghost {
+				position: fixed;
+				z-index: 1500;
+				box-sizing: border-box;
+				pointer-events: none;
+				border: 2px dashed #4a90e2;
+				background: rgba(74, 144, 226, 0.1);
+				overflow: hidden;
+				font-size: 11px;
+				color: #e24a4a;
+			}
+
+			.stencil-ghost.invalid {
+				border-color: #e24a4a;
+				background: rgba(226, 74, 74, 0.1);
+			}
+		`;
+
+		document.head.appendChild(style);
+	}
+
+	/**
+	 * Shows or hides the palette
+	 */
+	setVisible(visible) {
+		if (!this.panelElement) return;
+
+		this.panelElement.classList.toggle('hidden', !visible);
+
+		if (visible) {
+			this.render();
+			this.eventBus.emit(UI_EVENTS.PANEL_OPENED, { panel: 'stencil' });
+		} else {
+			this.eventBus.emit(UI_EVENTS.PANEL_CLOSED, { panel: 'stencil' });
+		}
+	}
+
+	/**
+	 * Checks whether the palette is shown
+	 */
+	isVisible() {
+		return Boolean(this.panelElement) && !this.panelElement.classList.contains('hidden');
+	}
+
+	/**
+	 * Renders the groups with the shapes matching the search
+	 */
+	render() {
+		if (!this.initialized || !this.isVisible()) return;
+
+		const query = this.searchInput.value.trim().toLowerCase();
+		const collapsed = new Set(this.stateStore.get('ui.panels.stencil.collapsed') || []);
+
+		this.groupsElement.innerHTML = '';
+
+		this.getGroups().forEach(group => {
+			const shapes = group.shapes
+				.map(name => this.shapeRegistry.getShape(name))
+				.filter(shape => shape && this.matchesSearch(shape, group, query));
+
+			if (shapes.length === 0) return;
+
+			// Searching opens every group with matches
+			this.groupsElement.appendChild(this.createGroupElement(group, shapes, collapsed.has(group.id) && !query));
+		});
+
+		if (!this.groupsElement.firstChild) {
+			const empty = document.createElement('div');
+			empty.className = 'stencil-empty';
+			empty.textContent = query ? 'No matching shapes' : 'No shapes';
+			this.groupsElement.appendChild(empty);
+		}
+	}
+
+	/**
+	 * Checks whether a shape matches the search by title, name or group
+	 */
+	matchesSearch(shape, group, query) {
+		if (!query) return true;
+
+		return [shape.title, shape.name, group.title].some(text => text.toLowerCase().includes(query));
+	}
+
+	/**
+	 * Creates a collapsible group with its shape items
+	 */
+	createGroupElement(group, shapes, collapsed) {
+		const groupElement = document.createElement('div');
+		groupElement.className = 'stencil-group';
+		groupElement.classList.toggle('collapsed', collapsed);
+
+		const title = document.createElement('div');
+		title.className = 'stencil-group-title';
+		title.textContent = group.title;
+		title.addEventListener('click', () => {
+			this.setGroupCollapsed(group.id, !groupElement.classList.contains('collapsed'));
+			this.render();
+		});
+
+		const items = document.createElement('div');
+		items.className = 'stencil-items';
+		shapes.forEach(shape => items.appendChild(this.createItemElement(shape)));
+
+		groupElement.appendChild(title);
+		groupElement.appendChild(items);
+
+		return groupElement;
+	}
+
+	/**
+	 * Stores whether a group is collapsed
+	 */
+	setGroupCollapsed(groupId, collapsed) {
+		const groups = new Set(this.stateStore.get('ui.panels.stencil.collapsed') || []);
+
+		if (collapsed) {
+			groups.add(groupId);
+		} else {
+			groups.delete(groupId);
+		}
+
+		this.stateStore.set('ui.panels.stencil.collapsed', Array.from(groups));
+	}
+
+	/**
+	 * Creates a draggable item with the shape preview and title
+	 */
+	createItemElement(shape) {
+		const item = document.createElement('div');
+		item.className = 'stencil-item';
+		item.title = shape.title;
+
+		item.appendChild(this.getPreview(shape));
+
+		const title = document.createElement('div');
+		title.className = 'stencil-title';
+		title.textContent = shape.title;
+		item.appendChild(title);
+
+		item.addEventListener('pointerdown', (event) => this.startDrag(event, shape));
+
+		return item;
+	}
+
+	/**
+	 * Gets a copy of the shape preview, rendering it once with a small paper
+	 */
+	getPreview(shape) {
+		if (!this.previews.has(shape.name)) {
+			this.previews.set(shape.name, this.createPreview(shape));
+		}
+
+		return this.previews.get(shape.name).cloneNode(true);
+	}
+
+	/**
+	 * Renders a shape preview, falling back to the shape icon
+	 */
+	createPreview(shape) {
+		const preview = document.createElement('div');
+		preview.className = 'stencil-preview';
+
+		const ShapeClass = joint.util.getByPath(this.graphService.cellNamespace, shape.type, '.');
+		if (!ShapeClass) {
+			preview.textContent = shape.icon;
+			return preview;
+		}
+
+		try {
+			const graph = new joint.dia.Graph({}, { cellNamespace: this.graphService.cellNamespace });
+			const paper = new joint.dia.Paper({
+				el: document.createElement('div'),
+				model: graph,
+				width: PREVIEW_WIDTH,
+				height: PREVIEW_HEIGHT,
+				interactive: false,
+				cellViewNamespace: this.graphService.cellNamespace
+			});
+
+			graph.addCell(new ShapeClass(this.shapeRegistry.createElementAttributes(shape.name, {
+				position: { x: 0, y: 0 },
+				ports: { items: [] }
+			})));
+
+			// The paper is not in the document, so the scale comes from the model size
+			const { width, height } = shape.size;
+			const scale = Math.min(
+				(PREVIEW_WIDTH - PREVIEW_PADDING * 2) / width,
+				(PREVIEW_HEIGHT - PREVIEW_PADDING * 2) / height,
+				1
+			);
+
+			paper.scale(scale, scale);
+			paper.translate((PREVIEW_WIDTH - width * scale) / 2, (PREVIEW_HEIGHT - height * scale) / 2);
+			preview.appendChild(paper.el);
+		} catch (error) {
+			console.warn(`StencilPalette: Failed to render preview of '${shape.name}':`, error);
+			preview.textContent = shape.icon;
+		}
+
+		return preview;
+	}
+
+	/**
+	 * Remembers the pressed item; dragging starts once the pointer moves far enough
+	 */
+	startDrag(event, shape) {
+		if (event.button !== 0) return;
+
+		event.preventDefault();
+
+		this.drag = {
+			shape,
+			startX: event.clientX,
+			startY: event.clientY,
+			started: false,
+			point: null
+		};
+
+		document.addEventListener('pointermove', this.handlePointerMove);
+		document.addEventListener('pointerup', this.handlePointerUp);
+		document.addEventListener('keydown', this.handleKeyDown);
+	}
+
+	/**
+	 * Moves the drag image and requests a drop preview over the paper
+	 */
+	handlePointerMove(event) {
+		if (!this.drag) return;
+
+		if (!this.drag.started) {
+			const distance = Math.hypot(event.clientX - this.drag.startX, event.clientY - this.drag.startY);
+			if (distance < DRAG_THRESHOLD) return;
+
+			this.drag.started = true;
+			this.createDragImage(this.drag.shape);
+			document.body.style.cursor = 'grabbing';
+			this.eventBus.emit(STENCIL_EVENTS.DRAG_STARTED, { shape: this.drag.shape.name });
+		}
+
+		this.dragImage.style.left = `${event.clientX - PREVIEW_WIDTH / 2}px`;
+		this.dragImage.style.top = `${event.clientY - PREVIEW_HEIGHT / 2}px`;
+
+		this.drag.point = this.getPaperPoint(event);
+
+		if (this.drag.point) {
+			this.eventBus.emit(STENCIL_EVENTS.DRAG_OVER, { shape: this.drag.shape.name, point: this.drag.point });
+		} else {
+			this.hideGhost();
+		}
+	}
+
+	/**
+	 * Drops the shape when released over the paper
+	 */
+	handlePointerUp(event) {
+		if (!this.drag) return;
+
+		const { shape, started } = this.drag;
+		const point = started ? this.getPaperPoint(event) : null;
+
+		this.endDrag();
+
+		if (point) {
+			this.eventBus.emit(STENCIL_EVENTS.DROP, { shape: shape.name, point });
+		}
+	}
+
+	/**
+	 * Cancels the drag with Escape
+	 */
+	handleKeyDown(event) {
+		if (event.key === 'Escape') {
+			this.endDrag();
+		}
+	}
+
+	/**
+	 * Removes the drag image, ghost and listeners
+	 */
+	endDrag() {
+		const drag = this.drag;
+		this.drag = null;
+
+		document.removeEventListener('pointermove', this.handlePointerMove);
+		document.removeEventListener('pointerup', this.handlePointerUp);
+		document.removeEventListener('keydown', this.handleKeyDown);
+
+		if (this.dragImage) {
+			this.dragImage.remove();
+			this.dragImage = null;
+		}
+
+		this.hideGhost();
+		document.body.style.cursor = '';
+
+		if (drag && drag.started) {
+			this.eventBus.emit(STENCIL_EVENTS.DRAG_ENDED, { shape: drag.shape.name });
+		}
+	}
+
+	/**
+	 * Creates the image that follows the pointer while dragging
+	 */
+	createDragImage(shape) {
+		this.dragImage = this.getPreview(shape);
+		this.dragImage.classList.add('stencil-drag-image');
+		document.body.appendChild(this.dragImage);
+	}
+
+	/**
+	 * Gets the paper point under the pointer, or null outside the paper
+	 */
+	getPaperPoint(event) {
+		const paperElement = this.paperService.paperElement;
+		const paper = this.paperService.paper;
+		if (!paperElement || !paper) return null;
+
+		const rect = paperElement.getBoundingClientRect();
+		const inside = event.clientX >= rect.left && event.clientX <= rect.right &&
+			event.clientY >= rect.top && event.clientY <= rect.bottom;
+
+		if (!inside) return null;
+
+		const point = paper.clientToLocalPoint(event.clientX, event.clientY);
+		return { x: point.x, y: point.y };
+	}
+
+	/**
+	 * Shows where the dragged shape would be created, marking positions that fail validation
+	 */
+	showGhost({ position, size, valid, errors }) {
+		if (!this.drag || !this.drag.point) return;
+
+		if (!this.ghostElement) {
+			this.ghostElement = document.createElement('div');
+			this.ghostElement.className = 'stencil-ghost';
+			document.body.appendChild(this.ghostElement);
+		}
+
+		const rect = this.paperService.paper.localToClientRect(position.x, position.y, size.width, size.height);
+
+		this.ghostElement.style.left = `${rect.x}px`;
+		this.ghostElement.style.top = `${rect.y}px`;
+		this.ghostElement.style.width = `${rect.width}px`;
+		this.ghostElement.style.height = `${rect.height}px`;
+		this.ghostElement.classList.toggle('invalid', !valid);
+		this.ghostElement.textContent = valid || errors.length === 0 ? '' : errors[0].reason;
+
+		document.body.style.cursor = valid ? 'grabbing' : 'not-allowed';
+	}
+
+	/**
+	 * Removes the drop ghost
+	 */
+	hideGhost() {
+		if (this.ghostElement) {
+			this.ghostElement.remove();
+			this.ghostElement = null;
+		}
+	}
+
+	/**
+	 * Gets palette statistics
+	 */
+	getStats() {
+		return {
+			initialized: this.initialized,
+			visible: this.isVisible(),
+			groupCount: this.getGroups().length,
+			customGroupCount: this.groups.size,
+			dragging: Boolean(this.drag && this.drag.started)
+		};
+	}
+
+	/**
+	 * Destroys the palette
+	 */
+	destroy() {
+		this.endDrag();
+
+		if (this.panelElement && this.panelElement.parentNode) {
+			this.panelElement.parentNode.removeChild(this.panelElement);
+		}
+
+		this.panelElement = null;
+		this.groupsElement = null;
+		this.searchInput = null;
+		this.previews.clear();
+		this.initialized = false;
+	}
+}
@@ -1,16 +1,23 @@
-import { UI_EVENTS, KEYBOARD_EVENTS } from '../Events/EventTypes.js';
+import { UI_EVENTS, KEYBOARD_EVENTS, EXPORT_EVENTS, SHAPE_EVENTS, PLUGIN_EVENTS, CANVAS_EVENTS } from '../Events/EventTypes.js';
+
+/**
+ * Tool groups that change the diagram; together with the shape groups they are disabled in read-only mode
+ */
+const EDITING_GROUPS = ['connections', 'edit'];
 
 /**
  * Toolbar - Dynamic toolbar system for editor tools and actions
  */
 export class Toolbar {
-	constructor(eventBus, stateStore) {
+	constructor(eventBus, stateStore, shapeRegistry) {
 		this.eventBus = eventBus;
 		this.stateStore = stateStore;
+		this.shapeRegistry = shapeRegistry;
 		this.toolbarElement = null;
 		this.initialized = false;
 		this.tools = new Map();
 		this.toolGroups = new Map();
+		this.shapeGroups = new Set();
 		this.activeTools = new Set();
 		this.shortcuts = new Map();
 		
@@ -256,35 +263,7 @@ export class Toolbar {
 
 		this.createSeparator();
 
-		this.createToolGroup('elements', 'Elements');
-		this.addTool('elements', {
-			id: 'add-rectangle',
-			label: 'Rectangle',
-			icon: '⬜',
-			tooltip: 'Add Rectangle (R)',
-			shortcut: 'r',
-			action: () => this.setAddMode('rectangle')
-		});
-
-		this.addTool('elements', {
-			id: 'add-circle',
-			label: 'Circle',
-			icon: '⭕',
-			tooltip: 'Add Circle (C)',
-			shortcut: 'c',
-			action: () => this.setAddMode('circle')
-		});
-
-		this.addTool('elements', {
-			id: 'add-ellipse',
-			label: 'Ellipse',
-			icon: '⬯',
-			tooltip: 'Add Ellipse (E)',
-			shortcut: 'e',
-			action: () => this.setAddMode('ellipse')
-		});
-
-		this.createSeparator();
+		this.addShapeTools();
 
 		this.createToolGroup('connections', 'Connections');
 		this.addConnectionModeTools();
@@ -328,6 +307,93 @@ export class Toolbar {
 			tooltip: 'Reset View',
 			action: () => this.resetView()
 		});
+
+		this.addTool('view', {
+			id: 'zoom-selection',
+			label: 'Selection',
+			icon: '🔎',
+			tooltip: 'Zoom to Selection (Shift+Z)',
+			shortcut: 'shift+z',
+			action: () => this.zoomToSelection()
+		});
+
+		this.addTool('view', {
+			id: 'infinite-canvas',
+			label: 'Infinite',
+			icon: '∞',
+			tooltip: 'Infinite Canvas',
+			toggle: true,
+			active: Boolean(this.stateStore.get('canvas.infinite')),
+			action: () => this.toggleInfiniteCanvas()
+		});
+
+		this.addTool('view', {
+			id: 'minimap',
+			label: 'Map',
+			icon: '🗺',
+			tooltip: 'Show Minimap',
+			toggle: true,
+			active: this.stateStore.get('ui.panels.minimap.visible') !== false,
+			action: () => this.toggleMinimap()
+		});
+
+		this.addTool('view', {
+			id: 'properties',
+			label: 'Props',
+			icon: '☰',
+			tooltip: 'Show Properties',
+			toggle: true,
+			active: Boolean(this.stateStore.get('ui.panels.properties.visible')),
+			action: () => this.toggleProperties()
+		});
+
+		this.addTool('view', {
+			id: 'stencil',
+			label: 'Shapes',
+			icon: '🧩',
+			tooltip: 'Show Shape Palette',
+			toggle: true,
+			active: this.stateStore.get('ui.panels.stencil.visible') !== false,
+			action: () => this.toggleStencil()
+		});
+
+		this.addTool('view', {
+			id: 'layers',
+			label: 'Layers',
+			icon: '🗂',
+			tooltip: 'Show Layers',
+			toggle: true,
+			active: Boolean(this.stateStore.get('ui.panels.layers.visible')),
+			action: () => this.toggleLayers()
+		});
+
+		this.addTool('view', {
+			id: 'history',
+			label: 'History',
+			icon: '🕘',
+			tooltip: 'Show Undo History',
+			toggle: true,
+			active: Boolean(this.stateStore.get('ui.panels.history.visible')),
+			action: () => this.toggleHistory()
+		});
+
+		this.addTool('view', {
+			id: 'comments',
+			label: 'Comments',
+			icon: '💭',
+			tooltip: 'Show Comments',
+			toggle: true,
+			active: Boolean(this.stateStore.get('ui.panels.comments.visible')),
+			action: () => this.toggleComments()
+		});
+
+		this.addTool('view', {
+			id: 'export-png',
+			label: 'PNG',
+			icon: '🖼',
+			tooltip: 'Export as PNG (selection only when something is selected)',
+			action: () => this.exportPNG()
+		});
 	}
 
 	/**
@@ -351,6 +417,72 @@ export class Toolbar {
 				action: () => this.setConnectionMode(mode.count)
 			});
 		});
+
+		this.addTool('connections', {
+			id: 'line-jumps',
+			label: 'Jumps',
+			icon: '⌒',
+			tooltip: 'Line Jumps at Link Crossings',
+			toggle: true,
+			active: Boolean((this.stateStore.get('connections.lineJumps') || {}).enabled),
+			action: () => this.toggleLineJumps()
+		});
+	}
+
+	/**
+	 * Adds a tool group with add-shape tools for every shape category in the registry
+	 */
+	addShapeTools() {
+		this.shapeRegistry.getShapesByCategory().forEach((shapes, category) => {
+			const toolbarShapes = shapes.filter(shape => shape.toolbar);
+			if (toolbarShapes.length === 0) return;
+
+			this.createShapeGroup(category);
+			toolbarShapes.forEach(shape => this.addShapeTool(shape));
+			this.createSeparator();
+		});
+	}
+
+	/**
+	 * Gets the tool group id for a shape category
+	 */
+	getShapeGroupId(category) {
+		return category === 'basic' ? 'elements' : `shapes-${category}`;
+	}
+
+	/**
+	 * Creates the tool group for a shape category
+	 */
+	createShapeGroup(category) {
+		const groupId = this.getShapeGroupId(category);
+
+		this.createToolGroup(groupId, this.shapeRegistry.getCategoryTitle(category));
+		this.shapeGroups.add(groupId);
+
+		return groupId;
+	}
+
+	/**
+	 * Adds the add-shape tool for a registered shape
+	 */
+	addShapeTool(shape) {
+		if (!shape.toolbar) return null;
+
+		const groupId = this.getShapeGroupId(shape.category);
+		if (!this.toolGroups.has(groupId)) {
+			this.createShapeGroup(shape.category);
+		}
+
+		const shortcutHint = shape.shortcut ? ` (${shape.shortcut.toUpperCase()})` : '';
+
+		return this.addTool(groupId, {
+			id: `add-${shape.name}`,
+			label: shape.title,
+			icon: shape.icon,
+			tooltip: `Add ${shape.title}${shortcutHint}`,
+			shortcut: shape.shortcut,
+			action: () => this.setAddMode(shape.name)
+		});
 	}
 
 	/**
@@ -408,6 +540,10 @@ export class Toolbar {
 			this.activateTool(toolConfig.id);
 		}
 
+		if (this.stateStore.get('app.readOnly') && this.isEditingTool(toolConfig.id)) {
+			this.setToolEnabled(toolConfig.id, false);
+		}
+
 		return toolElement;
 	}
 
@@ -548,9 +684,81 @@ export class Toolbar {
 			this.updateHistoryTools();
 		});
 
+		this.eventBus.on('state:app.readOnly:changed', () => {
+			this.updateReadOnlyTools();
+		});
+
+		this.eventBus.on('state:canvas.infinite:changed', (event) => {
+			if (event.data.newValue) {
+				this.activateTool('infinite-canvas');
+			} else {
+				this.deactivateTool('infinite-canvas');
+			}
+		});
+
+		this.eventBus.on('state:ui.panels.properties.visible:changed', (event) => {
+			if (event.data.newValue) {
+				this.activateTool('properties');
+			} else {
+				this.deactivateTool('properties');
+			}
+		});
+
+		this.eventBus.on('state:ui.panels.layers.visible:changed', (event) => {
+			if (event.data.newValue) {
+				this.activateTool('layers');
+			} else {
+				this.deactivateTool('layers');
+			}
+		});
+
+		this.eventBus.on('state:ui.panels.history.visible:changed', (event) => {
+			if (event.data.newValue) {
+				this.activateTool('history');
+			} else {
+				this.deactivateTool('history');
+			}
+		});
+
+		this.eventBus.on('state:ui.panels.comments.visible:changed', (event) => {
+			if (event.data.newValue) {
+				this.activateTool('comments');
+			} else {
+				this.deactivateTool('comments');
+			}
+		});
+
+		this.eventBus.on(PLUGIN_EVENTS.LINE_JUMPS_CHANGED, (event) => {
+			if (event.data.enabled) {
+				this.activateTool('line-jumps');
+			} else {
+				this.deactivateTool('line-jumps');
+			}
+		});
+
 		this.eventBus.on('state:app.mode:changed', (event) => {
 			this.syncModeWithTools(event.newValue);
 		});
+
+		// setAddMode updates mode and element type in one batch
+		this.eventBus.on('state:batch-changed', (event) => {
+			const changes = event.data.changes || [];
+			if (changes.some(change => change.path === 'app.elementType')) {
+				this.syncModeWithTools(this.stateStore.get('app.mode'));
+			}
+		});
+
+		// Shapes registered after startup get their tools immediately
+		this.eventBus.on(SHAPE_EVENTS.REGISTERED, (event) => {
+			if (this.initialized) {
+				this.removeTool(`add-${event.data.shape.name}`);
+				this.addShapeTool(event.data.shape);
+			}
+		});
+
+		this.eventBus.on(SHAPE_EVENTS.UNREGISTERED, (event) => {
+			this.removeTool(`add-${event.data.shape.name}`);
+		});
 	}
 
 	/**
@@ -610,12 +818,37 @@ export class Toolbar {
 		this.setToolEnabled('redo', historyState.canRedo);
 	}
 
+	/**
+	 * Checks whether a tool changes the diagram
+	 */
+	isEditingTool(toolId) {
+		const tool = this.tools.get(toolId);
+		if (!tool) return false;
+
+		return EDITING_GROUPS.includes(tool.group) || this.shapeGroups.has(tool.group);
+	}
+
+	/**
+	 * Disables the editing tools in read-only mode; view tools stay available
+	 */
+	updateReadOnlyTools() {
+		const readOnly = Boolean(this.stateStore.get('app.readOnly'));
+
+		for (const toolId of this.tools.keys()) {
+			if (this.isEditingTool(toolId)) {
+				this.setToolEnabled(toolId, !readOnly);
+			}
+		}
+
+		this.updateHistoryTools();
+	}
+
 	/**
 	 * Synchronizes mode with tool states
 	 */
 	syncModeWithTools(mode) {
 		this.deactivateGroup('selection');
-		this.deactivateGroup('elements');
+		this.shapeGroups.forEach(groupId => this.deactivateGroup(groupId));
 
 		switch (mode) {
 			case 'select':
@@ -648,7 +881,7 @@ export class Toolbar {
 	syncWithState() {
 		const currentMode = this.stateStore.get('app.mode');
 		this.syncModeWithTools(currentMode);
-		this.updateHistoryTools();
+		this.updateReadOnlyTools();
 	}
 
 	/**
@@ -684,6 +917,15 @@ export class Toolbar {
 		}
 	}
 
+	/**
+	 * Tool action: Toggle line jumps
+	 */
+	toggleLineJumps() {
+		this.eventBus.emit(PLUGIN_EVENTS.SET_LINE_JUMPS, {
+			enabled: this.activeTools.has('line-jumps')
+		});
+	}
+
 	/**
 	 * Tool action: Execute undo
 	 */
@@ -712,6 +954,76 @@ export class Toolbar {
 		this.eventBus.emit('canvas:reset-view');
 	}
 
+	/**
+	 * Tool action: Zoom to the selected cells
+	 */
+	zoomToSelection() {
+		this.eventBus.emit(CANVAS_EVENTS.ZOOM_TO_SELECTION);
+	}
+
+	/**
+	 * Tool action: Toggle the infinite canvas
+	 */
+	toggleInfiniteCanvas() {
+		this.eventBus.emit(CANVAS_EVENTS.SET_INFINITE, {
+			enabled: this.activeTools.has('infinite-canvas')
+		});
+	}
+
+	/**
+	 * Tool action: Show or hide the minimap
+	 */
+	toggleMinimap() {
+		this.stateStore.set('ui.panels.minimap.visible', this.activeTools.has('minimap'));
+	}
+
+	/**
+	 * Tool action: Show or hide the properties panel
+	 */
+	toggleProperties() {
+		this.stateStore.set('ui.panels.properties.visible', this.activeTools.has('properties'));
+	}
+
+	/**
+	 * Tool action: Show or hide the shape palette
+	 */
+	toggleStencil() {
+		this.stateStore.set('ui.panels.stencil.visible', this.activeTools.has('stencil'));
+	}
+
+	/**
+	 * Tool action: Show or hide the layers panel
+	 */
+	toggleLayers() {
+		this.stateStore.set('ui.panels.layers.visible', this.activeTools.has('layers'));
+	}
+
+	/**
+	 * Tool action: Show or hide the undo history panel
+	 */
+	toggleHistory() {
+		this.stateStore.set('ui.panels.history.visible', this.activeTools.has('history'));
+	}
+
+	/**
+	 * Tool action: Show or hide the comments panel
+	 */
+	toggleComments() {
+		this.stateStore.set('ui.panels.comments.visible', this.activeTools.has('comments'));
+	}
+
+	/**
+	 * Tool action: Export diagram or selection as PNG
+	 */
+	exportPNG() {
+		const selection = this.stateStore.get('selection.elements') || [];
+
+		this.eventBus.emit(EXPORT_EVENTS.EXPORT_PNG, {
+			scale: this.stateStore.get('ui.export.pngScale'),
+			selectionOnly: selection.length > 0
+		});
+	}
+
 	/**
 	 * Adds a custom tool to existing group
 	 */
@@ -770,6 +1082,7 @@ export class Toolbar {
 
 		this.tools.clear();
 		this.toolGroups.clear();
+		this.shapeGroups.clear();
 		this.activeTools.clear();
 		this.shortcuts.clear();
 		this.initialized = false;
@@ -0,0 +1,322 @@
+import { CANVAS_EVENTS } from '../Events/EventTypes.js';
+
+/**
+ * Zoom change per pixel of wheel scrolling; pinch gestures arrive as ctrl+wheel with small deltas
+ */
+const WHEEL_ZOOM_SPEED = 0.0015;
+const PINCH_ZOOM_SPEED = 0.01;
+const LINE_HEIGHT = 16;
+
+/**
+ * ViewportController - Zoom and pan gestures of the paper
+ *
+ * Wheel and trackpad pinch zoom around the cursor, Safari pinch gestures are handled
+ * through its gesture events; in read-only mode a plain wheel scrolls the host page and
+ * only ctrl+wheel and pinch zoom. Dragging with space held, with the middle button or in the
+ * `pan` mode of the toolbar pans the paper. Space is only taken while the pointer is over
+ * the paper or the paper has focus. All changes go through PaperService via
+ * CANVAS_EVENTS, so `canvas.zoom` / `canvas.pan` always reflect the view.
+ */
+export class ViewportController {
+	constructor(eventBus, stateStore, paperService) {
+		this.eventBus = eventBus;
+		this.stateStore = stateStore;
+		this.paperService = paperService;
+		this.spacePressed = false;
+		this.pointerOver = false;
+		this.pan = null;
+		this.pendingZoom = null;
+		this.frameRequest = null;
+		this.gestureZoom = null;
+		this.initialized = false;
+
+		this.handleWheel = this.handleWheel.bind(this);
+		this.handleMouseDown = this.handleMouseDown.bind(this);
+		this.handleMouseMove = this.handleMouseMove.bind(this);
+		this.handleMouseUp = this.handleMouseUp.bind(this);
+		this.handleKeyDown = this.handleKeyDown.bind(this);
+		this.handleKeyUp = this.handleKeyUp.bind(this);
+		this.handlePointerEnter = this.handlePointerEnter.bind(this);
+		this.handlePointerLeave = this.handlePointerLeave.bind(this);
+		this.handleGestureStart = this.handleGestureStart.bind(this);
+		this.handleGestureChange = this.handleGestureChange.bind(this);
+		this.releaseSpace = this.releaseSpace.bind(this);
+		this.applyZoom = this.applyZoom.bind(this);
+
+		this.bindEventHandlers();
+	}
+
+	/**
+	 * Initializes the viewport gestures
+	 */
+	init() {
+		if (this.initialized) {
+			console.warn('ViewportController: Already initialized');
+			return;
+		}
+
+		const paperElement = this.paperService.paperElement;
+
+		paperElement.addEventListener('wheel', this.handleWheel, { passive: false });
+		paperElement.addEventListener('gesturestart', this.handleGestureStart);
+		paperElement.addEventListener('gesturechange', this.handleGestureChange);
+
+		// Capture phase so that panning starts before the paper begins a selection or drag
+		paperElement.addEventListener('mousedown', this.handleMouseDown, true);
+		paperElement.addEventListener('mouseenter', this.handlePointerEnter);
+		paperElement.addEventListener('mouseleave', this.handlePointerLeave);
+
+		document.addEventListener('keydown', this.handleKeyDown);
+		document.addEventListener('keyup', this.handleKeyUp);
+		window.addEventListener('blur', this.releaseSpace);
+
+		this.initialized = true;
+		this.updateCursor();
+	}
+
+	/**
+	 * Binds component to mode changes
+	 */
+	bindEventHandlers() {
+		this.eventBus.on('state:app.mode:changed', () => this.updateCursor());
+	}
+
+	/**
+	 * Gets a point relative to the paper element
+	 */
+	getLocalPoint(event) {
+		const rect = this.paperService.paperElement.getBoundingClientRect();
+		return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+	}
+
+	/**
+	 * Zooms around the cursor; wheel events of one frame are combined
+	 */
+	handleWheel(event) {
+		// An embedded read-only diagram must not keep the page from scrolling past it
+		if (!event.ctrlKey && this.stateStore.get('app.readOnly')) return;
+
+		event.preventDefault();
+
+		const delta = event.deltaMode === 1 ? event.deltaY * LINE_HEIGHT : event.deltaY;
+		const speed = event.ctrlKey ? PINCH_ZOOM_SPEED : WHEEL_ZOOM_SPEED;
+		const factor = Math.exp(-delta * speed);
+
+		this.queueZoom(factor, this.getLocalPoint(event));
+	}
+
+	/**
+	 * Remembers the zoom at the start of a Safari pinch gesture
+	 */
+	handleGestureStart(event) {
+		event.preventDefault();
+		this.gestureZoom = this.stateStore.get('canvas.zoom') || 1;
+	}
+
+	/**
+	 * Zooms with a Safari pinch gesture
+	 */
+	handleGestureChange(event) {
+		event.preventDefault();
+		if (this.gestureZoom === null) return;
+
+		const currentZoom = this.stateStore.get('canvas.zoom') || 1;
+		this.queueZoom(this.gestureZoom * event.scale / currentZoom, this.getLocalPoint(event));
+	}
+
+	/**
+	 * Queues a relative zoom for the next frame
+	 */
+	queueZoom(factor, point) {
+		if (this.pendingZoom) {
+			this.pendingZoom.factor *= factor;
+			this.pendingZoom.point = point;
+		} else {
+			this.pendingZoom = { factor, point };
+		}
+
+		if (this.frameRequest === null) {
+			this.frameRequest = requestAnimationFrame(this.applyZoom);
+		}
+	}
+
+	/**
+	 * Applies the queued zoom
+	 */
+	applyZoom() {
+		this.frameRequest = null;
+		if (!this.pendingZoom) return;
+
+		const { factor, point } = this.pendingZoom;
+		const zoom = (this.stateStore.get('canvas.zoom') || 1) * factor;
+		this.pendingZoom = null;
+
+		this.eventBus.emit(CANVAS_EVENTS.ZOOM, { zoom, point });
+	}
+
+	/**
+	 * Starts panning with space held, the middle button or in pan mode
+	 */
+	handleMouseDown(event) {
+		const panMode = this.stateStore.get('app.mode') === 'pan';
+		const startsPan = event.button === 1 || (event.button === 0 && (this.spacePressed || panMode));
+		if (!startsPan) return;
+
+		event.preventDefault();
+		event.stopPropagation();
+
+		const pan = this.stateStore.get('canvas.pan') || { x: 0, y: 0 };
+		this.pan = {
+			clientX: event.clientX,
+			clientY: event.clientY,
+			x: pan.x,
+			y: pan.y
+		};
+
+		this.paperService.interactionState.panning = true;
+		this.updateCursor();
+
+		document.addEventListener('mousemove', this.handleMouseMove);
+		document.addEventListener('mouseup', this.handleMouseUp);
+	}
+
+	/**
+	 * Pans the paper while dragging
+	 */
+	handleMouseMove(event) {
+		if (!this.pan) return;
+
+		this.eventBus.emit(CANVAS_EVENTS.PAN, {
+			x: this.pan.x + event.clientX - this.pan.clientX,
+			y: this.pan.y + event.clientY - this.pan.clientY
+		});
+	}
+
+	/**
+	 * Ends panning
+	 */
+	handleMouseUp() {
+		this.pan = null;
+		this.paperService.interactionState.panning = false;
+		this.updateCursor();
+
+		document.removeEventListener('mousemove', this.handleMouseMove);
+		document.removeEventListener('mouseup', this.handleMouseUp);
+	}
+
+	/**
+	 * Remembers that the pointer is over the paper
+	 */
+	handlePointerEnter() {
+		this.pointerOver = true;
+	}
+
+	/**
+	 * Remembers that the pointer left the paper
+	 */
+	handlePointerLeave() {
+		this.pointerOver = false;
+	}
+
+	/**
+	 * Checks whether keys are meant for the paper: the pointer is over it or focus is inside it
+	 */
+	isPaperTargeted() {
+		const paperElement = this.paperService.paperElement;
+		return this.pointerOver || (Boolean(paperElement) && paperElement.contains(document.activeElement));
+	}
+
+	/**
+	 * Holds space for panning unless the user is typing or works elsewhere on the page
+	 */
+	handleKeyDown(event) {
+		if (event.code !== 'Space' || this.isTyping(event.target) || !this.isPaperTargeted()) return;
+
+		// Keep the page from scrolling
+		event.preventDefault();
+
+		if (!this.spacePressed) {
+			this.spacePressed = true;
+			this.updateCursor();
+		}
+	}
+
+	/**
+	 * Releases space
+	 */
+	handleKeyUp(event) {
+		if (event.code === 'Space') {
+			this.releaseSpace();
+		}
+	}
+
+	/**
+	 * Forgets the space key, e.g. when the window loses focus while it is held
+	 */
+	releaseSpace() {
+		this.spacePressed = false;
+		this.updateCursor();
+	}
+
+	/**
+	 * Checks whether a key event target accepts text
+	 */
+	isTyping(target) {
+		return Boolean(target) && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable);
+	}
+
+	/**
+	 * Shows the grab cursor while panning is possible
+	 */
+	updateCursor() {
+		const paperElement = this.paperService.paperElement;
+		if (!this.initialized || !paperElement) return;
+
+		if (this.pan) {
+			paperElement.style.cursor = 'grabbing';
+		} else if (this.spacePressed || this.stateStore.get('app.mode') === 'pan') {
+			paperElement.style.cursor = 'grab';
+		} else {
+			paperElement.style.cursor = '';
+		}
+	}
+
+	/**
+	 * Gets controller statistics
+	 */
+	getStats() {
+		return {
+			initialized: this.initialized,
+			panning: this.pan !== null,
+			spacePressed: this.spacePressed
+		};
+	}
+
+	/**
+	 * Destroys the controller
+	 */
+	destroy() {
+		this.handleMouseUp();
+
+		if (this.frameRequest !== null) {
+			cancelAnimationFrame(this.frameRequest);
+			this.frameRequest = null;
+		}
+
+		const paperElement = this.paperService.paperElement;
+		if (paperElement) {
+			paperElement.removeEventListener('wheel', this.handleWheel, { passive: false });
+			paperElement.removeEventListener('gesturestart', this.handleGestureStart);
+			paperElement.removeEventListener('gesturechange', this.handleGestureChange);
+			paperElement.removeEventListener('mousedown', this.handleMouseDown, true);
+			paperElement.removeEventListener('mouseenter', this.handlePointerEnter);
+			paperElement.removeEventListener('mouseleave', this.handlePointerLeave);
+		}
+
+		document.removeEventListener('keydown', this.handleKeyDown);
+		document.removeEventListener('keyup', this.handleKeyUp);
+		window.removeEventListener('blur', this.releaseSpace);
+
+		this.initialized = false;
+	}
+}
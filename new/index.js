@@ -1,20 +1,63 @@
 import { DDREditor } from './Core/DDREditor.js';
+import { MemoryHistoryStorage, LocalStorageHistoryStorage, IndexedDBHistoryStorage } from './Core/HistoryStorage.js';
+import { DraftBackend, MemoryDraftBackend, LocalStorageDraftBackend } from './Core/DraftStorage.js';
+import { CollaborationTransport, WebSocketTransport, LoopbackTransport, LoopbackHub } from './Core/CollaborationTransport.js';
+import { diffDocuments, mergeDocuments, buildMergedDocument } from './Core/DocumentDiff.js';
+import { ShapeRegistryService } from './Services/ShapeRegistryService.js';
 import { GraphService } from './Services/GraphService.js';
 import { PaperService } from './Services/PaperService.js';
 import { PortService } from './Services/PortService.js';
 import { SelectionService } from './Services/SelectionService.js';
 import { ValidationService } from './Services/ValidationService.js';
+import { DocumentService } from './Services/DocumentService.js';
+import { ExportService } from './Services/ExportService.js';
+import { ClipboardService } from './Services/ClipboardService.js';
+import { HistoryPersistenceService } from './Services/HistoryPersistenceService.js';
+import { AutosaveService } from './Services/AutosaveService.js';
+import { LayoutService } from './Services/LayoutService.js';
+import { RoutingService } from './Services/RoutingService.js';
+import { LayerService } from './Services/LayerService.js';
+import { CollaborationService } from './Services/CollaborationService.js';
+import { PresenceService } from './Services/PresenceService.js';
+import { CommentService } from './Services/CommentService.js';
+import { DiffService } from './Services/DiffService.js';
+import { SmartRouter } from './Services/SmartRouter.js';
 import { AddElementCommand } from './Commands/AddElementCommand.js';
 import { DeleteElementCommand } from './Commands/DeleteElementCommand.js';
 import { ConnectCommand } from './Commands/ConnectCommand.js';
-import { MoveCommand } from './Commands/MoveCommand.js';
+import { MoveCommand, BatchMoveCommand } from './Commands/MoveCommand.js';
+import { ResizeCommand, RotateCommand } from './Commands/ResizeCommand.js';
+import { EditLabelCommand } from './Commands/EditLabelCommand.js';
+import { EditLinkCommand } from './Commands/EditLinkCommand.js';
+import { ChangeRoutingCommand } from './Commands/ChangeRoutingCommand.js';
+import { ChangePropertiesCommand } from './Commands/ChangePropertiesCommand.js';
+import { ChangeLayersCommand } from './Commands/ChangeLayersCommand.js';
+import { CompositeCommand } from './Commands/BaseCommand.js';
+import { AddCellsCommand } from './Commands/AddCellsCommand.js';
+import { AddCalloutsCommand } from './Commands/AddCalloutsCommand.js';
 import { EventHandlers } from './Events/EventHandlers.js';
+import { ROUTING_EVENTS, EDITOR_EVENTS } from './Events/EventTypes.js';
 import { ContextMenu } from './UI/ContextMenu.js';
 import { Toolbar } from './UI/Toolbar.js';
 import { Guidelines } from './UI/Guidelines.js';
+import { ElementHandles } from './UI/ElementHandles.js';
+import { LabelEditor } from './UI/LabelEditor.js';
+import { LinkEditor } from './UI/LinkEditor.js';
+import { Minimap } from './UI/Minimap.js';
+import { PropertiesPanel } from './UI/PropertiesPanel.js';
+import { HistoryPanel } from './UI/HistoryPanel.js';
+import { PresenceOverlay } from './UI/PresenceOverlay.js';
+import { CommentsLayer } from './UI/CommentsLayer.js';
+import { CommentsPanel } from './UI/CommentsPanel.js';
+import { DiffView } from './UI/DiffView.js';
+import { LayersPanel } from './UI/LayersPanel.js';
+import { StencilPalette } from './UI/StencilPalette.js';
+import { ViewportController } from './UI/ViewportController.js';
+import { DraftRecoveryPrompt } from './UI/DraftRecoveryPrompt.js';
 import { CalloutsPlugin } from './Plugins/CalloutsPlugin.js';
 import { GuidelinesPlugin } from './Plugins/GuidelinesPlugin.js';
 import { ConnectionPlugin } from './Plugins/ConnectionPlugin.js';
+import { LineJumpsPlugin } from './Plugins/LineJumpsPlugin.js';
 
 /**
  * Main entry point for DDR Drawing Plugin
@@ -28,8 +71,14 @@ window.ddrDrawing = function() {
 		/**
 		 * Initializes the DDR Drawing editor
 		 * Maintains compatibility with existing integration pattern
+		 * Options are passed to DDREditor, e.g. { historyStorage, draftBackend, autosave: { interval } };
+		 * `stencilGroups: [{ id, title, shapes, order }]` adds host shape groups to the stencil palette;
+		 * `collaboration: { url }` or `{ transport }` joins a real-time editing session,
+		 * `presence: { name, color }` sets how this user is shown to collaborators,
+		 * `comments: { author }` names the author of review comments (defaults to the presence name),
+		 * `readOnly: true` opens the editor for viewing only (see DDREditor.setReadOnly())
 		 */
-		init: async () => {
+		init: async (options = {}) => {
 			if (initialized) {
 				console.warn('DDRDrawing: Already initialized');
 				return editorInstance;
@@ -41,7 +90,8 @@ window.ddrDrawing = function() {
 					debugMode: false,
 					autoInit: false,
 					canvasSelector: '#ddrCanvas',
-					containerSelector: '#paper-container'
+					containerSelector: '#paper-container',
+					...options
 				});
 
 				// Register all services with dependency injection
@@ -82,6 +132,15 @@ window.ddrDrawing = function() {
 			}
 		},
 
+		/**
+		 * Switches the editor between editing and read-only viewing
+		 */
+		setReadOnly: (enabled = true) => {
+			if (editorInstance) {
+				editorInstance.setReadOnly(enabled);
+			}
+		},
+
 		/**
 		 * Checks if editor is initialized
 		 */
@@ -91,6 +150,93 @@ window.ddrDrawing = function() {
 	};
 };
 
+/**
+ * Opens a document in a read-only viewer inside a host element, e.g. to embed a diagram in a page.
+ * Only the services needed to display, zoom and pan the diagram are loaded; there is no toolbar
+ * and no panels. The container needs a size, the paper fills it. Several viewers can share a page.
+ * @param {HTMLElement|string} container - Host element or its selector
+ * @param {Object|string} diagram - Document or .ddr.json string of any schema version
+ * @param {Object} options - Options passed to DDREditor
+ * @returns {Promise<DDREditor>} Viewer; remove it with destroy()
+ */
+window.ddrDrawing.view = async (container, diagram, options = {}) => {
+	const containerElement = typeof container === 'string' ? document.querySelector(container) : container;
+	if (!containerElement) {
+		throw new Error(`DDRDrawing: Viewer container '${container}' not found`);
+	}
+
+	const canvasElement = document.createElement('div');
+	canvasElement.className = 'ddr-viewer-canvas';
+	containerElement.appendChild(canvasElement);
+
+	const viewer = new DDREditor({
+		debugMode: false,
+		autoInit: false,
+		validateDOM: false,
+		...options,
+		canvasSelector: canvasElement,
+		containerSelector: containerElement,
+		readOnly: true
+	});
+
+	viewer.eventBus.on(EDITOR_EVENTS.DESTROYING, () => canvasElement.remove());
+
+	try {
+		registerViewerServices(viewer.container);
+		await viewer.init();
+		await initializeViewer(viewer);
+
+		if (!viewer.getService('documentService').load(diagram)) {
+			throw new Error('DDRDrawing: Document could not be loaded');
+		}
+
+		return viewer;
+
+	} catch (error) {
+		console.error('DDRDrawing: Viewer initialization failed', error);
+		viewer.destroy();
+		throw error;
+	}
+};
+
+/**
+ * Storage adapters for persisting undo history across sessions
+ */
+window.ddrDrawing.historyStorage = {
+	MemoryHistoryStorage,
+	LocalStorageHistoryStorage,
+	IndexedDBHistoryStorage
+};
+
+/**
+ * Draft backends for autosave; hosts can extend DraftBackend with their own store
+ */
+window.ddrDrawing.draftBackends = {
+	DraftBackend,
+	MemoryDraftBackend,
+	LocalStorageDraftBackend
+};
+
+/**
+ * Transports for real-time collaboration; hosts can extend CollaborationTransport
+ */
+window.ddrDrawing.collaborationTransports = {
+	CollaborationTransport,
+	WebSocketTransport,
+	LoopbackTransport,
+	LoopbackHub
+};
+
+/**
+ * Document comparison and three-way merge without an editor, e.g. for version control hooks;
+ * inputs must use the current schema
+ */
+window.ddrDrawing.diff = {
+	diffDocuments,
+	mergeDocuments,
+	buildMergedDocument
+};
+
 /**
  * Registers all services with the dependency injection container
  */
@@ -99,21 +245,50 @@ function registerServices(container) {
 	container.registerInstance('container', container);
 	
 	// Register services as singletons
-	container.registerSingleton('graphService', GraphService, ['eventBus', 'stateStore']);
+	container.registerSingleton('shapeRegistry', ShapeRegistryService, ['eventBus', 'stateStore']);
+	container.registerSingleton('graphService', GraphService, ['eventBus', 'stateStore', 'shapeRegistry']);
 	container.registerSingleton('paperService', PaperService, ['eventBus', 'stateStore', 'graphService']);
 	container.registerSingleton('portService', PortService, ['eventBus', 'stateStore', 'graphService']);
-	container.registerSingleton('selectionService', SelectionService, ['eventBus', 'stateStore', 'graphService', 'portService']);
+	container.registerSingleton('layerService', LayerService, ['eventBus', 'stateStore', 'graphService', 'paperService']);
+	container.registerSingleton('selectionService', SelectionService, ['eventBus', 'stateStore', 'graphService', 'portService', 'layerService']);
 	container.registerSingleton('validationService', ValidationService, ['eventBus', 'stateStore', 'graphService', 'portService']);
+	container.registerSingleton('documentService', DocumentService, ['eventBus', 'stateStore', 'graphService', 'portService', 'selectionService']);
+	container.registerSingleton('exportService', ExportService, ['eventBus', 'stateStore', 'graphService', 'paperService', 'selectionService']);
+	container.registerSingleton('clipboardService', ClipboardService, ['eventBus', 'stateStore', 'graphService', 'portService', 'selectionService', 'paperService', 'commandManager', 'calloutsPlugin']);
+	container.registerSingleton('historyPersistenceService', HistoryPersistenceService, ['eventBus', 'stateStore', 'graphService', 'commandManager', 'commandRegistry', 'historyStorage']);
+	container.registerSingleton('autosaveService', AutosaveService, ['eventBus', 'stateStore', 'graphService', 'documentService', 'draftBackend']);
+	container.registerSingleton('layoutService', LayoutService, ['eventBus', 'stateStore', 'graphService', 'portService', 'selectionService', 'validationService', 'commandManager']);
+	container.registerSingleton('routingService', RoutingService, ['eventBus', 'stateStore', 'graphService']);
+	container.registerSingleton('collaborationService', CollaborationService, ['eventBus', 'stateStore', 'graphService', 'selectionService']);
+	container.registerSingleton('presenceService', PresenceService, ['eventBus', 'stateStore', 'collaborationService', 'selectionService', 'paperService']);
+	container.registerSingleton('commentService', CommentService, ['eventBus', 'stateStore', 'graphService']);
+	container.registerSingleton('diffService', DiffService, ['eventBus', 'stateStore', 'documentService']);
+	container.registerSingleton('smartRouter', SmartRouter, ['eventBus', 'stateStore', 'paperService', 'graphService', 'portService', 'calloutsPlugin']);
 
 	// Register UI components
-	container.registerSingleton('contextMenu', ContextMenu, ['eventBus', 'stateStore']);
-	container.registerSingleton('toolbar', Toolbar, ['eventBus', 'stateStore']);
-	container.registerSingleton('guidelines', Guidelines, ['eventBus', 'stateStore']);
+	container.registerSingleton('contextMenu', ContextMenu, ['eventBus', 'stateStore', 'shapeRegistry', 'routingService']);
+	container.registerSingleton('toolbar', Toolbar, ['eventBus', 'stateStore', 'shapeRegistry']);
+	container.registerSingleton('guidelines', Guidelines, ['eventBus', 'stateStore', 'layerService']);
+	container.registerSingleton('elementHandles', ElementHandles, ['eventBus', 'stateStore', 'paperService']);
+	container.registerSingleton('labelEditor', LabelEditor, ['eventBus', 'stateStore', 'paperService']);
+	container.registerSingleton('linkEditor', LinkEditor, ['eventBus', 'stateStore', 'paperService', 'graphService']);
+	container.registerSingleton('minimap', Minimap, ['eventBus', 'stateStore', 'paperService', 'graphService']);
+	container.registerSingleton('stencilPalette', StencilPalette, ['eventBus', 'stateStore', 'shapeRegistry', 'graphService', 'paperService']);
+	container.registerSingleton('layersPanel', LayersPanel, ['eventBus', 'stateStore', 'layerService', 'graphService', 'selectionService']);
+	container.registerSingleton('propertiesPanel', PropertiesPanel, ['eventBus', 'stateStore', 'selectionService', 'routingService', 'portService']);
+	container.registerSingleton('historyPanel', HistoryPanel, ['eventBus', 'stateStore', 'commandManager']);
+	container.registerSingleton('presenceOverlay', PresenceOverlay, ['eventBus', 'stateStore', 'presenceService', 'paperService', 'graphService']);
+	container.registerSingleton('commentsLayer', CommentsLayer, ['eventBus', 'stateStore', 'commentService', 'paperService', 'graphService']);
+	container.registerSingleton('commentsPanel', CommentsPanel, ['eventBus', 'stateStore', 'commentService', 'graphService']);
+	container.registerSingleton('diffView', DiffView, ['eventBus', 'stateStore', 'diffService', 'graphService']);
+	container.registerSingleton('viewportController', ViewportController, ['eventBus', 'stateStore', 'paperService']);
+	container.registerSingleton('draftRecoveryPrompt', DraftRecoveryPrompt, ['eventBus', 'stateStore']);
 
 	// Register plugins
 	container.registerSingleton('calloutsPlugin', CalloutsPlugin, ['eventBus', 'stateStore', 'graphService']);
-	container.registerSingleton('guidelinesPlugin', GuidelinesPlugin, ['eventBus', 'stateStore', 'paperService']);
+	container.registerSingleton('guidelinesPlugin', GuidelinesPlugin, ['eventBus', 'stateStore', 'paperService', 'layerService']);
 	container.registerSingleton('connectionPlugin', ConnectionPlugin, ['eventBus', 'stateStore', 'portService']);
+	container.registerSingleton('lineJumpsPlugin', LineJumpsPlugin, ['eventBus', 'stateStore', 'paperService', 'graphService']);
 
 	// Register event handlers (requires container to be registered first)
 	container.registerSingleton('eventHandlers', EventHandlers, ['container']);
@@ -123,6 +298,16 @@ function registerServices(container) {
 	container.registerFactory('DeleteElementCommand', () => DeleteElementCommand);
 	container.registerFactory('ConnectCommand', () => ConnectCommand);
 	container.registerFactory('MoveCommand', () => MoveCommand);
+	container.registerFactory('BatchMoveCommand', () => BatchMoveCommand);
+	container.registerFactory('ResizeCommand', () => ResizeCommand);
+	container.registerFactory('RotateCommand', () => RotateCommand);
+	container.registerFactory('EditLabelCommand', () => EditLabelCommand);
+	container.registerFactory('EditLinkCommand', () => EditLinkCommand);
+	container.registerFactory('ChangeRoutingCommand', () => ChangeRoutingCommand);
+	container.registerFactory('ChangePropertiesCommand', () => ChangePropertiesCommand);
+	container.registerFactory('ChangeLayersCommand', () => ChangeLayersCommand);
+	container.registerFactory('AddCellsCommand', () => AddCellsCommand);
+	container.registerFactory('AddCalloutsCommand', () => AddCalloutsCommand);
 }
 
 /**
@@ -130,39 +315,130 @@ function registerServices(container) {
  */
 async function initializeCompleteSystem(editor) {
 	// Get services from container
+	const shapeRegistry = editor.getService('shapeRegistry');
 	const graphService = editor.getService('graphService');
 	const paperService = editor.getService('paperService');
 	const portService = editor.getService('portService');
+	const layerService = editor.getService('layerService');
 	const selectionService = editor.getService('selectionService');
 	const validationService = editor.getService('validationService');
+	const documentService = editor.getService('documentService');
+	const exportService = editor.getService('exportService');
+	const layoutService = editor.getService('layoutService');
+	const routingService = editor.getService('routingService');
+	const smartRouter = editor.getService('smartRouter');
+	const commentService = editor.getService('commentService');
+	const diffService = editor.getService('diffService');
 
 	// Initialize core services
+	shapeRegistry.init();
 	const graph = graphService.init();
-	const paper = paperService.init();
+	const paper = paperService.init(editor.getCanvasElement());
 	
 	await portService.init();
+	await layerService.init();
 	await selectionService.init();
 	await validationService.init();
+	await documentService.init();
+	await exportService.init();
+	await layoutService.init();
+	await routingService.init();
+	await smartRouter.init();
+	await diffService.init();
+	await commentService.init({
+		author: (editor.options.presence || {}).name,
+		...editor.options.comments
+	});
 
 	// Get UI components
 	const contextMenu = editor.getService('contextMenu');
 	const toolbar = editor.getService('toolbar');
 	const guidelines = editor.getService('guidelines');
+	const elementHandles = editor.getService('elementHandles');
+	const labelEditor = editor.getService('labelEditor');
+	const linkEditor = editor.getService('linkEditor');
+	const minimap = editor.getService('minimap');
+	const stencilPalette = editor.getService('stencilPalette');
+	const layersPanel = editor.getService('layersPanel');
+	const propertiesPanel = editor.getService('propertiesPanel');
+	const historyPanel = editor.getService('historyPanel');
+	const presenceOverlay = editor.getService('presenceOverlay');
+	const commentsLayer = editor.getService('commentsLayer');
+	const commentsPanel = editor.getService('commentsPanel');
+	const diffView = editor.getService('diffView');
+	const viewportController = editor.getService('viewportController');
 
 	// Initialize UI components
 	await contextMenu.init();
 	await toolbar.init();
 	await guidelines.init();
+	await elementHandles.init();
+	await labelEditor.init();
+	await linkEditor.init();
+	await minimap.init();
+	await stencilPalette.init();
+	await layersPanel.init();
+	await propertiesPanel.init();
+	await historyPanel.init();
+	await presenceOverlay.init();
+	await commentsLayer.init();
+	await commentsPanel.init();
+	await diffView.init();
+	await viewportController.init();
+
+	// Host shape groups for the stencil palette
+	(editor.options.stencilGroups || []).forEach(group => stencilPalette.registerGroup(group.id, group));
 
 	// Get and initialize plugins
 	const calloutsPlugin = editor.getService('calloutsPlugin');
 	const guidelinesPlugin = editor.getService('guidelinesPlugin');
 	const connectionPlugin = editor.getService('connectionPlugin');
+	const lineJumpsPlugin = editor.getService('lineJumpsPlugin');
 
 	// Register plugins with editor
 	editor.registerPlugin('callouts', calloutsPlugin);
 	editor.registerPlugin('guidelines', guidelinesPlugin);
 	editor.registerPlugin('connections', connectionPlugin);
+	editor.registerPlugin('lineJumps', lineJumpsPlugin);
+
+	// Clipboard depends on the callouts plugin
+	const clipboardService = editor.getService('clipboardService');
+	await clipboardService.init();
+
+	// Persist layers, plugin state and review comments with the document
+	documentService.registerSection('layers', {
+		order: 35,
+		serialize: () => layerService.exportLayers(),
+		deserialize: (layers) => layerService.restoreLayers(layers)
+	});
+
+	documentService.registerSection('callouts', {
+		order: 40,
+		serialize: () => calloutsPlugin.exportCallouts(),
+		deserialize: (callouts) => calloutsPlugin.restoreCallouts(callouts)
+	});
+
+	documentService.registerSection('comments', {
+		order: 45,
+		serialize: () => commentService.exportThreads(),
+		deserialize: (threads) => commentService.restoreThreads(threads)
+	});
+
+	// Restore undo history from the previous session once every command dependency exists
+	registerCommandTypes(editor);
+	await editor.getService('historyPersistenceService').init();
+
+	// Offer to restore a draft left by a crashed or closed session
+	await editor.getService('draftRecoveryPrompt').init(editor.getContainerElement());
+	await editor.getService('autosaveService').init(editor.options.autosave);
+
+	// Join a collaboration session once the local document is in place
+	const collaborationService = editor.getService('collaborationService');
+	collaborationService.init();
+	await editor.getService('presenceService').init(editor.options.presence);
+	if (editor.options.collaboration) {
+		await collaborationService.connect(editor.options.collaboration);
+	}
 
 	// Initialize event handlers (must be last)
 	const eventHandlers = editor.getService('eventHandlers');
@@ -174,6 +450,100 @@ async function initializeCompleteSystem(editor) {
 	return editor;
 }
 
+/**
+ * Registers the services the read-only viewer needs to display a document
+ */
+function registerViewerServices(container) {
+	container.registerInstance('container', container);
+
+	container.registerSingleton('shapeRegistry', ShapeRegistryService, ['eventBus', 'stateStore']);
+	container.registerSingleton('graphService', GraphService, ['eventBus', 'stateStore', 'shapeRegistry']);
+	container.registerSingleton('paperService', PaperService, ['eventBus', 'stateStore', 'graphService']);
+	container.registerSingleton('portService', PortService, ['eventBus', 'stateStore', 'graphService']);
+	container.registerSingleton('layerService', LayerService, ['eventBus', 'stateStore', 'graphService', 'paperService']);
+	container.registerSingleton('selectionService', SelectionService, ['eventBus', 'stateStore', 'graphService', 'portService', 'layerService']);
+	container.registerSingleton('documentService', DocumentService, ['eventBus', 'stateStore', 'graphService', 'portService', 'selectionService']);
+	container.registerSingleton('routingService', RoutingService, ['eventBus', 'stateStore', 'graphService']);
+	container.registerSingleton('smartRouter', SmartRouter, ['eventBus', 'stateStore', 'paperService', 'graphService', 'portService', 'calloutsPlugin']);
+	container.registerSingleton('viewportController', ViewportController, ['eventBus', 'stateStore', 'paperService']);
+	container.registerSingleton('calloutsPlugin', CalloutsPlugin, ['eventBus', 'stateStore', 'graphService']);
+	container.registerSingleton('lineJumpsPlugin', LineJumpsPlugin, ['eventBus', 'stateStore', 'paperService', 'graphService']);
+	container.registerSingleton('eventHandlers', EventHandlers, ['container']);
+}
+
+/**
+ * Initializes the viewer: the paper with its routing, callouts and line jumps, selection and zoom
+ */
+async function initializeViewer(viewer) {
+	const documentService = viewer.getService('documentService');
+	const layerService = viewer.getService('layerService');
+	const calloutsPlugin = viewer.getService('calloutsPlugin');
+
+	viewer.getService('shapeRegistry').init();
+	viewer.getService('graphService').init();
+	viewer.getService('paperService').init(viewer.getCanvasElement());
+
+	await viewer.getService('portService').init();
+	await layerService.init();
+	await viewer.getService('selectionService').init();
+	await documentService.init();
+	await viewer.getService('routingService').init();
+	await viewer.getService('smartRouter').init();
+	await viewer.getService('viewportController').init();
+
+	viewer.registerPlugin('callouts', calloutsPlugin);
+	viewer.registerPlugin('lineJumps', viewer.getService('lineJumpsPlugin'));
+
+	// Hidden layers and callouts are part of what the document shows
+	documentService.registerSection('layers', {
+		order: 35,
+		serialize: () => layerService.exportLayers(),
+		deserialize: (layers) => layerService.restoreLayers(layers)
+	});
+
+	documentService.registerSection('callouts', {
+		order: 40,
+		serialize: () => calloutsPlugin.exportCallouts(),
+		deserialize: (callouts) => calloutsPlugin.restoreCallouts(callouts)
+	});
+
+	// Selection of elements and links, which highlights them
+	viewer.getService('eventHandlers').init();
+
+	return viewer;
+}
+
+/**
+ * Registers deserializers for persisted command history
+ */
+function registerCommandTypes(editor) {
+	const registry = editor.getService('commandRegistry');
+	const graphService = editor.getService('graphService');
+	const portService = editor.getService('portService');
+	const validationService = editor.getService('validationService');
+	const calloutsPlugin = editor.getService('calloutsPlugin');
+	const routingService = editor.getService('routingService');
+	const layerService = editor.getService('layerService');
+	const selectionService = editor.getService('selectionService');
+
+	registry
+		.register('AddElementCommand', (data) => AddElementCommand.fromJSON(data, graphService, validationService))
+		.register('DeleteElementCommand', (data) => DeleteElementCommand.fromJSON(data, graphService, portService))
+		.register('ConnectCommand', (data) => ConnectCommand.fromJSON(data, graphService, portService, validationService))
+		.register('MoveCommand', (data) => MoveCommand.fromJSON(data, validationService, graphService))
+		.register('BatchMoveCommand', (data) => BatchMoveCommand.fromJSON(data, validationService, graphService))
+		.register('ResizeCommand', (data) => ResizeCommand.fromJSON(data, validationService, portService, graphService))
+		.register('RotateCommand', (data) => RotateCommand.fromJSON(data, validationService, graphService))
+		.register('EditLabelCommand', (data) => EditLabelCommand.fromJSON(data, graphService))
+		.register('EditLinkCommand', (data) => EditLinkCommand.fromJSON(data, validationService, portService, graphService))
+		.register('ChangeRoutingCommand', (data) => ChangeRoutingCommand.fromJSON(data, routingService, graphService))
+		.register('ChangePropertiesCommand', (data) => ChangePropertiesCommand.fromJSON(data, graphService, selectionService))
+		.register('ChangeLayersCommand', (data) => ChangeLayersCommand.fromJSON(data, layerService, graphService))
+		.register('AddCellsCommand', (data) => AddCellsCommand.fromJSON(data, graphService, portService))
+		.register('AddCalloutsCommand', (data) => AddCalloutsCommand.fromJSON(data, calloutsPlugin, graphService))
+		.register('CompositeCommand', (data, commandRegistry) => CompositeCommand.fromJSON(data, commandRegistry));
+}
+
 /**
  * Sets up features for backward compatibility with existing code
  */
@@ -195,27 +565,32 @@ function setupBackwardCompatibility(editor) {
 	const saveBtn = document.getElementById('save-btn');
 	if (saveBtn) {
 		saveBtn.addEventListener('click', () => {
-			const graphService = editor.getService('graphService');
-			const canvasData = graphService.exportToJSON();
-			console.log(JSON.stringify(canvasData, null, 2));
+			const documentService = editor.getService('documentService');
+			console.log(documentService.serialize());
 		});
 	}
 
-	// Support for legacy router and connector selectors
+	// Support for legacy router and connector selectors; they change the default routing
 	const routerSelector = document.getElementById('router-selector');
 	const connectorSelector = document.getElementById('connector-selector');
 	
 	if (routerSelector) {
+		routerSelector.value = stateStore.get('connections.router');
 		routerSelector.addEventListener('change', () => {
-			stateStore.set('connections.router', routerSelector.value);
-			updateAllLinkStyles(editor);
+			eventBus.emit(ROUTING_EVENTS.SET_DEFAULT, { router: routerSelector.value });
+		});
+		eventBus.on('state:connections.router:changed', (event) => {
+			routerSelector.value = event.data.newValue;
 		});
 	}
 
 	if (connectorSelector) {
+		connectorSelector.value = stateStore.get('connections.connector');
 		connectorSelector.addEventListener('change', () => {
-			stateStore.set('connections.connector', connectorSelector.value);
-			updateAllLinkStyles(editor);
+			eventBus.emit(ROUTING_EVENTS.SET_DEFAULT, { connector: connectorSelector.value });
+		});
+		eventBus.on('state:connections.connector:changed', (event) => {
+			connectorSelector.value = event.data.newValue;
 		});
 	}
 
@@ -223,24 +598,6 @@ function setupBackwardCompatibility(editor) {
 	setupConnectionModeButtons(editor);
 }
 
-/**
- * Updates styles for all existing links
- */
-function updateAllLinkStyles(editor) {
-	const graphService = editor.getService('graphService');
-	const stateStore = editor.getService('stateStore');
-	
-	const routerName = stateStore.get('connections.router');
-	const connectorName = stateStore.get('connections.connector');
-
-	graphService.graph.getLinks().forEach(link => {
-		link.set({
-			router: { name: routerName },
-			connector: { name: connectorName }
-		});
-	});
-}
-
 /**
  * Sets up connection mode buttons for backward compatibility
  */